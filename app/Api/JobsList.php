@@ -10,6 +10,8 @@ use App\Infra\ProviderPause;
 
 final class JobsList
 {
+    private const CHANGED_LIMIT = 250;
+
     /**
      * Core handler logic for jobs list (paged or full) returning payload array.
      * Designed so tests can invoke without emitting output headers.
@@ -53,4 +55,22 @@ final class JobsList
             ],
         ];
     }
+
+    /**
+     * Jobs changed after a cursor (`since` timestamp plus `after_id` for rows sharing it), oldest
+     * change first. Lets clients keep a full list they loaded once up to date without refetching it.
+     *
+     * @return array<string, mixed> Response payload; `meta.has_more` asks for another round.
+     */
+    public static function changedSince(bool $isAdmin, int $userId, string $since, ?int $afterId): array
+    {
+        $rows = Jobs::updatedSince($since, $isAdmin, $userId, self::CHANGED_LIMIT, $afterId);
+
+        return [
+            'data' => array_map(static fn(array $row): array => Jobs::format($row, $isAdmin), $rows),
+            'meta' => [
+                'has_more' => count($rows) === self::CHANGED_LIMIT,
+            ],
+        ];
+    }
 }
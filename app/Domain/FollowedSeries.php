@@ -0,0 +1,499 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Domain;
+
+use App\Infra\Db;
+use App\Support\Clock;
+use DateTimeImmutable;
+use DateTimeZone;
+use PDO;
+use RuntimeException;
+use stdClass;
+use Throwable;
+
+/**
+ * Series a user follows on KraSk2 (by meta id) or Kra.sk (by menu path). The scheduler
+ * re-lists their episodes periodically and queues the ones missing from the known set.
+ */
+final class FollowedSeries
+{
+    public const PROVIDERS = ['krask2', 'kraska'];
+
+    private const MAX_KNOWN_EPISODES = 5000;
+
+    /** Checks in a row an episode may fail to queue before it is skipped (recorded as known). */
+    public const MAX_EPISODE_ATTEMPTS = 3;
+
+    /**
+     * Lists the user's followed series ordered by title.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public static function forUser(int $userId): array
+    {
+        $statement = Db::run(
+            'SELECT * FROM followed_series WHERE user_id = :user_id ORDER BY title COLLATE NOCASE ASC, id ASC',
+            ['user_id' => $userId]
+        );
+        $rows = $statement->fetchAll(PDO::FETCH_ASSOC);
+
+        $series = [];
+        if (is_array($rows)) {
+            foreach ($rows as $row) {
+                if (is_array($row)) {
+                    $series[] = self::format($row);
+                }
+            }
+        }
+
+        return $series;
+    }
+
+    /**
+     * Follows a series; following it again refreshes its title, poster and profile and re-enables it.
+     *
+     * @param array<string, mixed> $payload JSON payload from the request body.
+     *
+     * @return array<string, mixed>
+     */
+    public static function follow(int $userId, array $payload): array
+    {
+        $provider = strtolower(trim((string) ($payload['provider'] ?? '')));
+        if (!in_array($provider, self::PROVIDERS, true)) {
+            throw new RuntimeException('Only KraSk2 and Kra.sk series can be followed.');
+        }
+
+        $seriesRef = trim((string) ($payload['series_ref'] ?? ''));
+        if ($seriesRef === '' || strlen($seriesRef) > 1024) {
+            throw new RuntimeException('A series identifier is required.');
+        }
+        if ($provider === 'kraska' && !str_starts_with($seriesRef, '/')) {
+            throw new RuntimeException('Kra.sk series must be followed by their menu path.');
+        }
+
+        $title = trim((string) ($payload['title'] ?? ''));
+        $poster = isset($payload['poster']) && is_string($payload['poster']) && trim($payload['poster']) !== ''
+            ? trim($payload['poster'])
+            : null;
+        $profileId = self::validateProfileId($userId, $payload['quality_profile_id'] ?? null);
+        $timestamp = Clock::nowString();
+
+        try {
+            $existingId = Db::run(
+                'SELECT id FROM followed_series WHERE user_id = :user_id AND provider = :provider AND series_ref = :series_ref LIMIT 1',
+                ['user_id' => $userId, 'provider' => $provider, 'series_ref' => $seriesRef]
+            )->fetchColumn();
+
+            if ($existingId !== false) {
+                Db::run(
+                    'UPDATE followed_series
+                     SET title = :title, poster = COALESCE(:poster, poster), quality_profile_id = :quality_profile_id,
+                         enabled = 1, updated_at = :updated_at
+                     WHERE id = :id',
+                    [
+                        'title' => mb_substr($title !== '' ? $title : $seriesRef, 0, 255),
+                        'poster' => $poster,
+                        'quality_profile_id' => $profileId,
+                        'updated_at' => $timestamp,
+                        'id' => (int) $existingId,
+                    ]
+                );
+
+                return self::requireOwned($userId, (int) $existingId);
+            }
+
+            Db::run(
+                'INSERT INTO followed_series (user_id, provider, series_ref, title, poster, quality_profile_id, created_at, updated_at)
+                 VALUES (:user_id, :provider, :series_ref, :title, :poster, :quality_profile_id, :created_at, :updated_at)',
+                [
+                    'user_id' => $userId,
+                    'provider' => $provider,
+                    'series_ref' => $seriesRef,
+                    'title' => mb_substr($title !== '' ? $title : $seriesRef, 0, 255),
+                    'poster' => $poster,
+                    'quality_profile_id' => $profileId,
+                    'created_at' => $timestamp,
+                    'updated_at' => $timestamp,
+                ]
+            );
+        } catch (Throwable $exception) {
+            throw new RuntimeException('Failed to follow series: ' . $exception->getMessage(), previous: $exception);
+        }
+
+        return self::requireOwned($userId, (int) Db::connection()->lastInsertId());
+    }
+
+    /**
+     * Pauses/resumes a followed series, changes its quality profile or schedules an immediate check.
+     *
+     * @param array<string, mixed> $payload JSON payload from the request body.
+     *
+     * @return array<string, mixed>
+     */
+    public static function update(int $userId, int $id, array $payload): array
+    {
+        $existing = self::requireOwned($userId, $id);
+
+        $enabled = array_key_exists('enabled', $payload) ? (bool) $payload['enabled'] : $existing['enabled'];
+        $profileId = array_key_exists('quality_profile_id', $payload)
+            ? self::validateProfileId($userId, $payload['quality_profile_id'])
+            : $existing['quality_profile_id'];
+        $checkNow = ($payload['check_now'] ?? false) === true;
+
+        Db::run(
+            'UPDATE followed_series
+             SET enabled = :enabled, quality_profile_id = :quality_profile_id, updated_at = :updated_at' .
+            ($checkNow ? ', next_check_at = NULL' : '') . '
+             WHERE id = :id AND user_id = :user_id',
+            [
+                'enabled' => $enabled ? 1 : 0,
+                'quality_profile_id' => $profileId,
+                'updated_at' => Clock::nowString(),
+                'id' => $id,
+                'user_id' => $userId,
+            ]
+        );
+
+        return self::requireOwned($userId, $id);
+    }
+
+    public static function delete(int $userId, int $id): void
+    {
+        self::requireOwned($userId, $id);
+        Db::run('DELETE FROM followed_series WHERE id = :id AND user_id = :user_id', [
+            'id' => $id,
+            'user_id' => $userId,
+        ]);
+    }
+
+    /**
+     * Claims the enabled series whose check is due (never-checked first) and pushes its next
+     * check out by the interval, so a crash mid-check does not retry it on every loop. Series of
+     * `$skipProviders` (providers backing off or rate limited) stay due for a later loop.
+     *
+     * @param array<int, string> $skipProviders
+     *
+     * @return array<string, mixed>|null Formatted series plus `user_id`.
+     */
+    public static function claimDue(int $intervalSeconds, array $skipProviders = []): ?array
+    {
+        return Db::transaction(static function () use ($intervalSeconds, $skipProviders): ?array {
+            $now = Clock::nowString();
+            $params = ['now' => $now];
+            $providerFilter = '';
+            foreach (array_values(array_unique($skipProviders)) as $index => $provider) {
+                $params['skip' . $index] = (string) $provider;
+                $providerFilter .= ($providerFilter === '' ? '' : ', ') . ':skip' . $index;
+            }
+            $row = Db::run(
+                'SELECT * FROM followed_series
+                 WHERE enabled = 1 AND (next_check_at IS NULL OR next_check_at <= :now)' .
+                ($providerFilter !== '' ? ' AND provider NOT IN (' . $providerFilter . ')' : '') . '
+                 ORDER BY next_check_at IS NOT NULL, next_check_at ASC, id ASC LIMIT 1',
+                $params
+            )->fetch(PDO::FETCH_ASSOC);
+
+            if ($row === false || !is_array($row)) {
+                return null;
+            }
+
+            $nextCheck = self::timestampIn(max(60, $intervalSeconds));
+            $updated = Db::run(
+                'UPDATE followed_series SET next_check_at = :next_check_at
+                 WHERE id = :id AND enabled = 1 AND (next_check_at IS NULL OR next_check_at <= :now)',
+                ['next_check_at' => $nextCheck, 'id' => (int) $row['id'], 'now' => $now]
+            );
+
+            if ($updated->rowCount() === 0) {
+                return null;
+            }
+
+            $row['next_check_at'] = $nextCheck;
+
+            return self::format($row) + ['user_id' => (int) $row['user_id']];
+        });
+    }
+
+    /**
+     * Stores the outcome of a successful check. `$knownKeys` must include the previously known
+     * episodes; episodes that failed to queue are left out so the next check retries them.
+     * `$failures` maps those episode keys to the reason: each check counts an attempt, and after
+     * MAX_EPISODE_ATTEMPTS the episode is recorded as known and listed as skipped instead.
+     *
+     * @param array<int, string> $knownKeys
+     * @param array<string, string> $failures
+     *
+     * @return array<int, string> Keys of the episodes skipped by this check.
+     */
+    public static function recordCheck(int $id, array $knownKeys, int $newCount, ?string $error = null, array $failures = []): array
+    {
+        return Db::transaction(static function () use ($id, $knownKeys, $newCount, $error, $failures): array {
+            $stored = Db::run('SELECT episode_failures_json FROM followed_series WHERE id = :id', ['id' => $id])->fetchColumn();
+            $attempts = self::decodeFailures($stored);
+
+            $keys = [];
+            foreach ($knownKeys as $key) {
+                if (is_string($key) && $key !== '') {
+                    $keys[$key] = true;
+                }
+            }
+
+            $skipped = [];
+            foreach ($failures as $key => $reason) {
+                $key = (string) $key;
+                $count = ($attempts[$key]['attempts'] ?? 0) + 1;
+                $attempts[$key] = ['attempts' => $count, 'error' => mb_substr((string) $reason, 0, 255)];
+                if ($count >= self::MAX_EPISODE_ATTEMPTS && !isset($keys[$key])) {
+                    $keys[$key] = true;
+                    $skipped[] = $key;
+                }
+            }
+
+            // Episodes that queued since their last failure no longer need an attempt count.
+            foreach ($attempts as $key => $entry) {
+                if (isset($keys[$key]) && $entry['attempts'] < self::MAX_EPISODE_ATTEMPTS) {
+                    unset($attempts[$key]);
+                }
+            }
+
+            $keys = array_slice(array_keys($keys), -self::MAX_KNOWN_EPISODES);
+            $timestamp = Clock::nowString();
+
+            Db::run(
+                'UPDATE followed_series
+                 SET known_episodes_json = :known, episode_failures_json = :failures, last_checked_at = :last_checked_at,
+                     last_new_count = :last_new_count, last_error = :last_error, updated_at = :updated_at
+                 WHERE id = :id',
+                [
+                    'known' => self::encodeList($keys),
+                    'failures' => self::encodeFailures($attempts),
+                    'last_checked_at' => $timestamp,
+                    'last_new_count' => max(0, $newCount),
+                    'last_error' => $error !== null ? mb_substr($error, 0, 500) : null,
+                    'updated_at' => $timestamp,
+                    'id' => $id,
+                ]
+            );
+
+            return $skipped;
+        });
+    }
+
+    /**
+     * Moves the next check of a series to `$seconds` from now without recording a check, e.g. when
+     * its provider asked the scheduler to back off mid-check.
+     */
+    public static function postpone(int $id, int $seconds): void
+    {
+        Db::run(
+            'UPDATE followed_series SET next_check_at = :next_check_at WHERE id = :id',
+            ['next_check_at' => self::timestampIn(max(1, $seconds)), 'id' => $id]
+        );
+    }
+
+    /**
+     * Records a check that could not list the episodes; the known set and baseline stay untouched.
+     */
+    public static function recordFailure(int $id, string $error): void
+    {
+        Db::run(
+            'UPDATE followed_series SET last_error = :last_error, updated_at = :updated_at WHERE id = :id',
+            [
+                'last_error' => mb_substr($error, 0, 500),
+                'updated_at' => Clock::nowString(),
+                'id' => $id,
+            ]
+        );
+    }
+
+    /**
+     * Returns the listed episodes that are not yet known. The very first check only records a
+     * baseline, so following a long-running series does not queue its whole back catalogue.
+     *
+     * @param array<string, mixed> $series Formatted series.
+     * @param array<int, array<string, mixed>> $episodes Episodes with a `key`.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public static function newEpisodes(array $series, array $episodes): array
+    {
+        if (($series['last_checked_at'] ?? null) === null) {
+            return [];
+        }
+
+        $known = array_fill_keys($series['known_episodes'] ?? [], true);
+        $fresh = [];
+        foreach ($episodes as $episode) {
+            $key = (string) ($episode['key'] ?? '');
+            if ($key !== '' && !isset($known[$key])) {
+                $known[$key] = true;
+                $fresh[] = $episode;
+            }
+        }
+
+        return $fresh;
+    }
+
+    /**
+     * Stable key of an episode: `S01E02` when numbered, otherwise the provider's own identifier.
+     */
+    public static function episodeKey(?int $season, ?int $episode, string $fallback): string
+    {
+        if ($episode !== null && $episode > 0) {
+            return sprintf('S%02dE%02d', $season !== null && $season >= 0 ? $season : 0, $episode);
+        }
+
+        return 'id:' . $fallback;
+    }
+
+    /**
+     * Formats a raw database row for API output.
+     *
+     * @param array<string, mixed> $row
+     *
+     * @return array<string, mixed>
+     */
+    public static function format(array $row): array
+    {
+        $known = self::decodeList($row['known_episodes_json'] ?? null);
+        $skipped = [];
+        foreach (self::decodeFailures($row['episode_failures_json'] ?? null) as $key => $entry) {
+            if ($entry['attempts'] >= self::MAX_EPISODE_ATTEMPTS) {
+                $skipped[] = ['key' => $key, 'error' => $entry['error']];
+            }
+        }
+
+        return [
+            'id' => (int) $row['id'],
+            'provider' => (string) $row['provider'],
+            'series_ref' => (string) $row['series_ref'],
+            'title' => (string) $row['title'],
+            'poster' => isset($row['poster']) ? (string) $row['poster'] : null,
+            'quality_profile_id' => isset($row['quality_profile_id']) ? (int) $row['quality_profile_id'] : null,
+            'enabled' => (int) ($row['enabled'] ?? 1) === 1,
+            'known_episodes' => $known,
+            'known_count' => count($known),
+            'skipped_episodes' => $skipped,
+            'last_checked_at' => isset($row['last_checked_at']) ? (string) $row['last_checked_at'] : null,
+            'next_check_at' => isset($row['next_check_at']) ? (string) $row['next_check_at'] : null,
+            'last_new_count' => (int) ($row['last_new_count'] ?? 0),
+            'last_error' => isset($row['last_error']) ? (string) $row['last_error'] : null,
+            'created_at' => (string) $row['created_at'],
+            'updated_at' => (string) $row['updated_at'],
+        ];
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private static function requireOwned(int $userId, int $id): array
+    {
+        if ($id <= 0) {
+            throw new RuntimeException('Followed series ID must be positive.');
+        }
+
+        $row = Db::run('SELECT * FROM followed_series WHERE id = :id AND user_id = :user_id LIMIT 1', [
+            'id' => $id,
+            'user_id' => $userId,
+        ])->fetch(PDO::FETCH_ASSOC);
+
+        if ($row === false || !is_array($row)) {
+            throw new RuntimeException('Followed series not found.');
+        }
+
+        return self::format($row);
+    }
+
+    private static function validateProfileId(int $userId, mixed $value): ?int
+    {
+        $profileId = $value === null || $value === '' ? 0 : (int) $value;
+        if ($profileId <= 0) {
+            return null;
+        }
+
+        if (QualityProfiles::find($userId, $profileId) === null) {
+            throw new RuntimeException('Quality profile not found.');
+        }
+
+        return $profileId;
+    }
+
+    private static function timestampIn(int $seconds): string
+    {
+        return (new DateTimeImmutable('now', new DateTimeZone('UTC')))
+            ->modify(sprintf('+%d seconds', $seconds))
+            ->format('Y-m-d\TH:i:s.uP');
+    }
+
+    /**
+     * @param array<int, string> $values
+     */
+    private static function encodeList(array $values): string
+    {
+        $encoded = json_encode(array_values($values), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+
+        return $encoded === false ? '[]' : $encoded;
+    }
+
+    /**
+     * @param array<string, array{attempts:int, error:string}> $failures
+     */
+    private static function encodeFailures(array $failures): string
+    {
+        $encoded = json_encode($failures === [] ? new stdClass() : $failures, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+
+        return $encoded === false ? '{}' : $encoded;
+    }
+
+    /**
+     * @return array<string, array{attempts:int, error:string}>
+     */
+    private static function decodeFailures(mixed $value): array
+    {
+        if (!is_string($value) || $value === '') {
+            return [];
+        }
+
+        try {
+            $decoded = json_decode($value, true, 512, JSON_THROW_ON_ERROR);
+        } catch (Throwable) {
+            return [];
+        }
+
+        $failures = [];
+        foreach (is_array($decoded) ? $decoded : [] as $key => $entry) {
+            if (is_string($key) && $key !== '' && is_array($entry)) {
+                $failures[$key] = [
+                    'attempts' => max(0, (int) ($entry['attempts'] ?? 0)),
+                    'error' => (string) ($entry['error'] ?? ''),
+                ];
+            }
+        }
+
+        return $failures;
+    }
+
+    /**
+     * @return array<int, string>
+     */
+    private static function decodeList(mixed $value): array
+    {
+        if (!is_string($value) || $value === '') {
+            return [];
+        }
+
+        try {
+            $decoded = json_decode($value, true, 512, JSON_THROW_ON_ERROR);
+        } catch (Throwable) {
+            return [];
+        }
+
+        if (!is_array($decoded)) {
+            return [];
+        }
+
+        return array_values(array_filter($decoded, static fn ($entry) => is_string($entry) && $entry !== ''));
+    }
+}
@@ -6,15 +6,26 @@ namespace App\Domain;
 
 use App\Infra\Db;
 use App\Support\Clock;
+use DateTimeImmutable;
+use DateTimeZone;
 use PDO;
 use RuntimeException;
 use Throwable;
 
 /**
- * Persists KraSk2 bulk queue requests so they can be expanded server-side.
+ * Persists KraSk2 bulk queue requests so they can be expanded server-side. Each submitted item
+ * is also stored as an entry whose resolver state (waiting, resolving, queued, failed) the
+ * scheduler updates as it picks a variant and queues the job.
  */
 final class KraSk2BulkQueue
 {
+    public const ITEM_STATUSES = ['waiting', 'resolving', 'queued', 'failed'];
+
+    /** A `resolving` entry untouched this long is treated as abandoned by a crashed scheduler. */
+    public const STALE_RESOLVING_SECONDS = 900;
+
+    private const RECENT_TASK_LIMIT = 20;
+
     /**
      * @param array<int, array<string, mixed>> $items
      * @param array<string, mixed> $options
@@ -36,20 +47,48 @@ final class KraSk2BulkQueue
 
         $timestamp = Clock::nowString();
 
-        Db::run(
-            'INSERT INTO krask2_bulk_queue (user_id, status, total_items, processed_items, failed_items, payload_json, created_at, updated_at)
-             VALUES (:user_id, :status, :total_items, 0, 0, :payload, :created_at, :updated_at)',
-            [
-                'user_id' => $userId,
-                'status' => 'pending',
-                'total_items' => count($items),
-                'payload' => $payload,
-                'created_at' => $timestamp,
-                'updated_at' => $timestamp,
-            ]
-        );
+        return Db::transaction(static function () use ($userId, $items, $payload, $timestamp): int {
+            Db::run(
+                'INSERT INTO krask2_bulk_queue (user_id, status, total_items, processed_items, failed_items, payload_json, created_at, updated_at)
+                 VALUES (:user_id, :status, :total_items, 0, 0, :payload, :created_at, :updated_at)',
+                [
+                    'user_id' => $userId,
+                    'status' => 'pending',
+                    'total_items' => count($items),
+                    'payload' => $payload,
+                    'created_at' => $timestamp,
+                    'updated_at' => $timestamp,
+                ]
+            );
+
+            $taskId = (int) Db::connection()->lastInsertId();
 
-        return (int) Db::connection()->lastInsertId();
+            foreach (array_values($items) as $position => $item) {
+                $itemJson = json_encode($item, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+                if ($itemJson === false) {
+                    throw new RuntimeException('Unable to encode KraSk2 queue payload.');
+                }
+
+                $title = is_array($item) && isset($item['title']) ? trim((string) $item['title']) : '';
+
+                Db::run(
+                    'INSERT INTO krask2_bulk_queue_items (task_id, user_id, position, status, title, item_json, created_at, updated_at)
+                     VALUES (:task_id, :user_id, :position, :status, :title, :item_json, :created_at, :updated_at)',
+                    [
+                        'task_id' => $taskId,
+                        'user_id' => $userId,
+                        'position' => $position,
+                        'status' => 'waiting',
+                        'title' => $title !== '' ? mb_substr($title, 0, 255) : 'KraSk2 item',
+                        'item_json' => $itemJson,
+                        'created_at' => $timestamp,
+                        'updated_at' => $timestamp,
+                    ]
+                );
+            }
+
+            return $taskId;
+        });
     }
 
     /**
@@ -110,9 +149,22 @@ final class KraSk2BulkQueue
         );
     }
 
+    /**
+     * Fails the task; entries it never got to are failed with the same reason so they can be retried.
+     */
     public static function markFailed(int $taskId, int $processed, int $failed, string $error): void
     {
         $timestamp = Clock::nowString();
+        Db::run(
+            "UPDATE krask2_bulk_queue_items
+             SET status = 'failed', error_text = :error, updated_at = :updated_at
+             WHERE task_id = :task_id AND status IN ('waiting', 'resolving')",
+            [
+                'error' => mb_substr($error, 0, 500),
+                'updated_at' => $timestamp,
+                'task_id' => $taskId,
+            ]
+        );
         Db::run(
             'UPDATE krask2_bulk_queue
              SET status = :status, processed_items = :processed, failed_items = :failed,
@@ -145,6 +197,277 @@ final class KraSk2BulkQueue
         );
     }
 
+    /**
+     * Moves the task's next waiting entry to `resolving` and returns it with its decoded item.
+     *
+     * @return array{id: int, item: array<string, mixed>}|null
+     */
+    public static function claimNextItem(int $taskId): ?array
+    {
+        return Db::transaction(static function () use ($taskId): ?array {
+            $row = Db::run(
+                "SELECT id, item_json FROM krask2_bulk_queue_items
+                 WHERE task_id = :task_id AND status = 'waiting'
+                 ORDER BY position ASC, id ASC LIMIT 1",
+                ['task_id' => $taskId]
+            )->fetch(PDO::FETCH_ASSOC);
+
+            if ($row === false || !is_array($row)) {
+                return null;
+            }
+
+            $updated = Db::run(
+                "UPDATE krask2_bulk_queue_items
+                 SET status = 'resolving', attempts = attempts + 1, error_text = NULL, updated_at = :updated_at
+                 WHERE id = :id AND status = 'waiting'",
+                [
+                    'updated_at' => Clock::nowString(),
+                    'id' => (int) $row['id'],
+                ]
+            );
+
+            if ($updated->rowCount() === 0) {
+                return null;
+            }
+
+            try {
+                $item = json_decode((string) $row['item_json'], true, 512, JSON_THROW_ON_ERROR);
+            } catch (Throwable) {
+                $item = [];
+            }
+
+            return [
+                'id' => (int) $row['id'],
+                'item' => is_array($item) ? $item : [],
+            ];
+        });
+    }
+
+    /**
+     * Hands work an interrupted scheduler left behind back to the resolver: entries still marked
+     * `resolving` return to `waiting` and `processing` tasks to `pending`. Only safe while no
+     * scheduler is working on a task, so it runs when the scheduler starts.
+     *
+     * @return int Number of entries put back in line.
+     */
+    public static function recoverInterrupted(): int
+    {
+        return Db::transaction(static function (): int {
+            $timestamp = Clock::nowString();
+            $reset = Db::run(
+                "UPDATE krask2_bulk_queue_items SET status = 'waiting', updated_at = :updated_at WHERE status = 'resolving'",
+                ['updated_at' => $timestamp]
+            )->rowCount();
+            Db::run(
+                "UPDATE krask2_bulk_queue SET status = 'pending', updated_at = :updated_at WHERE status = 'processing'",
+                ['updated_at' => $timestamp]
+            );
+
+            return $reset;
+        });
+    }
+
+    public static function markItemQueued(int $itemId, ?int $jobId): void
+    {
+        Db::run(
+            "UPDATE krask2_bulk_queue_items
+             SET status = 'queued', job_id = :job_id, error_text = NULL, updated_at = :updated_at
+             WHERE id = :id AND status = 'resolving'",
+            [
+                'job_id' => $jobId,
+                'updated_at' => Clock::nowString(),
+                'id' => $itemId,
+            ]
+        );
+    }
+
+    public static function markItemFailed(int $itemId, string $error): void
+    {
+        Db::run(
+            "UPDATE krask2_bulk_queue_items
+             SET status = 'failed', error_text = :error, updated_at = :updated_at
+             WHERE id = :id AND status = 'resolving'",
+            [
+                'error' => mb_substr($error, 0, 500),
+                'updated_at' => Clock::nowString(),
+                'id' => $itemId,
+            ]
+        );
+    }
+
+    /**
+     * Recounts the task from its entries once the scheduler has drained it. Entries retried while
+     * it was processing send it back to `pending` instead of completing it.
+     */
+    public static function finishTask(int $taskId): void
+    {
+        Db::transaction(static function () use ($taskId): void {
+            $counts = self::countItems($taskId);
+            $timestamp = Clock::nowString();
+            $done = $counts['waiting'] === 0;
+
+            Db::run(
+                'UPDATE krask2_bulk_queue
+                 SET status = :status, total_items = :total, processed_items = :processed, failed_items = :failed,
+                     updated_at = :updated_at, completed_at = :completed_at, error_text = NULL
+                 WHERE id = :id',
+                [
+                    'status' => $done ? 'completed' : 'pending',
+                    'total' => $counts['total'],
+                    'processed' => $counts['queued'],
+                    'failed' => $counts['failed'],
+                    'updated_at' => $timestamp,
+                    'completed_at' => $done ? $timestamp : null,
+                    'id' => $taskId,
+                ]
+            );
+        });
+    }
+
+    /**
+     * Lists the user's most recent tasks, newest first, each with its entries in submission order.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public static function forUser(int $userId): array
+    {
+        $rows = Db::run(
+            'SELECT * FROM krask2_bulk_queue WHERE user_id = :user_id ORDER BY id DESC LIMIT ' . self::RECENT_TASK_LIMIT,
+            ['user_id' => $userId]
+        )->fetchAll(PDO::FETCH_ASSOC);
+
+        if (!is_array($rows) || $rows === []) {
+            return [];
+        }
+
+        $items = self::itemsByTask(array_map(static fn (array $row): int => (int) $row['id'], $rows));
+
+        return array_map(
+            static fn (array $row): array => self::format($row, $items[(int) $row['id']] ?? []),
+            $rows
+        );
+    }
+
+    /**
+     * Puts a failed or stale `resolving` entry back in line and hands its task back to the scheduler.
+     *
+     * @return array<string, mixed> The entry's task, formatted.
+     */
+    public static function retryItem(int $userId, int $itemId): array
+    {
+        $item = self::requireOwnedItem($userId, $itemId);
+        $stale = self::isStale($item);
+        if ($item['status'] !== 'failed' && !$stale) {
+            throw new RuntimeException('Only failed entries can be retried.');
+        }
+
+        $taskId = (int) $item['task_id'];
+        Db::transaction(static function () use ($itemId, $taskId, $stale): void {
+            $timestamp = Clock::nowString();
+            Db::run(
+                "UPDATE krask2_bulk_queue_items
+                 SET status = 'waiting', error_text = NULL, job_id = NULL, updated_at = :updated_at
+                 WHERE id = :id AND status IN ('failed', 'resolving')",
+                [
+                    'updated_at' => $timestamp,
+                    'id' => $itemId,
+                ]
+            );
+            // A task still processing picks the entry up before it finishes; one whose entry went
+            // stale was abandoned mid-run and has to be claimed again.
+            $statuses = $stale ? "'processing', 'completed', 'failed'" : "'completed', 'failed'";
+            Db::run(
+                "UPDATE krask2_bulk_queue
+                 SET status = 'pending', completed_at = NULL, error_text = NULL, updated_at = :updated_at
+                 WHERE id = :id AND status IN ({$statuses})",
+                [
+                    'updated_at' => $timestamp,
+                    'id' => $taskId,
+                ]
+            );
+            self::recount($taskId);
+        });
+
+        return self::requireOwnedTask($userId, $taskId);
+    }
+
+    /**
+     * Removes an entry that is not being resolved (or whose resolving went stale). Removing a
+     * queued entry only hides it; its job stays in the download queue. A task left without
+     * entries is deleted.
+     *
+     * @return array<string, mixed>|null The entry's task, or null when it was deleted with it.
+     */
+    public static function removeItem(int $userId, int $itemId): ?array
+    {
+        $item = self::requireOwnedItem($userId, $itemId);
+        if ($item['status'] === 'resolving' && !self::isStale($item)) {
+            throw new RuntimeException('This entry is being resolved and cannot be removed right now.');
+        }
+
+        $taskId = (int) $item['task_id'];
+        $remaining = Db::transaction(static function () use ($itemId, $taskId): int {
+            Db::run(
+                "DELETE FROM krask2_bulk_queue_items WHERE id = :id AND (status <> 'resolving' OR updated_at < :stale_before)",
+                [
+                    'id' => $itemId,
+                    'stale_before' => self::staleBefore(),
+                ]
+            );
+
+            $counts = self::countItems($taskId);
+            if ($counts['total'] === 0) {
+                Db::run('DELETE FROM krask2_bulk_queue WHERE id = :id', ['id' => $taskId]);
+
+                return 0;
+            }
+
+            self::recount($taskId);
+            if ($counts['waiting'] === 0 && $counts['resolving'] === 0) {
+                $timestamp = Clock::nowString();
+                Db::run(
+                    "UPDATE krask2_bulk_queue SET status = 'completed', completed_at = :completed_at, updated_at = :updated_at
+                     WHERE id = :id AND status IN ('pending', 'processing')",
+                    [
+                        'completed_at' => $timestamp,
+                        'updated_at' => $timestamp,
+                        'id' => $taskId,
+                    ]
+                );
+            }
+
+            return $counts['total'];
+        });
+
+        return $remaining > 0 ? self::requireOwnedTask($userId, $taskId) : null;
+    }
+
+    /**
+     * @param array<string, mixed> $row
+     * @param array<int, array<string, mixed>> $items Formatted entries of the task.
+     *
+     * @return array<string, mixed>
+     */
+    public static function format(array $row, array $items = []): array
+    {
+        $options = self::decodePayload($row)['options'];
+        $profile = is_array($options['quality_profile'] ?? null) ? $options['quality_profile'] : null;
+
+        return [
+            'id' => (int) $row['id'],
+            'status' => (string) $row['status'],
+            'total_items' => (int) $row['total_items'],
+            'processed_items' => (int) $row['processed_items'],
+            'failed_items' => (int) $row['failed_items'],
+            'quality_profile' => isset($profile['name']) ? (string) $profile['name'] : null,
+            'error_text' => isset($row['error_text']) ? (string) $row['error_text'] : null,
+            'created_at' => (string) $row['created_at'],
+            'updated_at' => (string) $row['updated_at'],
+            'completed_at' => isset($row['completed_at']) ? (string) $row['completed_at'] : null,
+            'items' => $items,
+        ];
+    }
+
     /**
      * @return array<string, mixed>|null
      */
@@ -187,4 +510,136 @@ final class KraSk2BulkQueue
             'options' => $options,
         ];
     }
+
+    /**
+     * @param array<int, int> $taskIds
+     *
+     * @return array<int, array<int, array<string, mixed>>> Formatted entries keyed by task ID.
+     */
+    private static function itemsByTask(array $taskIds): array
+    {
+        if ($taskIds === []) {
+            return [];
+        }
+
+        $placeholders = implode(', ', array_fill(0, count($taskIds), '?'));
+        $rows = Db::run(
+            "SELECT * FROM krask2_bulk_queue_items WHERE task_id IN ({$placeholders}) ORDER BY task_id ASC, position ASC, id ASC",
+            array_values($taskIds)
+        )->fetchAll(PDO::FETCH_ASSOC);
+
+        $grouped = [];
+        $staleBefore = self::staleBefore();
+        foreach (is_array($rows) ? $rows : [] as $row) {
+            $grouped[(int) $row['task_id']][] = [
+                'id' => (int) $row['id'],
+                'position' => (int) $row['position'],
+                'status' => (string) $row['status'],
+                'title' => (string) $row['title'],
+                'job_id' => isset($row['job_id']) ? (int) $row['job_id'] : null,
+                'error_text' => isset($row['error_text']) ? (string) $row['error_text'] : null,
+                'attempts' => (int) $row['attempts'],
+                'stale' => $row['status'] === 'resolving' && (string) $row['updated_at'] < $staleBefore,
+                'updated_at' => (string) $row['updated_at'],
+            ];
+        }
+
+        return $grouped;
+    }
+
+    /**
+     * @return array{total: int, waiting: int, resolving: int, queued: int, failed: int}
+     */
+    private static function countItems(int $taskId): array
+    {
+        $counts = array_fill_keys(self::ITEM_STATUSES, 0);
+        $rows = Db::run(
+            'SELECT status, COUNT(*) AS total FROM krask2_bulk_queue_items WHERE task_id = :task_id GROUP BY status',
+            ['task_id' => $taskId]
+        )->fetchAll(PDO::FETCH_ASSOC);
+
+        foreach (is_array($rows) ? $rows : [] as $row) {
+            if (isset($counts[$row['status']])) {
+                $counts[$row['status']] = (int) $row['total'];
+            }
+        }
+
+        return ['total' => array_sum($counts)] + $counts;
+    }
+
+    private static function recount(int $taskId): void
+    {
+        $counts = self::countItems($taskId);
+        Db::run(
+            'UPDATE krask2_bulk_queue
+             SET total_items = :total, processed_items = :processed, failed_items = :failed, updated_at = :updated_at
+             WHERE id = :id',
+            [
+                'total' => $counts['total'],
+                'processed' => $counts['queued'],
+                'failed' => $counts['failed'],
+                'updated_at' => Clock::nowString(),
+                'id' => $taskId,
+            ]
+        );
+    }
+
+    /**
+     * @param array<string, mixed> $item Raw entry row.
+     */
+    private static function isStale(array $item): bool
+    {
+        return $item['status'] === 'resolving' && (string) $item['updated_at'] < self::staleBefore();
+    }
+
+    private static function staleBefore(): string
+    {
+        return (new DateTimeImmutable('now', new DateTimeZone('UTC')))
+            ->modify(sprintf('-%d seconds', self::STALE_RESOLVING_SECONDS))
+            ->format('Y-m-d\TH:i:s.uP');
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private static function requireOwnedItem(int $userId, int $itemId): array
+    {
+        if ($itemId <= 0) {
+            throw new RuntimeException('Bulk queue entry ID must be positive.');
+        }
+
+        $row = Db::run(
+            'SELECT * FROM krask2_bulk_queue_items WHERE id = :id AND user_id = :user_id LIMIT 1',
+            [
+                'id' => $itemId,
+                'user_id' => $userId,
+            ]
+        )->fetch(PDO::FETCH_ASSOC);
+
+        if ($row === false || !is_array($row)) {
+            throw new RuntimeException('Bulk queue entry not found.');
+        }
+
+        return $row;
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private static function requireOwnedTask(int $userId, int $taskId): array
+    {
+        $row = Db::run(
+            'SELECT * FROM krask2_bulk_queue WHERE id = :id AND user_id = :user_id LIMIT 1',
+            [
+                'id' => $taskId,
+                'user_id' => $userId,
+            ]
+        )->fetch(PDO::FETCH_ASSOC);
+
+        if ($row === false || !is_array($row)) {
+            throw new RuntimeException('Bulk queue task not found.');
+        }
+
+        return self::format($row, self::itemsByTask([$taskId])[$taskId] ?? []);
+    }
 }
@@ -0,0 +1,339 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Domain;
+
+use App\Infra\Db;
+use App\Support\Clock;
+use PDO;
+use RuntimeException;
+use Throwable;
+
+/**
+ * Per-user Kra.sk menu bookmarks and the list of recently visited menu paths,
+ * each stored with the breadcrumb trail needed to restore the navigation state.
+ */
+final class KraskaLocations
+{
+    public const KIND_BOOKMARK = 'bookmark';
+    public const KIND_RECENT = 'recent';
+
+    private const MAX_RECENT = 12;
+    private const MAX_TRAIL_LENGTH = 30;
+
+    /**
+     * Lists the user's bookmarks (by label) and recent visits (newest first).
+     *
+     * @return array{bookmarks: array<int, array<string, mixed>>, recent: array<int, array<string, mixed>>}
+     */
+    public static function forUser(int $userId): array
+    {
+        $statement = Db::run(
+            'SELECT * FROM kraska_locations WHERE user_id = :user_id
+             ORDER BY CASE WHEN kind = :bookmark THEN label END COLLATE NOCASE ASC, visited_at DESC, id DESC',
+            ['user_id' => $userId, 'bookmark' => self::KIND_BOOKMARK]
+        );
+        $rows = $statement->fetchAll(PDO::FETCH_ASSOC);
+
+        $locations = ['bookmarks' => [], 'recent' => []];
+        if (is_array($rows)) {
+            foreach ($rows as $row) {
+                if (!is_array($row)) {
+                    continue;
+                }
+                $location = self::format($row);
+                $locations[$location['kind'] === self::KIND_BOOKMARK ? 'bookmarks' : 'recent'][] = $location;
+            }
+        }
+
+        return $locations;
+    }
+
+    /**
+     * Bookmarks a menu path; bookmarking the same path again updates its label and trail.
+     *
+     * @param array<string, mixed> $payload JSON payload from the request body.
+     *
+     * @return array<string, mixed>
+     */
+    public static function addBookmark(int $userId, array $payload): array
+    {
+        [$path, $trail] = self::validateLocation($payload);
+        $label = self::resolveLabel($payload['label'] ?? null, $trail, $path);
+
+        return self::upsert($userId, self::KIND_BOOKMARK, $path, $label, $trail, null);
+    }
+
+    /**
+     * Renames an existing bookmark.
+     *
+     * @param array<string, mixed> $payload JSON payload from the request body.
+     *
+     * @return array<string, mixed>
+     */
+    public static function updateBookmark(int $userId, int $id, array $payload): array
+    {
+        $existing = self::requireOwned($userId, $id);
+        if ($existing['kind'] !== self::KIND_BOOKMARK) {
+            throw new RuntimeException('Only bookmarks can be renamed.');
+        }
+
+        $label = trim((string) ($payload['label'] ?? ''));
+        if ($label === '') {
+            throw new RuntimeException('Bookmark label is required.');
+        }
+
+        Db::run(
+            'UPDATE kraska_locations SET label = :label, updated_at = :updated_at WHERE id = :id AND user_id = :user_id',
+            [
+                'label' => mb_substr($label, 0, 255),
+                'updated_at' => Clock::nowString(),
+                'id' => $id,
+                'user_id' => $userId,
+            ]
+        );
+
+        return self::requireOwned($userId, $id);
+    }
+
+    /**
+     * Records a visit to a menu path and keeps only the most recent visits.
+     *
+     * @param array<string, mixed> $payload JSON payload from the request body.
+     *
+     * @return array<string, mixed>
+     */
+    public static function recordVisit(int $userId, array $payload): array
+    {
+        [$path, $trail] = self::validateLocation($payload);
+        $label = self::resolveLabel($payload['label'] ?? null, $trail, $path);
+
+        return Db::transaction(static function () use ($userId, $path, $label, $trail): array {
+            $location = self::upsert($userId, self::KIND_RECENT, $path, $label, $trail, Clock::nowString());
+
+            Db::run(
+                'DELETE FROM kraska_locations
+                 WHERE user_id = :user_id AND kind = :kind AND id NOT IN (
+                     SELECT id FROM kraska_locations WHERE user_id = :user_id AND kind = :kind
+                     ORDER BY visited_at DESC, id DESC LIMIT ' . self::MAX_RECENT . '
+                 )',
+                ['user_id' => $userId, 'kind' => self::KIND_RECENT]
+            );
+
+            return $location;
+        });
+    }
+
+    public static function delete(int $userId, int $id): void
+    {
+        self::requireOwned($userId, $id);
+        Db::run('DELETE FROM kraska_locations WHERE id = :id AND user_id = :user_id', [
+            'id' => $id,
+            'user_id' => $userId,
+        ]);
+    }
+
+    /**
+     * Formats a raw database row for API output.
+     *
+     * @param array<string, mixed> $row
+     *
+     * @return array<string, mixed>
+     */
+    public static function format(array $row): array
+    {
+        return [
+            'id' => (int) $row['id'],
+            'kind' => (string) $row['kind'],
+            'label' => (string) $row['label'],
+            'path' => (string) $row['path'],
+            'trail' => self::decodeTrail($row['trail_json'] ?? null),
+            'visited_at' => isset($row['visited_at']) ? (string) $row['visited_at'] : null,
+            'created_at' => (string) $row['created_at'],
+            'updated_at' => (string) $row['updated_at'],
+        ];
+    }
+
+    /**
+     * @param array<int, array{path: string, label: string|null}> $trail
+     *
+     * @return array<string, mixed>
+     */
+    private static function upsert(int $userId, string $kind, string $path, string $label, array $trail, ?string $visitedAt): array
+    {
+        $timestamp = Clock::nowString();
+        $encodedTrail = self::encodeTrail($trail);
+
+        try {
+            $existingId = Db::run(
+                'SELECT id FROM kraska_locations WHERE user_id = :user_id AND kind = :kind AND path = :path LIMIT 1',
+                ['user_id' => $userId, 'kind' => $kind, 'path' => $path]
+            )->fetchColumn();
+
+            if ($existingId !== false) {
+                Db::run(
+                    'UPDATE kraska_locations
+                     SET label = :label, trail_json = :trail, visited_at = COALESCE(:visited_at, visited_at), updated_at = :updated_at
+                     WHERE id = :id',
+                    [
+                        'label' => $label,
+                        'trail' => $encodedTrail,
+                        'visited_at' => $visitedAt,
+                        'updated_at' => $timestamp,
+                        'id' => (int) $existingId,
+                    ]
+                );
+
+                return self::requireOwned($userId, (int) $existingId);
+            }
+
+            Db::run(
+                'INSERT INTO kraska_locations (user_id, kind, label, path, trail_json, visited_at, created_at, updated_at)
+                 VALUES (:user_id, :kind, :label, :path, :trail, :visited_at, :created_at, :updated_at)',
+                [
+                    'user_id' => $userId,
+                    'kind' => $kind,
+                    'label' => $label,
+                    'path' => $path,
+                    'trail' => $encodedTrail,
+                    'visited_at' => $visitedAt,
+                    'created_at' => $timestamp,
+                    'updated_at' => $timestamp,
+                ]
+            );
+        } catch (Throwable $exception) {
+            throw new RuntimeException('Failed to save Kra.sk location: ' . $exception->getMessage(), previous: $exception);
+        }
+
+        return self::requireOwned($userId, (int) Db::connection()->lastInsertId());
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private static function requireOwned(int $userId, int $id): array
+    {
+        if ($id <= 0) {
+            throw new RuntimeException('Location ID must be positive.');
+        }
+
+        $row = Db::run('SELECT * FROM kraska_locations WHERE id = :id AND user_id = :user_id LIMIT 1', [
+            'id' => $id,
+            'user_id' => $userId,
+        ])->fetch(PDO::FETCH_ASSOC);
+
+        if ($row === false || !is_array($row)) {
+            throw new RuntimeException('Location not found.');
+        }
+
+        return self::format($row);
+    }
+
+    /**
+     * @param array<string, mixed> $payload
+     *
+     * @return array{0:string,1:array<int, array{path: string, label: string|null}>}
+     */
+    private static function validateLocation(array $payload): array
+    {
+        $path = self::normalizePath($payload['path'] ?? null);
+        if ($path === null) {
+            throw new RuntimeException('A menu path starting with "/" is required.');
+        }
+
+        $trail = [];
+        if (isset($payload['trail']) && is_array($payload['trail'])) {
+            foreach (array_slice($payload['trail'], 0, self::MAX_TRAIL_LENGTH) as $crumb) {
+                if (!is_array($crumb)) {
+                    continue;
+                }
+                $crumbPath = self::normalizePath($crumb['path'] ?? null);
+                if ($crumbPath === null) {
+                    continue;
+                }
+                $crumbLabel = isset($crumb['label']) && is_string($crumb['label']) && trim($crumb['label']) !== ''
+                    ? mb_substr(trim($crumb['label']), 0, 255)
+                    : null;
+                $trail[] = ['path' => $crumbPath, 'label' => $crumbLabel];
+            }
+        }
+
+        // The trail always ends at the location itself so the UI can restore breadcrumbs verbatim.
+        $last = $trail[count($trail) - 1] ?? null;
+        if ($last === null || $last['path'] !== $path) {
+            $trail[] = ['path' => $path, 'label' => null];
+        }
+
+        return [$path, $trail];
+    }
+
+    /**
+     * @param array<int, array{path: string, label: string|null}> $trail
+     */
+    private static function resolveLabel(mixed $label, array $trail, string $path): string
+    {
+        $resolved = is_string($label) ? trim($label) : '';
+        if ($resolved === '') {
+            $resolved = (string) ($trail[count($trail) - 1]['label'] ?? '');
+        }
+
+        return mb_substr($resolved !== '' ? $resolved : $path, 0, 255);
+    }
+
+    private static function normalizePath(mixed $value): ?string
+    {
+        if (!is_string($value)) {
+            return null;
+        }
+
+        $path = trim($value);
+        if ($path === '' || !str_starts_with($path, '/') || strlen($path) > 1024) {
+            return null;
+        }
+
+        return $path;
+    }
+
+    /**
+     * @param array<int, array{path: string, label: string|null}> $trail
+     */
+    private static function encodeTrail(array $trail): string
+    {
+        $encoded = json_encode(array_values($trail), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+
+        return $encoded === false ? '[]' : $encoded;
+    }
+
+    /**
+     * @return array<int, array{path: string, label: string|null}>
+     */
+    private static function decodeTrail(mixed $value): array
+    {
+        if (!is_string($value) || $value === '') {
+            return [];
+        }
+
+        try {
+            $decoded = json_decode($value, true, 512, JSON_THROW_ON_ERROR);
+        } catch (Throwable) {
+            return [];
+        }
+
+        if (!is_array($decoded)) {
+            return [];
+        }
+
+        $trail = [];
+        foreach ($decoded as $crumb) {
+            if (is_array($crumb) && isset($crumb['path']) && is_string($crumb['path'])) {
+                $trail[] = [
+                    'path' => $crumb['path'],
+                    'label' => isset($crumb['label']) && is_string($crumb['label']) ? $crumb['label'] : null,
+                ];
+            }
+        }
+
+        return $trail;
+    }
+}
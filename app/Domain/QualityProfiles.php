@@ -0,0 +1,617 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Domain;
+
+use App\Infra\Db;
+use App\Support\Clock;
+use PDO;
+use RuntimeException;
+use Throwable;
+
+/**
+ * Per-user quality profiles (size cap, codec/language preferences, resolution bounds, HDR)
+ * and the matcher that uses them to auto-pick a download variant.
+ */
+final class QualityProfiles
+{
+    public const HDR_MODES = ['any', 'prefer', 'avoid', 'require', 'exclude'];
+
+    private const CODEC_ALIASES = [
+        'h264' => 'h264',
+        'x264' => 'h264',
+        'avc' => 'h264',
+        'h265' => 'hevc',
+        'x265' => 'hevc',
+        'hevc' => 'hevc',
+        'av1' => 'av1',
+        'vp9' => 'vp9',
+        'xvid' => 'mpeg4',
+        'divx' => 'mpeg4',
+        'mpeg4' => 'mpeg4',
+        'mpeg2' => 'mpeg2',
+    ];
+
+    private const LANGUAGE_ALIASES = [
+        'cz' => 'cz',
+        'cs' => 'cz',
+        'cze' => 'cz',
+        'ces' => 'cz',
+        'sk' => 'sk',
+        'svk' => 'sk',
+        'slk' => 'sk',
+        'en' => 'en',
+        'eng' => 'en',
+        'de' => 'de',
+        'ger' => 'de',
+        'deu' => 'de',
+        'fr' => 'fr',
+        'fre' => 'fr',
+        'fra' => 'fr',
+        'es' => 'es',
+        'spa' => 'es',
+        'it' => 'it',
+        'ita' => 'it',
+        'pl' => 'pl',
+        'pol' => 'pl',
+        'hu' => 'hu',
+        'hun' => 'hu',
+        'ru' => 'ru',
+        'rus' => 'ru',
+    ];
+
+    /**
+     * Where a language may be read from text. Any text counts bracketed codes ([CZ], (CZ, EN))
+     * and codes joined with a plus (CZ+EN). Release names (title, quality, stream name/title)
+     * also count plain codes in their tag region, which starts after the first year, resolution
+     * or episode code (Movie.2020.1080p.CZ, Show.S01E02.cz); the title part before it never
+     * counts, so "It.Follows.2014" or "IT (2017)" are not Italian. The same rules live in
+     * detectLanguages() in public/ui/modules/qualityProfiles.js.
+     */
+    private const LANGUAGE_TAG_PATTERNS = [
+        '/[\[(][a-z]{2,3}(?:\s*[,\/+|]\s*[a-z]{2,3})*[\])]/i',
+        '/(?<![a-z0-9])[a-z]{2,3}(?:\+[a-z]{2,3})+(?![a-z0-9])/i',
+    ];
+
+    private const RELEASE_TAG_REGION_START = '/(?<![a-z0-9])(?:(?:19|20)\d{2}|\d{3,4}[pi]|[48]k|uhd|s\d{1,2}e\d{1,3})(?![a-z0-9])/i';
+
+    private const RELEASE_TAG_TOKEN = '/(?<![a-z0-9])[a-z]{2,3}(?![a-z0-9])/i';
+
+    /**
+     * Lists profiles owned by the user, default profile first.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public static function forUser(int $userId): array
+    {
+        $statement = Db::run(
+            'SELECT * FROM quality_profiles WHERE user_id = :user_id ORDER BY is_default DESC, name COLLATE NOCASE ASC, id ASC',
+            ['user_id' => $userId]
+        );
+        $rows = $statement->fetchAll(PDO::FETCH_ASSOC);
+
+        $profiles = [];
+        if (is_array($rows)) {
+            foreach ($rows as $row) {
+                if (is_array($row)) {
+                    $profiles[] = self::format($row);
+                }
+            }
+        }
+
+        return $profiles;
+    }
+
+    /**
+     * @return array<string, mixed>|null
+     */
+    public static function find(int $userId, int $id): ?array
+    {
+        if ($id <= 0) {
+            return null;
+        }
+
+        $row = Db::run('SELECT * FROM quality_profiles WHERE id = :id AND user_id = :user_id LIMIT 1', [
+            'id' => $id,
+            'user_id' => $userId,
+        ])->fetch(PDO::FETCH_ASSOC);
+
+        return is_array($row) ? self::format($row) : null;
+    }
+
+    /**
+     * @return array<string, mixed>|null
+     */
+    public static function defaultForUser(int $userId): ?array
+    {
+        $row = Db::run('SELECT * FROM quality_profiles WHERE user_id = :user_id AND is_default = 1 ORDER BY id ASC LIMIT 1', [
+            'user_id' => $userId,
+        ])->fetch(PDO::FETCH_ASSOC);
+
+        return is_array($row) ? self::format($row) : null;
+    }
+
+    /**
+     * @param array<string, mixed> $payload JSON payload from the request body.
+     *
+     * @return array<string, mixed>
+     */
+    public static function create(int $userId, array $payload): array
+    {
+        $values = self::validate($payload, null);
+        $timestamp = Clock::nowString();
+
+        try {
+            Db::transaction(static function () use ($userId, $values, $timestamp): void {
+                if ($values['is_default'] === 1) {
+                    self::clearDefault($userId);
+                }
+                Db::run(
+                    'INSERT INTO quality_profiles (user_id, name, max_size_gb, preferred_codecs_json, forbidden_codecs_json, preferred_languages_json,
+                        min_height, max_height, hdr, is_default, created_at, updated_at)
+                     VALUES (:user_id, :name, :max_size_gb, :preferred_codecs, :forbidden_codecs, :preferred_languages,
+                        :min_height, :max_height, :hdr, :is_default, :created_at, :updated_at)',
+                    $values + [
+                        'user_id' => $userId,
+                        'created_at' => $timestamp,
+                        'updated_at' => $timestamp,
+                    ]
+                );
+            });
+        } catch (Throwable $exception) {
+            throw new RuntimeException('Failed to save quality profile: ' . $exception->getMessage(), previous: $exception);
+        }
+
+        return self::requireOwned($userId, (int) Db::connection()->lastInsertId());
+    }
+
+    /**
+     * @param array<string, mixed> $payload JSON payload from the request body.
+     *
+     * @return array<string, mixed>
+     */
+    public static function update(int $userId, int $id, array $payload): array
+    {
+        $existing = self::requireOwned($userId, $id);
+        $values = self::validate($payload, $existing);
+
+        Db::transaction(static function () use ($userId, $id, $values): void {
+            if ($values['is_default'] === 1) {
+                self::clearDefault($userId);
+            }
+            Db::run(
+                'UPDATE quality_profiles
+                 SET name = :name, max_size_gb = :max_size_gb, preferred_codecs_json = :preferred_codecs,
+                     forbidden_codecs_json = :forbidden_codecs, preferred_languages_json = :preferred_languages,
+                     min_height = :min_height, max_height = :max_height, hdr = :hdr, is_default = :is_default, updated_at = :updated_at
+                 WHERE id = :id AND user_id = :user_id',
+                $values + [
+                    'updated_at' => Clock::nowString(),
+                    'id' => $id,
+                    'user_id' => $userId,
+                ]
+            );
+        });
+
+        return self::requireOwned($userId, $id);
+    }
+
+    public static function delete(int $userId, int $id): void
+    {
+        self::requireOwned($userId, $id);
+        Db::run('DELETE FROM quality_profiles WHERE id = :id AND user_id = :user_id', [
+            'id' => $id,
+            'user_id' => $userId,
+        ]);
+    }
+
+    /**
+     * Formats a raw database row for API output.
+     *
+     * @param array<string, mixed> $row
+     *
+     * @return array<string, mixed>
+     */
+    public static function format(array $row): array
+    {
+        return [
+            'id' => (int) $row['id'],
+            'name' => (string) $row['name'],
+            'max_size_gb' => isset($row['max_size_gb']) ? (float) $row['max_size_gb'] : null,
+            'preferred_codecs' => self::decodeList($row['preferred_codecs_json'] ?? null),
+            'forbidden_codecs' => self::decodeList($row['forbidden_codecs_json'] ?? null),
+            'preferred_languages' => self::decodeList($row['preferred_languages_json'] ?? null),
+            'min_height' => isset($row['min_height']) ? (int) $row['min_height'] : null,
+            'max_height' => isset($row['max_height']) ? (int) $row['max_height'] : null,
+            'hdr' => in_array($row['hdr'] ?? null, self::HDR_MODES, true) ? (string) $row['hdr'] : 'any',
+            'is_default' => (int) ($row['is_default'] ?? 0) === 1,
+            'created_at' => (string) $row['created_at'],
+            'updated_at' => (string) $row['updated_at'],
+        ];
+    }
+
+    /**
+     * Picks the variant that best satisfies the profile. Variants breaking a hard limit (size cap,
+     * forbidden codec, resolution bounds, required/excluded HDR) are discarded; the rest are ranked
+     * by preferred language, HDR preference, resolution and preferred codec. Remaining ties go to
+     * the optional tie breaker, or to size and bitrate.
+     *
+     * @param array<int, mixed> $variants
+     * @param array<string, mixed> $profile Formatted profile as returned by {@see format()}.
+     * @param (callable(array<string, mixed>, array<string, mixed>): int)|null $tieBreaker
+     *
+     * @return array<string, mixed>|null Null when no variant satisfies the profile.
+     */
+    public static function selectVariant(array $variants, array $profile, ?callable $tieBreaker = null): ?array
+    {
+        $candidates = [];
+        foreach ($variants as $variant) {
+            if (is_array($variant) && self::allowsVariant($variant, $profile)) {
+                $candidates[] = $variant;
+            }
+        }
+
+        if ($candidates === []) {
+            return null;
+        }
+
+        usort($candidates, static function (array $a, array $b) use ($profile, $tieBreaker): int {
+            $result = self::compareVariants($a, $b, $profile);
+            if ($result !== 0) {
+                return $result;
+            }
+            if ($tieBreaker !== null) {
+                return $tieBreaker($a, $b);
+            }
+
+            return [(int) ($b['size_bytes'] ?? 0), (int) ($b['bitrate_kbps'] ?? 0)]
+                <=> [(int) ($a['size_bytes'] ?? 0), (int) ($a['bitrate_kbps'] ?? 0)];
+        });
+
+        return $candidates[0];
+    }
+
+    /**
+     * Whether the variant stays within the profile's hard limits. Unknown attributes never exclude.
+     *
+     * @param array<string, mixed> $variant
+     * @param array<string, mixed> $profile
+     */
+    public static function allowsVariant(array $variant, array $profile): bool
+    {
+        $traits = self::describeVariant($variant);
+
+        $maxSize = $profile['max_size_gb'] ?? null;
+        if ($maxSize !== null && $traits['size'] > 0 && $traits['size'] > (float) $maxSize * 1024 ** 3) {
+            return false;
+        }
+
+        if ($traits['codec'] !== null && in_array($traits['codec'], $profile['forbidden_codecs'] ?? [], true)) {
+            return false;
+        }
+
+        if ($traits['height'] !== null) {
+            $minHeight = $profile['min_height'] ?? null;
+            $maxHeight = $profile['max_height'] ?? null;
+            if (($minHeight !== null && $traits['height'] < $minHeight) || ($maxHeight !== null && $traits['height'] > $maxHeight)) {
+                return false;
+            }
+        }
+
+        $hdr = $profile['hdr'] ?? 'any';
+
+        return !(($hdr === 'require' && !$traits['hdr']) || ($hdr === 'exclude' && $traits['hdr']));
+    }
+
+    /**
+     * Maps codec spellings found in release names onto one token (x265/h.265 → hevc).
+     */
+    public static function normalizeCodec(string $codec): string
+    {
+        $token = preg_replace('/[^a-z0-9]/', '', strtolower($codec)) ?? '';
+
+        return self::CODEC_ALIASES[$token] ?? $token;
+    }
+
+    /**
+     * Audio languages of a variant. Explicit language fields are trusted as they are; text only
+     * contributes tokens allowed by LANGUAGE_TAG_PATTERNS and the release tag region, so words
+     * such as "It" or "De" in a title are not mistaken for languages.
+     *
+     * @param array<string, mixed> $variant
+     *
+     * @return array<int, string>
+     */
+    public static function detectLanguages(array $variant): array
+    {
+        $stream = is_array($variant['source']['stream'] ?? null) ? $variant['source']['stream'] : [];
+        $tokens = [];
+        foreach ([$variant['language'] ?? null, $variant['audio_language'] ?? null, $stream['language'] ?? null, $stream['lang'] ?? null] as $value) {
+            if (is_string($value) && $value !== '') {
+                array_push($tokens, ...(preg_split('/[^a-z]+/', strtolower($value), -1, PREG_SPLIT_NO_EMPTY) ?: []));
+            }
+        }
+
+        $releaseNames = [$variant['title'] ?? null, $variant['quality'] ?? null, $stream['name'] ?? null, $stream['title'] ?? null];
+        foreach ($releaseNames as $value) {
+            if (!is_string($value) || !preg_match(self::RELEASE_TAG_REGION_START, $value, $start, PREG_OFFSET_CAPTURE)) {
+                continue;
+            }
+            $region = substr($value, $start[0][1] + strlen($start[0][0]));
+            if (preg_match_all(self::RELEASE_TAG_TOKEN, $region, $matches)) {
+                array_push($tokens, ...array_map('strtolower', $matches[0]));
+            }
+        }
+
+        foreach ([...$releaseNames, $variant['description'] ?? null, $stream['description'] ?? null] as $value) {
+            if (!is_string($value) || $value === '') {
+                continue;
+            }
+            foreach (self::LANGUAGE_TAG_PATTERNS as $pattern) {
+                if (preg_match_all($pattern, $value, $matches)) {
+                    foreach ($matches[0] as $match) {
+                        array_push($tokens, ...(preg_split('/[^a-z]+/', strtolower($match), -1, PREG_SPLIT_NO_EMPTY) ?: []));
+                    }
+                }
+            }
+        }
+
+        $languages = [];
+        foreach ($tokens as $token) {
+            if (isset(self::LANGUAGE_ALIASES[$token])) {
+                $languages[self::LANGUAGE_ALIASES[$token]] = true;
+            }
+        }
+
+        return array_keys($languages);
+    }
+
+    /**
+     * @param array<string, mixed> $a
+     * @param array<string, mixed> $b
+     * @param array<string, mixed> $profile
+     */
+    private static function compareVariants(array $a, array $b, array $profile): int
+    {
+        $traitsA = self::describeVariant($a);
+        $traitsB = self::describeVariant($b);
+
+        $languages = $profile['preferred_languages'] ?? [];
+        $result = self::preferenceRank($traitsA['languages'], $languages) <=> self::preferenceRank($traitsB['languages'], $languages);
+        if ($result !== 0) {
+            return $result;
+        }
+
+        $hdr = $profile['hdr'] ?? 'any';
+        if ($traitsA['hdr'] !== $traitsB['hdr'] && ($hdr === 'prefer' || $hdr === 'avoid')) {
+            return ($traitsA['hdr'] === ($hdr === 'prefer')) ? -1 : 1;
+        }
+
+        $result = ($traitsB['height'] ?? 0) <=> ($traitsA['height'] ?? 0);
+        if ($result !== 0) {
+            return $result;
+        }
+
+        $codecs = $profile['preferred_codecs'] ?? [];
+
+        return self::preferenceRank($traitsA['codec'] !== null ? [$traitsA['codec']] : [], $codecs)
+            <=> self::preferenceRank($traitsB['codec'] !== null ? [$traitsB['codec']] : [], $codecs);
+    }
+
+    /**
+     * Position of the best matching token in the preference list; unmatched sorts last.
+     *
+     * @param array<int, string> $tokens
+     * @param array<int, string> $preferences
+     */
+    private static function preferenceRank(array $tokens, array $preferences): int
+    {
+        $rank = count($preferences);
+        foreach ($tokens as $token) {
+            $index = array_search($token, $preferences, true);
+            if ($index !== false && $index < $rank) {
+                $rank = (int) $index;
+            }
+        }
+
+        return $rank;
+    }
+
+    /**
+     * Extracts the attributes profiles care about from provider fields and release text.
+     *
+     * @param array<string, mixed> $variant
+     *
+     * @return array{height:int|null,codec:string|null,languages:array<int,string>,hdr:bool,size:int}
+     */
+    private static function describeVariant(array $variant): array
+    {
+        $texts = [];
+        foreach (['title', 'quality', 'description', 'resolution', 'language', 'audio_language'] as $key) {
+            if (isset($variant[$key]) && is_string($variant[$key]) && $variant[$key] !== '') {
+                $texts[] = $variant[$key];
+            }
+        }
+        $stream = $variant['source']['stream'] ?? null;
+        if (is_array($stream)) {
+            foreach (['name', 'title', 'description'] as $key) {
+                if (isset($stream[$key]) && is_string($stream[$key]) && $stream[$key] !== '') {
+                    $texts[] = $stream[$key];
+                }
+            }
+        }
+        $text = strtolower(implode(' ', $texts));
+
+        $height = isset($variant['video_height']) && (int) $variant['video_height'] > 0 ? (int) $variant['video_height'] : null;
+        if ($height === null) {
+            if (preg_match('/\b\d{3,4}\s*x\s*(\d{3,4})\b/', $text, $match)) {
+                $height = (int) $match[1];
+            } elseif (preg_match('/\b(\d{3,4})[pi]\b/', $text, $match)) {
+                $height = (int) $match[1];
+            } elseif (preg_match('/\b(8k|4320)\b/', $text)) {
+                $height = 4320;
+            } elseif (preg_match('/\b(4k|uhd|2160)\b/', $text)) {
+                $height = 2160;
+            } elseif (preg_match('/\bfhd\b/', $text)) {
+                $height = 1080;
+            }
+        }
+
+        $codec = isset($variant['video_codec']) && is_string($variant['video_codec']) && $variant['video_codec'] !== ''
+            ? self::normalizeCodec($variant['video_codec'])
+            : null;
+        if ($codec === null && preg_match('/\b(h\.?26[45]|x26[45]|avc|hevc|av1|vp9|xvid|divx|mpeg-?[24])\b/', $text, $match)) {
+            $codec = self::normalizeCodec($match[1]);
+        }
+
+        return [
+            'height' => $height,
+            'codec' => $codec,
+            'languages' => self::detectLanguages($variant),
+            'hdr' => preg_match('/\b(hdr10\+?|hdr|dv|dovi|dolby ?vision)\b/', $text) === 1,
+            'size' => (int) ($variant['size_bytes'] ?? 0),
+        ];
+    }
+
+    private static function clearDefault(int $userId): void
+    {
+        Db::run('UPDATE quality_profiles SET is_default = 0 WHERE user_id = :user_id', ['user_id' => $userId]);
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private static function requireOwned(int $userId, int $id): array
+    {
+        if ($id <= 0) {
+            throw new RuntimeException('Quality profile ID must be positive.');
+        }
+
+        $profile = self::find($userId, $id);
+        if ($profile === null) {
+            throw new RuntimeException('Quality profile not found.');
+        }
+
+        return $profile;
+    }
+
+    /**
+     * @param array<string, mixed> $payload
+     * @param array<string, mixed>|null $existing
+     *
+     * @return array<string, mixed> Column values keyed by statement placeholder.
+     */
+    private static function validate(array $payload, ?array $existing): array
+    {
+        $name = array_key_exists('name', $payload) ? trim((string) $payload['name']) : (string) ($existing['name'] ?? '');
+        if ($name === '') {
+            throw new RuntimeException('Profile name is required.');
+        }
+
+        $maxSize = $existing['max_size_gb'] ?? null;
+        if (array_key_exists('max_size_gb', $payload)) {
+            $maxSize = self::optionalNumber($payload['max_size_gb']);
+            if ($maxSize !== null && $maxSize <= 0) {
+                throw new RuntimeException('Maximum size must be greater than zero.');
+            }
+        }
+
+        $lists = [];
+        foreach (['preferred_codecs', 'forbidden_codecs', 'preferred_languages'] as $key) {
+            $lists[$key] = $existing[$key] ?? [];
+            if (!array_key_exists($key, $payload)) {
+                continue;
+            }
+            if (!is_array($payload[$key])) {
+                throw new RuntimeException(sprintf('%s must be an array.', $key));
+            }
+            $lists[$key] = [];
+            foreach ($payload[$key] as $value) {
+                $raw = strtolower(trim((string) $value));
+                $token = $key === 'preferred_languages' ? (self::LANGUAGE_ALIASES[$raw] ?? $raw) : self::normalizeCodec($raw);
+                if ($token !== '' && !in_array($token, $lists[$key], true)) {
+                    $lists[$key][] = $token;
+                }
+            }
+        }
+
+        $heights = [];
+        foreach (['min_height', 'max_height'] as $key) {
+            $heights[$key] = $existing[$key] ?? null;
+            if (array_key_exists($key, $payload)) {
+                $value = self::optionalNumber($payload[$key]);
+                if ($value !== null && ($value < 1 || $value > 10000)) {
+                    throw new RuntimeException('Resolution limits must be between 1 and 10000 lines.');
+                }
+                $heights[$key] = $value !== null ? (int) $value : null;
+            }
+        }
+        if ($heights['min_height'] !== null && $heights['max_height'] !== null && $heights['min_height'] > $heights['max_height']) {
+            throw new RuntimeException('Minimum resolution cannot exceed maximum resolution.');
+        }
+
+        $hdr = array_key_exists('hdr', $payload) ? strtolower(trim((string) $payload['hdr'])) : (string) ($existing['hdr'] ?? 'any');
+        if (!in_array($hdr, self::HDR_MODES, true)) {
+            throw new RuntimeException('HDR preference must be one of: ' . implode(', ', self::HDR_MODES) . '.');
+        }
+
+        $isDefault = array_key_exists('is_default', $payload) ? (bool) $payload['is_default'] : (bool) ($existing['is_default'] ?? false);
+
+        return [
+            'name' => mb_substr($name, 0, 255),
+            'max_size_gb' => $maxSize,
+            'preferred_codecs' => self::encodeList($lists['preferred_codecs']),
+            'forbidden_codecs' => self::encodeList($lists['forbidden_codecs']),
+            'preferred_languages' => self::encodeList($lists['preferred_languages']),
+            'min_height' => $heights['min_height'],
+            'max_height' => $heights['max_height'],
+            'hdr' => $hdr,
+            'is_default' => $isDefault ? 1 : 0,
+        ];
+    }
+
+    private static function optionalNumber(mixed $value): ?float
+    {
+        if ($value === null || $value === '') {
+            return null;
+        }
+        if (!is_numeric($value)) {
+            throw new RuntimeException('Expected a numeric value.');
+        }
+
+        return (float) $value;
+    }
+
+    /**
+     * @param array<int, string> $values
+     */
+    private static function encodeList(array $values): string
+    {
+        $encoded = json_encode(array_values($values), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+
+        return $encoded === false ? '[]' : $encoded;
+    }
+
+    /**
+     * @return array<int, string>
+     */
+    private static function decodeList(mixed $value): array
+    {
+        if (!is_string($value) || $value === '') {
+            return [];
+        }
+
+        try {
+            $decoded = json_decode($value, true, 512, JSON_THROW_ON_ERROR);
+        } catch (Throwable) {
+            return [];
+        }
+
+        if (!is_array($decoded)) {
+            return [];
+        }
+
+        return array_values(array_filter($decoded, static fn ($entry) => is_string($entry) && $entry !== ''));
+    }
+}
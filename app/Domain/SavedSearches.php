@@ -0,0 +1,274 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Domain;
+
+use App\Infra\Db;
+use App\Support\Clock;
+use PDO;
+use RuntimeException;
+use Throwable;
+
+/**
+ * Stores named search presets per user together with the result keys of their last run,
+ * so the UI can highlight releases that appeared since the previous run.
+ */
+final class SavedSearches
+{
+    private const MAX_RESULT_KEYS = 500;
+
+    /**
+     * Lists saved searches owned by the user ordered by name.
+     *
+     * @return array<int, array<string, mixed>>
+     */
+    public static function forUser(int $userId): array
+    {
+        $statement = Db::run(
+            'SELECT * FROM saved_searches WHERE user_id = :user_id ORDER BY name COLLATE NOCASE ASC, id ASC',
+            ['user_id' => $userId]
+        );
+        $rows = $statement->fetchAll(PDO::FETCH_ASSOC);
+
+        $searches = [];
+        if (is_array($rows)) {
+            foreach ($rows as $row) {
+                if (is_array($row)) {
+                    $searches[] = self::format($row);
+                }
+            }
+        }
+
+        return $searches;
+    }
+
+    /**
+     * Creates a saved search for the user.
+     *
+     * @param array<string, mixed> $payload JSON payload from the request body.
+     *
+     * @return array<string, mixed>
+     */
+    public static function create(int $userId, array $payload): array
+    {
+        [$name, $query, $providers, $limit] = self::validate($payload, null);
+        $timestamp = Clock::nowString();
+
+        try {
+            Db::run(
+                'INSERT INTO saved_searches (user_id, name, query, providers_json, result_limit, created_at, updated_at)
+                 VALUES (:user_id, :name, :query, :providers, :result_limit, :created_at, :updated_at)',
+                [
+                    'user_id' => $userId,
+                    'name' => $name,
+                    'query' => $query,
+                    'providers' => self::encodeList($providers),
+                    'result_limit' => $limit,
+                    'created_at' => $timestamp,
+                    'updated_at' => $timestamp,
+                ]
+            );
+        } catch (Throwable $exception) {
+            throw new RuntimeException('Failed to save search: ' . $exception->getMessage(), previous: $exception);
+        }
+
+        return self::requireOwned($userId, (int) Db::connection()->lastInsertId());
+    }
+
+    /**
+     * Updates name, query, providers or limit of an existing saved search.
+     *
+     * @param array<string, mixed> $payload JSON payload from the request body.
+     *
+     * @return array<string, mixed>
+     */
+    public static function update(int $userId, int $id, array $payload): array
+    {
+        $existing = self::requireOwned($userId, $id);
+        [$name, $query, $providers, $limit] = self::validate($payload, $existing);
+
+        Db::run(
+            'UPDATE saved_searches
+             SET name = :name, query = :query, providers_json = :providers, result_limit = :result_limit, updated_at = :updated_at
+             WHERE id = :id AND user_id = :user_id',
+            [
+                'name' => $name,
+                'query' => $query,
+                'providers' => self::encodeList($providers),
+                'result_limit' => $limit,
+                'updated_at' => Clock::nowString(),
+                'id' => $id,
+                'user_id' => $userId,
+            ]
+        );
+
+        return self::requireOwned($userId, $id);
+    }
+
+    /**
+     * Replaces the stored result keys with those of the latest run.
+     *
+     * @param array<int, mixed> $resultKeys
+     *
+     * @return array<string, mixed>
+     */
+    public static function recordRun(int $userId, int $id, array $resultKeys): array
+    {
+        self::requireOwned($userId, $id);
+
+        $keys = [];
+        foreach ($resultKeys as $key) {
+            if (!is_string($key) || trim($key) === '') {
+                continue;
+            }
+            $keys[trim($key)] = true;
+            if (count($keys) >= self::MAX_RESULT_KEYS) {
+                break;
+            }
+        }
+
+        $timestamp = Clock::nowString();
+        Db::run(
+            'UPDATE saved_searches SET last_result_keys_json = :keys, last_run_at = :last_run_at, updated_at = :updated_at
+             WHERE id = :id AND user_id = :user_id',
+            [
+                'keys' => self::encodeList(array_keys($keys)),
+                'last_run_at' => $timestamp,
+                'updated_at' => $timestamp,
+                'id' => $id,
+                'user_id' => $userId,
+            ]
+        );
+
+        return self::requireOwned($userId, $id);
+    }
+
+    public static function delete(int $userId, int $id): void
+    {
+        self::requireOwned($userId, $id);
+        Db::run('DELETE FROM saved_searches WHERE id = :id AND user_id = :user_id', [
+            'id' => $id,
+            'user_id' => $userId,
+        ]);
+    }
+
+    /**
+     * Formats a raw database row for API output.
+     *
+     * @param array<string, mixed> $row
+     *
+     * @return array<string, mixed>
+     */
+    public static function format(array $row): array
+    {
+        return [
+            'id' => (int) $row['id'],
+            'name' => (string) $row['name'],
+            'query' => (string) $row['query'],
+            'providers' => self::decodeList($row['providers_json'] ?? null),
+            'limit' => isset($row['result_limit']) ? (int) $row['result_limit'] : null,
+            'last_result_keys' => self::decodeList($row['last_result_keys_json'] ?? null),
+            'last_run_at' => isset($row['last_run_at']) ? (string) $row['last_run_at'] : null,
+            'created_at' => (string) $row['created_at'],
+            'updated_at' => (string) $row['updated_at'],
+        ];
+    }
+
+    /**
+     * @return array<string, mixed>
+     */
+    private static function requireOwned(int $userId, int $id): array
+    {
+        if ($id <= 0) {
+            throw new RuntimeException('Saved search ID must be positive.');
+        }
+
+        $row = Db::run('SELECT * FROM saved_searches WHERE id = :id AND user_id = :user_id LIMIT 1', [
+            'id' => $id,
+            'user_id' => $userId,
+        ])->fetch(PDO::FETCH_ASSOC);
+
+        if ($row === false || !is_array($row)) {
+            throw new RuntimeException('Saved search not found.');
+        }
+
+        return self::format($row);
+    }
+
+    /**
+     * @param array<string, mixed> $payload
+     * @param array<string, mixed>|null $existing
+     *
+     * @return array{0:string,1:string,2:array<int,string>,3:int|null}
+     */
+    private static function validate(array $payload, ?array $existing): array
+    {
+        $name = array_key_exists('name', $payload) ? trim((string) $payload['name']) : (string) ($existing['name'] ?? '');
+        $query = array_key_exists('query', $payload) ? trim((string) $payload['query']) : (string) ($existing['query'] ?? '');
+
+        if ($query === '') {
+            throw new RuntimeException('Search query is required.');
+        }
+
+        if ($name === '') {
+            $name = $query;
+        }
+
+        $providers = $existing['providers'] ?? [];
+        if (array_key_exists('providers', $payload)) {
+            if (!is_array($payload['providers'])) {
+                throw new RuntimeException('Providers must be an array of provider keys.');
+            }
+            $providers = [];
+            foreach ($payload['providers'] as $provider) {
+                $key = strtolower(trim((string) $provider));
+                if ($key !== '' && !in_array($key, $providers, true)) {
+                    $providers[] = $key;
+                }
+            }
+        }
+
+        $limit = $existing['limit'] ?? null;
+        if (array_key_exists('limit', $payload)) {
+            $limit = $payload['limit'] === null || $payload['limit'] === '' ? null : (int) $payload['limit'];
+            if ($limit !== null && ($limit < 1 || $limit > 100)) {
+                throw new RuntimeException('Limit must be between 1 and 100.');
+            }
+        }
+
+        return [mb_substr($name, 0, 255), mb_substr($query, 0, 512), $providers, $limit];
+    }
+
+    /**
+     * @param array<int, string> $values
+     */
+    private static function encodeList(array $values): string
+    {
+        $encoded = json_encode(array_values($values), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE);
+
+        return $encoded === false ? '[]' : $encoded;
+    }
+
+    /**
+     * @return array<int, string>
+     */
+    private static function decodeList(mixed $value): array
+    {
+        if (!is_string($value) || $value === '') {
+            return [];
+        }
+
+        try {
+            $decoded = json_decode($value, true, 512, JSON_THROW_ON_ERROR);
+        } catch (Throwable) {
+            return [];
+        }
+
+        if (!is_array($decoded)) {
+            return [];
+        }
+
+        return array_values(array_filter($decoded, static fn ($entry) => is_string($entry) && $entry !== ''));
+    }
+}
@@ -207,6 +207,28 @@ final class Jellyfin
     private static function inferMediaPlacement(array $job, string $sourcePath): array
     {
         $metadataHints = self::extractPlacementHintsFromMetadata($job);
+        $placement = self::inferPlacementFromHints($job, $sourcePath, $metadataHints);
+
+        // A user-chosen library folder replaces the default top-level "Movies"/"Shows" directory.
+        if (isset($metadataHints['library_folder']) && $placement['directories'] !== []) {
+            $placement['directories'][0] = $metadataHints['library_folder'];
+        }
+
+        return $placement;
+    }
+
+    /**
+     * Picks the movie or series placement, honouring an explicit media type hint.
+     *
+     * @param array<string, mixed> $job
+     * @param array<string, mixed> $metadataHints
+     *
+     * @return array{directories: array<int, string>, filename: string}
+     */
+    private static function inferPlacementFromHints(array $job, string $sourcePath, array $metadataHints): array
+    {
+        $mediaType = $metadataHints['media_type'] ?? null;
+        $yearHint = isset($metadataHints['year']) && is_int($metadataHints['year']) ? $metadataHints['year'] : null;
 
         $categoryRaw = (string) ($job['category'] ?? '');
         $titleRaw = trim((string) ($job['title'] ?? ''));
@@ -219,6 +241,10 @@ final class Jellyfin
         $extension = ltrim((string) pathinfo($sourcePath, PATHINFO_EXTENSION), '.');
         $normalizedCategory = strtolower($categoryRaw);
 
+        if ($mediaType === 'movie') {
+            return self::buildMoviePlacement($titleRaw, $extension, $yearHint);
+        }
+
         $episodeMatch = [];
         $hasEpisodeMarker = preg_match('/S(\d{1,2})E(\d{1,2})/i', $titleRaw, $episodeMatch) === 1;
         $hasNumericEpisodeMarker = preg_match('/^\s*\d{1,2}x\d{1,2}\b/i', $titleRaw) === 1;
@@ -242,6 +268,7 @@ final class Jellyfin
         }
 
         $seriesLike = ($parsedEpisode !== null)
+            || $mediaType === 'series'
             || $hasEpisodeMarker
             || $hasNumericEpisodeMarker
             || str_contains($normalizedCategory, 'tv')
@@ -253,20 +280,21 @@ final class Jellyfin
             return self::buildSeriesPlacementFallback($titleRaw, $episodeMatch, $extension, $metadataHints);
         }
 
-        return self::buildMoviePlacement($titleRaw, $extension);
+        return self::buildMoviePlacement($titleRaw, $extension, $yearHint);
     }
 
     /**
      * Builds placement rules for movie-style items.
      */
-    private static function buildMoviePlacement(string $title, string $extension): array
+    private static function buildMoviePlacement(string $title, string $extension, ?int $yearHint = null): array
     {
         $title = self::stripHighlightedSuffix($title);
-        $year = self::extractYear($title);
+        $titleYear = self::extractYear($title);
+        $year = $yearHint ?? $titleYear;
         $baseTitle = trim($title);
 
-        if ($year !== null) {
-            $baseTitle = trim((string) preg_replace('/\(?' . $year . '\)?/i', '', $baseTitle));
+        if ($titleYear !== null) {
+            $baseTitle = trim((string) preg_replace('/\(?' . $titleYear . '\)?/i', '', $baseTitle));
         }
 
         if ($baseTitle === '') {
@@ -381,7 +409,7 @@ final class Jellyfin
             $details['episode_title'] = $hints['episode_title'];
         }
 
-        $seriesName = self::stripHighlightedSuffix((string) ($details['series'] ?? ''));
+        $seriesName = self::appendYearHint(self::stripHighlightedSuffix((string) ($details['series'] ?? '')), $hints);
         $showSegment = self::sanitizeSegment($seriesName, 'Unknown Series');
         $seasonSegment = self::sanitizeSegment(sprintf('Season %02d', $season), sprintf('Season %02d', $season));
 
@@ -462,7 +490,7 @@ final class Jellyfin
             $episodeTitle = $hints['episode_title'];
         }
 
-        $showSegment = self::sanitizeSegment(self::stripHighlightedSuffix($showName), 'Unknown Series');
+        $showSegment = self::sanitizeSegment(self::appendYearHint(self::stripHighlightedSuffix($showName), $hints), 'Unknown Series');
         $seasonSegment = self::sanitizeSegment(sprintf('Season %02d', $season), sprintf('Season %02d', $season));
 
         $episodeCode = sprintf('S%02dE%02d', $season, $episode);
@@ -488,6 +516,20 @@ final class Jellyfin
         ];
     }
 
+    /**
+     * Adds the hinted release year to a show name unless the name already carries one.
+     *
+     * @param array<string, mixed> $hints
+     */
+    private static function appendYearHint(string $name, array $hints): string
+    {
+        if (!isset($hints['year']) || !is_int($hints['year']) || trim($name) === '' || self::extractYear($name) !== null) {
+            return $name;
+        }
+
+        return sprintf('%s (%d)', trim($name), $hints['year']);
+    }
+
     /**
      * Extracts a four-digit year from a title when available.
      */
@@ -551,6 +593,27 @@ final class Jellyfin
             $hints['languages'] = $languageHints;
         }
 
+        $mediaType = isset($direct['media_type']) && is_string($direct['media_type']) ? strtolower(trim($direct['media_type'])) : '';
+        if ($mediaType === 'movie' || $mediaType === 'series') {
+            $hints['media_type'] = $mediaType;
+        }
+
+        if (isset($direct['year']) && is_numeric($direct['year'])) {
+            $year = (int) $direct['year'];
+            if ($year >= 1900 && $year <= 2100) {
+                $hints['year'] = $year;
+            }
+        }
+
+        $libraryFolder = self::sanitizeMetadataString($direct['library_folder'] ?? null);
+        if ($libraryFolder !== null) {
+            // A single directory below the library root; leading dots are dropped so it can't climb out.
+            $folder = ltrim(self::sanitizeSegment($libraryFolder, ''), '. ');
+            if ($folder !== '') {
+                $hints['library_folder'] = $folder;
+            }
+        }
+
         $itemMeta = isset($metadata['item']['meta']) && is_array($metadata['item']['meta']) ? $metadata['item']['meta'] : [];
 
         $trailLabels = self::collectMetadataTrailLabels($metadata);
@@ -57,9 +57,12 @@ class KraSkProvider implements VideoProvider, StatusCapableProvider
     private ?int $streamCinemaBurstWindowSeconds = self::DEFAULT_SC_RATE_LIMIT_BURST_WINDOW;
     /** @var array<string,int> */
     private array $streamCinemaRateLimitOptions = [];
+    private bool $deferOnRateLimit = false; // throw RateLimitDeferredException instead of sleeping
 
     /**
-     * @param array<string,mixed> $config Expected keys: username, password
+     * @param array<string,mixed> $config Expected keys: username, password. Optional
+     *     `rate_limit_defer` makes Stream-Cinema calls throw RateLimitDeferredException instead of
+     *     waiting out the rate limit (for callers that must not block, such as the scheduler loop).
      */
     public function __construct(array $config = [], ?callable $httpAdapter = null, ?callable $scHttpGet = null)
     {
@@ -96,6 +99,8 @@ class KraSkProvider implements VideoProvider, StatusCapableProvider
             $this->streamCinemaBurstWindowSeconds = null;
             $this->streamCinemaRateLimitOptions = [];
         }
+
+        $this->deferOnRateLimit = ($config['rate_limit_defer'] ?? false) === true;
     }
 
     /**
@@ -882,6 +887,11 @@ class KraSkProvider implements VideoProvider, StatusCapableProvider
             $result['art'] = $art;
         }
 
+        $ids = $this->extractMenuIds($entry);
+        if ($ids !== []) {
+            $result['ids'] = $ids;
+        }
+
         return $result;
     }
 
@@ -1110,6 +1120,31 @@ class KraSkProvider implements VideoProvider, StatusCapableProvider
         return $art;
     }
 
+    /**
+     * Extract external IMDb/TMDB identifiers so entries can be matched with KraSk2 titles.
+     *
+     * @param array<string,mixed> $entry
+     * @return array{imdb?:string,tmdb?:string}
+     */
+    private function extractMenuIds(array $entry): array
+    {
+        $uniqueIds = is_array($entry['unique_ids'] ?? null) ? $entry['unique_ids'] : [];
+        $info = is_array($entry['info'] ?? null) ? $entry['info'] : [];
+
+        $ids = [];
+        $imdb = $uniqueIds['imdb'] ?? $info['imdbnumber'] ?? null;
+        if ((is_string($imdb) || is_int($imdb)) && preg_match('/^(?:tt)?(\d{5,})$/', trim((string) $imdb), $matches) === 1) {
+            $ids['imdb'] = 'tt' . $matches[1];
+        }
+
+        $tmdb = $uniqueIds['tmdb'] ?? null;
+        if ((is_string($tmdb) || is_int($tmdb)) && preg_match('/^\d+$/', trim((string) $tmdb)) === 1) {
+            $ids['tmdb'] = trim((string) $tmdb);
+        }
+
+        return $ids;
+    }
+
     /**
      * Determine queue ident (Stream-Cinema path or Kra.sk ident) for playable entries.
      *
@@ -1274,6 +1309,10 @@ class KraSkProvider implements VideoProvider, StatusCapableProvider
                 return;
             }
 
+            if ($this->deferOnRateLimit) {
+                throw new RateLimitDeferredException($retryAfter, 'Stream-Cinema request deferred due to rate limit');
+            }
+
             sleep(max(1, $retryAfter));
         }
     }
@@ -4,9 +4,11 @@ declare(strict_types=1);
 
 use App\Download\Aria2Client;
 use App\Download\Aria2Options;
+use App\Domain\FollowedSeries;
 use App\Domain\JobQueueWriter;
 use App\Domain\Jobs;
 use App\Domain\KraSk2BulkQueue;
+use App\Domain\QualityProfiles;
 use App\Infra\Audit;
 use App\Infra\Config;
 use App\Infra\Db;
@@ -15,6 +17,7 @@ use App\Infra\ProviderRateLimiter;
 use App\Infra\ProviderPause;
 use App\Infra\ProviderSecrets;
 use App\Infra\Events;
+use App\Infra\KraskaMenuCache;
 use App\Providers\VideoProvider;
 use App\Providers\WebshareProvider;
 use App\Providers\RateLimitDeferredException;
@@ -107,11 +110,18 @@ function runSchedulerLoop(string $root): void
 
 	logInfo('Scheduler started.');
 
+	// Entries a previous run was resolving when it stopped would otherwise stay 'resolving' forever.
+	$recovered = KraSk2BulkQueue::recoverInterrupted();
+	if ($recovered > 0) {
+		logInfo(sprintf('Requeued %d KraSk2 bulk queue entry(ies) left resolving by a previous run.', $recovered));
+	}
+
 	while (true) {
 		try {
 			Config::reloadOverrides();
 			synchronizeProviderBackoff($providerThrottleUntil);
 			processKrask2BulkQueue();
+			processFollowedSeries($providerThrottleUntil);
 
 			// Requeue orphan 'starting' jobs that never obtained an aria2_gid (e.g. provider init exception earlier)
 			$requeued = cleanupOrphanStartingJobs();
@@ -438,20 +448,18 @@ function processKrask2BulkQueue(): void
 		}
 
 		$payload = KraSk2BulkQueue::decodePayload($task);
-		$items = is_array($payload['items']) ? $payload['items'] : [];
-		if ($items === []) {
-			KraSk2BulkQueue::markCompleted($taskId, 0, 0);
-			return;
-		}
-
 		$provider = buildProvider($providerRow);
 		if (!$provider instanceof KraSk2Provider) {
 			KraSk2BulkQueue::markFailed($taskId, 0, (int) ($task['total_items'] ?? 0), 'Configured provider is not KraSk2.');
 			return;
 		}
 		$providersMap = ['krask2' => $providerRow];
+		$profile = is_array($payload['options']['quality_profile'] ?? null) ? $payload['options']['quality_profile'] : null;
 
-		foreach ($items as $item) {
+		// Entries are claimed one at a time so the UI can show which one is resolving, and so
+		// entries retried while the task runs are still picked up.
+		while (($entry = KraSk2BulkQueue::claimNextItem($taskId)) !== null) {
+			$item = $entry['item'];
 			try {
 				$externalId = isset($item['external_id']) ? trim((string) $item['external_id']) : '';
 				if ($externalId === '') {
@@ -459,7 +467,12 @@ function processKrask2BulkQueue(): void
 				}
 
 				$variants = $provider->listDownloadOptions($externalId);
-				$preferred = selectPreferredKrask2Variant($variants);
+				$preferred = $profile !== null
+					? QualityProfiles::selectVariant($variants, $profile, 'compareKrask2Variants')
+					: selectPreferredKrask2Variant($variants);
+				if ($preferred === null && $profile !== null && $variants !== []) {
+					throw new RuntimeException(sprintf('No variant matches quality profile "%s".', (string) ($profile['name'] ?? '')));
+				}
 				if ($preferred === null || !isset($preferred['id'])) {
 					throw new RuntimeException('No downloadable variants available.');
 				}
@@ -477,32 +490,18 @@ function processKrask2BulkQueue(): void
 				];
 
 				$jobIds = JobQueueWriter::insertJobs($jobPayload, $user, $providersMap, null);
-				foreach ($jobIds as $jobId) {
-					$jobRow = Jobs::fetchById($jobId);
-					if ($jobRow !== null) {
-						Audit::record($userId, 'job.queued', 'job', $jobId, [
-							'provider_id' => (int) $jobRow['provider_id'],
-							'title' => $jobRow['title'] ?? null,
-							'category' => $jobRow['category'] ?? null,
-						]);
-						Events::notify($userId, $jobId, 'job.queued', [
-							'title' => $jobRow['title'] ?? null,
-						]);
-					}
-				}
+				announceQueuedJobs($userId, $jobIds);
 
+				KraSk2BulkQueue::markItemQueued($entry['id'], isset($jobIds[0]) ? (int) $jobIds[0] : null);
 				$counters['processed']++;
 			} catch (Throwable $exception) {
+				KraSk2BulkQueue::markItemFailed($entry['id'], $exception->getMessage());
 				$counters['failed']++;
 				continue;
 			}
 		}
 
-		if ($counters['processed'] > 0 || $counters['failed'] > 0) {
-			KraSk2BulkQueue::markCompleted($taskId, $counters['processed'], $counters['failed']);
-		} else {
-			KraSk2BulkQueue::markCompleted($taskId, 0, 0);
-		}
+		KraSk2BulkQueue::finishTask($taskId);
 	} catch (Throwable $exception) {
 		if (isset($taskId)) {
 			KraSk2BulkQueue::markFailed($taskId, $counters['processed'] ?? 0, $counters['failed'] ?? 0, $exception->getMessage());
@@ -511,6 +510,424 @@ function processKrask2BulkQueue(): void
 	}
 }
 
+/**
+ * Writes the audit entry and user notification for freshly inserted jobs.
+ *
+ * @param array<int, int> $jobIds
+ */
+function announceQueuedJobs(int $userId, array $jobIds): void
+{
+	foreach ($jobIds as $jobId) {
+		$jobRow = Jobs::fetchById($jobId);
+		if ($jobRow !== null) {
+			Audit::record($userId, 'job.queued', 'job', $jobId, [
+				'provider_id' => (int) $jobRow['provider_id'],
+				'title' => $jobRow['title'] ?? null,
+				'category' => $jobRow['category'] ?? null,
+			]);
+			Events::notify($userId, $jobId, 'job.queued', [
+				'title' => $jobRow['title'] ?? null,
+			]);
+		}
+	}
+}
+
+/**
+ * Checks one due followed series per loop iteration: lists its episodes, queues the ones that
+ * are not known yet and stores the new known set. Episodes that fail to queue stay unknown so
+ * the next check retries them, up to FollowedSeries::MAX_EPISODE_ATTEMPTS checks.
+ *
+ * Series of providers that are backing off or rate limited are left due. A backoff or rate
+ * limit hit during the check throttles the provider like a job would and postpones the series.
+ *
+ * @param array<int, int> $providerThrottleUntil
+ */
+function processFollowedSeries(array &$providerThrottleUntil): void
+{
+	$now = time();
+	$skipProviders = [];
+	foreach (FollowedSeries::PROVIDERS as $key) {
+		$throttledId = resolveProviderIdByKey($key);
+		if ($throttledId !== null && ($providerThrottleUntil[$throttledId] ?? 0) > $now) {
+			$skipProviders[] = $key;
+		}
+	}
+
+	try {
+		$series = FollowedSeries::claimDue(getFollowedSeriesCheckSeconds(), $skipProviders);
+	} catch (Throwable $exception) {
+		logError('Followed series claim failed: ' . $exception->getMessage());
+		return;
+	}
+
+	if ($series === null) {
+		return;
+	}
+
+	$seriesId = (int) $series['id'];
+	$userId = (int) $series['user_id'];
+	$providerKey = (string) $series['provider'];
+	$providerRow = null;
+
+	try {
+		$user = fetchUserById($userId);
+		if ($user === null) {
+			throw new RuntimeException('User missing for followed series.');
+		}
+
+		$providerRow = fetchProviderByKey($providerKey);
+		if ($providerRow === null || (int) $providerRow['enabled'] !== 1) {
+			throw new RuntimeException(sprintf('Provider "%s" is unavailable.', $providerKey));
+		}
+
+		// Kra.sk waits out its rate limit with sleep(); here that would stall job dispatch.
+		$provider = buildProvider($providerRow, $providerKey === 'kraska' ? ['rate_limit_defer' => true] : []);
+		$episodes = match (true) {
+			$provider instanceof KraSk2Provider => listKrask2SeriesEpisodes($provider, $series),
+			$provider instanceof KraSkProvider => listKraskaSeriesEpisodes($provider, $providerRow, $series),
+			default => throw new RuntimeException(sprintf('Provider "%s" cannot list series episodes.', $providerKey)),
+		};
+	} catch (RateLimitDeferredException | ProviderBackoffException $exception) {
+		deferFollowedSeries($series, $providerRow ?? [], $exception, $providerThrottleUntil);
+		return;
+	} catch (Throwable $exception) {
+		FollowedSeries::recordFailure($seriesId, $exception->getMessage());
+		logError(sprintf('Followed series #%d check failed: %s', $seriesId, $exception->getMessage()));
+		return;
+	}
+
+	// No profile (or a deleted one) means the built-in preference order of the provider.
+	$profile = $series['quality_profile_id'] !== null
+		? QualityProfiles::find($userId, (int) $series['quality_profile_id'])
+		: null;
+
+	$fresh = FollowedSeries::newEpisodes($series, $episodes);
+	$deferredKeys = [];
+	$failures = [];
+	$errors = [];
+	$deferred = null;
+	$queued = 0;
+	foreach ($fresh as $index => $episode) {
+		try {
+			$jobIds = queueFollowedEpisode($provider, $providerRow, $user, $series, $episode, $profile);
+			announceQueuedJobs($userId, $jobIds);
+			$queued++;
+		} catch (RateLimitDeferredException | ProviderBackoffException $exception) {
+			// Upstream asked us to slow down: leave this and the remaining episodes for a retry that
+			// does not count as a failed attempt.
+			foreach (array_slice($fresh, $index) as $remaining) {
+				$deferredKeys[(string) $remaining['key']] = true;
+			}
+			$errors[] = $exception->getMessage();
+			$deferred = $exception;
+			break;
+		} catch (Throwable $exception) {
+			$failures[(string) $episode['key']] = $exception->getMessage();
+			$errors[] = sprintf('%s: %s', (string) $episode['key'], $exception->getMessage());
+		}
+	}
+
+	$knownKeys = $series['known_episodes'];
+	foreach ($episodes as $episode) {
+		$key = (string) $episode['key'];
+		if (!isset($deferredKeys[$key]) && !isset($failures[$key])) {
+			$knownKeys[] = $key;
+		}
+	}
+
+	$skipped = FollowedSeries::recordCheck($seriesId, $knownKeys, $queued, $errors !== [] ? implode('; ', array_slice($errors, 0, 3)) : null, $failures);
+	if ($queued > 0) {
+		logInfo(sprintf('Queued %d new episode(s) of followed series "%s".', $queued, (string) $series['title']));
+	}
+	if ($skipped !== []) {
+		logInfo(sprintf(
+			'Skipped %s of followed series "%s" after %d failed attempts.',
+			implode(', ', $skipped),
+			(string) $series['title'],
+			FollowedSeries::MAX_EPISODE_ATTEMPTS
+		));
+	}
+	if ($deferred !== null) {
+		deferFollowedSeries($series, $providerRow, $deferred, $providerThrottleUntil);
+	}
+}
+
+/**
+ * Throttles the series' provider after a rate limit or backoff (persisting the backoff window
+ * as processJob does) and moves the series' next check to when the provider is usable again.
+ *
+ * @param array<string, mixed> $series
+ * @param array<string, mixed> $providerRow
+ * @param array<int, int> $providerThrottleUntil
+ */
+function deferFollowedSeries(array $series, array $providerRow, RateLimitDeferredException|ProviderBackoffException $exception, array &$providerThrottleUntil): void
+{
+	$retrySeconds = $exception->getRetryAfterSeconds();
+	$retryAt = time() + $retrySeconds;
+	$providerId = isset($providerRow['id']) ? (int) $providerRow['id'] : resolveProviderIdByKey((string) $series['provider']);
+	if ($providerId !== null) {
+		$providerThrottleUntil[$providerId] = max($providerThrottleUntil[$providerId] ?? 0, $retryAt);
+	}
+
+	$providerLabel = isset($providerRow['name']) && $providerRow['name'] !== ''
+		? (string) $providerRow['name']
+		: ucfirst((string) $series['provider']);
+	if ($exception instanceof ProviderBackoffException) {
+		$context = $exception->getContext();
+		ProviderBackoff::set(
+			$exception->getProviderKey(),
+			$retryAt,
+			[
+				'provider_label' => $providerLabel,
+				'reason' => $context['reason'] ?? 'temporary_failure',
+				'message' => $exception->getMessage(),
+				'retry_after_seconds' => $retrySeconds,
+				'error' => [
+					'status_code' => $context['status_code'] ?? null,
+					'endpoint' => $context['endpoint'] ?? null,
+					'response_preview' => $context['response_preview'] ?? null,
+				],
+			]
+		);
+	}
+
+	FollowedSeries::postpone((int) $series['id'], $retrySeconds);
+	logInfo(sprintf(
+		'%s asked to slow down (%s); followed series "%s" will be checked again in approximately %d seconds.',
+		$providerLabel,
+		$exception->getMessage(),
+		(string) $series['title'],
+		$retrySeconds
+	));
+}
+
+/**
+ * Lists the episodes of a KraSk2 series; each carries a stream token for `listDownloadOptions`.
+ *
+ * @param array<string, mixed> $series
+ *
+ * @return array<int, array<string, mixed>>
+ */
+function listKrask2SeriesEpisodes(KraSk2Provider $provider, array $series): array
+{
+	$detail = $provider->metaDetail('series', (string) $series['series_ref']);
+	$videos = $detail['meta']['videos'] ?? null;
+	if (!is_array($videos)) {
+		throw new RuntimeException('KraSk2 returned no episode list for this series.');
+	}
+
+	$episodes = [];
+	foreach ($videos as $video) {
+		if (!is_array($video) || !isset($video['id']) || (string) $video['id'] === '') {
+			continue;
+		}
+
+		$videoId = (string) $video['id'];
+		$title = trim((string) ($video['name'] ?? $video['title'] ?? ''));
+		$season = isset($video['season']) && is_numeric($video['season']) ? (int) $video['season'] : null;
+		$number = isset($video['episode']) && is_numeric($video['episode']) ? (int) $video['episode'] : null;
+		$episodes[] = [
+			'key' => FollowedSeries::episodeKey($season, $number, $videoId),
+			'title' => $title !== '' ? $title : null,
+			'season' => $season,
+			'episode' => $number,
+			'external_id' => $provider->videoToken('series', $videoId, ['title' => $title !== '' ? $title : null]),
+		];
+	}
+
+	return $episodes;
+}
+
+/**
+ * Lists the episode files of a Kra.sk series folder, descending one level into season folders.
+ * Files of the same episode (dubbed, original, other qualities) become its variants.
+ *
+ * @param array<string, mixed> $providerRow
+ * @param array<string, mixed> $series
+ *
+ * @return array<int, array<string, mixed>>
+ */
+function listKraskaSeriesEpisodes(KraSkProvider $provider, array $providerRow, array $series): array
+{
+	$root = browseKraskaMenuCached($provider, $providerRow, (string) $series['series_ref']);
+	$levels = [[$root['items'] ?? [], null]];
+	foreach ($root['items'] ?? [] as $item) {
+		$label = (string) ($item['label'] ?? '');
+		if (($item['queue_mode'] ?? null) !== 'branch' || !isset($item['path']) || !kraskaLabelLooksLikeSeason($label)) {
+			continue;
+		}
+		$seasonNumber = preg_match('/(\d{1,2})/', $label, $match) === 1 ? (int) $match[1] : null;
+		$levels[] = [browseKraskaMenuCached($provider, $providerRow, (string) $item['path'])['items'] ?? [], $seasonNumber];
+	}
+
+	$episodes = [];
+	foreach ($levels as [$items, $fallbackSeason]) {
+		foreach ($items as $item) {
+			if (!is_array($item) || !isset($item['ident']) || ($item['queue_mode'] ?? null) === 'branch') {
+				continue;
+			}
+
+			$label = trim((string) ($item['label'] ?? ''));
+			$meta = is_array($item['meta'] ?? null) ? $item['meta'] : [];
+			[$season, $number] = parseKraskaEpisodeNumbers($label, $meta, $fallbackSeason);
+			$key = FollowedSeries::episodeKey($season, $number, (string) $item['ident']);
+			$episodes[$key] ??= [
+				'key' => $key,
+				'title' => $label !== '' ? $label : null,
+				'season' => $season,
+				'episode' => $number,
+				'variants' => [],
+			];
+			$episodes[$key]['variants'][] = [
+				'id' => (string) $item['ident'],
+				'title' => $label,
+				'quality' => $meta['quality'] ?? null,
+				'language' => isset($meta['languages']) && is_array($meta['languages']) ? implode(', ', $meta['languages']) : null,
+			];
+		}
+	}
+
+	return array_values($episodes);
+}
+
+/**
+ * Reads a Kra.sk menu folder through the cache shared with the browse API (menu.php). Copies
+ * older than the follow check interval are refetched so new episodes are still noticed.
+ *
+ * @param array<string, mixed> $providerRow
+ *
+ * @return array<string, mixed>
+ */
+function browseKraskaMenuCached(KraSkProvider $provider, array $providerRow, string $path): array
+{
+	$providerKey = (string) ($providerRow['key'] ?? 'kraska');
+	$signature = hash('sha256', (string) ($providerRow['config_json'] ?? '') . '|' . (string) ($providerRow['updated_at'] ?? ''));
+	try {
+		$ttlSeconds = (int) Config::get('providers.kraska_menu_cache_ttl_seconds');
+	} catch (Throwable) {
+		$ttlSeconds = KraskaMenuCache::DEFAULT_TTL_SECONDS;
+	}
+	if ($ttlSeconds < 0) {
+		$ttlSeconds = KraskaMenuCache::DEFAULT_TTL_SECONDS;
+	}
+
+	try {
+		$cached = KraskaMenuCache::get($providerKey, $signature, $path, min($ttlSeconds, getFollowedSeriesCheckSeconds()));
+	} catch (Throwable) {
+		$cached = null;
+	}
+	if ($cached !== null && is_array($cached['data'] ?? null)) {
+		return $cached['data'];
+	}
+
+	$result = $provider->browseMenu($path);
+	try {
+		KraskaMenuCache::put($providerKey, $signature, $path, $result);
+	} catch (Throwable) {
+		// The cache is an optimisation; the live listing is still usable.
+	}
+
+	return $result;
+}
+
+function kraskaLabelLooksLikeSeason(string $label): bool
+{
+	return preg_match('/\b(season|s[eé]ri[ea]|sez[oó]na|[rř]ada)\b/iu', $label) === 1
+		|| preg_match('/\bS\d{1,2}\b/i', $label) === 1
+		|| preg_match('/\b\d{1,2}\.\s*s[eé]rie\b/iu', $label) === 1;
+}
+
+/**
+ * Season and episode number of a Kra.sk file from its metadata or label (`1x02 - Title`, `S01E02`).
+ *
+ * @param array<string, mixed> $meta
+ *
+ * @return array{0:int|null,1:int|null}
+ */
+function parseKraskaEpisodeNumbers(string $label, array $meta, ?int $fallbackSeason): array
+{
+	$season = isset($meta['season']) && is_numeric($meta['season']) ? (int) $meta['season'] : null;
+	$episode = isset($meta['episode']) && is_numeric($meta['episode']) ? (int) $meta['episode'] : null;
+	if ($episode === null && (preg_match('/^(\d{1,2})x(\d{1,3})\b/i', $label, $match) === 1 || preg_match('/S(\d{1,2})E(\d{1,3})/i', $label, $match) === 1)) {
+		$season ??= (int) $match[1];
+		$episode = (int) $match[2];
+	}
+
+	return [$season ?? $fallbackSeason, $episode];
+}
+
+/**
+ * Picks the preferred variant of a new episode and inserts its job.
+ *
+ * @param array<string, mixed> $providerRow
+ * @param array<string, mixed> $user
+ * @param array<string, mixed> $series
+ * @param array<string, mixed> $episode
+ * @param array<string, mixed>|null $profile
+ *
+ * @return array<int, int>
+ */
+function queueFollowedEpisode(VideoProvider $provider, array $providerRow, array $user, array $series, array $episode, ?array $profile): array
+{
+	$variants = $episode['variants'] ?? $provider->listDownloadOptions((string) $episode['external_id']);
+	$comparator = (string) $series['provider'] === 'kraska' ? 'compareKraskaVariants' : 'compareKrask2Variants';
+	$preferred = $profile !== null
+		? QualityProfiles::selectVariant($variants, $profile, $comparator)
+		: selectPreferredVariant($variants, $comparator);
+	if ($preferred === null && $profile !== null && $variants !== []) {
+		throw new RuntimeException(sprintf('No variant matches quality profile "%s".', (string) ($profile['name'] ?? '')));
+	}
+	if ($preferred === null || !isset($preferred['id'])) {
+		throw new RuntimeException('No downloadable variants available.');
+	}
+
+	$seriesTitle = (string) $series['title'];
+	$hints = ['series_title' => $seriesTitle, 'media_type' => 'series'];
+	if ($episode['season'] !== null && $episode['season'] > 0) {
+		$hints['season'] = $episode['season'];
+		$hints['season_label'] = sprintf('Season %02d', $episode['season']);
+	}
+	if ($episode['episode'] !== null) {
+		$hints['episode'] = $episode['episode'];
+	}
+	if ($episode['title'] !== null) {
+		$hints['episode_title'] = $episode['title'];
+	}
+
+	$providerKey = (string) $series['provider'];
+	$title = $episode['episode'] !== null
+		? sprintf('%s %s', $seriesTitle, (string) $episode['key'])
+		: (string) ($episode['title'] ?? $preferred['title'] ?? $seriesTitle);
+
+	return JobQueueWriter::insertJobs([
+		[
+			'provider' => $providerKey,
+			'external_id' => (string) $preferred['id'],
+			'title' => $title,
+			'metadata' => [
+				'source' => $providerKey,
+				'followed_series_id' => (int) $series['id'],
+				'hints' => $hints,
+			],
+		],
+	], $user, [$providerKey => $providerRow], null);
+}
+
+function getFollowedSeriesCheckSeconds(): int
+{
+	try {
+		$value = (int) Config::get('providers.followed_series_check_interval_seconds');
+	} catch (Throwable) {
+		$value = 21600;
+	}
+
+	if ($value <= 0) {
+		$value = 21600;
+	}
+
+	return max(900, min($value, 604800));
+}
+
 function enforceKrask2DownloadSpacing(array $job): void
 {
 	$spacingSeconds = getKrask2DownloadSpacingSeconds();
@@ -554,18 +971,60 @@ function getKrask2DownloadSpacingSeconds(): int
 }
 
 function selectPreferredKrask2Variant(array $variants): ?array
+{
+	return selectPreferredVariant($variants, 'compareKrask2Variants');
+}
+
+function selectPreferredVariant(array $variants, callable $comparator): ?array
 {
 	if ($variants === []) {
 		return null;
 	}
 
-	usort($variants, static function (array $a, array $b): int {
-		return compareKrask2Variants($a, $b);
-	});
+	usort($variants, $comparator);
 
 	return $variants[0];
 }
 
+/**
+ * Orders Kra.sk episode files, which only carry the menu's `quality` ("1080p H264") and
+ * `language` ("CZ, EN") fields: Czech audio first, then resolution, then more audio tracks.
+ */
+function compareKraskaVariants(array $a, array $b): int
+{
+	$langA = kraskaVariantLanguageCodes($a);
+	$langB = kraskaVariantLanguageCodes($b);
+	$czA = in_array('CZ', $langA, true);
+	$czB = in_array('CZ', $langB, true);
+	if ($czA !== $czB) {
+		return $czB <=> $czA;
+	}
+
+	$resA = resolutionRankFromValue($a['quality'] ?? null);
+	$resB = resolutionRankFromValue($b['quality'] ?? null);
+	if ($resA !== $resB) {
+		return $resB <=> $resA;
+	}
+
+	return count($langB) <=> count($langA);
+}
+
+/**
+ * @return array<int, string>
+ */
+function kraskaVariantLanguageCodes(array $variant): array
+{
+	$codes = [];
+	foreach (explode(',', (string) ($variant['language'] ?? '')) as $token) {
+		$code = normalizeLanguageToken(trim($token));
+		if ($code !== null) {
+			$codes[$code] = true;
+		}
+	}
+
+	return array_keys($codes);
+}
+
 function compareKrask2Variants(array $a, array $b): int
 {
 	$czA = variantHasCzechAudio($a);
@@ -925,21 +1384,25 @@ function fetchProvider(int $providerId): ?array
 }
 
 /**
- * Builds the provider implementation from a database row.
+ * Builds the provider implementation from a database row. `$overrides` are merged into the
+ * decrypted config; each distinct set of overrides gets its own memoized instance.
+ *
+ * @param array<string, mixed> $overrides
  */
-function buildProvider(array $providerRow): VideoProvider
+function buildProvider(array $providerRow, array $overrides = []): VideoProvider
 {
 	static $cache = [];
 
 	$providerId = isset($providerRow['id']) ? (int) $providerRow['id'] : 0;
 	$key = (string) $providerRow['key'];
 	$configFingerprint = sha1($key . '|' . ($providerRow['config_json'] ?? '') . '|' . ($providerRow['updated_at'] ?? ''));
+	$cacheKey = $overrides === [] ? (string) $providerId : $providerId . '|' . sha1((string) json_encode($overrides));
 
-	if (isset($cache[$providerId]) && $cache[$providerId]['fingerprint'] === $configFingerprint) {
-		return $cache[$providerId]['provider'];
+	if (isset($cache[$cacheKey]) && $cache[$cacheKey]['fingerprint'] === $configFingerprint) {
+		return $cache[$cacheKey]['provider'];
 	}
 
-	$config = ProviderSecrets::decrypt($providerRow);
+	$config = $overrides + ProviderSecrets::decrypt($providerRow);
 
 	// Inject debug setting from application config for kraska provider
 	if ($key === 'kraska') {
@@ -953,7 +1416,7 @@ function buildProvider(array $providerRow): VideoProvider
 		default => throw new RuntimeException('Unsupported provider: ' . $key),
 	};
 
-	$cache[$providerId] = [
+	$cache[$cacheKey] = [
 		'fingerprint' => $configFingerprint,
 		'provider' => $provider,
 	];
@@ -0,0 +1,16 @@
+-- Migration: Persist per-user saved searches and the result keys of their last run
+CREATE TABLE IF NOT EXISTS saved_searches (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    query VARCHAR(512) NOT NULL,
+    providers_json TEXT NOT NULL,
+    result_limit INTEGER NULL,
+    last_result_keys_json TEXT NULL,
+    last_run_at TEXT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_searches_user_id ON saved_searches(user_id);
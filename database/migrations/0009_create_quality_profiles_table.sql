@@ -0,0 +1,19 @@
+-- Migration: Per-user quality profiles used to auto-pick download variants
+CREATE TABLE IF NOT EXISTS quality_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    max_size_gb REAL NULL,
+    preferred_codecs_json TEXT NOT NULL DEFAULT '[]',
+    forbidden_codecs_json TEXT NOT NULL DEFAULT '[]',
+    preferred_languages_json TEXT NOT NULL DEFAULT '[]',
+    min_height INTEGER NULL,
+    max_height INTEGER NULL,
+    hdr VARCHAR(16) NOT NULL DEFAULT 'any' CHECK (hdr IN ('any','prefer','avoid','require','exclude')),
+    is_default INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_quality_profiles_user_id ON quality_profiles(user_id);
@@ -0,0 +1,15 @@
+-- Migration: Persist per-user Kra.sk bookmarks and recently visited menu paths
+CREATE TABLE IF NOT EXISTS kraska_locations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    kind VARCHAR(16) NOT NULL CHECK(kind IN ('bookmark', 'recent')),
+    label VARCHAR(255) NOT NULL,
+    path VARCHAR(1024) NOT NULL,
+    trail_json TEXT NOT NULL,
+    visited_at TEXT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kraska_locations_user_kind_path ON kraska_locations(user_id, kind, path);
@@ -0,0 +1,23 @@
+-- Migration: Series followed per user so the scheduler can auto-queue newly published episodes
+CREATE TABLE IF NOT EXISTS followed_series (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    provider VARCHAR(32) NOT NULL CHECK(provider IN ('krask2', 'kraska')),
+    series_ref VARCHAR(1024) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    poster TEXT NULL,
+    quality_profile_id INTEGER NULL,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    known_episodes_json TEXT NOT NULL DEFAULT '[]',
+    last_checked_at TEXT NULL,
+    next_check_at TEXT NULL,
+    last_new_count INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY(quality_profile_id) REFERENCES quality_profiles(id) ON DELETE SET NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_followed_series_user_provider_ref ON followed_series(user_id, provider, series_ref);
+CREATE INDEX IF NOT EXISTS idx_followed_series_next_check ON followed_series(enabled, next_check_at);
@@ -0,0 +1,36 @@
+-- Migration: Track each KraSk2 bulk queue entry so its resolver state can be shown, retried and removed
+CREATE TABLE IF NOT EXISTS krask2_bulk_queue_items (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    position INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'waiting' CHECK(status IN ('waiting', 'resolving', 'queued', 'failed')),
+    title VARCHAR(255) NOT NULL,
+    item_json TEXT NOT NULL,
+    job_id INTEGER NULL,
+    error_text TEXT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY(task_id) REFERENCES krask2_bulk_queue(id) ON DELETE CASCADE,
+    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY(job_id) REFERENCES jobs(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_krask2_bulk_queue_items_task ON krask2_bulk_queue_items(task_id, position);
+CREATE INDEX IF NOT EXISTS idx_krask2_bulk_queue_items_user_status ON krask2_bulk_queue_items(user_id, status);
+
+-- Tasks the scheduler has not finished only have their entries in payload_json. Ones caught
+-- mid-run go back to pending when the scheduler restarts and resolve from these rows.
+INSERT INTO krask2_bulk_queue_items (task_id, user_id, position, status, title, item_json, created_at, updated_at)
+SELECT
+    q.id,
+    q.user_id,
+    CAST(entry.key AS INTEGER),
+    'waiting',
+    COALESCE(NULLIF(TRIM(json_extract(entry.value, '$.title')), ''), 'KraSk2 item'),
+    entry.value,
+    q.created_at,
+    q.updated_at
+FROM krask2_bulk_queue q, json_each(q.payload_json, '$.items') entry
+WHERE q.status IN ('pending', 'processing');
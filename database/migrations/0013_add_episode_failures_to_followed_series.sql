@@ -0,0 +1,2 @@
+-- Migration: Count failed queue attempts per followed-series episode so episodes that never queue are skipped
+ALTER TABLE followed_series ADD COLUMN episode_failures_json TEXT NOT NULL DEFAULT '{}';
@@ -0,0 +1,84 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Domain\FollowedSeries;
+use App\Infra\Auth;
+use App\Infra\Http;
+
+header('Content-Type: application/json');
+
+$allowedMethods = ['GET', 'POST', 'PATCH', 'DELETE'];
+if (!in_array($_SERVER['REQUEST_METHOD'] ?? 'GET', $allowedMethods, true)) {
+    Http::error(405, 'Method not allowed');
+    exit;
+}
+
+try {
+    Auth::boot();
+    Auth::requireUser();
+} catch (RuntimeException $exception) {
+    Http::error(401, $exception->getMessage());
+    exit;
+}
+
+$user = Auth::user();
+if (!is_array($user) || !isset($user['id'])) {
+    Http::error(401, 'Authentication required.');
+    exit;
+}
+
+$userId = (int) $user['id'];
+$method = $_SERVER['REQUEST_METHOD'];
+
+try {
+    if ($method === 'GET') {
+        Http::json(200, ['data' => FollowedSeries::forUser($userId)]);
+
+        return;
+    }
+
+    if ($method === 'POST') {
+        $payload = Http::readJsonBody();
+        Http::json(201, ['data' => FollowedSeries::follow($userId, $payload)]);
+
+        return;
+    }
+
+    if ($method === 'PATCH') {
+        $payload = Http::readJsonBody();
+        Http::json(200, ['data' => FollowedSeries::update($userId, requireFollowedSeriesId(), $payload)]);
+
+        return;
+    }
+
+    if ($method === 'DELETE') {
+        FollowedSeries::delete($userId, requireFollowedSeriesId());
+        Http::json(200, ['status' => 'deleted']);
+
+        return;
+    }
+} catch (RuntimeException $exception) {
+    Http::error(422, $exception->getMessage());
+
+    return;
+} catch (Throwable $exception) {
+    Http::error(500, 'Unexpected server error.', ['detail' => $exception->getMessage()]);
+
+    return;
+}
+
+Http::error(405, 'Method not allowed');
+
+/**
+ * Resolves the followed series ID from the query string.
+ */
+function requireFollowedSeriesId(): int
+{
+    $id = isset($_GET['id']) ? (int) $_GET['id'] : 0;
+    if ($id <= 0) {
+        throw new RuntimeException('Followed series ID is required.');
+    }
+
+    return $id;
+}
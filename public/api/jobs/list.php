@@ -31,6 +31,18 @@ if ($user === null) {
 $isAdmin = Auth::isAdmin();
 $mineOnly = isset($_GET['mine']) && $_GET['mine'] === '1';
 
+if (isset($_GET['since']) && is_string($_GET['since']) && $_GET['since'] !== '') {
+    try {
+        $since = (new DateTimeImmutable($_GET['since']))->format('Y-m-d\TH:i:s.uP');
+    } catch (Throwable $exception) {
+        Http::error(400, 'Invalid since timestamp.');
+        exit;
+    }
+    $afterId = isset($_GET['after_id']) && ctype_digit((string) $_GET['after_id']) ? (int) $_GET['after_id'] : null;
+    Http::json(200, JobsListHandler::changedSince($isAdmin, (int) $user['id'], $since, $afterId));
+    exit;
+}
+
 $limit = isset($_GET['limit']) ? (int) $_GET['limit'] : null;
 $offset = isset($_GET['offset']) ? (int) $_GET['offset'] : null;
 
@@ -4,6 +4,7 @@ declare(strict_types=1);
 
 use App\Domain\JobQueueWriter;
 use App\Domain\KraSk2BulkQueue;
+use App\Domain\QualityProfiles;
 use App\Infra\Auth;
 use App\Infra\Config;
 use App\Infra\Db;
@@ -18,7 +19,8 @@ Config::boot($root . '/config');
 
 header('Content-Type: application/json');
 
-if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+$method = $_SERVER['REQUEST_METHOD'] ?? 'GET';
+if (!in_array($method, ['GET', 'POST', 'PATCH', 'DELETE'], true)) {
     Http::error(405, 'Method not allowed');
     exit;
 }
@@ -37,6 +39,25 @@ if ($currentUser === null) {
     exit;
 }
 
+// GET lists recent tasks with their entries; PATCH retries and DELETE removes one entry (?item_id=).
+if ($method !== 'POST') {
+    $userId = (int) $currentUser['id'];
+    try {
+        if ($method === 'GET') {
+            Http::json(200, ['data' => KraSk2BulkQueue::forUser($userId)]);
+        } elseif ($method === 'PATCH') {
+            Http::json(200, ['data' => KraSk2BulkQueue::retryItem($userId, requireBulkQueueItemId())]);
+        } else {
+            Http::json(200, ['data' => KraSk2BulkQueue::removeItem($userId, requireBulkQueueItemId())]);
+        }
+    } catch (RuntimeException $exception) {
+        Http::error(422, $exception->getMessage());
+    } catch (Throwable $exception) {
+        Http::error(500, 'Unexpected server error.', ['detail' => $exception->getMessage()]);
+    }
+    exit;
+}
+
 try {
     $payload = Http::readJsonBody();
 } catch (RuntimeException $exception) {
@@ -90,8 +111,30 @@ foreach ($items as $index => $item) {
     ];
 }
 
+// An explicit null opts out of profiles; omitting the key falls back to the user's default profile.
 try {
-    $taskId = KraSk2BulkQueue::enqueue((int) $currentUser['id'], $normalizedItems);
+    if (array_key_exists('quality_profile_id', $payload)) {
+        $profileId = (int) ($payload['quality_profile_id'] ?? 0);
+        $profile = $profileId > 0 ? QualityProfiles::find((int) $currentUser['id'], $profileId) : null;
+        if ($profileId > 0 && $profile === null) {
+            Http::error(422, 'Quality profile not found.');
+            exit;
+        }
+    } else {
+        $profile = QualityProfiles::defaultForUser((int) $currentUser['id']);
+    }
+} catch (Throwable $exception) {
+    Http::error(500, 'Unable to load quality profile.', ['detail' => $exception->getMessage()]);
+    exit;
+}
+
+try {
+    // The profile is snapshotted so later edits do not change tasks that are already queued.
+    $taskId = KraSk2BulkQueue::enqueue(
+        (int) $currentUser['id'],
+        $normalizedItems,
+        $profile !== null ? ['quality_profile' => $profile] : []
+    );
 } catch (Throwable $exception) {
     Http::error(500, 'Unable to schedule KraSk2 bulk queue.', ['detail' => $exception->getMessage()]);
     exit;
@@ -101,6 +144,7 @@ Http::json(202, [
     'data' => [
         'task_id' => $taskId,
         'total_items' => count($normalizedItems),
+        'quality_profile_id' => $profile['id'] ?? null,
     ],
 ]);
 
@@ -111,3 +155,16 @@ function fetchKraSk2Provider(): ?array
 
     return $row !== false ? $row : null;
 }
+
+/**
+ * Resolves the bulk queue entry ID from the query string.
+ */
+function requireBulkQueueItemId(): int
+{
+    $id = isset($_GET['item_id']) ? (int) $_GET['item_id'] : 0;
+    if ($id <= 0) {
+        throw new RuntimeException('Bulk queue entry ID is required.');
+    }
+
+    return $id;
+}
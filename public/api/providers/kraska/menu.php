@@ -7,8 +7,10 @@ use App\Infra\Config;
 use App\Infra\Db;
 use App\Infra\Http;
 use App\Infra\KraskaMenuCache;
+use App\Infra\ProviderBackoff;
 use App\Infra\ProviderSecrets;
 use App\Providers\KraSkProvider;
+use App\Providers\RateLimitDeferredException;
 
 if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
     Http::error(405, 'Method not allowed');
@@ -72,6 +74,15 @@ try {
     }
 
     if ($result === null) {
+        // Do not add upstream traffic while the provider is backing off; clients retry after the window.
+        $backoff = ProviderBackoff::active($providerKey)[0] ?? null;
+        if ($backoff !== null) {
+            Http::error(429, 'Kra.sk is temporarily backing off.', [
+                'retry_after' => max(1, (int) ($backoff['retry_in_seconds'] ?? 1)),
+            ]);
+            exit;
+        }
+
         $config = ProviderSecrets::decrypt($providerRow);
         // Inject debug setting from application config
         $config['debug'] = Config::get('providers.kraska_debug_enabled');
@@ -104,6 +115,10 @@ try {
             'refreshable' => true,
         ],
     ]);
+} catch (RateLimitDeferredException $exception) {
+    Http::error(429, $exception->getMessage(), [
+        'retry_after' => $exception->getRetryAfterSeconds(),
+    ]);
 } catch (Throwable $exception) {
     Http::error(500, 'Failed to browse Kra.sk menu.', ['detail' => $exception->getMessage()]);
 }
@@ -0,0 +1,96 @@
+<?php
+
+declare(strict_types=1);
+
+use App\Domain\SavedSearches;
+use App\Infra\Auth;
+use App\Infra\Http;
+
+header('Content-Type: application/json');
+
+$allowedMethods = ['GET', 'POST', 'PATCH', 'DELETE'];
+if (!in_array($_SERVER['REQUEST_METHOD'] ?? 'GET', $allowedMethods, true)) {
+    Http::error(405, 'Method not allowed');
+    exit;
+}
+
+try {
+    Auth::boot();
+    Auth::requireUser();
+} catch (RuntimeException $exception) {
+    Http::error(401, $exception->getMessage());
+    exit;
+}
+
+$user = Auth::user();
+if (!is_array($user) || !isset($user['id'])) {
+    Http::error(401, 'Authentication required.');
+    exit;
+}
+
+$userId = (int) $user['id'];
+$method = $_SERVER['REQUEST_METHOD'];
+
+try {
+    if ($method === 'GET') {
+        Http::json(200, ['data' => SavedSearches::forUser($userId)]);
+
+        return;
+    }
+
+    if ($method === 'POST') {
+        $payload = Http::readJsonBody();
+        Http::json(201, ['data' => SavedSearches::create($userId, $payload)]);
+
+        return;
+    }
+
+    if ($method === 'PATCH') {
+        $id = requireSavedSearchId();
+        $payload = Http::readJsonBody();
+
+        // A run snapshot only replaces the stored result keys; everything else is a regular edit.
+        if (array_key_exists('result_keys', $payload)) {
+            if (!is_array($payload['result_keys'])) {
+                throw new RuntimeException('result_keys must be an array.');
+            }
+            Http::json(200, ['data' => SavedSearches::recordRun($userId, $id, $payload['result_keys'])]);
+
+            return;
+        }
+
+        Http::json(200, ['data' => SavedSearches::update($userId, $id, $payload)]);
+
+        return;
+    }
+
+    if ($method === 'DELETE') {
+        SavedSearches::delete($userId, requireSavedSearchId());
+        Http::json(200, ['status' => 'deleted']);
+
+        return;
+    }
+} catch (RuntimeException $exception) {
+    Http::error(422, $exception->getMessage());
+
+    return;
+} catch (Throwable $exception) {
+    Http::error(500, 'Unexpected server error.', ['detail' => $exception->getMessage()]);
+
+    return;
+}
+
+Http::error(405, 'Method not allowed');
+
+/**
+ * Resolves the saved search ID from the query string.
+ */
+function requireSavedSearchId(): int
+{
+    $id = isset($_GET['id']) ? (int) $_GET['id'] : 0;
+    if ($id <= 0) {
+        throw new RuntimeException('Saved search ID is required.');
+    }
+
+    return $id;
+}
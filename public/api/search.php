@@ -41,7 +41,9 @@ if ($configuredDefault <= 0) {
 }
 $limit = $limitParam > 0 ? max(1, min(100, $limitParam)) : max(1, min(100, $configuredDefault));
 $filterProviders = isset($_GET['providers']) && is_array($_GET['providers']) ? array_map('strval', $_GET['providers']) : null;
-$duplicates = Jobs::findExistingDownloadsMatching($query, 12);
+// The UI sends one request per provider, so it asks for the existing downloads on only one of them.
+$withDuplicates = $filterProviders === null || (isset($_GET['duplicates']) && $_GET['duplicates'] === '1');
+$duplicates = $withDuplicates ? Jobs::findExistingDownloadsMatching($query, 12) : [];
 
 $rows = Db::run('SELECT * FROM providers WHERE enabled = 1 ORDER BY name ASC')->fetchAll();
 if ($rows === false) {
@@ -21,6 +21,7 @@ import { state, els, API, providerCatalog } from './modules/context.js';
 		formatSpeed,
 		formatRelativeTime,
 		parseIsoDate,
+		isAbortError,
 	} from './modules/utils.js';
 	import { injectUtilityStyles } from './modules/styles.js';
 	import {
@@ -38,6 +39,65 @@ import { state, els, API, providerCatalog } from './modules/context.js';
 		stopJobStream,
 		applyProviderAlerts,
 	} from './modules/jobs.js';
+	import { wireRouter, parseRoute, syncRoute, withRouteSyncSuspended } from './modules/router.js';
+	import {
+		wireSavedSearches,
+		loadSavedSearches,
+		renderSavedSearches,
+		trackSavedSearchRun,
+	} from './modules/savedSearches.js';
+	import {
+		wireSearchFilters,
+		renderSearchFilterBar,
+		getVisibleSearchResults,
+		hasActiveSearchFilters,
+		createSearchFilters,
+	} from './modules/searchFilters.js';
+	import { wireSearchGroups, renderSearchGroups, updateSearchGroupControls } from './modules/searchGroups.js';
+	import {
+		wireQualityProfiles,
+		loadQualityProfiles,
+		getActiveQualityProfile,
+		setActiveQualityProfile,
+		renderQualityProfileOptions,
+		describeQualityProfile,
+		rankVariantsByProfile,
+		variantMatchesProfile,
+	} from './modules/qualityProfiles.js';
+	import {
+		wireLibrary,
+		loadLibraryIndex,
+		createLibraryIndex,
+		noteLibraryQueued,
+		scheduleLibraryRefresh,
+		libraryStatus,
+		renderLibraryBadge,
+		resolveLibraryDuplicates,
+		searchResultLibraryKeys,
+		kraskaItemLibraryKeys,
+		krask2ItemLibraryKeys,
+	} from './modules/library.js';
+	import { wireSearchSuggestions, recordRecentQuery, closeSearchSuggestions } from './modules/searchSuggestions.js';
+	import { wireResultDrawer, openResultDrawer, closeResultDrawer } from './modules/resultDrawer.js';
+	import { openQueueReview } from './modules/queueReview.js';
+	import { openKraskaQueuePreview } from './modules/kraskaQueuePreview.js';
+	import { renderVariantComparison, nextVariantSort } from './modules/variantCompare.js';
+	import { wireKraskaLocations, loadKraskaLocations, recordKraskaVisit, renderKraskaLocations } from './modules/kraskaLocations.js';
+	import { wireFollowedSeries, loadFollowedSeries, findFollowedSeries, toggleFollowSeries, renderFollowedSeries } from './modules/followedSeries.js';
+	import { wireKrask2Detail, openKrask2Detail, closeKrask2Detail, renderKrask2Detail } from './modules/krask2Detail.js';
+	import {
+		wireKrask2Filters,
+		createKrask2Filters,
+		renderKrask2FilterBar,
+		getVisibleKrask2Items,
+		hasActiveKrask2Filters,
+		getKrask2CatalogGenres,
+		getKrask2GenreExtra,
+	} from './modules/krask2Filters.js';
+	import { parseKrask2Range, resolveKrask2Range } from './modules/krask2Ranges.js';
+	import { wireKrask2BulkQueue, loadKrask2BulkQueue, resetKrask2BulkQueue } from './modules/krask2BulkQueue.js';
+	import { loadWithKrask2Cache, krask2CacheKey, clearKrask2Cache } from './modules/krask2Cache.js';
+	import { wireUnifiedBrowse, renderUnifiedBrowse, resetUnifiedBrowse } from './modules/unifiedBrowse.js';
 
 	const BUILD_VERSION = typeof window.APP_BUILD_VERSION === 'string' && window.APP_BUILD_VERSION !== '' ? window.APP_BUILD_VERSION : null;
 	const ASSET_VERSION_CHECK_INTERVAL = 5 * 60 * 1000;
@@ -53,12 +113,34 @@ import { state, els, API, providerCatalog } from './modules/context.js';
 		wireLogin();
 		wireDashboard();
 		wireSearch();
+		wireSavedSearches({ onRun: runSavedSearch });
+		wireSearchFilters({ onChange: refreshSearchResultsView });
+		wireSearchGroups({ onQueueBest: (item) => queueSearchResult(item, { label: 'Queued best release' }), onChange: renderSearchResults });
+		wireResultDrawer({ onQueue: (item) => queueSearchResult(item), onChooseStream: openSearchResultStreams });
+		wireQualityProfiles({ onChange: handleQualityProfilesChange });
+		wireLibrary({ onChange: handleLibraryChange });
 		wireKraska();
+		wireKraskaLocations({ onOpen: (location) => loadKraskaMenu(location.path, { trail: location.trail }) });
+		wireFollowedSeries({
+			onOpen: (series) => applyRoute({ view: 'kraska', browse: { mode: 'kraska', path: series.series_ref, trail: [], catalog: null, search: '', loadItems: false } }),
+			onChange: handleFollowedSeriesChange,
+		});
+		wireKrask2Detail({
+			onOptions: openKrask2Options,
+			onEpisodes: showKrask2EpisodesInList,
+			onFollow: (item) => void toggleFollowSeries({ provider: 'krask2', seriesRef: item.id, title: item.title, poster: item.poster ?? null }),
+		});
+		wireKrask2Filters({ onChange: renderKrask2Results, onGenreChange: handleKrask2GenreChange });
+		wireKrask2BulkQueue({ onQueued: handleKrask2BulkQueued });
+		wireUnifiedBrowse({ onSearch: (query) => void runUnifiedSearch(query), onOptions: openUnifiedOptions, onOpen: openUnifiedEntry });
 		applyDefaultSearchLimit();
 		wireJobs();
 		wireAdmin();
 		wireSettings();
 		wireStorage();
+		wireRouter((route) => {
+			void applyRoute(route);
+		});
 		showLogin();
 		hydrateSession();
 	}
@@ -195,6 +277,7 @@ import { state, els, API, providerCatalog } from './modules/context.js';
 
 			resetState();
 			stopJobStream();
+			void clearKrask2Cache();
 			showToast('Signed out.', 'info');
 			showLogin();
 		});
@@ -215,64 +298,169 @@ function wireSearch() {
 		els.searchLimit.addEventListener('change', markEdited);
 	}
 
-	els.searchForm?.addEventListener('submit', async (event) => {
+	els.searchForm?.addEventListener('submit', (event) => {
 		event.preventDefault();
-		if (!state.user) {
-			showToast('Please sign in first.', 'warning');
-			return;
-		}
+		void runSearch();
+	});
 
-		const query = els.searchQuery?.value.trim();
-		if (!query) {
-			showToast('Enter a search query.', 'warning');
-			return;
-		}
+	wireSearchSuggestions({
+		onPick: () => void runSearch(),
+		getProviders: getSelectedProviders,
+	});
 
-		const fallbackLimit = Number.isFinite(state.defaultSearchLimit) && state.defaultSearchLimit > 0 ? state.defaultSearchLimit : 50;
-		const parsedLimit = Number.parseInt(els.searchLimit?.value ?? String(fallbackLimit), 10) || fallbackLimit;
-		const limit = Math.max(1, Math.min(100, parsedLimit));
-		if (els.searchLimit instanceof HTMLInputElement) {
-			els.searchLimit.value = String(limit);
-		}
-		const providers = getSelectedProviders();
+	els.queueSelectionBtn?.addEventListener('click', queueSelectedResults);
+}
 
-		toggleElement(els.searchErrors, false);
-		toggleElement(els.searchEmpty, false);
-		toggleElement(els.searchLoading, true);
-		els.searchResults.innerHTML = '';
-		els.searchMeta.textContent = '';
-		renderSearchWarnings([]);
-		state.selectedSearch.clear();
-		updateQueueButton();
+async function runSearch(options = {}) {
+	if (!state.user) {
+		showToast('Please sign in first.', 'warning');
+		return;
+	}
 
-		try {
-			const params = new URLSearchParams({ q: query, limit: String(limit) });
-			providers.forEach((key) => params.append('providers[]', key));
+	const query = els.searchQuery?.value.trim();
+	if (!query) {
+		showToast('Enter a search query.', 'warning');
+		return;
+	}
 
-			const response = await fetchJson(`${API.search}?${params.toString()}`);
-			const results = Array.isArray(response?.data) ? response.data : [];
-			state.searchResults = normalizeSearchResults(results);
+	const fallbackLimit = Number.isFinite(state.defaultSearchLimit) && state.defaultSearchLimit > 0 ? state.defaultSearchLimit : 50;
+	const parsedLimit = Number.parseInt(els.searchLimit?.value ?? String(fallbackLimit), 10) || fallbackLimit;
+	const limit = Math.max(1, Math.min(100, parsedLimit));
+	if (els.searchLimit instanceof HTMLInputElement) {
+		els.searchLimit.value = String(limit);
+	}
+	const providers = getSelectedProviders();
+	state.lastSearch = { query, limit, providers };
+	syncRoute();
+	closeSearchSuggestions();
+	recordRecentQuery(query);
+
+	// A newer search supersedes the in-flight one so its late response can't overwrite fresh results.
+	state.searchController?.abort();
+	const controller = new AbortController();
+	state.searchController = controller;
+	const savedSearchId = Number.isFinite(options.savedSearchId) ? options.savedSearchId : null;
+	state.activeSavedSearchId = savedSearchId;
+	state.searchNewKeys = new Set();
+	renderSavedSearches();
 
-			renderSearchResults();
-			renderSearchMeta(query, state.searchResults.length, providers);
-			renderSearchWarnings(Array.isArray(response?.duplicates) ? response.duplicates : []);
-			renderSearchErrors(response?.errors ?? []);
-		} catch (error) {
-			toggleElement(els.searchErrors, true);
-			els.searchErrors.innerHTML = `<div class="rounded-lg border border-rose-500/40 bg-rose-500/10 p-3 text-sm text-rose-200">${escapeHtml(
-				messageFromError(error)
-			)}</div>`;
-			state.searchResults = [];
-			state.selectedSearch.clear();
-			renderSearchResults();
-			renderSearchMeta(els.searchQuery?.value ?? '', 0, providers);
-			renderSearchWarnings([]);
-		} finally {
-			toggleElement(els.searchLoading, false);
-		}
-	});
+	state.searchResults = [];
+	state.selectedSearch.clear();
+	state.searchProviderRuns = new Map(
+		providers.map((key) => [key, { status: 'loading', startedAt: performance.now(), elapsedMs: null, count: 0, message: null }])
+	);
+	els.searchMeta.textContent = '';
+	renderSearchWarnings([]);
+	renderSearchProviderRuns();
+	renderSearchFilterBar();
+	renderSearchResults();
 
-	els.queueSelectionBtn?.addEventListener('click', queueSelectedResults);
+	// Each provider gets its own request so a slow one doesn't hold back the others' results.
+	const resultsByProvider = new Map();
+	let duplicates = [];
+	const mergeProviderResults = () => {
+		state.searchResults = providers.flatMap((key) => resultsByProvider.get(key) ?? []);
+		renderSearchFilterBar();
+		renderSearchResults();
+		renderSearchMeta(query, state.searchResults.length, providers);
+		renderSearchWarnings(duplicates, state.searchResults);
+	};
+
+	await Promise.all(
+		providers.map(async (key) => {
+			const run = state.searchProviderRuns.get(key);
+			try {
+				const params = new URLSearchParams({ q: query, limit: String(limit) });
+				params.append('providers[]', key);
+				if (key === providers[0]) {
+					params.set('duplicates', '1');
+				}
+				const response = await fetchJson(`${API.search}?${params.toString()}`, { signal: controller.signal });
+				if (controller !== state.searchController) return;
+				const results = normalizeSearchResults(Array.isArray(response?.data) ? response.data : []);
+				const providerErrors = Array.isArray(response?.errors) ? response.errors : [];
+				resultsByProvider.set(key, results);
+				if (duplicates.length === 0 && Array.isArray(response?.duplicates)) {
+					duplicates = response.duplicates;
+				}
+				run.count = results.length;
+				run.status = providerErrors.length > 0 ? 'error' : 'done';
+				run.message = providerErrors.length > 0 ? providerErrors.map((error) => error?.message ?? 'Unknown error').join('; ') : null;
+			} catch (error) {
+				if (isAbortError(error) || controller !== state.searchController) return;
+				run.status = 'error';
+				run.message = messageFromError(error);
+			}
+			run.elapsedMs = performance.now() - run.startedAt;
+			mergeProviderResults();
+			renderSearchProviderRuns();
+		})
+	);
+
+	if (controller !== state.searchController) return;
+	state.searchController = null;
+	if (savedSearchId !== null) {
+		// A partial run must not replace the snapshot, or the missing provider's releases resurface as new.
+		const complete = Array.from(state.searchProviderRuns.values()).every((run) => run.status === 'done');
+		state.searchNewKeys = trackSavedSearchRun(savedSearchId, state.searchResults, { persist: complete });
+	}
+	mergeProviderResults();
+}
+
+function refreshSearchResultsView() {
+	renderSearchResults();
+	if (state.lastSearch) {
+		renderSearchMeta(state.lastSearch.query, state.searchResults.length, state.lastSearch.providers);
+	}
+}
+
+function handleQualityProfilesChange() {
+	updateSearchGroupControls();
+	renderFollowedSeries();
+	if (state.searchGrouping.enabled && state.searchResults.length > 0) {
+		renderSearchResults();
+	}
+	if (els.modal?.open && state.kraska.selectedItem) {
+		renderKraskaOptionsModal();
+	}
+}
+
+function handleFollowedSeriesChange() {
+	renderKraskaFollowButton();
+	if (state.krask2.items.length > 0) {
+		renderKrask2View();
+	}
+}
+
+function handleKrask2BulkQueued() {
+	scheduleLibraryRefresh();
+	if (state.currentView === 'queue') {
+		loadJobs();
+	}
+}
+
+function handleLibraryChange() {
+	if (state.searchResults.length > 0) {
+		renderSearchResults();
+	}
+	if (state.kraska.items.length > 0) {
+		renderKraskaMenu();
+	}
+	if (state.krask2.items.length > 0) {
+		renderKrask2View();
+	}
+}
+
+function runSavedSearch(savedSearch) {
+	if (els.searchQuery instanceof HTMLInputElement) {
+		els.searchQuery.value = savedSearch.query;
+	}
+	if (savedSearch.limit && els.searchLimit instanceof HTMLInputElement) {
+		els.searchLimit.value = String(savedSearch.limit);
+		els.searchLimit.dataset.userEdited = '1';
+	}
+	setSelectedProviders(savedSearch.providers);
+	void runSearch({ savedSearchId: savedSearch.id });
 }
 
 function wireKraska() {
@@ -352,6 +540,94 @@ function wireKraska() {
 		loadKraskaMenu(crumb.path, { trailIndex: index });
 	});
 
+	els.kraskaFilter?.addEventListener('input', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLInputElement)) return;
+		state.kraska.filter = target.value;
+		renderKraskaMenu();
+	});
+
+	els.kraskaBranchSearchBtn?.addEventListener('click', () => {
+		void runKraskaBranchSearch();
+	});
+
+	els.kraskaBranchSearch?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target.closest('[data-kraska-branch-cancel]')) {
+			cancelKraskaBranchSearch();
+			return;
+		}
+		if (target.closest('[data-kraska-branch-close]')) {
+			cancelKraskaBranchSearch();
+			state.kraska.branchSearch = null;
+			renderKraskaBranchSearch();
+			return;
+		}
+		const button = target.closest('[data-kraska-branch-open], [data-kraska-branch-options]');
+		if (!(button instanceof HTMLElement)) return;
+		const index = Number.parseInt(button.dataset.kraskaBranchOpen ?? button.dataset.kraskaBranchOptions ?? '', 10);
+		const match = state.kraska.branchSearch?.matches[index];
+		if (!match) return;
+		if (button.dataset.kraskaBranchOptions !== undefined) {
+			openKraskaOptionsModal(match.item);
+			return;
+		}
+		// Folders open themselves; files open the folder they were found in.
+		const isBranch = match.item.queueMode === 'branch' || match.item.type === 'dir';
+		const trail = isBranch ? match.trail.concat({ path: match.item.path, label: match.item.label ?? null }) : match.trail;
+		loadKraskaMenu(trail[trail.length - 1].path, { trail });
+	});
+
+	els.kraskaEpisodesBtn?.addEventListener('click', () => {
+		void loadKraskaEpisodeGrid();
+	});
+
+	els.kraskaFollowBtn?.addEventListener('click', () => {
+		const trail = Array.isArray(state.kraska.trail) ? state.kraska.trail : [];
+		void toggleFollowSeries({
+			provider: 'kraska',
+			seriesRef: normalizeKraskaPath(state.kraska.currentPath ?? '/'),
+			title: state.kraska.title ?? trail[trail.length - 1]?.label ?? state.kraska.currentPath,
+		});
+	});
+
+	els.kraskaEpisodes?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target.closest('[data-kraska-episodes-close]')) {
+			closeKraskaEpisodeGrid();
+			return;
+		}
+		const queueBtn = target.closest('[data-kraska-episodes-queue]');
+		if (queueBtn instanceof HTMLElement) {
+			const value = queueBtn.dataset.kraskaEpisodesQueue ?? '';
+			queueMissingKraskaEpisodes(value === 'all' ? null : Number.parseInt(value, 10));
+			return;
+		}
+		const cell = target.closest('[data-kraska-episode]');
+		if (!(cell instanceof HTMLElement)) return;
+		const [seasonIndex, episodeIndex] = (cell.dataset.kraskaEpisode ?? '').split(':').map((part) => Number.parseInt(part, 10));
+		const episode = state.kraska.episodeGrid?.seasons[seasonIndex]?.episodes[episodeIndex];
+		if (episode) {
+			openKraskaOptionsModal(episode.items[0]);
+		}
+	});
+
+	els.kraskaCollection?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		const task = state.kraska.collection;
+		if (!task) return;
+		if (target.closest('[data-kraska-collection-cancel]')) {
+			cancelKraskaCollection();
+		} else if (target.closest('[data-kraska-collection-resume]')) {
+			void runKraskaCollection(task);
+		} else if (target.closest('[data-kraska-collection-review]')) {
+			openKraskaCollectionPreview(task);
+		}
+	});
+
 	els.kraskaSelectAll?.addEventListener('change', (event) => {
 		const target = event.target;
 		if (!(target instanceof HTMLInputElement)) return;
@@ -379,6 +655,28 @@ function wireKraska() {
 		loadKrask2Items({ force: true });
 	});
 
+	els.krask2More?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement) || !target.closest('[data-krask2-load-more]')) return;
+		void loadMoreKrask2Items();
+	});
+
+	window.addEventListener('scroll', () => {
+		if (state.currentView !== 'kraska' || state.kraska.mode !== 'krask2') {
+			return;
+		}
+		const krask2 = state.krask2;
+		if (!krask2.hasMore || krask2.pageLoading || krask2.itemsLoading || krask2.pageError) {
+			return;
+		}
+		const scrollNode = document.documentElement;
+		const scrollTop = window.scrollY || scrollNode.scrollTop;
+		const viewport = window.innerHeight || scrollNode.clientHeight;
+		if (scrollTop + viewport >= scrollNode.scrollHeight - 120) {
+			void loadMoreKrask2Items();
+		}
+	}, { passive: true });
+
 	els.krask2QueueBtn?.addEventListener('click', () => {
 		void queueSelectedKrask2();
 	});
@@ -389,15 +687,49 @@ function wireKraska() {
 		setKrask2SelectedCatalog(target.value);
 	});
 
+	els.krask2SearchAll?.addEventListener('change', () => {
+		state.krask2.searchAll = els.krask2SearchAll.checked;
+		renderKrask2View();
+	});
+
 	els.krask2SearchInput?.addEventListener('keydown', (event) => {
 		if (event.key !== 'Enter') return;
 		event.preventDefault();
 		loadKrask2Items();
 	});
 
+	els.krask2LayoutButtons.forEach((button) => {
+		button.addEventListener('click', () => {
+			setKrask2Layout(button.dataset.krask2Layout ?? 'list');
+		});
+	});
+
 	els.krask2List?.addEventListener('click', (event) => {
 		const target = event.target;
 		if (!(target instanceof HTMLElement)) return;
+		if (target instanceof HTMLInputElement && target.dataset.krask2EpisodeSelect === '1') {
+			// Click fires before change, so the change handler can tell shift-clicks apart.
+			krask2EpisodeShiftClick = event.shiftKey;
+			return;
+		}
+		const rangeClearBtn = target.closest('[data-krask2-range-clear]');
+		if (rangeClearBtn instanceof HTMLElement) {
+			const form = rangeClearBtn.closest('[data-krask2-range-form]');
+			if (form instanceof HTMLFormElement) {
+				event.preventDefault();
+				applyKrask2Range(Number.parseInt(form.dataset.krask2RangeForm ?? '', 10), form.elements.namedItem('range')?.value ?? '', false);
+			}
+			return;
+		}
+		const detailBtn = target.closest('[data-krask2-detail]');
+		if (detailBtn instanceof HTMLElement) {
+			const index = Number.parseInt(detailBtn.dataset.krask2Detail ?? '', 10);
+			if (Number.isFinite(index)) {
+				event.preventDefault();
+				openKrask2Detail(index);
+			}
+			return;
+		}
 		const optionsBtn = target.closest('[data-krask2-options]');
 		if (optionsBtn instanceof HTMLElement) {
 			const index = Number.parseInt(optionsBtn.dataset.krask2Options ?? '', 10);
@@ -407,6 +739,15 @@ function wireKraska() {
 			}
 			return;
 		}
+		const followBtn = target.closest('[data-krask2-follow]');
+		if (followBtn instanceof HTMLElement) {
+			const item = state.krask2.items[Number.parseInt(followBtn.dataset.krask2Follow ?? '', 10)];
+			if (item) {
+				event.preventDefault();
+				void toggleFollowSeries({ provider: 'krask2', seriesRef: item.id, title: item.title, poster: item.poster ?? null });
+			}
+			return;
+		}
 		const toggleBtn = target.closest('[data-krask2-episodes-toggle]');
 		if (toggleBtn instanceof HTMLElement) {
 			const index = Number.parseInt(toggleBtn.dataset.krask2EpisodesToggle ?? '', 10);
@@ -445,6 +786,13 @@ function wireKraska() {
 		handleKrask2SelectionChange(event);
 	});
 
+	els.krask2List?.addEventListener('submit', (event) => {
+		const form = event.target;
+		if (!(form instanceof HTMLFormElement) || form.dataset.krask2RangeForm === undefined) return;
+		event.preventDefault();
+		applyKrask2Range(Number.parseInt(form.dataset.krask2RangeForm, 10), form.elements.namedItem('range')?.value ?? '', true);
+	});
+
 	updateKraskaProviderToggle();
 }
 
@@ -882,15 +1230,22 @@ function enterDashboard() {
 	toggleElement(els.dashboardView, true, 'flex');
 	toggleElement(els.logoutBtn, true, 'inline-flex');
 	toggleElement(els.userPill, true, 'inline-flex');
-	switchView('search');
-	refreshAllData();
+	const providersReady = refreshAllData();
+	void applyRoute(parseRoute(), { providersReady });
 }
 
 function refreshAllData() {
+	const providersTask = loadProviders();
 	const tasks = [
-		loadProviders(),
+		providersTask,
 		loadStats(),
 		loadStorage(),
+		loadSavedSearches(),
+		loadQualityProfiles(),
+		loadLibraryIndex(),
+		loadKraskaLocations(),
+		loadFollowedSeries(),
+		loadKrask2BulkQueue(),
 	];
 
 	if (state.isAdmin) {
@@ -905,6 +1260,8 @@ function refreshAllData() {
 		}
 		loadStats();
 	});
+
+	return providersTask;
 }
 
 function resetState() {
@@ -939,11 +1296,45 @@ function resetState() {
 	}
 	state.jobStreamReloadTimeout = null;
 	state.defaultSearchLimit = 50;
+	state.lastSearch = null;
+	state.savedSearches = [];
+	state.activeSavedSearchId = null;
+	state.searchNewKeys = new Set();
+	state.searchController?.abort();
+	state.searchController = null;
+	state.recentQueries = [];
+	state.queueReviewFolders = [];
+	state.searchProviderRuns = new Map();
+	renderSearchProviderRuns();
+	closeSearchSuggestions();
+	closeResultDrawer();
+	state.searchFilters = createSearchFilters();
+	state.searchGrouping.expanded = new Set();
+	state.searchGrouping.ranking = 'quality';
+	state.qualityProfiles = [];
+	state.activeQualityProfileId = undefined;
+	state.followedSeries = [];
+	state.followedSeriesError = null;
+	renderFollowedSeries();
+	closeKrask2Detail();
+	resetKrask2BulkQueue();
+	resetUnifiedBrowse();
+	state.krask2.filters = createKrask2Filters();
+	state.library = createLibraryIndex();
+	state.showMyJobs = false;
+	if (els.jobsMineToggle instanceof HTMLInputElement) {
+		els.jobsMineToggle.checked = false;
+	}
 	state.kraska.currentPath = '/';
 	state.kraska.title = null;
 	state.kraska.items = [];
 	state.kraska.trail = [];
 	state.kraska.selected = new Set();
+	cancelKraskaBranchSearch();
+	state.kraska.branchSearch = null;
+	cancelKraskaCollection();
+	closeKraskaEpisodeGrid();
+	setKraskaFilter('');
 	state.kraska.loading = false;
 	state.kraska.error = null;
 	state.kraska.cache = null;
@@ -953,7 +1344,11 @@ function resetState() {
 	state.kraska.variantsError = null;
 	state.kraska.variantQueueing = false;
 	state.kraska.variantsCache = null;
+	state.kraska.variantSort = null;
+	state.kraska.variantSelection = new Set();
 	state.kraska.mode = 'kraska';
+	state.kraskaLocations = { bookmarks: [], recent: [] };
+	renderKraskaLocations();
 	state.krask2.manifest = null;
 	state.krask2.catalogs = [];
 	state.krask2.catalogsLoading = false;
@@ -970,10 +1365,24 @@ function resetState() {
 	state.krask2.selected = new Map();
 	state.krask2.queueLabel = '';
 	state.krask2.itemsCache = null;
+	krask2ItemsGeneration++;
+	state.krask2.pages = [];
+	state.krask2.hasMore = false;
+	state.krask2.pageLoading = false;
+	state.krask2.pageError = null;
+	state.krask2.searchAll = false;
+	state.krask2.searchScope = 'catalog';
+	state.krask2.searchProgress = null;
+	if (els.krask2SearchAll instanceof HTMLInputElement) {
+		els.krask2SearchAll.checked = false;
+	}
 	applyDefaultSearchLimit(true);
 	applyProviderAlerts([]);
 	renderProviders();
+	renderSearchFilterBar();
+	updateSearchGroupControls();
 	renderSearchResults();
+	renderSavedSearches();
 	renderKraskaMenu();
 	renderJobs();
 	renderStorage();
@@ -1145,11 +1554,143 @@ function switchView(view) {
 		ensureKraskaLoaded();
 	}
 
+	if (view === 'followed') {
+		loadFollowedSeries();
+	}
+
 	if (view === 'queue') {
 		loadJobs();
 	} else {
 		stopJobStream();
 	}
+
+	syncRoute();
+}
+
+const ADMIN_VIEWS = new Set(['providers', 'settings', 'users', 'audit']);
+
+async function applyRoute(route, options = {}) {
+	if (!state.user || !route) return;
+	const view = ADMIN_VIEWS.has(route.view) && !state.isAdmin ? 'search' : route.view;
+	const providersReady = options.providersReady ?? Promise.resolve();
+
+	const restoring = withRouteSyncSuspended(() => {
+		// Kick off data restoration before switching panels so view loaders see the pending request.
+		let pending = null;
+		if (view === 'search' && route.search) {
+			pending = restoreSearchRoute(route.search, providersReady);
+		} else if (view === 'kraska' && route.browse) {
+			pending = restoreBrowseRoute(route.browse);
+		} else if (view === 'queue' && route.queue) {
+			state.showMyJobs = route.queue.mine;
+			if (els.jobsMineToggle instanceof HTMLInputElement) {
+				els.jobsMineToggle.checked = route.queue.mine;
+			}
+		}
+		switchView(view);
+		return pending;
+	});
+	await restoring;
+}
+
+async function restoreSearchRoute(route, providersReady) {
+	if (!route.query) return;
+	const last = state.lastSearch;
+	if (
+		last
+		&& last.query === route.query
+		&& (route.limit === null || last.limit === route.limit)
+		&& (route.providers.length === 0 || last.providers.join(',') === route.providers.join(','))
+	) {
+		return;
+	}
+
+	await providersReady;
+	await withRouteSyncSuspended(() => {
+		if (els.searchQuery instanceof HTMLInputElement) {
+			els.searchQuery.value = route.query;
+		}
+		if (route.limit !== null && els.searchLimit instanceof HTMLInputElement) {
+			els.searchLimit.value = String(route.limit);
+			els.searchLimit.dataset.userEdited = '1';
+		}
+		if (route.providers.length > 0) {
+			setSelectedProviders(route.providers);
+		}
+		return runSearch();
+	});
+}
+
+async function restoreBrowseRoute(route) {
+	const previousMode = state.kraska.mode;
+	state.kraska.mode = route.mode;
+	updateKraskaProviderToggle();
+	if (state.kraska.mode !== 'kraska' && previousMode === 'kraska') {
+		state.kraska.selected.clear();
+		updateKraskaQueueButton();
+	}
+	if (state.kraska.mode === 'krask2') {
+		await restoreKrask2Route(route);
+		return;
+	}
+	if (state.kraska.mode === 'unified') {
+		if (route.search !== '' && route.search !== state.unifiedBrowse.query) {
+			await runUnifiedSearch(route.search);
+		} else {
+			renderUnifiedBrowse();
+		}
+		return;
+	}
+
+	const path = normalizeKraskaPath(route.path);
+	if (path === state.kraska.currentPath && state.kraska.items.length > 0) {
+		return;
+	}
+	await loadKraskaMenu(path, { trail: route.trail, resetTrail: route.trail.length === 0, replaceRoute: true });
+}
+
+async function restoreKrask2Route(route) {
+	const searchAll = route.searchAll === true;
+	const scopeChanged = searchAll !== state.krask2.searchAll;
+	state.krask2.searchAll = searchAll;
+	if (els.krask2SearchAll instanceof HTMLInputElement) {
+		els.krask2SearchAll.checked = searchAll;
+	}
+	const layoutChanged = Boolean(route.layout) && route.layout !== state.krask2.layout;
+	if (layoutChanged) {
+		state.krask2.layout = route.layout;
+	}
+	if (els.krask2SearchInput instanceof HTMLInputElement) {
+		els.krask2SearchInput.value = route.search;
+	}
+	if (!Array.isArray(state.krask2.catalogs) || state.krask2.catalogs.length === 0) {
+		if (route.catalog) {
+			state.krask2.selectedCatalogKey = route.catalog;
+		}
+		await loadKrask2Catalogs();
+		// The catalogs arrived after the route's suspension ended, so the rest gets its own.
+		await withRouteSyncSuspended(() => restoreKrask2RouteItems(route));
+		return;
+	}
+	if (route.catalog && route.catalog !== state.krask2.selectedCatalogKey) {
+		setKrask2SelectedCatalog(route.catalog);
+	} else if (!scopeChanged && state.krask2.itemsRequested === route.loadItems && state.krask2.lastLoadedSearch === route.search) {
+		if (layoutChanged) {
+			renderKrask2View();
+		}
+		return;
+	}
+	await restoreKrask2RouteItems(route);
+}
+
+function restoreKrask2RouteItems(route) {
+	if (route.loadItems && (getSelectedKrask2Catalog() || (route.searchAll === true && route.search !== ''))) {
+		return loadKrask2Items();
+	}
+	if (!route.loadItems && state.krask2.itemsRequested) {
+		setKrask2SelectedCatalog(state.krask2.selectedCatalogKey);
+	}
+	return null;
 }
 
 // --- Aria2 Health & Logs ---
@@ -1270,6 +1811,10 @@ function ensureKraskaLoaded() {
 		ensureKrask2Initialized();
 		return;
 	}
+	if (state.kraska.mode === 'unified') {
+		renderUnifiedBrowse();
+		return;
+	}
 	ensureKraskaMenuReady();
 }
 
@@ -1289,7 +1834,7 @@ async function loadKraskaMenu(path = '/', options = {}) {
 		return;
 	}
 	const normalizedPath = normalizeKraskaPath(path);
-	const { pushTrail = false, resetTrail = false, trailIndex = null, label = null, forceRefresh = false } = options;
+	const { pushTrail = false, resetTrail = false, trailIndex = null, label = null, forceRefresh = false, trail = null, replaceRoute = false } = options;
 	if (state.kraska.loading) {
 		return;
 	}
@@ -1315,6 +1860,10 @@ async function loadKraskaMenu(path = '/', options = {}) {
 		state.kraska.items = normalizeKraskaItems(items);
 		state.kraska.selected = new Set();
 		state.kraska.cache = cacheMeta;
+		setKraskaFilter('');
+		if (state.kraska.episodeGrid && state.kraska.episodeGrid.rootPath !== normalizeKraskaPath(state.kraska.currentPath)) {
+			closeKraskaEpisodeGrid();
+		}
 		if (forceRefresh) {
 			showToast('Menu refreshed from source.', 'success');
 		}
@@ -1322,7 +1871,9 @@ async function loadKraskaMenu(path = '/', options = {}) {
 		const resolvedLabel = state.kraska.title ?? label ?? (state.kraska.currentPath === '/' ? 'Browse' : state.kraska.currentPath);
 		const previousTrail = Array.isArray(state.kraska.trail) ? state.kraska.trail.slice() : [];
 		let nextTrail;
-		if (resetTrail || previousTrail.length === 0) {
+		if (Array.isArray(trail) && trail.length > 0) {
+			nextTrail = trail.slice(0, -1).concat({ path: state.kraska.currentPath, label: resolvedLabel });
+		} else if (resetTrail || previousTrail.length === 0) {
 			nextTrail = [{ path: state.kraska.currentPath, label: resolvedLabel }];
 		} else if (typeof trailIndex === 'number' && Number.isFinite(trailIndex) && trailIndex >= 0) {
 			nextTrail = previousTrail.slice(0, trailIndex + 1);
@@ -1334,6 +1885,8 @@ async function loadKraskaMenu(path = '/', options = {}) {
 			nextTrail[nextTrail.length - 1] = { path: state.kraska.currentPath, label: resolvedLabel };
 		}
 		state.kraska.trail = nextTrail;
+		syncRoute({ replace: replaceRoute });
+		recordKraskaVisit(nextTrail);
 	} catch (error) {
 		state.kraska.error = messageFromError(error);
 		state.kraska.items = [];
@@ -1368,13 +1921,20 @@ function renderKraskaMenu() {
 		if (!hasItems) {
 			els.kraskaList.innerHTML = '';
 		} else {
-			els.kraskaList.innerHTML = state.kraska.items
-				.map((item, index) => renderKraskaItem(item, index))
-				.join('');
+			// Rows keep their index into state.kraska.items so the click handlers still resolve them.
+			const visible = state.kraska.items
+				.map((item, index) => ({ item, index }))
+				.filter(({ item }) => kraskaItemMatchesFilter(item, state.kraska.filter));
+			els.kraskaList.innerHTML = visible.length > 0
+				? visible.map(({ item, index }) => renderKraskaItem(item, index)).join('')
+				: `<li class="text-sm text-slate-500">Nothing on this level matches "${escapeHtml(state.kraska.filter.trim())}". Try searching the whole branch.</li>`;
 		}
 	}
 
 	renderKraskaBreadcrumbs();
+	renderKraskaLocations();
+	renderKraskaBranchSearch();
+	renderKraskaEpisodeGrid();
 	updateKraskaBackButton();
 	updateKraskaQueueButton();
 	updateKraskaSelectAllCheckbox();
@@ -1386,54 +1946,406 @@ function renderKraskaMenu() {
 	}
 }
 
-function renderKraskaItem(item, index) {
-	if ((item.queueMode === 'branch' || item.type === 'dir') && item.path) {
-		const summary = item.summary ? `<p class="text-sm text-slate-400 line-clamp-2">${escapeHtml(item.summary)}</p>` : '';
-		const metaSection = renderKraskaMetaChips(item);
-		const checked = item.selectable && state.kraska.selected.has(item.cacheKey) ? 'checked' : '';
-		const checkbox = item.selectable
-			? `<input type="checkbox" class="mt-1 h-5 w-5 rounded border-slate-700 bg-slate-950 text-brand-500 focus:ring-brand-500/60" data-kraska-select="${escapeHtml(item.cacheKey)}" ${checked} />`
-			: '';
-		const queueHint = item.selectable
-			? '<span class="text-xs text-slate-400">Queue adds every item inside this folder.</span>'
-			: (item.meta?.pagination ? '<span class="text-xs text-slate-500">Opens the next page.</span>' : '');
-		const folderBadge = item.meta?.pagination ? 'Next page' : 'Directory';
-		const infoLink = `
-			<a href="#" data-kraska-open="${index}" class="block rounded-xl px-2 py-1 text-left transition hover:bg-slate-800/40 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-brand-500/40">
-				<div class="flex flex-wrap items-center gap-2">
-					<h4 class="text-lg font-semibold text-slate-100">${escapeHtml(item.label ?? 'Untitled')}</h4>
-					<span class="rounded-full border border-slate-800/70 bg-slate-950/60 px-2 py-0.5 text-xs uppercase tracking-wide text-slate-300">${escapeHtml(folderBadge)}</span>
-				</div>
-				${summary}
-				${metaSection}
-			</a>
-		`;
-		return `
-			<li class="group rounded-2xl border border-slate-800/70 bg-slate-900/60 p-4 transition hover:border-brand-500/40">
-				<div class="flex items-start gap-4">
-					${checkbox}
-					<div class="flex-1 space-y-3">
-						${infoLink}
-						<div class="flex flex-wrap items-center gap-3">
-							<button type="button" data-kraska-open="${index}" class="inline-flex items-center gap-2 rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">
-								<span>Open</span>
-							</button>
-							${queueHint}
-						</div>
-					</div>
-					<div class="flex h-10 w-10 items-center justify-center rounded-full bg-slate-800/60 text-brand-300">📁</div>
-				</div>
-			</li>
-		`;
+function kraskaItemMatchesFilter(item, filter) {
+	const tokens = normalizeLabelForComparison(filter ?? '').split(' ').filter(Boolean);
+	if (tokens.length === 0) return true;
+	const haystack = normalizeLabelForComparison([item?.label, item?.summary].filter((value) => typeof value === 'string').join(' '));
+	return tokens.every((token) => haystack.includes(token));
+}
+
+function setKraskaFilter(value) {
+	state.kraska.filter = value;
+	if (els.kraskaFilter instanceof HTMLInputElement && els.kraskaFilter.value !== value) {
+		els.kraskaFilter.value = value;
 	}
+}
 
-	const checked = state.kraska.selected.has(item.cacheKey) ? 'checked' : '';
-	const summary = item.summary ? `<p class="text-sm text-slate-400 line-clamp-2">${escapeHtml(item.summary)}</p>` : '';
-	const metaSection = renderKraskaMetaChips(item);
-	const actionButtons = renderKraskaActionButtons(item, index);
-	const actionsMarkup = actionButtons.length > 0
-		? `<div class="flex flex-wrap gap-2">${actionButtons.join('')}</div>`
-		: '';
+const KRASKA_BRANCH_SEARCH_DEPTH = 3;
+const KRASKA_BRANCH_SEARCH_MAX_VISITS = 400;
+const KRASKA_BRANCH_SEARCH_MAX_MATCHES = 200;
+
+async function runKraskaBranchSearch() {
+	const query = state.kraska.filter.trim();
+	if (query === '') {
+		showToast('Type something in the filter box first.', 'warning');
+		els.kraskaFilter?.focus();
+		return;
+	}
+	cancelKraskaBranchSearch();
+
+	const controller = new AbortController();
+	const rootTrail = state.kraska.trail.length > 0
+		? state.kraska.trail.slice()
+		: [{ path: normalizeKraskaPath(state.kraska.currentPath ?? '/'), label: state.kraska.title ?? 'Browse' }];
+	const search = {
+		query,
+		rootPath: normalizeKraskaPath(state.kraska.currentPath ?? '/'),
+		running: true,
+		scanned: 0,
+		matches: [],
+		truncated: false,
+		cancelled: false,
+		error: null,
+		controller,
+	};
+	state.kraska.branchSearch = search;
+	renderKraskaBranchSearch();
+
+	try {
+		const complete = await walkKraskaBranch(search.rootPath, {
+			maxDepth: KRASKA_BRANCH_SEARCH_DEPTH,
+			maxVisits: KRASKA_BRANCH_SEARCH_MAX_VISITS,
+			signal: controller.signal,
+			trail: rootTrail,
+			onLevel: (items, { trail, depth }) => {
+				search.scanned++;
+				items.forEach((item) => {
+					// The current level is already covered by the instant filter.
+					if (depth === 0 || !kraskaItemMatchesFilter(item, query)) return;
+					if (search.matches.length >= KRASKA_BRANCH_SEARCH_MAX_MATCHES) {
+						search.truncated = true;
+						return;
+					}
+					search.matches.push({ item, trail });
+				});
+				if (state.kraska.branchSearch === search) {
+					renderKraskaBranchSearch();
+				}
+				return search.matches.length < KRASKA_BRANCH_SEARCH_MAX_MATCHES;
+			},
+		});
+		search.truncated = search.truncated || !complete;
+	} catch (error) {
+		if (isAbortError(error)) {
+			search.cancelled = true;
+		} else {
+			search.error = messageFromError(error);
+		}
+	} finally {
+		search.running = false;
+		search.controller = null;
+		if (state.kraska.branchSearch === search) {
+			renderKraskaBranchSearch();
+		}
+	}
+}
+
+function cancelKraskaBranchSearch() {
+	state.kraska.branchSearch?.controller?.abort();
+}
+
+function renderKraskaBranchSearch() {
+	const el = els.kraskaBranchSearch;
+	if (els.kraskaBranchSearchBtn) {
+		els.kraskaBranchSearchBtn.toggleAttribute('disabled', Boolean(state.kraska.branchSearch?.running));
+	}
+	if (!(el instanceof HTMLElement)) return;
+	const search = state.kraska.branchSearch;
+	if (!search) {
+		el.innerHTML = '';
+		toggleElement(el, false);
+		return;
+	}
+
+	const status = search.running
+		? `Searching… ${search.scanned} folder${search.scanned === 1 ? '' : 's'} scanned, ${search.matches.length} match${search.matches.length === 1 ? '' : 'es'}`
+		: `${search.matches.length} match${search.matches.length === 1 ? '' : 'es'} in ${search.scanned} folder${search.scanned === 1 ? '' : 's'} (up to ${KRASKA_BRANCH_SEARCH_DEPTH} levels deep)`;
+	const notes = [
+		search.cancelled ? 'Cancelled – showing what was found so far.' : null,
+		search.truncated ? 'Stopped early – refine the query to see everything.' : null,
+		search.error,
+	].filter(Boolean);
+	const matches = search.matches
+		.map(({ item, trail }, index) => {
+			const isBranch = item.queueMode === 'branch' || item.type === 'dir';
+			const crumbs = trail.map((crumb) => escapeHtml(crumb.label ?? crumb.path ?? '')).join(' <span class="text-slate-600">›</span> ');
+			return `
+				<li class="flex flex-wrap items-center justify-between gap-3 rounded-lg border border-slate-800/60 bg-slate-900/60 px-3 py-2">
+					<div class="min-w-0 flex-1">
+						<div class="flex flex-wrap items-center gap-2">
+							<span class="text-sm font-semibold text-slate-100">${escapeHtml(item.label ?? 'Untitled')}</span>
+							<span class="rounded-full border border-slate-800/70 bg-slate-950/60 px-2 py-0.5 text-[11px] uppercase tracking-wide text-slate-400">${isBranch ? 'Directory' : escapeHtml(item.type ?? 'video')}</span>
+							${isBranch ? '' : renderLibraryBadge(libraryStatus(kraskaItemLibraryKeys(item)))}
+						</div>
+						<div class="truncate text-xs text-slate-500">${crumbs}</div>
+					</div>
+					<div class="flex gap-2">
+						<button type="button" data-kraska-branch-open="${index}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">${isBranch ? 'Open' : 'Open folder'}</button>
+						${!isBranch && item.ident ? `<button type="button" data-kraska-branch-options="${index}" class="rounded-lg bg-brand-500 px-2 py-1 text-xs font-semibold text-white transition hover:bg-brand-400">Choose stream</button>` : ''}
+					</div>
+				</li>
+			`;
+		})
+		.join('');
+
+	el.innerHTML = `
+		<div class="flex flex-wrap items-center justify-between gap-2">
+			<p class="text-sm text-slate-300"><span class="font-semibold">Branch search for "${escapeHtml(search.query)}":</span> ${status}</p>
+			${search.running
+				? '<button type="button" data-kraska-branch-cancel class="rounded-lg border border-rose-500/40 bg-rose-500/10 px-2 py-1 text-xs font-semibold text-rose-200">Cancel</button>'
+				: '<button type="button" data-kraska-branch-close class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-xs font-semibold text-slate-300">Close</button>'}
+		</div>
+		${notes.map((note) => `<p class="text-xs text-amber-200">${escapeHtml(note)}</p>`).join('')}
+		${matches ? `<ul class="space-y-2">${matches}</ul>` : ''}
+	`;
+	toggleElement(el, true);
+}
+
+/**
+ * True when the current Kra.sk level is a series: it lists season folders or episode files.
+ */
+function kraskaLevelLooksLikeSeries() {
+	const items = Array.isArray(state.kraska.items) ? state.kraska.items : [];
+	const seasonFolders = items.filter((item) => item.queueMode === 'branch' && item.path && labelLooksLikeKraskaSeason(item.label));
+	const episodes = items.filter((item) => item.queueMode !== 'branch' && item.ident && resolveKraskaEpisodeNumbers(item, null));
+	return seasonFolders.length > 0 || episodes.length >= 2;
+}
+
+/**
+ * Season/episode numbers of a Kra.sk file from its metadata or label (`1x02 - Title`, `S01E02`).
+ * `fallbackSeason` is used when only the episode is known (e.g. inside a season folder).
+ */
+function resolveKraskaEpisodeNumbers(item, fallbackSeason) {
+	const meta = collectKraskaItemMetaHints(item?.meta) ?? {};
+	const label = typeof item?.label === 'string' ? item.label : '';
+	const parsed = label !== '' ? parseKraskaEpisodeLabel(label) : null;
+	const code = label.match(/S(\d{1,2})E(\d{1,3})/i);
+	const season = meta.season ?? parsed?.season ?? (code ? Number.parseInt(code[1], 10) : null) ?? fallbackSeason;
+	const episode = meta.episode ?? parsed?.episode ?? (code ? Number.parseInt(code[2], 10) : null);
+	if (!Number.isFinite(episode)) {
+		return null;
+	}
+	return { season: Number.isFinite(season) ? season : fallbackSeason, episode, title: parsed?.episodeTitle || null };
+}
+
+/**
+ * Lists the episodes of the current series level and of each of its season folders.
+ * Download state is not stored here; the grid reads it from the library index when rendering.
+ */
+async function loadKraskaEpisodeGrid() {
+	state.kraska.episodeGrid?.controller?.abort();
+	const rootPath = normalizeKraskaPath(state.kraska.currentPath ?? '/');
+	const controller = new AbortController();
+	const grid = { rootPath, loading: true, error: null, seasons: [], controller };
+	state.kraska.episodeGrid = grid;
+	renderKraskaEpisodeGrid();
+
+	// Seasons are keyed by the folder they were listed from, so two folders claiming the same
+	// number (or none) stay apart; files of the series level itself are split by their number.
+	const seasons = new Map();
+	const addEpisodes = (items, folder, fallbackSeason) => {
+		items.forEach((item) => {
+			if (item.queueMode === 'branch' || !item.ident) return;
+			const numbers = resolveKraskaEpisodeNumbers(item, fallbackSeason);
+			if (!numbers) return;
+			const seasonNumber = folder ? fallbackSeason ?? numbers.season ?? 0 : numbers.season ?? 0;
+			const seasonKey = folder ? folder.path : `${rootPath}#${seasonNumber}`;
+			if (!seasons.has(seasonKey)) {
+				seasons.set(seasonKey, { key: seasonKey, season: seasonNumber, folder, episodes: new Map() });
+			}
+			const season = seasons.get(seasonKey);
+			// Several files can claim the same episode (e.g. dub and original); keep them together.
+			const existing = season.episodes.get(numbers.episode);
+			if (existing) {
+				existing.items.push(item);
+			} else {
+				season.episodes.set(numbers.episode, { episode: numbers.episode, title: numbers.title, items: [item] });
+			}
+		});
+	};
+
+	try {
+		addEpisodes(state.kraska.items ?? [], null, null);
+		const folders = (state.kraska.items ?? []).filter((item) => item.queueMode === 'branch' && item.path && labelLooksLikeKraskaSeason(item.label));
+		for (const folder of folders) {
+			await walkKraskaBranch(folder.path, {
+				maxDepth: 0,
+				signal: controller.signal,
+				onLevel: (items) => {
+					addEpisodes(items, { label: folder.label ?? null, path: folder.path }, extractSeasonNumberFromLabel(folder.label));
+				},
+			});
+		}
+		grid.seasons = Array.from(seasons.values())
+			.sort((a, b) => a.season - b.season || (a.folder?.label ?? '').localeCompare(b.folder?.label ?? '', undefined, { numeric: true }))
+			.map((season) => ({ ...season, episodes: Array.from(season.episodes.values()).sort((a, b) => a.episode - b.episode) }));
+		if (grid.seasons.length === 0) {
+			grid.error = 'No numbered episodes were found in this folder.';
+		}
+	} catch (error) {
+		if (isAbortError(error)) return;
+		grid.error = messageFromError(error);
+	} finally {
+		grid.loading = false;
+		grid.controller = null;
+		if (state.kraska.episodeGrid === grid) {
+			renderKraskaEpisodeGrid();
+		}
+	}
+}
+
+function closeKraskaEpisodeGrid() {
+	state.kraska.episodeGrid?.controller?.abort();
+	state.kraska.episodeGrid = null;
+	renderKraskaEpisodeGrid();
+}
+
+function kraskaEpisodeStatus(episode) {
+	return libraryStatus(episode.items.flatMap((item) => kraskaItemLibraryKeys(item)));
+}
+
+function renderKraskaFollowButton() {
+	if (!els.kraskaFollowBtn) return;
+	const followed = findFollowedSeries('kraska', normalizeKraskaPath(state.kraska.currentPath ?? '/'));
+	toggleElement(els.kraskaFollowBtn, Boolean(followed) || kraskaLevelLooksLikeSeries());
+	els.kraskaFollowBtn.textContent = followed ? '★ Following' : 'Follow series';
+	els.kraskaFollowBtn.toggleAttribute('disabled', !state.user || state.kraska.loading);
+}
+
+function renderKraskaEpisodeGrid() {
+	if (els.kraskaEpisodesBtn) {
+		toggleElement(els.kraskaEpisodesBtn, kraskaLevelLooksLikeSeries());
+		els.kraskaEpisodesBtn.toggleAttribute('disabled', Boolean(state.kraska.episodeGrid?.loading));
+	}
+	renderKraskaFollowButton();
+	const el = els.kraskaEpisodes;
+	if (!(el instanceof HTMLElement)) return;
+	const grid = state.kraska.episodeGrid;
+	if (!grid) {
+		el.innerHTML = '';
+		toggleElement(el, false);
+		return;
+	}
+
+	const cellClasses = {
+		downloaded: 'border-emerald-500/50 bg-emerald-500/20 text-emerald-100',
+		queued: 'border-sky-500/50 bg-sky-500/20 text-sky-100',
+		failed: 'border-rose-500/50 bg-rose-500/10 text-rose-200',
+		missing: 'border-slate-700/70 bg-slate-900/60 text-slate-400',
+	};
+	let totalMissing = 0;
+	const rows = grid.seasons.map((season, seasonIndex) => {
+		const counts = { downloaded: 0, queued: 0, missing: 0 };
+		const cells = season.episodes.map((episode, episodeIndex) => {
+			const status = kraskaEpisodeStatus(episode);
+			const key = status === 'downloaded' || status === 'queued' ? status : 'missing';
+			counts[key]++;
+			const title = [`Episode ${episode.episode}`, episode.title, status === 'failed' ? 'failed before' : status ?? 'missing'].filter(Boolean).join(' · ');
+			return `<button type="button" data-kraska-episode="${seasonIndex}:${episodeIndex}" title="${escapeHtml(title)}" class="h-8 w-10 rounded-md border text-xs font-semibold transition hover:border-brand-400/70 ${cellClasses[status ?? 'missing']}">${episode.episode}</button>`;
+		});
+		totalMissing += counts.missing;
+		const seasonLabel = season.folder?.label || (season.season > 0 ? `Season ${season.season}` : 'Episodes');
+		return `
+			<div class="space-y-2">
+				<div class="flex flex-wrap items-center justify-between gap-2">
+					<p class="text-sm font-semibold text-slate-200">${escapeHtml(seasonLabel)} <span class="text-xs font-normal text-slate-500">${counts.downloaded} downloaded · ${counts.queued} queued · ${counts.missing} missing</span></p>
+					${counts.missing > 0 ? `<button type="button" data-kraska-episodes-queue="${seasonIndex}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Queue ${counts.missing} missing</button>` : ''}
+				</div>
+				<div class="flex flex-wrap gap-1.5">${cells.join('')}</div>
+			</div>
+		`;
+	});
+
+	el.innerHTML = `
+		<div class="flex flex-wrap items-center justify-between gap-2">
+			<p class="text-sm text-slate-300"><span class="font-semibold">Episodes</span> ${grid.loading ? 'Loading seasons…' : '<span class="text-xs text-slate-500">Click an episode to choose its stream.</span>'}</p>
+			<div class="flex gap-2">
+				${!grid.loading && totalMissing > 0 ? `<button type="button" data-kraska-episodes-queue="all" class="rounded-lg bg-brand-500 px-2 py-1 text-xs font-semibold text-white transition hover:bg-brand-400">Queue all ${totalMissing} missing</button>` : ''}
+				<button type="button" data-kraska-episodes-close class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-xs font-semibold text-slate-300">Close</button>
+			</div>
+		</div>
+		${grid.error ? `<p class="text-xs text-amber-200">${escapeHtml(grid.error)}</p>` : ''}
+		${rows.join('')}
+	`;
+	toggleElement(el, true);
+}
+
+/**
+ * Queues the missing (or previously failed) episodes of one season, or of all seasons, through
+ * the usual dry-run preview.
+ */
+function queueMissingKraskaEpisodes(seasonIndex) {
+	const grid = state.kraska.episodeGrid;
+	if (!grid || grid.loading) return;
+	const seasons = seasonIndex === null ? grid.seasons : [grid.seasons[seasonIndex]].filter(Boolean);
+	const directEntries = [];
+	const branchResults = [];
+	seasons.forEach((season) => {
+		const missing = season.episodes
+			.filter((episode) => {
+				const status = kraskaEpisodeStatus(episode);
+				return status !== 'downloaded' && status !== 'queued';
+			})
+			.map((episode) => episode.items[0]);
+		if (missing.length === 0) return;
+		if (season.folder) {
+			branchResults.push({ branch: season.folder, items: missing });
+		} else {
+			directEntries.push(...missing);
+		}
+	});
+
+	const payloadItems = buildKraskaQueuePayload(directEntries, branchResults, buildKraskaNormalizedTrail());
+	if (payloadItems.length === 0) {
+		showToast('Nothing to queue.', 'warning');
+		return;
+	}
+	openKraskaQueuePreview(payloadItems, {
+		onSubmit: async (items) => {
+			await submitKraskaQueueItems(items);
+			renderKraskaEpisodeGrid();
+		},
+	});
+}
+
+function renderKraskaItem(item, index) {
+	if ((item.queueMode === 'branch' || item.type === 'dir') && item.path) {
+		const summary = item.summary ? `<p class="text-sm text-slate-400 line-clamp-2">${escapeHtml(item.summary)}</p>` : '';
+		const metaSection = renderKraskaMetaChips(item);
+		const checked = item.selectable && state.kraska.selected.has(item.cacheKey) ? 'checked' : '';
+		const checkbox = item.selectable
+			? `<input type="checkbox" class="mt-1 h-5 w-5 rounded border-slate-700 bg-slate-950 text-brand-500 focus:ring-brand-500/60" data-kraska-select="${escapeHtml(item.cacheKey)}" ${checked} />`
+			: '';
+		const queueHint = item.selectable
+			? '<span class="text-xs text-slate-400">Queue adds every item inside this folder.</span>'
+			: (item.meta?.pagination ? '<span class="text-xs text-slate-500">Opens the next page.</span>' : '');
+		const folderBadge = item.meta?.pagination ? 'Next page' : 'Directory';
+		const infoLink = `
+			<a href="#" data-kraska-open="${index}" class="block rounded-xl px-2 py-1 text-left transition hover:bg-slate-800/40 focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-brand-500/40">
+				<div class="flex flex-wrap items-center gap-2">
+					<h4 class="text-lg font-semibold text-slate-100">${escapeHtml(item.label ?? 'Untitled')}</h4>
+					<span class="rounded-full border border-slate-800/70 bg-slate-950/60 px-2 py-0.5 text-xs uppercase tracking-wide text-slate-300">${escapeHtml(folderBadge)}</span>
+				</div>
+				${summary}
+				${metaSection}
+			</a>
+		`;
+		return `
+			<li class="group rounded-2xl border border-slate-800/70 bg-slate-900/60 p-4 transition hover:border-brand-500/40">
+				<div class="flex items-start gap-4">
+					${checkbox}
+					<div class="flex-1 space-y-3">
+						${infoLink}
+						<div class="flex flex-wrap items-center gap-3">
+							<button type="button" data-kraska-open="${index}" class="inline-flex items-center gap-2 rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">
+								<span>Open</span>
+							</button>
+							${queueHint}
+						</div>
+					</div>
+					<div class="flex h-10 w-10 items-center justify-center rounded-full bg-slate-800/60 text-brand-300">📁</div>
+				</div>
+			</li>
+		`;
+	}
+
+	const checked = state.kraska.selected.has(item.cacheKey) ? 'checked' : '';
+	const summary = item.summary ? `<p class="text-sm text-slate-400 line-clamp-2">${escapeHtml(item.summary)}</p>` : '';
+	const metaSection = renderKraskaMetaChips(item);
+	const actionButtons = renderKraskaActionButtons(item, index);
+	const actionsMarkup = actionButtons.length > 0
+		? `<div class="flex flex-wrap gap-2">${actionButtons.join('')}</div>`
+		: '';
 	const thumb = item.art?.thumb ?? item.art?.poster ?? item.art?.fanart ?? null;
 	const thumbnail = thumb ? `<img src="${escapeHtml(thumb)}" alt="${escapeHtml(item.label ?? 'Artwork')}" class="h-16 w-16 rounded-lg object-cover" loading="lazy" />` : '';
 
@@ -1445,6 +2357,7 @@ function renderKraskaItem(item, index) {
 					<div class="flex flex-wrap items-center gap-2">
 						<h4 class="text-lg font-semibold text-slate-100">${escapeHtml(item.label ?? 'Untitled')}</h4>
 						<span class="rounded-full border border-slate-800/70 bg-slate-950/60 px-2 py-0.5 text-xs uppercase tracking-wide text-slate-300">${escapeHtml(item.type ?? 'video')}</span>
+						${renderLibraryBadge(libraryStatus(kraskaItemLibraryKeys(item)))}
 						${item.meta?.quality ? `<span class="text-xs text-slate-400">${escapeHtml(String(item.meta.quality))}</span>` : ''}
 					</div>
 					${summary}
@@ -1507,9 +2420,16 @@ function buildCacheMetaText(meta, cachedLabel = 'Cached result', freshLabel = 'F
 	if (!meta) {
 		return '';
 	}
-	const label = meta.hit ? cachedLabel : freshLabel;
+	const parts = [meta.hit ? cachedLabel : freshLabel];
 	const ageLabel = formatCacheAge(meta);
-	return ageLabel ? `${label} • ${ageLabel}` : label;
+	if (ageLabel) {
+		parts.push(ageLabel);
+	}
+	// Copies served from the browser cache (modules/krask2Cache.js) say whether they are being refreshed.
+	if (meta.source === 'browser') {
+		parts.push(meta.offline ? 'Offline copy' : meta.stale ? 'Saved copy, refreshing…' : 'Saved in browser');
+	}
+	return parts.join(' • ');
 }
 
 function updateCacheMetaElement(element, meta, options = {}) {
@@ -1625,9 +2545,14 @@ function renderKrask2ItemsCacheMeta() {
 		return;
 	}
 	const meta = state.krask2.itemsCache ?? { hit: false, fetched_at: null, age_seconds: null };
+	const pages = state.krask2.pages ?? [];
+	const unit = state.krask2.searchScope === 'all' ? 'catalogs' : 'pages';
+	const pagesNote = pages.length > 1
+		? ` (${pages.length} ${unit}, ${pages.filter((page) => page.cache?.hit).length} from cache)`
+		: '';
 	updateCacheMetaElement(els.krask2ItemsCacheMeta, meta, {
-		cachedLabel: 'Catalog cached',
-		freshLabel: 'Catalog fetched live',
+		cachedLabel: `Catalog cached${pagesNote}`,
+		freshLabel: `Catalog fetched live${pagesNote}`,
 		display: 'block',
 	});
 }
@@ -1660,7 +2585,7 @@ function updateKraskaQueueButton() {
 	if (count === 0) {
 		els.kraskaQueueBtn.textContent = 'Add selected to queue';
 	}
-	if (state.isQueueSubmitting) {
+	if (state.isQueueSubmitting || isKraskaCollectionActive()) {
 		els.kraskaQueueBtn.setAttribute('disabled', 'true');
 	} else {
 		els.kraskaQueueBtn.removeAttribute('disabled');
@@ -1727,11 +2652,16 @@ function getSelectableKraskaKeys() {
 
 	return state.kraska.items
 		.filter((item) => item && typeof item.cacheKey === 'string' && item.cacheKey !== '' && item.selectable !== false)
+		.filter((item) => kraskaItemMatchesFilter(item, state.kraska.filter))
 		.map((item) => String(item.cacheKey));
 }
 
 async function queueSelectedKraska() {
 	if (state.isQueueSubmitting || state.kraska.selected.size === 0) return;
+	if (isKraskaCollectionActive()) {
+		showToast('Finish or cancel the folder collection in progress first.', 'warning');
+		return;
+	}
 	const selections = Array.from(state.kraska.selected)
 		.map((cacheKey) => state.kraska.items.find((item) => item.cacheKey === cacheKey))
 		.filter(Boolean);
@@ -1754,81 +2684,115 @@ async function queueSelectedKraska() {
 		return;
 	}
 
+	const baseTrail = buildKraskaNormalizedTrail();
+	// Folders are expanded by a background collection task that ends in the dry-run preview.
+	if (branchEntries.length > 0) {
+		startKraskaCollection({ directEntries, branchEntries, baseTrail });
+		return;
+	}
+
 	state.isQueueSubmitting = true;
 	if (els.kraskaQueueBtn) {
 		els.kraskaQueueBtn.setAttribute('disabled', 'true');
-		els.kraskaQueueBtn.textContent = branchEntries.length > 0 ? 'Collecting…' : 'Queuing…';
+		els.kraskaQueueBtn.textContent = 'Queuing…';
 	}
 
 	try {
-		const queueMap = new Map();
-		const baseTrail = buildKraskaNormalizedTrail();
-		const addQueueItem = (provider, externalId, title, metadata) => {
-			const key = `${provider}:${externalId}`;
-			if (!queueMap.has(key)) {
-				queueMap.set(key, {
-					provider,
-					external_id: externalId,
-					title: title && title.trim() !== '' ? title : `${provider.toUpperCase()} ${externalId}`,
-					...(metadata && Object.keys(metadata).length > 0 ? { metadata } : {}),
-				});
-			}
-		};
-
-		for (const item of directEntries) {
-			const provider = item.provider ?? 'kraska';
-			const title = item.label ?? item.summary ?? 'Untitled';
-			const metadata = buildKraskaMetadataForItem(item, { baseTrail });
-			addQueueItem(provider, item.ident, title, metadata);
+		const payloadItems = buildKraskaQueuePayload(directEntries, [], baseTrail);
+		if (payloadItems.length === 0) {
+			showToast('Nothing to queue.', 'warning');
+			return;
+		}
+		await submitKraskaQueueItems(payloadItems);
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+	} finally {
+		state.isQueueSubmitting = false;
+		if (els.kraskaQueueBtn) {
+			els.kraskaQueueBtn.removeAttribute('disabled');
 		}
+		updateKraskaQueueButton();
+		updateKraskaSelectAllCheckbox();
+	}
+}
 
-		for (const branch of branchEntries) {
-			const collected = await collectKraskaBranchItems(branch.path);
-			const branchTrail = appendKraskaTrail(baseTrail, {
-				label: typeof branch.label === 'string' ? branch.label : null,
-				path: typeof branch.path === 'string' ? branch.path : null,
+/**
+ * Turns directly selected items and collected branch contents (`[{ branch, items }]`) into
+ * `API.queue` payload items, dropping duplicates and anything the library check rejects.
+ */
+function buildKraskaQueuePayload(directEntries, branchResults, baseTrail) {
+	const queueMap = new Map();
+	const addQueueItem = (provider, externalId, title, metadata) => {
+		const key = `${provider}:${externalId}`;
+		if (!queueMap.has(key)) {
+			queueMap.set(key, {
+				provider,
+				external_id: externalId,
+				title: title && title.trim() !== '' ? title : `${provider.toUpperCase()} ${externalId}`,
+				...(metadata && Object.keys(metadata).length > 0 ? { metadata } : {}),
 			});
-			for (const item of collected) {
-				if (!item.ident) continue;
-				const provider = item.provider ?? 'kraska';
-				const title = item.label ?? item.summary ?? branch.label ?? 'Untitled';
-				const metadata = buildKraskaMetadataForItem(item, {
-					baseTrail,
-					trailOverride: branchTrail,
-					branch,
-				});
-				addQueueItem(provider, item.ident, title, metadata);
-			}
 		}
+	};
 
-		const payloadItems = Array.from(queueMap.values());
-		if (payloadItems.length === 0) {
-			showToast('Nothing to queue.', 'warning');
-			state.kraska.selected.clear();
-			return;
-		}
+	for (const item of directEntries) {
+		const provider = item.provider ?? 'kraska';
+		const title = item.label ?? item.summary ?? 'Untitled';
+		const metadata = buildKraskaMetadataForItem(item, { baseTrail });
+		addQueueItem(provider, item.ident, title, metadata);
+	}
 
-		if (els.kraskaQueueBtn) {
-			els.kraskaQueueBtn.textContent = `Queuing ${payloadItems.length}…`;
+	for (const { branch, items } of branchResults) {
+		const branchTrail = appendKraskaTrail(baseTrail, {
+			label: typeof branch.label === 'string' ? branch.label : null,
+			path: typeof branch.path === 'string' ? branch.path : null,
+		});
+		for (const item of items) {
+			if (!item.ident) continue;
+			const provider = item.provider ?? 'kraska';
+			const title = item.label ?? item.summary ?? branch.label ?? 'Untitled';
+			const metadata = buildKraskaMetadataForItem(item, {
+				baseTrail,
+				trailOverride: branchTrail,
+				branch,
+			});
+			addQueueItem(provider, item.ident, title, metadata);
 		}
+	}
 
+	return resolveLibraryDuplicates(
+		Array.from(queueMap.values()).map((item) => ({
+			label: item.title,
+			keys: kraskaItemLibraryKeys({ provider: item.provider, ident: item.external_id }),
+			item,
+		}))
+	).map((entry) => entry.item);
+}
+
+/**
+ * Posts prepared Kra.sk queue payload items and clears the menu selection on success.
+ * Errors propagate so the caller (or the preview dialog) can report them.
+ */
+async function submitKraskaQueueItems(payloadItems) {
+	state.isQueueSubmitting = true;
+	if (els.kraskaQueueBtn) {
+		els.kraskaQueueBtn.setAttribute('disabled', 'true');
+		els.kraskaQueueBtn.textContent = `Queuing ${payloadItems.length}…`;
+	}
+
+	try {
 		await fetchJson(API.queue, {
 			method: 'POST',
 			body: JSON.stringify({ items: payloadItems }),
 		});
 		showToast(`Queued ${payloadItems.length} item${payloadItems.length === 1 ? '' : 's'}.`, 'success');
+		noteLibraryQueued(payloadItems.map((item) => kraskaItemLibraryKeys({ provider: item.provider, ident: item.external_id })));
 		state.kraska.selected.clear();
-		updateKraskaSelectAllCheckbox();
+		renderKraskaMenu();
 		if (state.currentView === 'queue') {
 			loadJobs();
 		}
-	} catch (error) {
-		showToast(messageFromError(error), 'error');
 	} finally {
 		state.isQueueSubmitting = false;
-		if (els.kraskaQueueBtn) {
-			els.kraskaQueueBtn.removeAttribute('disabled');
-		}
 		updateKraskaQueueButton();
 		updateKraskaSelectAllCheckbox();
 	}
@@ -2434,44 +3398,256 @@ function normalizeKraskaItems(items) {
 	});
 }
 
-async function collectKraskaBranchItems(rootPath) {
-	const startPath = normalizeKraskaPath(rootPath);
-	const visited = new Set();
-	const stack = [startPath];
-	const collected = [];
-	const MAX_BRANCH_VISITS = 2000;
+const KRASKA_COLLECTION_MAX_VISITS = 2000;
+const KRASKA_COLLECTION_AUTO_WAIT_SECONDS = 120;
+const KRASKA_COLLECTION_DEFAULT_WAIT_SECONDS = 30;
+
+function isKraskaCollectionActive() {
+	const status = state.kraska.collection?.status;
+	return status === 'running' || status === 'waiting' || status === 'paused';
+}
+
+/**
+ * Starts expanding the selected folders in the background. Progress is kept on the task
+ * (one walk cursor per folder), so a rate-limit wait or failure can resume where it stopped.
+ */
+function startKraskaCollection({ directEntries, branchEntries, baseTrail }) {
+	state.kraska.collection = {
+		status: 'running',
+		directEntries,
+		baseTrail,
+		branches: branchEntries.map((branch) => ({ branch, cursor: createKraskaWalkCursor(branch.path), items: [] })),
+		branchIndex: 0,
+		visited: 0,
+		found: 0,
+		waits: 0,
+		retryAt: null,
+		message: null,
+		controller: null,
+		resumeTimeout: null,
+		tickInterval: null,
+	};
+	void runKraskaCollection(state.kraska.collection);
+}
+
+async function runKraskaCollection(task) {
+	clearKraskaCollectionTimers(task);
+	const controller = new AbortController();
+	task.status = 'running';
+	task.controller = controller;
+	task.retryAt = null;
+	task.message = null;
+	renderKraskaCollection();
+
+	try {
+		while (task.branchIndex < task.branches.length) {
+			const entry = task.branches[task.branchIndex];
+			const complete = await walkKraskaBranch(entry.branch.path, {
+				maxVisits: KRASKA_COLLECTION_MAX_VISITS,
+				signal: controller.signal,
+				cursor: entry.cursor,
+				onLevel: (items) => {
+					task.visited++;
+					items.forEach((item) => {
+						if (item.queueMode !== 'branch' && item.ident) {
+							entry.items.push(item);
+							task.found++;
+						}
+					});
+					renderKraskaCollection();
+					return task.controller === controller;
+				},
+			});
+			if (task.controller !== controller) return;
+			if (!complete) {
+				task.status = 'failed';
+				task.message = `"${entry.branch.label ?? entry.branch.path}" has more than ${KRASKA_COLLECTION_MAX_VISITS} folders; select smaller parts of it instead.`;
+				return;
+			}
+			task.branchIndex++;
+		}
+		task.status = 'done';
+		openKraskaCollectionPreview(task);
+	} catch (error) {
+		if (isAbortError(error) || task.controller !== controller) return;
+		if (error?.status === 429) {
+			task.waits++;
+			const waitSeconds = Number.isFinite(error.retryAfter) && error.retryAfter > 0 ? error.retryAfter : KRASKA_COLLECTION_DEFAULT_WAIT_SECONDS;
+			task.retryAt = Date.now() + waitSeconds * 1000;
+			task.message = messageFromError(error);
+			if (waitSeconds <= KRASKA_COLLECTION_AUTO_WAIT_SECONDS) {
+				task.status = 'waiting';
+				task.resumeTimeout = setTimeout(() => void runKraskaCollection(task), waitSeconds * 1000);
+				task.tickInterval = setInterval(renderKraskaCollection, 1000);
+			} else {
+				task.status = 'paused';
+			}
+			return;
+		}
+		task.status = 'paused';
+		task.message = messageFromError(error);
+	} finally {
+		if (task.controller === controller) {
+			task.controller = null;
+		}
+		renderKraskaCollection();
+	}
+}
+
+function cancelKraskaCollection() {
+	const task = state.kraska.collection;
+	if (!task) return;
+	clearKraskaCollectionTimers(task);
+	task.controller?.abort();
+	task.controller = null;
+	state.kraska.collection = null;
+	renderKraskaCollection();
+}
+
+function clearKraskaCollectionTimers(task) {
+	if (task.resumeTimeout) {
+		clearTimeout(task.resumeTimeout);
+		task.resumeTimeout = null;
+	}
+	if (task.tickInterval) {
+		clearInterval(task.tickInterval);
+		task.tickInterval = null;
+	}
+}
+
+function openKraskaCollectionPreview(task) {
+	const payloadItems = buildKraskaQueuePayload(
+		task.directEntries,
+		task.branches.map(({ branch, items }) => ({ branch, items })),
+		task.baseTrail
+	);
+	if (payloadItems.length === 0) {
+		showToast('Nothing to queue.', 'warning');
+		return;
+	}
+	openKraskaQueuePreview(payloadItems, {
+		onSubmit: async (items) => {
+			await submitKraskaQueueItems(items);
+			if (state.kraska.collection === task) {
+				state.kraska.collection = null;
+				renderKraskaCollection();
+			}
+		},
+	});
+}
+
+function renderKraskaCollection() {
+	const el = els.kraskaCollection;
+	if (!(el instanceof HTMLElement)) return;
+	const task = state.kraska.collection;
+	if (!task) {
+		el.innerHTML = '';
+		toggleElement(el, false);
+		return;
+	}
+
+	const total = task.branches.length;
+	const current = task.branches[Math.min(task.branchIndex, total - 1)]?.branch;
+	const secondsLeft = task.retryAt ? Math.max(0, Math.ceil((task.retryAt - Date.now()) / 1000)) : null;
+	const headline = {
+		running: `Collecting folder ${Math.min(task.branchIndex + 1, total)} of ${total}: ${current?.label ?? current?.path ?? ''}`,
+		waiting: `Kra.sk is rate limiting; continuing in ${secondsLeft ?? 0}s`,
+		paused: 'Collection paused',
+		failed: 'Collection stopped',
+		done: `Collected ${task.found} file${task.found === 1 ? '' : 's'} from ${total} folder${total === 1 ? '' : 's'}`,
+	}[task.status];
+	const stats = [
+		`${task.visited} path${task.visited === 1 ? '' : 's'} visited`,
+		`${task.found} file${task.found === 1 ? '' : 's'} found`,
+		`${task.waits} rate-limit wait${task.waits === 1 ? '' : 's'}`,
+	].join(' · ');
+	const note = task.status === 'paused' && secondsLeft
+		? `${task.message ?? 'Kra.sk is backing off.'} Try again in about ${Math.ceil(secondsLeft / 60)} min; progress is kept.`
+		: task.status === 'paused' ? `${task.message ?? 'Request failed.'} Progress is kept, resume to continue from the failed folder.` : task.message;
+	const buttonClass = 'rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200';
+	const buttons = [
+		task.status === 'waiting' ? `<button type="button" data-kraska-collection-resume class="${buttonClass}">Retry now</button>` : '',
+		task.status === 'paused' ? `<button type="button" data-kraska-collection-resume class="${buttonClass}">Resume</button>` : '',
+		task.status === 'done' ? '<button type="button" data-kraska-collection-review class="rounded-lg bg-brand-500 px-2 py-1 text-xs font-semibold text-white transition hover:bg-brand-400">Review and queue</button>' : '',
+		isKraskaCollectionActive()
+			? '<button type="button" data-kraska-collection-cancel class="rounded-lg border border-rose-500/40 bg-rose-500/10 px-2 py-1 text-xs font-semibold text-rose-200">Cancel</button>'
+			: `<button type="button" data-kraska-collection-cancel class="${buttonClass}">Close</button>`,
+	].join('');
+
+	el.innerHTML = `
+		<div class="flex flex-wrap items-center justify-between gap-2">
+			<p class="text-sm font-semibold text-slate-200">${escapeHtml(headline)}</p>
+			<div class="flex gap-2">${buttons}</div>
+		</div>
+		<p class="text-xs text-slate-400">${stats}</p>
+		${note && task.status !== 'running' ? `<p class="text-xs ${task.status === 'failed' ? 'text-rose-200' : 'text-amber-200'}">${escapeHtml(note)}</p>` : ''}
+	`;
+	toggleElement(el, true);
+	updateKraskaQueueButton();
+}
+
+/**
+ * Walk position (pending levels and visited paths) for `walkKraskaBranch`. Passing the same cursor
+ * again resumes the walk where it stopped.
+ */
+function createKraskaWalkCursor(rootPath, trail = []) {
+	return {
+		stack: [{ path: normalizeKraskaPath(rootPath), depth: 0, trail }],
+		visited: new Set(),
+	};
+}
+
+/**
+ * Depth-first walk of the Kra.sk menu below `rootPath`. `onLevel(items, { path, trail, depth })`
+ * sees every listed level (`trail` ends with that level) and may return false to stop the walk.
+ * Levels deeper than `maxDepth` are not opened. Resolves to false when stopped before the end.
+ * When a level fails to load it stays pending in `cursor`, so a later call can retry from there.
+ */
+async function walkKraskaBranch(rootPath, { maxDepth = Infinity, maxVisits = 2000, signal = null, trail = [], cursor = null, onLevel } = {}) {
+	const { stack, visited } = cursor ?? createKraskaWalkCursor(rootPath, trail);
 
 	while (stack.length > 0) {
-		const current = stack.pop();
+		const node = stack.pop();
+		const { path: current, depth, trail: currentTrail } = node;
 		if (!current || visited.has(current)) {
 			continue;
 		}
-		visited.add(current);
 
 		let items = [];
 		if (normalizeKraskaPath(state.kraska.currentPath ?? '/') === current) {
 			items = state.kraska.items ?? [];
 		} else {
 			const params = new URLSearchParams({ path: current });
-			const response = await fetchJson(`${API.kraskaMenu}?${params.toString()}`);
+			let response;
+			try {
+				response = await fetchJson(`${API.kraskaMenu}?${params.toString()}`, signal ? { signal } : {});
+			} catch (error) {
+				stack.push(node);
+				throw error;
+			}
 			const rawItems = Array.isArray(response?.data?.items) ? response.data.items : [];
 			items = normalizeKraskaItems(rawItems);
 		}
+		visited.add(current);
+
+		if (typeof onLevel === 'function' && onLevel(items, { path: current, trail: currentTrail, depth }) === false) {
+			return false;
+		}
 
-		for (const entry of items) {
-			if (entry.queueMode === 'branch' && entry.path) {
-				stack.push(entry.path);
-			} else if (entry.ident) {
-				collected.push(entry);
+		if (depth < maxDepth) {
+			for (const entry of items) {
+				if (entry.queueMode === 'branch' && entry.path) {
+					stack.push({ path: entry.path, depth: depth + 1, trail: currentTrail.concat({ path: entry.path, label: entry.label ?? null }) });
+				}
 			}
 		}
 
-		if (visited.size > MAX_BRANCH_VISITS) {
-			throw new Error('Exceeded traversal limit while expanding selection.');
+		if (visited.size > maxVisits) {
+			return false;
 		}
 	}
 
-	return collected;
+	return true;
 }
 
 async function openKraskaOptionsModal(item) {
@@ -2514,6 +3690,8 @@ async function openKraskaOptionsModal(item) {
 	state.kraska.variantsError = null;
 	state.kraska.variantQueueing = false;
 	state.kraska.variantsCache = null;
+	state.kraska.variantSort = null;
+	state.kraska.variantSelection = new Set();
 
 	renderKraskaOptionsModal();
 	els.modal.showModal();
@@ -2526,6 +3704,7 @@ async function openKraskaOptionsModal(item) {
 			state.kraska.variantsLoading = false;
 			state.kraska.variantQueueing = false;
 			state.kraska.variantsCache = null;
+			state.kraska.variantSelection = new Set();
 		},
 		{ once: true }
 	);
@@ -2552,6 +3731,7 @@ async function loadKraskaVariantOptions(options = {}) {
 	state.kraska.variantsLoading = true;
 	state.kraska.variantsError = null;
 	state.kraska.variantsCache = null;
+	state.kraska.variantSelection = new Set();
 	renderKraskaOptionsModal();
 
 	try {
@@ -2591,6 +3771,21 @@ function renderKraskaOptionsModal() {
  		? `<div class="mt-3 flex flex-wrap items-center justify-between gap-2 text-xs">${cacheLabel ? `<span class="rounded-full border border-slate-800/60 bg-slate-900/40 px-2 py-0.5 text-slate-300">${escapeHtml(cacheLabel)}</span>` : '<span class="text-slate-500">Cache metadata unavailable</span>'}${refreshButton}</div>`
  		: '';
 
+	const profile = getActiveQualityProfile();
+	const profilePick = profile ? rankVariantsByProfile(variants, profile)[0] ?? null : null;
+	const profileRow = state.qualityProfiles.length > 0
+		? `
+			<div class="mt-3 flex flex-wrap items-center gap-2 text-xs">
+				<label class="inline-flex items-center gap-2 text-slate-300">
+					Profile
+					<select data-kraska-profile-select class="rounded-lg border border-slate-800 bg-slate-950/70 px-2 py-1 text-xs text-slate-100 focus:border-brand-400 focus:outline-none">${renderQualityProfileOptions()}</select>
+				</label>
+				${profile ? `<span class="text-slate-500">${escapeHtml(describeQualityProfile(profile) || 'No limits')}</span>` : ''}
+				${profilePick ? `<button type="button" data-kraska-queue-variant="${variants.indexOf(profilePick)}" class="ml-auto rounded-lg bg-emerald-500 px-3 py-1 text-xs font-semibold text-white shadow transition hover:bg-emerald-400 disabled:cursor-not-allowed disabled:opacity-60" ${state.kraska.variantQueueing ? 'disabled' : ''}>Queue profile pick</button>` : ''}
+			</div>
+		`
+		: '';
+
 	let bodyContent = '';
 	if (loading) {
 		bodyContent = '<div class="text-sm text-brand-300">Loading download options…</div>';
@@ -2598,26 +3793,66 @@ function renderKraskaOptionsModal() {
 		bodyContent = `<div class="rounded-lg border border-rose-500/40 bg-rose-500/10 px-3 py-2 text-sm text-rose-200">${escapeHtml(error)}</div>`;
 	} else if (variants.length === 0) {
 		bodyContent = '<div class="text-sm text-slate-400">No download variants were returned for this item.</div>';
+	} else if (state.kraska.variantView === 'table') {
+		bodyContent = renderVariantComparison(variants, {
+			sort: state.kraska.variantSort,
+			selected: state.kraska.variantSelection,
+			profile,
+			profilePick,
+			queueing: state.kraska.variantQueueing,
+		});
+		if (profile && !profilePick) {
+			bodyContent = `<div class="rounded-lg border border-amber-500/40 bg-amber-500/10 px-3 py-2 text-sm text-amber-200">No option matches the "${escapeHtml(profile.name)}" profile.</div>${bodyContent}`;
+		}
 	} else {
 		bodyContent = `
 			<ul class="space-y-3">
-				${variants.map((variant, index) => renderKraskaVariantOption(variant, index)).join('')}
+				${variants
+					.map((variant, index) => renderKraskaVariantOption(variant, index, {
+						isProfilePick: variant === profilePick,
+						outsideProfile: profile !== null && !variantMatchesProfile(variant, profile),
+					}))
+					.join('')}
 			</ul>
 		`;
+		if (profile && !profilePick) {
+			bodyContent = `<div class="rounded-lg border border-amber-500/40 bg-amber-500/10 px-3 py-2 text-sm text-amber-200">No option matches the "${escapeHtml(profile.name)}" profile.</div>${bodyContent}`;
+		}
 	}
 
+	const viewToggle = variants.length > 1
+		? `
+			<div class="inline-flex rounded-lg border border-slate-800/70 bg-slate-950/60 p-0.5 text-xs">
+				${[['list', 'List'], ['table', 'Compare']]
+					.map(([view, label]) => `<button type="button" data-kraska-variant-view="${view}" class="rounded-md px-2 py-1 font-semibold ${state.kraska.variantView === view ? 'bg-slate-800 text-slate-100' : 'text-slate-400 hover:text-slate-200'}">${label}</button>`)
+					.join('')}
+			</div>
+		`
+		: '';
+	const selectedCount = state.kraska.variantSelection.size;
+	const queueSelectedButton = state.kraska.variantView === 'table' && variants.length > 0
+		? `<button type="button" data-kraska-queue-selected-variants class="rounded-lg bg-brand-500 px-4 py-2 text-sm font-semibold text-white disabled:cursor-not-allowed disabled:opacity-50" ${selectedCount === 0 || state.kraska.variantQueueing ? 'disabled' : ''}>${state.kraska.variantQueueing ? 'Queuing…' : `Queue ${selectedCount} selected`}</button>`
+		: '';
+
 	els.modal.innerHTML = `
 		<div>
 			<header>
-				<h3 class="text-lg font-semibold text-slate-100">Download options</h3>
-				<p class="mt-1 text-sm text-slate-400">${escapeHtml(title)}</p>
+				<div class="flex flex-wrap items-start justify-between gap-3">
+					<div>
+						<h3 class="text-lg font-semibold text-slate-100">Download options</h3>
+						<p class="mt-1 text-sm text-slate-400">${escapeHtml(title)}</p>
+					</div>
+					${viewToggle}
+				</div>
 				${cacheMetaRow}
+				${profileRow}
 			</header>
 			<div class="modal-body space-y-4">
 				${bodyContent}
 			</div>
 			<footer>
 				<button type="button" data-close class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-4 py-2 text-sm text-slate-200">Close</button>
+				${queueSelectedButton}
 			</footer>
 		</div>
 	`;
@@ -2627,6 +3862,13 @@ function renderKraskaOptionsModal() {
 		els.modal.close();
 	});
 
+	const profileSelect = els.modal.querySelector('[data-kraska-profile-select]');
+	profileSelect?.addEventListener('change', () => {
+		if (profileSelect instanceof HTMLSelectElement) {
+			setActiveQualityProfile(profileSelect.value);
+		}
+	});
+
 	const refreshBtn = els.modal.querySelector('[data-krask2-options-refresh]');
 	refreshBtn?.addEventListener('click', () => {
 		if (!state.kraska.variantsLoading) {
@@ -2639,13 +3881,51 @@ function renderKraskaOptionsModal() {
 		button.addEventListener('click', () => {
 			const index = Number.parseInt(button.dataset.kraskaQueueVariant ?? '', 10);
 			if (Number.isFinite(index)) {
-				queueKraskaVariant(index, button);
+				queueKraskaVariants([index], button);
 			}
 		});
 	});
+
+	els.modal.querySelectorAll('[data-kraska-variant-view]').forEach((button) => {
+		if (!(button instanceof HTMLButtonElement)) return;
+		button.addEventListener('click', () => {
+			state.kraska.variantView = button.dataset.kraskaVariantView === 'table' ? 'table' : 'list';
+			renderKraskaOptionsModal();
+		});
+	});
+
+	els.modal.querySelectorAll('[data-variant-sort]').forEach((button) => {
+		if (!(button instanceof HTMLButtonElement)) return;
+		button.addEventListener('click', () => {
+			state.kraska.variantSort = nextVariantSort(state.kraska.variantSort, button.dataset.variantSort ?? '');
+			renderKraskaOptionsModal();
+		});
+	});
+
+	els.modal.querySelectorAll('[data-variant-select]').forEach((checkbox) => {
+		if (!(checkbox instanceof HTMLInputElement)) return;
+		checkbox.addEventListener('change', () => {
+			const index = Number.parseInt(checkbox.dataset.variantSelect ?? '', 10);
+			if (!Number.isFinite(index)) return;
+			if (checkbox.checked) {
+				state.kraska.variantSelection.add(index);
+			} else {
+				state.kraska.variantSelection.delete(index);
+			}
+			renderKraskaOptionsModal();
+		});
+	});
+
+	const queueSelectedBtn = els.modal.querySelector('[data-kraska-queue-selected-variants]');
+	queueSelectedBtn?.addEventListener('click', () => {
+		const indexes = Array.from(state.kraska.variantSelection).sort((a, b) => a - b);
+		if (indexes.length > 0 && queueSelectedBtn instanceof HTMLButtonElement) {
+			queueKraskaVariants(indexes, queueSelectedBtn);
+		}
+	});
 }
 
-function renderKraskaVariantOption(variant, index) {
+function renderKraskaVariantOption(variant, index, { isProfilePick = false, outsideProfile = false } = {}) {
 	const chips = buildKraskaVariantChips(variant);
 	const description = variant.description ?? null;
 	const summary = description ? `<p class="text-xs text-slate-400">${escapeHtml(description)}</p>` : '';
@@ -2653,11 +3933,11 @@ function renderKraskaVariantOption(variant, index) {
 	const disabledAttr = state.kraska.variantQueueing ? 'disabled' : '';
 
 	return `
-		<li class="rounded-2xl border border-slate-800/70 bg-slate-900/60 p-4">
+		<li class="rounded-2xl border ${isProfilePick ? 'border-emerald-500/50' : 'border-slate-800/70'} bg-slate-900/60 p-4 ${outsideProfile ? 'opacity-60' : ''}">
 			<div class="flex flex-col gap-3">
 				<div class="flex flex-wrap items-center justify-between gap-3">
 					<div>
-						<h4 class="text-base font-semibold text-slate-100">${escapeHtml(variant.title ?? `Option ${index + 1}`)}</h4>
+						<h4 class="text-base font-semibold text-slate-100">${escapeHtml(variant.title ?? `Option ${index + 1}`)}${isProfilePick ? ' <span class="ml-1 rounded-full border border-emerald-500/40 bg-emerald-500/10 px-2 py-0.5 text-xs font-semibold uppercase tracking-wide text-emerald-200">Profile pick</span>' : ''}${outsideProfile ? ' <span class="ml-1 text-xs font-normal text-amber-300">outside profile</span>' : ''}</h4>
 						${summary}
 					</div>
 					<button type="button" data-kraska-queue-variant="${index}" class="rounded-lg bg-brand-500 px-3 py-1.5 text-xs font-semibold text-white shadow transition hover:bg-brand-400 focus:outline-none focus:ring focus:ring-brand-500/40 disabled:cursor-not-allowed disabled:opacity-60" ${disabledAttr}>${escapeHtml(queueLabel)}</button>
@@ -2736,27 +4016,32 @@ function normalizeKraskaVariants(variants) {
 	});
 }
 
-async function queueKraskaVariant(index, button) {
+/**
+ * Queues one or more variants of the item shown in the options modal (e.g. a dubbed and an
+ * original-language release) in a single request.
+ */
+async function queueKraskaVariants(indexes, button) {
 	if (state.kraska.variantQueueing) return;
-	const variant = state.kraska.variants[index];
+	const variants = indexes.map((index) => state.kraska.variants[index]).filter(Boolean);
 	const context = state.kraska.selectedItem;
-	if (!variant || !context) return;
+	if (variants.length === 0 || !context) return;
 
 	state.kraska.variantQueueing = true;
+	const idleLabel = button instanceof HTMLButtonElement ? button.textContent : null;
 	if (button instanceof HTMLButtonElement) {
 		button.setAttribute('disabled', 'true');
 		button.textContent = 'Queuing…';
 	}
 
 	try {
-		const payloadItem = buildQueuePayloadFromVariant(context, variant);
+		const payloadItems = variants.map((variant) => buildQueuePayloadFromVariant(context, variant));
 		await fetchJson(API.queue, {
 			method: 'POST',
 			body: JSON.stringify({
-				items: [payloadItem],
+				items: payloadItems,
 			}),
 		});
-		showToast('Download queued.', 'success');
+		showToast(payloadItems.length === 1 ? 'Download queued.' : `Queued ${payloadItems.length} downloads.`, 'success');
 		if (context?.contextType === 'search' && context.cacheKey) {
 			state.selectedSearch.delete(context.cacheKey);
 			renderSearchResults();
@@ -2764,6 +4049,7 @@ async function queueKraskaVariant(index, button) {
 		els.modal?.close();
 		state.kraska.selectedItem = null;
 		state.kraska.variants = [];
+		state.kraska.variantSelection = new Set();
 		state.kraska.variantQueueing = false;
 		if (state.currentView === 'queue') {
 			loadJobs();
@@ -2773,14 +4059,14 @@ async function queueKraskaVariant(index, button) {
 		state.kraska.variantQueueing = false;
 		if (button instanceof HTMLButtonElement) {
 			button.removeAttribute('disabled');
-			button.textContent = 'Queue this option';
+			button.textContent = idleLabel ?? 'Queue this option';
 		}
 	}
 }
 
 function setKraskaMode(mode) {
 	const available = getAvailableBrowseProviders();
-	let normalized = mode === 'krask2' ? 'krask2' : 'kraska';
+	let normalized = mode === 'krask2' || mode === 'unified' ? mode : 'kraska';
 	if (available.length > 0 && !available.includes(normalized)) {
 		normalized = available[0];
 	} else if (available.length === 0) {
@@ -2788,29 +4074,24 @@ function setKraskaMode(mode) {
 	}
 
 	if (state.kraska.mode === normalized) {
-		if (normalized === 'krask2') {
-			ensureKrask2Initialized();
-		} else {
-			ensureKraskaMenuReady();
-		}
+		ensureKraskaLoaded();
 		return;
 	}
 
 	state.kraska.mode = normalized;
 	updateKraskaProviderToggle();
-	if (normalized === 'krask2') {
+	syncRoute();
+	if (normalized !== 'kraska') {
 		state.kraska.selected.clear();
 		updateKraskaQueueButton();
-		ensureKrask2Initialized();
-	} else {
-		ensureKraskaMenuReady();
 	}
+	ensureKraskaLoaded();
 }
 
 function getAvailableBrowseProviders() {
 	const providerKeys = ['kraska', 'krask2'];
 	if (!state.providersLoaded) {
-		return providerKeys;
+		return [...providerKeys, 'unified'];
 	}
 
 	if (!Array.isArray(state.providers) || state.providers.length === 0) {
@@ -2818,12 +4099,14 @@ function getAvailableBrowseProviders() {
 	}
 
 	const configuredKeys = new Set(state.providers.map((provider) => provider.key));
-	return providerKeys.filter((key) => configuredKeys.has(key));
+	const available = providerKeys.filter((key) => configuredKeys.has(key));
+	// The combined mode is only offered when both sources are configured.
+	return available.length === providerKeys.length ? [...available, 'unified'] : available;
 }
 
 function updateKraskaProviderToggle() {
 	const available = getAvailableBrowseProviders();
-	let mode = state.kraska.mode === 'krask2' ? 'krask2' : 'kraska';
+	let mode = state.kraska.mode === 'krask2' || state.kraska.mode === 'unified' ? state.kraska.mode : 'kraska';
 	if (available.length > 0 && !available.includes(mode)) {
 		mode = available[0];
 		state.kraska.mode = mode;
@@ -2836,7 +4119,7 @@ function updateKraskaProviderToggle() {
 		const buttons = els.kraskaProviderToggle.querySelectorAll('[data-kraska-provider]');
 		let visibleCount = 0;
 		buttons.forEach((button) => {
-			const providerKey = button.dataset.kraskaProvider === 'krask2' ? 'krask2' : 'kraska';
+			const providerKey = button.dataset.kraskaProvider === 'krask2' || button.dataset.kraskaProvider === 'unified' ? button.dataset.kraskaProvider : 'kraska';
 			const isAvailable = !state.providersLoaded || available.includes(providerKey);
 			button.classList.toggle('hidden', !isAvailable);
 			if (isAvailable) {
@@ -2852,6 +4135,124 @@ function updateKraskaProviderToggle() {
 	toggleElement(els.kraskaMenuControls, mode === 'kraska');
 	toggleElement(els.kraskaMenuView, mode === 'kraska');
 	toggleElement(els.krask2View, mode === 'krask2');
+	toggleElement(els.unifiedView, mode === 'unified');
+}
+
+let unifiedSearchGeneration = 0;
+
+/**
+ * Runs one term against the Kra.sk search menu and every searchable KraSk2 catalog. Both sources
+ * are searched side by side and rendered as they answer; modules/unifiedBrowse.js groups the
+ * entries by IMDb/TMDB id.
+ */
+async function runUnifiedSearch(query) {
+	if (!state.user) {
+		showToast('Please sign in first.', 'warning');
+		return;
+	}
+	const term = query.trim();
+	if (term === '') return;
+	const generation = ++unifiedSearchGeneration;
+	state.unifiedBrowse.query = term;
+	state.unifiedBrowse.kraska = { items: [], loading: true, error: null };
+	state.unifiedBrowse.krask2 = { items: [], loading: true, error: null, progress: null };
+	renderUnifiedBrowse();
+	syncRoute();
+	await Promise.all([searchUnifiedKraska(term, generation), searchUnifiedKrask2(term, generation)]);
+}
+
+function isCurrentUnifiedSearch(generation, term) {
+	return generation === unifiedSearchGeneration && state.unifiedBrowse.query === term;
+}
+
+async function searchUnifiedKraska(term, generation) {
+	const path = `/Search/search?${new URLSearchParams({ search: term, id: 'search' }).toString()}`;
+	let result;
+	try {
+		const response = await fetchJson(`${API.kraskaMenu}?${new URLSearchParams({ path }).toString()}`);
+		const items = Array.isArray(response?.data?.items) ? response.data.items : [];
+		result = {
+			items: normalizeKraskaItems(items).filter((item) => !item.meta.pagination && (item.queueMode === 'single' || item.path)),
+			loading: false,
+			error: null,
+		};
+	} catch (error) {
+		result = { items: [], loading: false, error: messageFromError(error) };
+	}
+	if (!isCurrentUnifiedSearch(generation, term)) return;
+	state.unifiedBrowse.kraska = result;
+	renderUnifiedBrowse();
+}
+
+// Same pacing as searchAllKrask2Catalogs(): one catalog at a time through the browser cache.
+async function searchUnifiedKrask2(term, generation) {
+	if (!Array.isArray(state.krask2.catalogs) || state.krask2.catalogs.length === 0) {
+		await loadKrask2Catalogs();
+	}
+	if (!isCurrentUnifiedSearch(generation, term)) return;
+	const catalogs = (state.krask2.catalogs ?? []).filter((catalog) => isKrask2CatalogSearchable(catalog));
+	const source = { items: [], loading: true, error: null, progress: { done: 0, total: catalogs.length } };
+	state.unifiedBrowse.krask2 = source;
+	const failed = [];
+	for (const catalog of catalogs) {
+		try {
+			const page = await fetchKrask2ItemsPage(catalog, term, 0, { genre: false });
+			if (!isCurrentUnifiedSearch(generation, term)) return;
+			mergeKrask2SearchItems(page.items, source.items);
+		} catch (error) {
+			if (!isCurrentUnifiedSearch(generation, term)) return;
+			failed.push(typeof catalog.name === 'string' && catalog.name !== '' ? catalog.name : String(catalog.id ?? 'catalog'));
+		}
+		source.progress.done++;
+		renderUnifiedBrowse();
+	}
+
+	source.loading = false;
+	if (catalogs.length === 0) {
+		source.error = state.krask2.catalogsError ?? 'None of the KraSk2 catalogs support search.';
+	} else if (failed.length === catalogs.length) {
+		source.error = 'Search failed in every catalog.';
+	} else if (failed.length > 0) {
+		showToast(`KraSk2 search failed in ${failed.join(', ')}.`, 'warning', 6000);
+	}
+	renderUnifiedBrowse();
+}
+
+function openUnifiedOptions(provider, item) {
+	if (provider === 'kraska') {
+		openKraskaOptionsModal(item);
+		return;
+	}
+	openKraskaOptionsModal({
+		label: item.title,
+		title: item.title,
+		external_id: item.external_id,
+		provider: 'krask2',
+		contextType: 'krask2',
+		sourceItem: item,
+		catalog: item.catalogSummary,
+	});
+}
+
+// Shows the entry in its own browse mode: the Kra.sk folder, or a search for the title in its KraSk2 catalog.
+function openUnifiedEntry(provider, item) {
+	if (provider === 'kraska') {
+		void applyRoute({ view: 'kraska', browse: { mode: 'kraska', path: item.path, trail: [], catalog: null, search: '', loadItems: false } });
+		return;
+	}
+	void applyRoute({
+		view: 'kraska',
+		browse: {
+			mode: 'krask2',
+			path: '/',
+			trail: [],
+			catalog: krask2CatalogKey(item.catalogSummary) || null,
+			search: item.title,
+			loadItems: true,
+			layout: state.krask2.layout,
+			searchAll: false,
+		},
+	});
 }
 
 function ensureKrask2Initialized() {
@@ -2879,22 +4280,32 @@ async function loadKrask2Catalogs(options = {}) {
 	renderKrask2View();
 
 	try {
-		const params = new URLSearchParams({ t: String(Date.now()) });
-		if (force) {
-			params.set('refresh', '1');
-		}
-		const response = await fetchJson(`${API.krask2Catalogs}?${params.toString()}`);
-		const manifest = response?.data?.manifest ?? null;
-		const catalogs = Array.isArray(response?.data?.catalogs) ? response.data.catalogs : [];
-		const cacheMeta = normalizeCacheMeta(response?.cache ?? null);
-		state.krask2.manifest = manifest;
-		state.krask2.catalogs = catalogs;
-		state.krask2.catalogCache = cacheMeta;
-		const firstKey = catalogs.map((catalog) => krask2CatalogKey(catalog)).find((key) => key !== '') ?? null;
-		const currentKey = state.krask2.selectedCatalogKey;
-		if (!currentKey || !catalogs.some((catalog) => krask2CatalogKey(catalog) === currentKey)) {
-			state.krask2.selectedCatalogKey = firstKey;
-		}
+		const { value, cache } = await loadWithKrask2Cache(
+			krask2CacheKey('catalogs'),
+			async () => {
+				const params = new URLSearchParams({ t: String(Date.now()) });
+				if (force) {
+					params.set('refresh', '1');
+				}
+				const response = await fetchJson(`${API.krask2Catalogs}?${params.toString()}`);
+				return {
+					value: {
+						manifest: response?.data?.manifest ?? null,
+						catalogs: Array.isArray(response?.data?.catalogs) ? response.data.catalogs : [],
+					},
+					cache: normalizeCacheMeta(response?.cache ?? null),
+				};
+			},
+			{
+				force,
+				// A stale browser copy is shown right away; the fresh list replaces it when it arrives.
+				onRevalidated: ({ value: fresh, cache: freshCache }) => {
+					applyKrask2Catalogs(fresh, freshCache);
+					renderKrask2View();
+				},
+			}
+		);
+		applyKrask2Catalogs(value, cache);
 		if (force) {
 			showToast('Catalogs refreshed.', 'success');
 		}
@@ -2902,16 +4313,32 @@ async function loadKrask2Catalogs(options = {}) {
 		state.krask2.catalogsError = messageFromError(error);
 		state.krask2.catalogs = [];
 		state.krask2.selectedCatalogKey = null;
+		krask2ItemsGeneration++;
 		state.krask2.items = [];
 		state.krask2.meta = {};
 		state.krask2.itemsRequested = false;
 		state.krask2.catalogCache = null;
+		state.krask2.pages = [];
+		state.krask2.hasMore = false;
+		state.krask2.pageLoading = false;
+		state.krask2.pageError = null;
 	} finally {
 		state.krask2.catalogsLoading = false;
 		renderKrask2View();
 	}
 }
 
+function applyKrask2Catalogs({ manifest, catalogs }, cacheMeta) {
+	state.krask2.manifest = manifest ?? null;
+	state.krask2.catalogs = Array.isArray(catalogs) ? catalogs : [];
+	state.krask2.catalogCache = cacheMeta;
+	const firstKey = state.krask2.catalogs.map((catalog) => krask2CatalogKey(catalog)).find((key) => key !== '') ?? null;
+	const currentKey = state.krask2.selectedCatalogKey;
+	if (!currentKey || !state.krask2.catalogs.some((catalog) => krask2CatalogKey(catalog) === currentKey)) {
+		state.krask2.selectedCatalogKey = firstKey;
+	}
+}
+
 function renderKrask2CatalogOptions() {
 	const select = els.krask2CatalogSelect;
 	if (!(select instanceof HTMLSelectElement)) return;
@@ -2979,82 +4406,298 @@ function setKrask2SelectedCatalog(value) {
 	} else {
 		state.krask2.selectedCatalogKey = null;
 	}
+	krask2ItemsGeneration++;
 	state.krask2.items = [];
 	state.krask2.meta = {};
 	state.krask2.itemsRequested = false;
 	state.krask2.itemsError = null;
 	state.krask2.itemsCache = null;
+	state.krask2.pages = [];
+	state.krask2.hasMore = false;
+	state.krask2.pageLoading = false;
+	state.krask2.pageError = null;
 	resetKrask2Selection();
 	renderKrask2View();
+	syncRoute();
 }
 
 function resetKrask2Selection() {
 	state.krask2.selected = new Map();
 	state.krask2.queueLabel = '';
+	krask2EpisodeAnchor = null;
 	updateKrask2QueueButton();
 }
 
+// Bumped by every fresh catalog load so pages still in flight for the previous one are dropped.
+let krask2ItemsGeneration = 0;
+
 async function loadKrask2Items(options = {}) {
 	if (!state.user) {
 		showToast('Please sign in first.', 'warning');
 		return;
 	}
+	const searchTerm = typeof els.krask2SearchInput?.value === 'string' ? els.krask2SearchInput.value.trim() : '';
+	const searchAll = state.krask2.searchAll;
+	if (searchAll && searchTerm === '') {
+		showToast('Enter a search term to search all catalogs.', 'warning');
+		return;
+	}
 	const catalog = getSelectedKrask2Catalog();
-	if (!catalog) {
+	if (!searchAll && !catalog) {
 		showToast('Select a catalog first.', 'warning');
 		return;
 	}
-	const searchTerm = typeof els.krask2SearchInput?.value === 'string' ? els.krask2SearchInput.value.trim() : '';
+	const generation = ++krask2ItemsGeneration;
 	state.krask2.searchTerm = searchTerm;
+	state.krask2.searchScope = searchAll ? 'all' : 'catalog';
+	state.krask2.searchProgress = null;
 	state.krask2.itemsLoading = true;
 	state.krask2.itemsError = null;
 	state.krask2.itemsRequested = true;
 	state.krask2.items = [];
 	state.krask2.itemsCache = null;
+	state.krask2.pages = [];
+	state.krask2.hasMore = false;
+	state.krask2.pageLoading = false;
+	state.krask2.pageError = null;
 	state.krask2.meta = {};
 	resetKrask2Selection();
 	renderKrask2View();
-	const force = options.force === true;
+	syncRoute();
 
 	try {
-		const params = new URLSearchParams({
-			type: String(catalog.type ?? ''),
-			id: String(catalog.id ?? ''),
-		});
-		if (searchTerm !== '') {
-			params.set('search', searchTerm);
-		}
-		if (force) {
-			params.set('refresh', '1');
+		if (searchAll) {
+			await searchAllKrask2Catalogs(searchTerm, generation, { force: options.force === true });
+			return;
 		}
-		const response = await fetchJson(`${API.krask2CatalogItems}?${params.toString()}`);
-		const rawItems = Array.isArray(response?.data) ? response.data : [];
-		const cacheMeta = normalizeCacheMeta(response?.cache ?? null);
-		state.krask2.items = normalizeKrask2Items(rawItems, catalog);
+		let page = null;
+		page = await fetchKrask2ItemsPage(catalog, searchTerm, 0, {
+			force: options.force === true,
+			onRevalidated: (fresh) => replaceFirstKrask2Page(page, fresh, generation),
+		});
+		if (generation !== krask2ItemsGeneration) return;
+		state.krask2.items = page.items;
+		state.krask2.pages = [page.summary];
+		state.krask2.hasMore = page.summary.count > 0;
 		state.krask2.lastLoadedSearch = searchTerm;
-		state.krask2.itemsCache = cacheMeta;
+		state.krask2.itemsCache = page.summary.cache;
 	} catch (error) {
+		if (generation !== krask2ItemsGeneration) return;
 		state.krask2.itemsError = messageFromError(error);
 		state.krask2.items = [];
 		state.krask2.itemsCache = null;
 	} finally {
-		state.krask2.itemsLoading = false;
+		if (generation === krask2ItemsGeneration) {
+			state.krask2.itemsLoading = false;
+			renderKrask2View();
+		}
+	}
+}
+
+/**
+ * Swaps the stale first page shown from the browser cache for the revalidated one. Items of later
+ * pages the user loaded meanwhile stay, minus any the fresh first page now contains.
+ */
+function replaceFirstKrask2Page(stalePage, freshPage, generation) {
+	const krask2 = state.krask2;
+	if (!stalePage || generation !== krask2ItemsGeneration || krask2.pages.length === 0) return;
+	const staleIds = new Set(stalePage.items.map((item) => item.id));
+	const freshIds = new Set(freshPage.items.map((item) => item.id));
+	krask2.items = freshPage.items.concat(krask2.items.filter((item) => !staleIds.has(item.id) && !freshIds.has(item.id)));
+	krask2.pages[0] = freshPage.summary;
+	krask2.itemsCache = freshPage.summary.cache;
+	if (krask2.pages.length === 1) {
+		krask2.hasMore = freshPage.summary.count > 0;
+	}
+	renderKrask2View();
+	renderKrask2Detail();
+}
+
+/**
+ * Appends the next Stremio `skip` page of the loaded catalog. Selections are keyed by item id,
+ * so they survive the re-render; items repeated by overlapping pages are dropped.
+ */
+async function loadMoreKrask2Items() {
+	const krask2 = state.krask2;
+	if (!state.user || !krask2.itemsRequested || !krask2.hasMore || krask2.itemsLoading || krask2.pageLoading) return;
+	if (krask2.searchScope === 'all') return;
+	const catalog = getSelectedKrask2Catalog();
+	if (!catalog) return;
+	const generation = krask2ItemsGeneration;
+	const skip = krask2.pages.reduce((total, page) => total + page.count, 0);
+	krask2.pageLoading = true;
+	krask2.pageError = null;
+	renderKrask2PagingStatus();
+
+	try {
+		const page = await fetchKrask2ItemsPage(catalog, krask2.lastLoadedSearch, skip);
+		if (generation !== krask2ItemsGeneration) return;
+		const seen = new Set(krask2.items.map((item) => item.id));
+		const fresh = page.items.filter((item) => !seen.has(item.id));
+		krask2.items = krask2.items.concat(fresh);
+		krask2.pages.push(page.summary);
+		krask2.hasMore = page.summary.count > 0 && fresh.length > 0;
+		krask2.pageLoading = false;
 		renderKrask2View();
+	} catch (error) {
+		if (generation !== krask2ItemsGeneration) return;
+		krask2.pageError = messageFromError(error);
+		krask2.pageLoading = false;
+		renderKrask2PagingStatus();
+	}
+}
+
+/**
+ * Fetches one catalog page through the browser cache. With `options.onRevalidated` a stale cached
+ * page is returned immediately and the callback later receives the fresh page.
+ *
+ * @returns {Promise<{items: Array, summary: {skip: number, count: number, cache: object|null}}>}
+ */
+async function fetchKrask2ItemsPage(catalog, searchTerm, skip, options = {}) {
+	const params = new URLSearchParams({
+		type: String(catalog.type ?? ''),
+		id: String(catalog.id ?? ''),
+	});
+	if (searchTerm !== '') {
+		params.set('search', searchTerm);
+	}
+	const genre = options.genre === false ? null : getKrask2GenreExtra(catalog);
+	if (genre !== null) {
+		params.set('genre', genre);
+	}
+	if (skip > 0) {
+		params.set('skip', String(skip));
+	}
+	const toPage = ({ value, cache }) => {
+		const rawItems = Array.isArray(value) ? value : [];
+		return {
+			items: normalizeKrask2Items(rawItems, catalog, skip),
+			summary: { skip, count: rawItems.length, cache },
+		};
+	};
+	const onRevalidated = typeof options.onRevalidated === 'function' ? options.onRevalidated : null;
+	const result = await loadWithKrask2Cache(
+		krask2CacheKey('page', params.toString()),
+		async () => {
+			if (options.force) {
+				params.set('refresh', '1');
+			}
+			const response = await fetchJson(`${API.krask2CatalogItems}?${params.toString()}`);
+			return {
+				value: Array.isArray(response?.data) ? response.data : [],
+				cache: normalizeCacheMeta(response?.cache ?? null),
+			};
+		},
+		{ force: options.force === true, onRevalidated: onRevalidated ? (fresh) => onRevalidated(toPage(fresh)) : null }
+	);
+	return toPage(result);
+}
+
+/**
+ * Runs the search against every catalog that accepts the `search` extra. Catalogs are queried one
+ * at a time so the server-side KraSk2 rate limiter paces the upstream calls, and results are shown
+ * as each catalog answers. A title found in several catalogs is listed once with every catalog label.
+ */
+async function searchAllKrask2Catalogs(searchTerm, generation, options = {}) {
+	const catalogs = (state.krask2.catalogs ?? []).filter((catalog) => isKrask2CatalogSearchable(catalog));
+	if (catalogs.length === 0) {
+		throw new Error('None of the KraSk2 catalogs support search.');
+	}
+	const progress = { done: 0, total: catalogs.length, failed: [] };
+	state.krask2.searchProgress = progress;
+	renderKrask2View();
+
+	for (const catalog of catalogs) {
+		try {
+			const page = await fetchKrask2ItemsPage(catalog, searchTerm, 0, { force: options.force === true, genre: false });
+			if (generation !== krask2ItemsGeneration) return;
+			mergeKrask2SearchItems(page.items);
+			state.krask2.pages.push(page.summary);
+			if (state.krask2.itemsCache === null) {
+				state.krask2.itemsCache = page.summary.cache;
+			}
+		} catch (error) {
+			if (generation !== krask2ItemsGeneration) return;
+			progress.failed.push(typeof catalog.name === 'string' && catalog.name !== '' ? catalog.name : String(catalog.id ?? 'catalog'));
+		}
+		progress.done++;
+		renderKrask2View();
+	}
+
+	state.krask2.lastLoadedSearch = searchTerm;
+	if (progress.failed.length === progress.total) {
+		state.krask2.itemsError = 'Search failed in every catalog.';
+	} else if (progress.failed.length > 0) {
+		showToast(`Search failed in ${progress.failed.join(', ')}.`, 'warning', 6000);
+	}
+}
+
+function isKrask2CatalogSearchable(catalog) {
+	if (!catalog || krask2CatalogKey(catalog) === '') return false;
+	if (Array.isArray(catalog.extra) && catalog.extra.some((entry) => entry?.name === 'search')) return true;
+	return Array.isArray(catalog.extraSupported) && catalog.extraSupported.includes('search');
+}
+
+function mergeKrask2SearchItems(items, target = state.krask2.items) {
+	const known = new Map(target.map((item) => [item.id, item]));
+	items.forEach((item) => {
+		const existing = known.get(item.id);
+		if (!existing) {
+			known.set(item.id, item);
+			target.push(item);
+			return;
+		}
+		item.catalogLabels.forEach((label) => {
+			if (!existing.catalogLabels.includes(label)) {
+				existing.catalogLabels.push(label);
+			}
+		});
+	});
+}
+
+// Catalog the loaded items came from; null after an all-catalogs search.
+function getKrask2ResultsCatalog() {
+	return state.krask2.itemsRequested && state.krask2.searchScope === 'all' ? null : getSelectedKrask2Catalog();
+}
+
+function renderKrask2PagingStatus() {
+	const el = els.krask2More;
+	if (!(el instanceof HTMLElement)) return;
+	const krask2 = state.krask2;
+	if (!krask2.itemsRequested || krask2.itemsLoading || krask2.items.length === 0) {
+		el.innerHTML = '';
+		toggleElement(el, false);
+		return;
 	}
+	let content;
+	if (krask2.pageLoading) {
+		content = '<span class="text-brand-300">Loading more…</span>';
+	} else if (krask2.pageError) {
+		content = `<span class="text-rose-300">${escapeHtml(krask2.pageError)}</span> <button type="button" data-krask2-load-more class="ml-2 rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Retry</button>`;
+	} else if (krask2.hasMore) {
+		content = `<button type="button" data-krask2-load-more class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Load more</button>`;
+	} else if (krask2.searchScope === 'all') {
+		content = `<span class="text-slate-500">Searched ${krask2.pages.length} catalog${krask2.pages.length === 1 ? '' : 's'}.</span>`;
+	} else {
+		content = '<span class="text-slate-500">End of catalog.</span>';
+	}
+	const shown = hasActiveKrask2Filters() ? ` (${getVisibleKrask2Items(getKrask2ResultsCatalog()).length} shown)` : '';
+	el.innerHTML = `<span class="mr-2 text-slate-400">${krask2.items.length} item${krask2.items.length === 1 ? '' : 's'} loaded${shown}</span>${content}`;
+	toggleElement(el, true);
 }
 
-function normalizeKrask2Items(rawItems, catalog) {
+function normalizeKrask2Items(rawItems, catalog, offset = 0) {
 	if (!Array.isArray(rawItems)) {
 		return [];
 	}
 	return rawItems
-		.map((item, index) => normalizeKrask2Item(item, catalog, index))
+		.map((item, index) => normalizeKrask2Item(item, catalog, offset + index))
 		.filter(Boolean);
 }
 
 function normalizeKrask2Item(meta, catalog, index) {
 	if (!meta || typeof meta !== 'object') return null;
-	const id = typeof meta.id === 'string' && meta.id !== '' ? meta.id : `catalog-${index}`;
+	const id = typeof meta.id === 'string' && meta.id !== '' ? meta.id : `${krask2CatalogKey(catalog) || 'catalog'}-${index}`;
 	const title = typeof meta.name === 'string' && meta.name.trim() !== ''
 		? meta.name.trim()
 		: typeof meta.title === 'string' && meta.title.trim() !== ''
@@ -3075,6 +4718,7 @@ function normalizeKrask2Item(meta, catalog, index) {
 				? meta.logo
 				: null;
 	const externalId = typeof meta.external_id === 'string' && meta.external_id !== '' ? meta.external_id : null;
+	const background = typeof meta.background === 'string' && meta.background !== '' ? meta.background : null;
 
 	return {
 		id,
@@ -3083,7 +4727,10 @@ function normalizeKrask2Item(meta, catalog, index) {
 		type: typeRaw,
 		description,
 		poster,
+		background,
 		catalogLabel: typeof catalog?.name === 'string' ? catalog.name : null,
+		catalogLabels: typeof catalog?.name === 'string' && catalog.name !== '' ? [catalog.name] : [],
+		catalogSummary: summarizeKrask2Catalog(catalog),
 		external_id: externalId,
 		externalId,
 		year: parseKrask2Year(meta.year ?? meta.releaseInfo ?? meta.releaseInfoShort ?? null),
@@ -3091,6 +4738,10 @@ function normalizeKrask2Item(meta, catalog, index) {
 		runtimeMinutes: parseKrask2RuntimeMinutes(meta.runtime ?? meta.runtimeMinutes ?? null),
 		genres: normalizeKrask2Genres(meta.genres ?? meta.genre ?? null),
 		languages: normalizeKrask2Languages(meta.languages ?? meta.language ?? meta.lang ?? null),
+		cast: normalizeKrask2People(meta.cast, meta.links, 'Cast'),
+		directors: normalizeKrask2People(meta.director, meta.links, 'Directors'),
+		imdbId: extractKrask2ImdbId(meta, id),
+		tmdbId: extractKrask2TmdbId(meta, id),
 		provider: 'krask2',
 		source: meta,
 	};
@@ -3109,6 +4760,40 @@ function normalizeKrask2Genres(value) {
 	return [];
 }
 
+// Stremio metas list people either as plain arrays or as `links` entries tagged with a category.
+function normalizeKrask2People(value, links, category) {
+	const names = normalizeKrask2Genres(value);
+	if (names.length === 0 && Array.isArray(links)) {
+		links.forEach((link) => {
+			if (link && link.category === category && typeof link.name === 'string' && link.name.trim() !== '') {
+				names.push(link.name.trim());
+			}
+		});
+	}
+	return names.slice(0, 12);
+}
+
+function extractKrask2ImdbId(meta, id) {
+	const candidates = [meta.imdb_id, meta.imdbId, id];
+	for (const candidate of candidates) {
+		const match = typeof candidate === 'string' ? candidate.match(/^(tt\d{5,})/) : null;
+		if (match) {
+			return match[1];
+		}
+	}
+	return null;
+}
+
+function extractKrask2TmdbId(meta, id) {
+	const explicit = meta.tmdb_id ?? meta.tmdbId ?? meta.moviedb_id ?? null;
+	if (explicit !== null && /^\d+$/.test(String(explicit))) {
+		return String(explicit);
+	}
+	// Catalog ids are only trusted as TMDB ids when they carry the `tmdb:` prefix.
+	const match = typeof id === 'string' ? id.match(/^tmdb:(\d+)/) : null;
+	return match ? match[1] : null;
+}
+
 function normalizeKrask2Languages(value) {
 	if (Array.isArray(value)) {
 		return normalizeLanguageTokenList(value, 3);
@@ -3168,27 +4853,25 @@ function renderKrask2View() {
 			toggleElement(els.krask2Error, false);
 		}
 	}
+	// Stale browser-cache copies are rendered while they revalidate (their cache chip says so);
+	// only loads with nothing to show yet get the loading line.
 	const isLoading = Boolean(state.krask2.catalogsLoading || state.krask2.itemsLoading);
 	toggleElement(els.krask2Loading, isLoading);
+	if (els.krask2Loading) {
+		const progress = state.krask2.itemsLoading ? state.krask2.searchProgress : null;
+		els.krask2Loading.textContent = progress
+			? `Searching all catalogs… ${progress.done}/${progress.total}`
+			: 'Loading catalog…';
+	}
 	const showEmpty = !isLoading && !errorMessage && state.krask2.itemsRequested && state.krask2.items.length === 0;
 	toggleElement(els.krask2Empty, showEmpty);
 
-	if (els.krask2List) {
-		if (!Array.isArray(state.krask2.items) || state.krask2.items.length === 0) {
-			els.krask2List.innerHTML = '';
-		} else {
-			els.krask2List.innerHTML = state.krask2.items.map((item, index) => renderKrask2Item(item, index)).join('');
-			state.krask2.items.forEach((item, index) => {
-				if (item.type === 'series') {
-					renderKrask2Episodes(index);
-				}
-			});
-		}
-	}
+	renderKrask2FilterBar(getKrask2ResultsCatalog());
+	renderKrask2Results();
 
 	if (els.krask2LoadBtn) {
 		const catalog = getSelectedKrask2Catalog();
-		els.krask2LoadBtn.disabled = state.krask2.itemsLoading || !catalog;
+		els.krask2LoadBtn.disabled = state.krask2.itemsLoading || (!catalog && !state.krask2.searchAll);
 		els.krask2LoadBtn.textContent = state.krask2.itemsLoading ? 'Loading…' : 'Load items';
 	}
 
@@ -3200,7 +4883,7 @@ function renderKrask2View() {
 	if (els.krask2ItemsRefreshBtn) {
 		const catalog = getSelectedKrask2Catalog();
 		const busy = state.krask2.itemsLoading;
-		const ready = catalog && state.krask2.itemsRequested;
+		const ready = (catalog || state.krask2.searchScope === 'all') && state.krask2.itemsRequested;
 		els.krask2ItemsRefreshBtn.disabled = busy || !ready;
 		els.krask2ItemsRefreshBtn.textContent = busy ? 'Refreshing…' : 'Refresh results';
 	}
@@ -3210,6 +4893,95 @@ function renderKrask2View() {
 	updateKrask2QueueButton();
 }
 
+// Renders the loaded items that pass the filter bar, keeping each item's index in `state.krask2.items`.
+function renderKrask2Results() {
+	const gridLayout = state.krask2.layout === 'grid';
+	els.krask2LayoutButtons.forEach((button) => {
+		const active = button.dataset.krask2Layout === state.krask2.layout;
+		button.setAttribute('aria-pressed', active ? 'true' : 'false');
+		button.classList.toggle('bg-brand-500/20', active);
+		button.classList.toggle('text-brand-100', active);
+	});
+	if (els.krask2List) {
+		const visible = getVisibleKrask2Items(getKrask2ResultsCatalog());
+		els.krask2List.className = gridLayout ? KRASK2_GRID_CLASS : KRASK2_LIST_CLASS;
+		if (!Array.isArray(state.krask2.items) || state.krask2.items.length === 0) {
+			els.krask2List.innerHTML = '';
+		} else if (visible.length === 0) {
+			els.krask2List.innerHTML = '<li class="col-span-full text-sm text-slate-500">No loaded items match the filters.</li>';
+		} else if (gridLayout) {
+			els.krask2List.innerHTML = visible.map(({ item, index }) => renderKrask2GridCard(item, index)).join('');
+		} else {
+			els.krask2List.innerHTML = visible.map(({ item, index }) => renderKrask2Item(item, index)).join('');
+			visible.forEach(({ item, index }) => {
+				if (item.type === 'series') {
+					renderKrask2Episodes(index);
+				}
+			});
+		}
+	}
+	renderKrask2PagingStatus();
+	renderKrask2Detail();
+	updateKrask2QueueButton();
+}
+
+function handleKrask2GenreChange() {
+	const catalog = getKrask2ResultsCatalog();
+	if (state.krask2.itemsRequested && getKrask2CatalogGenres(catalog) !== null) {
+		void loadKrask2Items();
+		return;
+	}
+	renderKrask2View();
+}
+
+const KRASK2_LIST_CLASS = 'flex flex-col gap-3';
+const KRASK2_GRID_CLASS = 'grid grid-cols-2 gap-3 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5';
+
+function setKrask2Layout(layout) {
+	const next = layout === 'grid' ? 'grid' : 'list';
+	if (state.krask2.layout === next) return;
+	state.krask2.layout = next;
+	renderKrask2View();
+	syncRoute({ replace: true });
+}
+
+// Opens a series' episodes, which only the list layout has room for.
+function showKrask2EpisodesInList(index) {
+	const item = state.krask2.items[index];
+	if (!item || item.type !== 'series') return;
+	setKrask2Layout('list');
+	if (!getKrask2MetaState(item.id)?.expanded) {
+		toggleKrask2Episodes(index);
+	}
+	els.krask2List?.querySelector(`[data-krask2-item="${index}"]`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function renderKrask2GridCard(item, index) {
+	const metaState = getKrask2MetaState(item.id);
+	const poster = item.poster
+		? `<img src="${escapeHtml(item.poster)}" alt="" class="h-full w-full object-cover transition duration-300 group-hover:scale-105" loading="lazy" decoding="async" />`
+		: '<span class="flex h-full w-full items-center justify-center text-4xl">🎬</span>';
+	const facts = [item.year ? String(item.year) : null, item.type].filter(Boolean);
+	if (state.krask2.searchScope === 'all') {
+		facts.push(...item.catalogLabels);
+	}
+	return `
+		<li data-krask2-item="${index}" class="flex flex-col overflow-hidden rounded-2xl border border-slate-800/70 bg-slate-900/60">
+			<button type="button" data-krask2-detail="${index}" class="group relative block aspect-[2/3] w-full overflow-hidden bg-slate-800/70" aria-label="Details for ${escapeHtml(item.title)}">
+				${poster}
+			</button>
+			<div class="flex flex-1 flex-col gap-2 p-3">
+				<button type="button" data-krask2-detail="${index}" class="text-left text-sm font-semibold text-slate-100 hover:text-brand-200" title="${escapeHtml(item.title)}">${escapeHtml(item.title)}</button>
+				<div class="flex flex-wrap items-center gap-1 text-[11px] uppercase tracking-wide text-slate-400">
+					${escapeHtml(facts.join(' · '))}
+					${renderKrask2LibraryBadge(item, metaState)}
+				</div>
+				<div class="mt-auto">${buildKrask2ItemSelectionControl(item, index)}</div>
+			</div>
+		</li>
+	`;
+}
+
 function renderKrask2Item(item, index) {
 	const metaState = getKrask2MetaState(item.id);
 	const description = item.description ? `<p class="text-sm text-slate-400">${escapeHtml(item.description)}</p>` : '';
@@ -3217,7 +4989,7 @@ function renderKrask2Item(item, index) {
 	const poster = item.poster
 		? `<img src="${escapeHtml(item.poster)}" alt="${escapeHtml(item.title)}" class="h-24 w-24 rounded-xl object-cover" loading="lazy" />`
 		: '<div class="flex h-24 w-24 items-center justify-center rounded-xl bg-slate-800/70 text-3xl">🎬</div>';
-	const actions = [];
+	const actions = [`<button type="button" data-krask2-detail="${index}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Details</button>`];
 	if (item.external_id) {
 		actions.push(`<button type="button" data-krask2-options="${index}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Download options</button>`);
 	}
@@ -3231,18 +5003,22 @@ function renderKrask2Item(item, index) {
 			label = 'Hide episodes';
 		}
 		actions.push(`<button type="button" data-krask2-episodes-toggle="${index}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200 disabled:cursor-not-allowed disabled:opacity-50" ${loading ? 'disabled' : ''}>${escapeHtml(label)}</button>`);
+		const followed = findFollowedSeries('krask2', item.id);
+		actions.push(`<button type="button" data-krask2-follow="${index}" class="rounded-lg border ${followed ? 'border-brand-500/50 text-brand-100' : 'border-slate-700/60 text-slate-200'} bg-slate-950/60 px-3 py-1.5 text-xs font-semibold transition hover:border-brand-400/60 hover:text-brand-200">${followed ? '★ Following' : 'Follow series'}</button>`);
 	}
 	const selectionControl = buildKrask2ItemSelectionControl(item, index);
 	if (selectionControl) {
 		actions.push(selectionControl);
 	}
-	const catalogLabel = item.catalogLabel ? `<span class="rounded-full border border-slate-800/60 bg-slate-950/50 px-2 py-0.5 text-[11px] uppercase tracking-wide text-slate-400">${escapeHtml(item.catalogLabel)}</span>` : '';
+	const catalogLabel = item.catalogLabels
+		.map((label) => `<span class="rounded-full border border-slate-800/60 bg-slate-950/50 px-2 py-0.5 text-[11px] uppercase tracking-wide text-slate-400">${escapeHtml(label)}</span>`)
+		.join('');
 	const episodesContainer = item.type === 'series'
 		? `<div data-krask2-episodes="${index}" class="mt-3 hidden space-y-2 rounded-xl border border-slate-800/60 bg-slate-900/40 p-4 text-sm"></div>`
 		: '';
 
 	return `
-		<li class="rounded-2xl border border-slate-800/70 bg-slate-900/60 p-4">
+		<li data-krask2-item="${index}" class="rounded-2xl border border-slate-800/70 bg-slate-900/60 p-4">
 			<div class="flex flex-col gap-4 md:flex-row">
 				${poster}
 				<div class="flex-1 space-y-2">
@@ -3250,6 +5026,7 @@ function renderKrask2Item(item, index) {
 						<h4 class="text-lg font-semibold text-slate-100">${escapeHtml(item.title)}</h4>
 						<span class="rounded-full border border-slate-800/60 bg-slate-950/50 px-2 py-0.5 text-[11px] uppercase tracking-wide text-slate-400">${escapeHtml(item.type)}</span>
 						${catalogLabel}
+						${renderKrask2LibraryBadge(item, metaState)}
 					</div>
 					${description}
 					${chips}
@@ -3261,6 +5038,22 @@ function renderKrask2Item(item, index) {
 	`;
 }
 
+function renderKrask2LibraryBadge(item, metaState) {
+	if (item.type !== 'series') {
+		return renderLibraryBadge(libraryStatus(krask2ItemLibraryKeys(item)));
+	}
+	// Series are summarised from their episodes once those have been loaded.
+	const videos = Array.isArray(metaState?.videos) ? metaState.videos : [];
+	if (videos.length === 0) {
+		return '';
+	}
+	const downloaded = videos.filter((video) => libraryStatus(krask2ItemLibraryKeys(video)) === 'downloaded').length;
+	if (downloaded > 0) {
+		return renderLibraryBadge('downloaded', `${downloaded}/${videos.length} episodes downloaded`);
+	}
+	return videos.some((video) => libraryStatus(krask2ItemLibraryKeys(video)) === 'queued') ? renderLibraryBadge('queued') : '';
+}
+
 function buildKrask2ItemSelectionControl(item, index) {
 	const kind = item.type === 'series' ? 'series' : 'movie';
 	if (kind === 'movie' && (!item.external_id || item.external_id === '')) {
@@ -3308,7 +5101,7 @@ function openKrask2Options(index) {
 		provider: 'krask2',
 		contextType: 'krask2',
 		sourceItem: item,
-		catalog: summarizeKrask2Catalog(getSelectedKrask2Catalog()),
+		catalog: getActiveKrask2CatalogSummary(item),
 	});
 }
 
@@ -3349,7 +5142,18 @@ async function loadKrask2Episodes(item, itemIndex, options = {}) {
 	renderKrask2Episodes(itemIndex);
 	const force = options.force === true;
 	try {
-		const { videos, cache } = await fetchKrask2EpisodesPayload(item, { force });
+		const { videos, cache } = await fetchKrask2EpisodesPayload(item, {
+			force,
+			onRevalidated: (fresh) => {
+				if (state.krask2.meta[item.id] !== metaState) return;
+				metaState.videos = fresh.videos;
+				metaState.cache = fresh.cache;
+				const index = state.krask2.items.findIndex((entry) => entry.id === item.id);
+				if (index !== -1) {
+					renderKrask2Episodes(index);
+				}
+			},
+		});
 		metaState.videos = videos;
 		metaState.cache = cache;
 	} catch (error) {
@@ -3363,18 +5167,33 @@ async function loadKrask2Episodes(item, itemIndex, options = {}) {
 	}
 }
 
+/**
+ * Fetches a series' episodes through the browser cache; see fetchKrask2ItemsPage() for
+ * `options.onRevalidated`.
+ */
 async function fetchKrask2EpisodesPayload(item, options = {}) {
-	const params = new URLSearchParams({ type: item.type, id: item.id });
-	if (options.force) {
-		params.set('refresh', '1');
-	}
-	const response = await fetchJson(`${API.krask2Meta}?${params.toString()}`);
-	const payload = response?.data?.meta ?? response?.data ?? {};
-	const videos = Array.isArray(payload?.videos) ? payload.videos : [];
-	return {
-		videos: normalizeKrask2Episodes(videos),
-		cache: normalizeCacheMeta(response?.cache ?? null),
-	};
+	const toPayload = ({ value, cache }) => ({
+		videos: normalizeKrask2Episodes(Array.isArray(value) ? value : []),
+		cache,
+	});
+	const onRevalidated = typeof options.onRevalidated === 'function' ? options.onRevalidated : null;
+	const result = await loadWithKrask2Cache(
+		krask2CacheKey('meta', `${item.type}|${item.id}`),
+		async () => {
+			const params = new URLSearchParams({ type: item.type, id: item.id });
+			if (options.force) {
+				params.set('refresh', '1');
+			}
+			const response = await fetchJson(`${API.krask2Meta}?${params.toString()}`);
+			const payload = response?.data?.meta ?? response?.data ?? {};
+			return {
+				value: Array.isArray(payload?.videos) ? payload.videos : [],
+				cache: normalizeCacheMeta(response?.cache ?? null),
+			};
+		},
+		{ force: options.force === true, onRevalidated: onRevalidated ? (fresh) => onRevalidated(toPayload(fresh)) : null }
+	);
+	return toPayload(result);
 }
 
 function normalizeKrask2Episodes(videos) {
@@ -3409,6 +5228,7 @@ function normalizeKrask2Episode(video, index) {
 				? video.series.trim()
 				: null;
 	const seriesId = typeof video.series_id === 'string' && video.series_id !== '' ? video.series_id : null;
+	const releasedAt = Date.parse(video.released ?? video.firstAired ?? '');
 	const episodeData = {
 		id,
 		title,
@@ -3421,6 +5241,7 @@ function normalizeKrask2Episode(video, index) {
 		externalId,
 		series_title: seriesTitle,
 		series_id: seriesId,
+		released: Number.isFinite(releasedAt) ? new Date(releasedAt).toISOString() : null,
 		label: null,
 	};
 	episodeData.label = buildKrask2EpisodeLabel(episodeData);
@@ -3483,10 +5304,23 @@ function buildKrask2EpisodesHeader(metaState, itemIndex) {
 		? `<span class="rounded-full border border-slate-800/60 bg-slate-900/40 px-2 py-0.5 text-[11px] uppercase tracking-wide text-slate-300">${escapeHtml(label)}</span>`
 		: '';
 	const disabled = metaState.loading ? 'disabled' : '';
+	const rangeForm = Array.isArray(metaState.videos) && metaState.videos.length > 0
+		? `
+			<form data-krask2-range-form="${itemIndex}" class="flex flex-wrap items-center gap-2">
+				<input type="text" name="range" value="${escapeHtml(metaState.rangeText ?? '')}" placeholder="S2-S4, S1E5-E12, E5-12, latest 3, unaired" class="w-64 rounded-lg border border-slate-800 bg-slate-950/70 px-2 py-1 text-xs text-slate-100 placeholder-slate-500 focus:border-brand-400 focus:outline-none" />
+				<button type="submit" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1 font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Select range</button>
+				<button type="button" data-krask2-range-clear class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1 font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Deselect</button>
+				<span class="text-slate-500">Shift-click episode boxes to tick a run.</span>
+			</form>
+		`
+		: '';
 	return `
-		<div class="mb-3 flex flex-wrap items-center justify-between gap-2 text-xs">
-			<div class="text-slate-400">${badge}</div>
-			<button type="button" data-krask2-episodes-refresh="${itemIndex}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1 font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200 disabled:cursor-not-allowed disabled:opacity-50" ${disabled}>Refresh episodes</button>
+		<div class="mb-3 space-y-2 text-xs">
+			<div class="flex flex-wrap items-center justify-between gap-2">
+				<div class="text-slate-400">${badge}</div>
+				<button type="button" data-krask2-episodes-refresh="${itemIndex}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1 font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200 disabled:cursor-not-allowed disabled:opacity-50" ${disabled}>Refresh episodes</button>
+			</div>
+			${rangeForm}
 		</div>
 	`;
 }
@@ -3508,13 +5342,13 @@ function renderKrask2EpisodeItem(video, itemIndex, episodeIndex) {
 				<div class="flex flex-wrap items-start gap-3">
 					${selectionControl ? `<label class="inline-flex items-center gap-2 text-[11px] font-semibold uppercase tracking-wide text-slate-300">${selectionControl}<span>Select</span></label>` : ''}
 					<div>
-						<p class="text-sm font-semibold text-slate-100">${escapeHtml(label)}</p>
+						<p class="text-sm font-semibold text-slate-100">${escapeHtml(label)} ${renderLibraryBadge(libraryStatus(krask2ItemLibraryKeys(video)))}</p>
 						${languages}
 						${description}
 					</div>
 				</div>
 				<div class="flex flex-wrap items-center justify-between gap-3">
-					<div class="text-[11px] text-slate-500">${video.season ? `S${String(video.season).padStart(2, '0')}` : ''}${video.episode ? `E${String(video.episode).padStart(2, '0')}` : ''}</div>
+					<div class="text-[11px] text-slate-500">${video.season ? `S${String(video.season).padStart(2, '0')}` : ''}${video.episode ? `E${String(video.episode).padStart(2, '0')}` : ''}${video.released && Date.parse(video.released) > Date.now() ? ` · airs ${escapeHtml(new Date(video.released).toLocaleDateString())}` : ''}</div>
 					<button type="button" data-krask2-episode-options="${itemIndex}:${episodeIndex}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200 disabled:cursor-not-allowed disabled:opacity-50" ${disabled}>${video.external_id ? 'Download options' : 'Unavailable'}</button>
 				</div>
 			</div>
@@ -3593,6 +5427,14 @@ function handleKrask2SelectionChange(event) {
 		const key = target.dataset.krask2SelectionKey ?? '';
 		const itemIndex = Number.parseInt(target.dataset.krask2ItemIndex ?? '', 10);
 		const episodeIndex = Number.parseInt(target.dataset.krask2EpisodeIndex ?? '', 10);
+		const anchor = krask2EpisodeAnchor;
+		krask2EpisodeAnchor = { itemIndex, episodeIndex };
+		if (krask2EpisodeShiftClick && anchor && anchor.itemIndex === itemIndex && anchor.episodeIndex !== episodeIndex) {
+			krask2EpisodeShiftClick = false;
+			selectKrask2EpisodeRun(itemIndex, anchor.episodeIndex, episodeIndex, Boolean(target.checked));
+			return;
+		}
+		krask2EpisodeShiftClick = false;
 		toggleKrask2EpisodeSelection(itemIndex, episodeIndex, key, Boolean(target.checked), target);
 		return;
 	}
@@ -3679,6 +5521,96 @@ function toggleKrask2SeasonSelection(itemIndex, seasonNumber, key, checked, targ
 	updateKrask2QueueButton();
 }
 
+// Shift-click support: the last episode checkbox toggled, and whether the pending change came from a shift-click.
+let krask2EpisodeAnchor = null;
+let krask2EpisodeShiftClick = false;
+
+// Ticks (or clears) every episode between two checkboxes, in the order the panel lists them.
+function selectKrask2EpisodeRun(itemIndex, fromIndex, toIndex, checked) {
+	const seriesItem = state.krask2.items[itemIndex];
+	const videos = getKrask2MetaState(seriesItem?.id)?.videos ?? [];
+	const order = groupKrask2Episodes(videos).flatMap((group) => group.entries.map(({ index }) => index));
+	const start = order.indexOf(fromIndex);
+	const end = order.indexOf(toIndex);
+	if (!seriesItem || start === -1 || end === -1) return;
+	const skipped = setKrask2EpisodesSelected(seriesItem, order.slice(Math.min(start, end), Math.max(start, end) + 1), checked);
+	if (skipped > 0) {
+		showToast(`${skipped} episode${skipped === 1 ? ' has' : 's have'} no download metadata and ${skipped === 1 ? 'was' : 'were'} skipped.`, 'warning');
+	}
+	renderKrask2Episodes(itemIndex);
+	updateKrask2QueueButton();
+}
+
+/**
+ * Applies a range expression (see krask2Ranges.js) from the episode panel. Season ranges become
+ * season selections, everything else individual episode selections; both go through the usual
+ * `expandKrask2SelectionEntry()` expansion when queued.
+ */
+function applyKrask2Range(itemIndex, text, checked) {
+	const seriesItem = state.krask2.items[itemIndex];
+	const metaState = getKrask2MetaState(seriesItem?.id);
+	if (!seriesItem || !metaState || !Array.isArray(metaState.videos)) return;
+	const ranges = parseKrask2Range(text);
+	if (!ranges) {
+		showToast('Use ranges like S2-S4, S1E5-E12, E5-12, latest 3 or unaired.', 'warning');
+		return;
+	}
+	metaState.rangeText = text.trim();
+	const { seasons, episodeIndexes } = resolveKrask2Range(ranges, metaState.videos);
+	if (seasons.length === 0 && episodeIndexes.length === 0) {
+		showToast('No episodes of this series match that range.', 'info');
+		return;
+	}
+
+	const clearedEpisodes = [];
+	seasons.forEach((seasonNumber) => {
+		const key = buildKrask2SelectionKey('season', seriesItem.id, seasonNumber);
+		if (!checked) {
+			state.krask2.selected.delete(key);
+			metaState.videos.forEach((video, index) => {
+				if (video.season === seasonNumber) clearedEpisodes.push(index);
+			});
+			return;
+		}
+		const selection = makeKrask2SeasonSelection(seriesItem, seasonNumber);
+		if (selection) {
+			selection.episodeCount = metaState.videos.filter((video) => video.season === seasonNumber).length;
+			state.krask2.selected.set(key, selection);
+		}
+	});
+	const skipped = setKrask2EpisodesSelected(seriesItem, episodeIndexes.concat(clearedEpisodes), checked);
+
+	const parts = [];
+	if (seasons.length > 0) parts.push(`${seasons.length} season${seasons.length === 1 ? '' : 's'}`);
+	if (episodeIndexes.length > 0) parts.push(`${episodeIndexes.length} episode${episodeIndexes.length === 1 ? '' : 's'}`);
+	const skippedNote = skipped > 0 ? ` ${skipped} without download metadata skipped.` : '';
+	showToast(`${checked ? 'Selected' : 'Deselected'} ${parts.join(' and ')}.${skippedNote}`, skipped > 0 ? 'warning' : 'success');
+	renderKrask2Episodes(itemIndex);
+	updateKrask2QueueButton();
+}
+
+// Returns how many episodes could not be selected for lack of download metadata.
+function setKrask2EpisodesSelected(seriesItem, episodeIndexes, checked) {
+	const videos = getKrask2MetaState(seriesItem.id)?.videos ?? [];
+	let skipped = 0;
+	episodeIndexes.forEach((index) => {
+		const episode = videos[index];
+		const key = episode ? buildKrask2SelectionKey('episode', seriesItem.id, episode.id) : '';
+		if (!key) return;
+		if (!checked) {
+			state.krask2.selected.delete(key);
+			return;
+		}
+		const selection = makeKrask2EpisodeSelection(seriesItem, episode);
+		if (selection) {
+			state.krask2.selected.set(key, selection);
+		} else {
+			skipped++;
+		}
+	});
+	return skipped;
+}
+
 function makeKrask2MovieSelection(item) {
 	const key = buildKrask2SelectionKey('movie', item?.id ?? '', null);
 	if (!key || !item?.external_id) {
@@ -3688,7 +5620,7 @@ function makeKrask2MovieSelection(item) {
 		key,
 		kind: 'movie',
 		item,
-		catalog: getActiveKrask2CatalogSummary(),
+		catalog: getActiveKrask2CatalogSummary(item),
 	};
 }
 
@@ -3701,7 +5633,7 @@ function makeKrask2SeriesSelection(item) {
 		key,
 		kind: 'series',
 		item,
-		catalog: getActiveKrask2CatalogSummary(),
+		catalog: getActiveKrask2CatalogSummary(item),
 		seasonNumber: null,
 	};
 }
@@ -3716,7 +5648,7 @@ function makeKrask2SeasonSelection(seriesItem, seasonNumber) {
 		kind: 'season',
 		seriesItem,
 		seasonNumber,
-		catalog: getActiveKrask2CatalogSummary(),
+		catalog: getActiveKrask2CatalogSummary(seriesItem),
 	};
 }
 
@@ -3730,12 +5662,13 @@ function makeKrask2EpisodeSelection(seriesItem, episode) {
 		kind: 'episode',
 		seriesItem,
 		episode,
-		catalog: getActiveKrask2CatalogSummary(),
+		catalog: getActiveKrask2CatalogSummary(seriesItem),
 	};
 }
 
-function getActiveKrask2CatalogSummary() {
-	return summarizeKrask2Catalog(getSelectedKrask2Catalog());
+// Items remember the catalog they were loaded from, which differs from the selected one after an all-catalogs search.
+function getActiveKrask2CatalogSummary(item = null) {
+	return item?.catalogSummary ?? summarizeKrask2Catalog(getSelectedKrask2Catalog());
 }
 
 function buildKrask2SelectionKey(kind, subjectId, extra) {
@@ -3800,7 +5733,9 @@ function updateKrask2QueueButton() {
 		const estimate = estimateKrask2SelectionSize();
 		const countLabel = estimate > 0 ? estimate : selectionCount;
 		const plural = countLabel === 1 ? '' : 's';
-		els.krask2QueueBtn.textContent = `Add ${countLabel} item${plural} to queue`;
+		const hidden = hiddenKrask2Selections().length;
+		const hiddenLabel = hidden > 0 ? ` (${hidden} selection${hidden === 1 ? '' : 's'} hidden by filters)` : '';
+		els.krask2QueueBtn.textContent = `Add ${countLabel} item${plural} to queue${hiddenLabel}`;
 	}
 	if (state.isQueueSubmitting) {
 		els.krask2QueueBtn.setAttribute('disabled', 'true');
@@ -3809,6 +5744,16 @@ function updateKrask2QueueButton() {
 	}
 }
 
+// Selections (movies, series, seasons, episodes) whose card the active filters currently hide.
+function hiddenKrask2Selections() {
+	if ((state.krask2.selected?.size ?? 0) === 0 || !hasActiveKrask2Filters()) return [];
+	const visible = new Set(getVisibleKrask2Items(getKrask2ResultsCatalog()).map(({ item }) => String(item.id)));
+	return Array.from(state.krask2.selected.values()).filter((entry) => {
+		const owner = entry.item ?? entry.seriesItem ?? null;
+		return owner !== null && !visible.has(String(owner.id));
+	});
+}
+
 async function queueSelectedKrask2() {
 	if (!state.user) {
 		showToast('Please sign in first.', 'warning');
@@ -3817,9 +5762,15 @@ async function queueSelectedKrask2() {
 	if (state.isQueueSubmitting || (state.krask2.selected?.size ?? 0) === 0) {
 		return;
 	}
+	const hidden = new Set(hiddenKrask2Selections());
+	const includeHidden = confirmHiddenSelections(hidden.size, state.krask2.selected.size);
+	const selections = Array.from(state.krask2.selected.values()).filter((entry) => includeHidden || !hidden.has(entry));
+	if (selections.length === 0) {
+		showToast('Nothing to queue.', 'warning');
+		return;
+	}
 	state.isQueueSubmitting = true;
 	setKrask2QueueLabel('Preparing selection…');
-	const selections = Array.from(state.krask2.selected.values());
 	const candidates = [];
 	const dedupe = new Set();
 
@@ -3848,11 +5799,24 @@ async function queueSelectedKrask2() {
 			return;
 		}
 
+		const accepted = resolveLibraryDuplicates(
+			candidates.map((candidate) => ({
+				label: candidate.label ?? candidate.externalId,
+				keys: [...krask2ItemLibraryKeys(candidate.sourceItem), ...krask2ItemLibraryKeys({ externalId: candidate.externalId })],
+				candidate,
+			}))
+		);
+		if (accepted.length === 0) {
+			showToast('Nothing to queue.', 'warning');
+			return;
+		}
+
 		const payloadItems = [];
+		const queuedKeys = [];
 		let prepared = 0;
-		for (const candidate of candidates) {
+		for (const { candidate, keys } of accepted) {
 			prepared++;
-			setKrask2QueueLabel(`Handing off ${prepared}/${candidates.length}…`);
+			setKrask2QueueLabel(`Handing off ${prepared}/${accepted.length}…`);
 			if (!candidate.externalId) {
 				continue;
 			}
@@ -3873,6 +5837,7 @@ async function queueSelectedKrask2() {
 				itemPayload.metadata = metadata;
 			}
 			payloadItems.push(itemPayload);
+			queuedKeys.push(keys);
 		}
 
 		if (payloadItems.length === 0) {
@@ -3881,14 +5846,18 @@ async function queueSelectedKrask2() {
 		}
 
 		setKrask2QueueLabel('Submitting to server…');
+		const profile = getActiveQualityProfile();
 		await fetchJson(API.krask2BulkQueue, {
 			method: 'POST',
-			body: JSON.stringify({ items: payloadItems }),
+			body: JSON.stringify({ items: payloadItems, quality_profile_id: profile?.id ?? null }),
 		});
-		showToast(`Background resolver accepted ${payloadItems.length} item${payloadItems.length === 1 ? '' : 's'}.`, 'success');
-		state.krask2.selected = new Map();
+		const profileNote = profile ? ` using the "${profile.name}" profile` : '';
+		showToast(`Background resolver accepted ${payloadItems.length} item${payloadItems.length === 1 ? '' : 's'}${profileNote}.`, 'success');
+		selections.forEach((entry) => state.krask2.selected.delete(entry.key));
+		noteLibraryQueued(queuedKeys);
 		state.krask2.queueLabel = '';
 		renderKrask2View();
+		void loadKrask2BulkQueue();
 		if (state.currentView === 'queue') {
 			loadJobs();
 		}
@@ -3984,26 +5953,6 @@ async function fetchKrask2Variants(externalId) {
 	return normalizeKraskaVariants(response?.data ?? []);
 }
 
-function pickPreferredKrask2Variant(variants) {
-	if (!Array.isArray(variants) || variants.length === 0) {
-		return null;
-	}
-	const sorted = [...variants].sort((a, b) => {
-		const sizeA = Number(a?.size_bytes ?? 0);
-		const sizeB = Number(b?.size_bytes ?? 0);
-		if (sizeA !== sizeB) {
-			return sizeB - sizeA;
-		}
-		const bitrateA = Number(a?.bitrate_kbps ?? 0);
-		const bitrateB = Number(b?.bitrate_kbps ?? 0);
-		if (bitrateA !== bitrateB) {
-			return bitrateB - bitrateA;
-		}
-		return 0;
-	});
-	return sorted[0];
-}
-
 function buildQueuePayloadFromVariant(context, variant) {
 	const provider = context?.provider ?? 'kraska';
 	const targetIdent = typeof variant?.kra_ident === 'string' && variant.kra_ident !== ''
@@ -4052,7 +6001,7 @@ function openKrask2EpisodeOptions(itemIndex, episodeIndex) {
 		contextType: 'krask2',
 		sourceItem: episode,
 		sourceParent: item,
-		catalog: summarizeKrask2Catalog(getSelectedKrask2Catalog()),
+		catalog: getActiveKrask2CatalogSummary(item),
 	});
 }
 
@@ -4138,6 +6087,16 @@ function getSelectedProviders() {
 	return providers.length > 0 ? providers : defaultProviders().map((p) => p.key);
 }
 
+function setSelectedProviders(keys) {
+	if (!els.providerFilters) return;
+	const wanted = new Set(keys);
+	els.providerFilters.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+		if (input instanceof HTMLInputElement) {
+			input.checked = wanted.size === 0 || wanted.has(input.value);
+		}
+	});
+}
+
 function renderProviders() {
 	if (!els.providersList) return;
 
@@ -4587,20 +6546,78 @@ function renderSearchResults() {
 	els.searchResults.innerHTML = '';
 
 	if (state.searchResults.length === 0) {
-		toggleElement(els.searchEmpty, true);
+		// Stay quiet while providers are still answering; their badges show the progress.
+		toggleElement(els.searchEmpty, state.searchController === null);
 		toggleElement(els.queueSelectionBtn, false);
 		return;
 	}
 
 	toggleElement(els.searchEmpty, false);
-	const items = state.searchResults
-		.map((item, index) => {
+	const visibleResults = getVisibleSearchResults();
+	if (visibleResults.length === 0) {
+		els.searchResults.innerHTML = '<li class="text-sm text-slate-500">No results match the current filters.</li>';
+		updateQueueButton();
+		return;
+	}
+	const items = state.searchGrouping.enabled ? renderSearchGroups(visibleResults) : renderSearchResultCards(visibleResults);
+
+	els.searchResults.innerHTML = items;
+	els.searchResults.querySelectorAll('input[type="checkbox"]').forEach((input) => {
+		input.addEventListener('change', handleResultSelectionChange);
+	});
+	els.searchResults.querySelectorAll('[data-search-kraska-options]').forEach((button) => {
+		if (!(button instanceof HTMLButtonElement)) return;
+		button.addEventListener('click', () => {
+			const index = Number.parseInt(button.dataset.searchKraskaOptions ?? '', 10);
+			if (Number.isNaN(index)) return;
+			openSearchResultStreams(state.searchResults[index]);
+		});
+	});
+	els.searchResults.querySelectorAll('[data-search-details]').forEach((button) => {
+		if (!(button instanceof HTMLButtonElement)) return;
+		button.addEventListener('click', () => {
+			const index = Number.parseInt(button.dataset.searchDetails ?? '', 10);
+			if (Number.isNaN(index)) return;
+			openResultDrawer(state.searchResults[index]);
+		});
+	});
+	updateQueueButton();
+}
+
+function openSearchResultStreams(entry) {
+	if (!entry) return;
+	const index = state.searchResults.indexOf(entry);
+	const normalizedPath = typeof entry.path === 'string' && entry.path !== '' ? entry.path : null;
+	const inferredPath = typeof entry.kraska_path === 'string' && entry.kraska_path !== '' ? entry.kraska_path : normalizedPath;
+	const preferredPath = typeof inferredPath === 'string' && inferredPath !== '' ? normalizeKraskaPath(inferredPath) : null;
+	const fallbackIdent = typeof entry.kra_ident === 'string' && entry.kra_ident !== '' ? entry.kra_ident : null;
+	openKraskaOptionsModal({
+		label: entry.title,
+		ident: fallbackIdent ?? (typeof entry.external_id === 'string' && !entry.external_id.startsWith('/') ? entry.external_id : null),
+		path: preferredPath ?? (typeof entry.external_id === 'string' && entry.external_id.startsWith('/') ? entry.external_id : null),
+		provider: entry.provider,
+		cacheKey: entry.cacheKey,
+		contextType: 'search',
+		sourceItem: entry,
+		searchIndex: index,
+		kra_ident: fallbackIdent ?? null,
+	});
+}
+
+function renderSearchResultCards(results) {
+	return results
+		.map((item) => {
+			const index = state.searchResults.indexOf(item);
 			const providerKey = String(item.provider ?? '').toLowerCase();
 			const isKraska = providerKey === 'kraska';
-			const optionsMarkup = isKraska
-				? `<div class="pt-2"><button type="button" data-search-kraska-options="${index}" class="inline-flex items-center gap-1 rounded-lg bg-brand-500 px-3 py-1.5 text-xs font-semibold text-white shadow transition hover:bg-brand-400 focus:outline-none focus:ring focus:ring-brand-500/40">Choose stream</button></div>`
-				: '';
+			const optionsMarkup = `
+				<div class="flex flex-wrap gap-2 pt-2">
+					${isKraska ? `<button type="button" data-search-kraska-options="${index}" class="inline-flex items-center gap-1 rounded-lg bg-brand-500 px-3 py-1.5 text-xs font-semibold text-white shadow transition hover:bg-brand-400 focus:outline-none focus:ring focus:ring-brand-500/40">Choose stream</button>` : ''}
+					<button type="button" data-search-details="${index}" class="inline-flex items-center gap-1 rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Details</button>
+				</div>
+			`;
 			const checked = state.selectedSearch.has(item.cacheKey) ? 'checked' : '';
+			const isNew = state.searchNewKeys.has(item.cacheKey);
 			const resolution = item.resolution ?? (item.video_width && item.video_height ? `${item.video_width}x${item.video_height}` : null);
 			const fpsLabel = formatFps(item.video_fps);
 			const bitrateLabel = formatBitrate(item.bitrate_kbps);
@@ -4623,13 +6640,15 @@ function renderSearchResults() {
 							.join(' · ')}</span></div>`
 					: '';
 			return `
-				<li class="group rounded-2xl border border-slate-800/70 bg-slate-900/60 p-4 transition hover:border-brand-500/40">
+				<li class="group rounded-2xl border ${isNew ? 'border-emerald-500/50' : 'border-slate-800/70'} bg-slate-900/60 p-4 transition hover:border-brand-500/40">
 					<div class="flex items-start gap-4">
 						<input type="checkbox" data-result-key="${item.cacheKey}" class="mt-1 h-5 w-5 rounded border-slate-700 bg-slate-950 text-brand-500 focus:ring-brand-500/60" ${checked} />
 						<div class="flex-1 space-y-2">
 							<div class="flex flex-wrap items-center gap-2">
 								<h4 class="text-lg font-semibold text-slate-100">${escapeHtml(item.title)}</h4>
+								${isNew ? '<span class="rounded-full border border-emerald-500/40 bg-emerald-500/10 px-2 py-0.5 text-xs font-semibold uppercase tracking-wide text-emerald-200">New</span>' : ''}
 								<span class="rounded-full border border-slate-800/70 bg-slate-950/60 px-2 py-0.5 text-xs uppercase tracking-wide text-slate-300">${escapeHtml(item.provider)}</span>
+								${renderLibraryBadge(libraryStatus(searchResultLibraryKeys(item)))}
 								<span class="text-xs text-slate-400">${formatRelativeSize(item.size_bytes)}</span>
 								${item.duration_seconds ? `<span class="text-xs text-slate-400">${formatDuration(item.duration_seconds)}</span>` : ''}
 							</div>
@@ -4644,39 +6663,9 @@ function renderSearchResults() {
 			`;
 		})
 		.join('');
-
-	els.searchResults.innerHTML = items;
-	els.searchResults.querySelectorAll('input[type="checkbox"]').forEach((input) => {
-		input.addEventListener('change', handleResultSelectionChange);
-	});
-	els.searchResults.querySelectorAll('[data-search-kraska-options]').forEach((button) => {
-		if (!(button instanceof HTMLButtonElement)) return;
-		button.addEventListener('click', () => {
-			const index = Number.parseInt(button.dataset.searchKraskaOptions ?? '', 10);
-			if (Number.isNaN(index)) return;
-			const entry = state.searchResults[index];
-			if (!entry) return;
-			const normalizedPath = typeof entry.path === 'string' && entry.path !== '' ? entry.path : null;
-			const inferredPath = typeof entry.kraska_path === 'string' && entry.kraska_path !== '' ? entry.kraska_path : normalizedPath;
-			const preferredPath = typeof inferredPath === 'string' && inferredPath !== '' ? normalizeKraskaPath(inferredPath) : null;
-			const fallbackIdent = typeof entry.kra_ident === 'string' && entry.kra_ident !== '' ? entry.kra_ident : null;
-			openKraskaOptionsModal({
-				label: entry.title,
-				ident: fallbackIdent ?? (typeof entry.external_id === 'string' && !entry.external_id.startsWith('/') ? entry.external_id : null),
-				path: preferredPath ?? (typeof entry.external_id === 'string' && entry.external_id.startsWith('/') ? entry.external_id : null),
-				provider: entry.provider,
-				cacheKey: entry.cacheKey,
-				contextType: 'search',
-				sourceItem: entry,
-				searchIndex: index,
-				kra_ident: fallbackIdent ?? null,
-			});
-		});
-	});
-	updateQueueButton();
 }
 
-function renderSearchWarnings(duplicates) {
+function renderSearchWarnings(duplicates, results = []) {
 	const el = els.searchWarnings;
 	if (!(el instanceof HTMLElement)) {
 		return;
@@ -4684,37 +6673,66 @@ function renderSearchWarnings(duplicates) {
 	const items = Array.isArray(duplicates)
 		? Array.from(new Set(duplicates.filter((value) => typeof value === 'string' && value.trim() !== '').map((value) => value.trim())))
 		: [];
-	if (items.length === 0) {
+	const marked = results.filter((item) => libraryStatus(searchResultLibraryKeys(item)) !== null).length;
+	if (items.length === 0 && marked === 0) {
 		el.textContent = '';
 		toggleElement(el, false);
 		return;
 	}
-	el.innerHTML = `<span class="font-semibold">Already downloaded:</span> ${escapeHtml(items.join(', '))}`;
+	const parts = [];
+	if (items.length > 0) {
+		parts.push(`<span class="font-semibold">Already downloaded:</span> ${escapeHtml(items.join(', '))}`);
+	}
+	if (marked > 0) {
+		parts.push(`${marked} result${marked === 1 ? ' is' : 's are'} marked with ${marked === 1 ? 'its' : 'their'} library status below.`);
+	}
+	el.innerHTML = parts.join(' ');
 	toggleElement(el, true);
 }
 
 function renderSearchMeta(query, count, providers) {
 	if (!els.searchMeta) return;
 	const providerLabel = providers.length > 0 ? providers.join(', ') : 'all providers';
-	els.searchMeta.textContent = `${count} result${count === 1 ? '' : 's'} for "${query}" via ${providerLabel}.`;
-}
-
-function renderSearchErrors(errors) {
-	if (!els.searchErrors) return;
-	if (!errors || errors.length === 0) {
-		toggleElement(els.searchErrors, false);
-		return;
-	}
-
-	toggleElement(els.searchErrors, true);
-	els.searchErrors.innerHTML = errors
-		.map(
-			(error) => `
-				<div class="rounded-lg border border-rose-500/40 bg-rose-500/10 p-3 text-sm text-rose-200">
-					<strong>${escapeHtml(error.provider ?? 'Provider')}</strong>: ${escapeHtml(error.message ?? 'Unknown error')}
-				</div>
-			`
-		)
+	const newLabel = state.activeSavedSearchId !== null && state.searchNewKeys.size > 0 ? ` ${state.searchNewKeys.size} new since the previous run.` : '';
+	const filterLabel = count > 0 && hasActiveSearchFilters() ? ` Showing ${getVisibleSearchResults().length} after filters.` : '';
+	els.searchMeta.textContent = `${count} result${count === 1 ? '' : 's'} for "${query}" via ${providerLabel}.${newLabel}${filterLabel}`;
+}
+
+function renderSearchProviderRuns() {
+	const el = els.searchProviderStatus;
+	if (!(el instanceof HTMLElement)) return;
+	const runs = Array.from(state.searchProviderRuns.entries());
+	toggleElement(el, runs.length > 0);
+	el.innerHTML = runs
+		.map(([key, run]) => {
+			const provider = state.providers.find((entry) => entry.key === key);
+			const name = escapeHtml(provider?.name ?? key);
+			const timing = run.elapsedMs !== null ? `${(run.elapsedMs / 1000).toFixed(1)} s` : '';
+			if (run.status === 'loading') {
+				return `
+					<span class="inline-flex items-center gap-2 rounded-full border border-brand-500/40 bg-brand-500/10 px-3 py-1 text-xs text-brand-200">
+						<span class="h-3 w-3 animate-spin rounded-full border-2 border-brand-300 border-t-transparent"></span>
+						${name} – searching…
+					</span>
+				`;
+			}
+			if (run.status === 'error') {
+				return `
+					<span class="inline-flex max-w-full items-center gap-2 rounded-full border border-rose-500/40 bg-rose-500/10 px-3 py-1 text-xs text-rose-200" title="${escapeHtml(run.message ?? '')}">
+						<span class="font-semibold">${name}</span>
+						<span class="truncate">${escapeHtml(run.message ?? 'Unknown error')}</span>
+						<span class="shrink-0 text-rose-300/70">${timing}</span>
+					</span>
+				`;
+			}
+			return `
+				<span class="inline-flex items-center gap-2 rounded-full border border-emerald-500/30 bg-emerald-500/10 px-3 py-1 text-xs text-emerald-200">
+					<span class="font-semibold">${name}</span>
+					${run.count} result${run.count === 1 ? '' : 's'}
+					<span class="text-emerald-300/70">${timing}</span>
+				</span>
+			`;
+		})
 		.join('');
 }
 
@@ -4737,50 +6755,103 @@ function updateQueueButton() {
 	const hasSelection = state.selectedSearch.size > 0;
 	toggleElement(els.queueSelectionBtn, hasSelection, 'inline-flex');
 	if (els.queueSelectionBtn) {
-		els.queueSelectionBtn.textContent = `Add ${state.selectedSearch.size} item${state.selectedSearch.size === 1 ? '' : 's'} to queue`;
+		const hidden = hiddenSearchSelections().length;
+		const hiddenLabel = hidden > 0 ? ` (${hidden} hidden by filters)` : '';
+		els.queueSelectionBtn.textContent = `Add ${state.selectedSearch.size} item${state.selectedSearch.size === 1 ? '' : 's'} to queue${hiddenLabel}`;
 	}
 }
 
-async function queueSelectedResults() {
-	if (state.isQueueSubmitting || state.selectedSearch.size === 0) return;
-	state.isQueueSubmitting = true;
-	els.queueSelectionBtn?.setAttribute('disabled', 'true');
+// Selected cache keys whose results the active filters currently hide.
+function hiddenSearchSelections() {
+	if (state.selectedSearch.size === 0 || !hasActiveSearchFilters()) return [];
+	const visible = new Set(getVisibleSearchResults().map((item) => item.cacheKey));
+	return Array.from(state.selectedSearch).filter((cacheKey) => !visible.has(cacheKey));
+}
 
-	const itemsPayload = Array.from(state.selectedSearch)
-		.map((cacheKey) => state.searchResults.find((item) => item.cacheKey === cacheKey))
-		.filter(Boolean)
-		.map((item) => ({
-			provider: item.provider,
-			external_id: item.external_id,
-			title: item.title,
-			size_bytes: item.size_bytes,
-		}));
+// Lets the user decide whether selections the filters hide are queued with the visible ones.
+function confirmHiddenSelections(hiddenCount, selectedCount) {
+	if (hiddenCount === 0) return true;
+	return window.confirm(`${hiddenCount} of the ${selectedCount} selected items ${hiddenCount === 1 ? 'is' : 'are'} hidden by the current filters.\n\nPress OK to queue them too, or Cancel to queue only the visible ones.`);
+}
+
+function queueSelectedResults() {
+	if (state.isQueueSubmitting || state.selectedSearch.size === 0) return;
 
-	if (itemsPayload.length === 0) {
+	const hidden = new Set(hiddenSearchSelections());
+	const includeHidden = confirmHiddenSelections(hidden.size, state.selectedSearch.size);
+	const offeredKeys = Array.from(state.selectedSearch).filter((cacheKey) => includeHidden || !hidden.has(cacheKey));
+	const selected = resolveLibraryDuplicates(
+		offeredKeys
+			.map((cacheKey) => state.searchResults.find((item) => item.cacheKey === cacheKey))
+			.filter(Boolean)
+			.map((item) => ({ label: item.title, keys: searchResultLibraryKeys(item), item }))
+	).map((entry) => entry.item);
+
+	if (selected.length === 0) {
 		showToast('Nothing to queue.', 'warning');
-		resetQueueButton();
 		return;
 	}
 
+	openQueueReview(selected, { onSubmit: (entries) => submitReviewedResults(entries, offeredKeys) });
+}
+
+// `offeredKeys` are the selections this submission covered; hidden ones left out stay selected.
+async function submitReviewedResults(entries, offeredKeys) {
+	state.isQueueSubmitting = true;
+	els.queueSelectionBtn?.setAttribute('disabled', 'true');
 	try {
+		const itemsPayload = entries.map(({ item, title, metadata }) => ({
+			...buildSearchQueueItem(item),
+			title,
+			...(metadata ? { metadata } : {}),
+		}));
 		await fetchJson(API.queue, {
 			method: 'POST',
 			body: JSON.stringify({ items: itemsPayload }),
 		});
 
 		showToast(`Queued ${itemsPayload.length} item${itemsPayload.length === 1 ? '' : 's'}.`, 'success');
-		state.selectedSearch.clear();
+		offeredKeys.forEach((cacheKey) => state.selectedSearch.delete(cacheKey));
+		noteLibraryQueued(entries.map(({ item }) => searchResultLibraryKeys(item)));
 		renderSearchResults();
 		if (state.currentView === 'queue') {
 			loadJobs();
 		}
+	} finally {
+		resetQueueButton();
+	}
+}
+
+async function queueSearchResult(item, { label = 'Queued' } = {}) {
+	if (state.isQueueSubmitting || !item) return;
+	if (resolveLibraryDuplicates([{ label: item.title, keys: searchResultLibraryKeys(item) }]).length === 0) return;
+	state.isQueueSubmitting = true;
+	try {
+		await fetchJson(API.queue, {
+			method: 'POST',
+			body: JSON.stringify({ items: [buildSearchQueueItem(item)] }),
+		});
+		showToast(`${label}: ${item.title}`, 'success');
+		noteLibraryQueued([searchResultLibraryKeys(item)]);
+		if (state.currentView === 'queue') {
+			loadJobs();
+		}
 	} catch (error) {
 		showToast(messageFromError(error), 'error');
 	} finally {
-		resetQueueButton();
+		state.isQueueSubmitting = false;
 	}
 }
 
+function buildSearchQueueItem(item) {
+	return {
+		provider: item.provider,
+		external_id: item.external_id,
+		title: item.title,
+		size_bytes: item.size_bytes,
+	};
+}
+
 function resetQueueButton() {
 	state.isQueueSubmitting = false;
 	els.queueSelectionBtn?.removeAttribute('disabled');
@@ -32,6 +32,25 @@ export const state = {
 	jobStreamVisibleKey: '',
 	jobStreamReloadTimeout: null,
 	defaultSearchLimit: 50,
+	lastSearch: null, // { query, limit, providers } of the last submitted search
+	savedSearches: [],
+	savedSearchesLoading: false,
+	activeSavedSearchId: null,
+	searchNewKeys: new Set(), // result cacheKeys not seen in the previous run of the active saved search
+	searchController: null, // AbortController shared by the in-flight per-provider search requests
+	searchProviderRuns: new Map(), // provider key → { status, startedAt, elapsedMs, count, message } of the last search
+	recentQueries: [], // submitted queries, most recent first (session only)
+	searchSuggestions: { query: '', items: [], activeIndex: -1, loading: false },
+	queueReviewFolders: [], // custom library folders picked in the pre-queue review this session
+	searchFilters: null, // client-side filter/sort settings, initialised by wireSearchFilters()
+	searchGrouping: {
+		enabled: false,
+		ranking: 'quality',
+		expanded: new Set(),
+	},
+	qualityProfiles: [],
+	activeQualityProfileId: undefined, // undefined until chosen: the default profile applies; null: built-in ranking
+	library: null, // downloaded/queued/failed index built from the jobs list, see modules/library.js
 	currentView: 'search',
 	// Paging metadata for jobs list (server-side infinite scroll)
 	jobsPageSize: 10,
@@ -54,8 +73,19 @@ export const state = {
 		variantsError: null,
 		variantQueueing: false,
 		variantsCache: null,
+		variantView: 'list', // 'list' cards or the 'table' comparison in the download options modal
+		variantSort: null, // { key, dir } of the comparison table
+		variantSelection: new Set(), // variant indexes ticked in the comparison table
 		mode: 'kraska',
+		filter: '', // instant filter over the items of the current level
+		branchSearch: null, // { query, rootPath, running, scanned, matches, truncated, cancelled, error, controller }
+		episodeGrid: null, // { rootPath, loading, error, seasons, controller } for series folders
+		collection: null, // background expansion of selected folders before queueing, see startKraskaCollection()
 	},
+	kraskaLocations: { bookmarks: [], recent: [] }, // per-user Kra.sk bookmarks and recent visits, see modules/kraskaLocations.js
+	followedSeries: [], // series whose new episodes the scheduler auto-queues, see modules/followedSeries.js
+	followedSeriesLoading: false,
+	followedSeriesError: null,
 	krask2: {
 		manifest: null,
 		catalogs: [],
@@ -69,10 +99,28 @@ export const state = {
 		itemsRequested: false,
 		searchTerm: '',
 		lastLoadedSearch: '',
+		searchAll: false, // "All catalogs" toggle next to the search box
+		searchScope: 'catalog', // scope of the loaded items: 'catalog' or 'all'
+		searchProgress: null, // { done, total, failed } while an all-catalogs search runs
 		meta: {},
 		itemsCache: null,
+		// One entry per fetched `skip` page: { skip, count, cache }.
+		pages: [],
+		hasMore: false,
+		pageLoading: false,
+		pageError: null,
+		layout: 'list',
+		filters: null, // genre/language/year/runtime filters, initialised by wireKrask2Filters()
 		selected: new Map(),
 		queueLabel: '',
+		bulkQueue: { tasks: [], loading: false, error: null }, // background resolver tasks, see modules/krask2BulkQueue.js
+	},
+	// Combined Kra.sk + KraSk2 search of the "Both" browse mode, see modules/unifiedBrowse.js
+	unifiedBrowse: {
+		query: '',
+		bothOnly: false,
+		kraska: { items: [], loading: false, error: null },
+		krask2: { items: [], loading: false, error: null, progress: null },
 	},
 };
 
@@ -93,26 +141,52 @@ export const els = {
 	auditTab: document.getElementById('audit-tab'),
 	searchForm: document.getElementById('search-form'),
 	searchQuery: document.getElementById('search-query'),
+	searchSuggestions: document.getElementById('search-suggestions'),
 	searchLimit: document.getElementById('search-limit'),
 	providerFilters: document.getElementById('provider-filters'),
 	queueSelectionBtn: document.getElementById('queue-selection-btn'),
 	searchResults: document.getElementById('search-results'),
 	searchMeta: document.getElementById('search-meta'),
+	searchFilters: document.getElementById('search-filters'),
+	searchGroupToggle: document.getElementById('search-group-toggle'),
+	searchRankingSelect: document.getElementById('search-ranking-select'),
 	searchWarnings: document.getElementById('search-warnings'),
 	searchEmpty: document.getElementById('search-empty'),
-	searchLoading: document.getElementById('search-loading'),
-	searchErrors: document.getElementById('search-errors'),
+	searchProviderStatus: document.getElementById('search-provider-status'),
+	resultDrawer: document.getElementById('result-drawer'),
+	resultDrawerBody: document.getElementById('result-drawer-body'),
+	krask2Detail: document.getElementById('krask2-detail'),
+	krask2DetailBody: document.getElementById('krask2-detail-body'),
+	savedSearchesList: document.getElementById('saved-searches-list'),
+	savedSearchesEmpty: document.getElementById('saved-searches-empty'),
+	savedSearchesError: document.getElementById('saved-searches-error'),
+	savedSearchSaveBtn: document.getElementById('saved-search-save-btn'),
 	kraskaTab: document.getElementById('kraska-tab'),
 	kraskaView: document.getElementById('kraska-view'),
 	kraskaProviderToggle: document.getElementById('kraska-provider-toggle'),
 	kraskaMenuControls: document.getElementById('kraska-menu-controls'),
 	kraskaMenuView: document.getElementById('kraska-menu-view'),
 	krask2View: document.getElementById('krask2-view'),
+	unifiedView: document.getElementById('unified-view'),
+	unifiedSearchForm: document.getElementById('unified-search-form'),
+	unifiedSearchInput: document.getElementById('unified-search-input'),
+	unifiedBothOnly: document.getElementById('unified-both-only'),
+	unifiedStatus: document.getElementById('unified-status'),
+	unifiedList: document.getElementById('unified-list'),
 	kraskaList: document.getElementById('kraska-list'),
+	kraskaFilter: document.getElementById('kraska-filter'),
+	kraskaBranchSearchBtn: document.getElementById('kraska-branch-search-btn'),
+	kraskaBranchSearch: document.getElementById('kraska-branch-search'),
+	kraskaCollection: document.getElementById('kraska-collection'),
+	kraskaEpisodesBtn: document.getElementById('kraska-episodes-btn'),
+	kraskaEpisodes: document.getElementById('kraska-episodes'),
+	kraskaFollowBtn: document.getElementById('kraska-follow-btn'),
 	kraskaLoading: document.getElementById('kraska-loading'),
 	kraskaEmpty: document.getElementById('kraska-empty'),
 	kraskaError: document.getElementById('kraska-error'),
 	kraskaBreadcrumbs: document.getElementById('kraska-breadcrumbs'),
+	kraskaBookmarkBtn: document.getElementById('kraska-bookmark-btn'),
+	kraskaLocations: document.getElementById('kraska-locations'),
 	kraskaBackBtn: document.getElementById('kraska-back-btn'),
 	kraskaHomeBtn: document.getElementById('kraska-home-btn'),
 	kraskaQueueBtn: document.getElementById('kraska-queue-btn'),
@@ -125,12 +199,23 @@ export const els = {
 	krask2RefreshBtn: document.getElementById('krask2-refresh-btn'),
 	krask2ItemsRefreshBtn: document.getElementById('krask2-items-refresh-btn'),
 	krask2QueueBtn: document.getElementById('krask2-queue-btn'),
+	krask2ProfileSelect: document.getElementById('krask2-profile-select'),
 	krask2Error: document.getElementById('krask2-error'),
 	krask2Loading: document.getElementById('krask2-loading'),
 	krask2Empty: document.getElementById('krask2-empty'),
 	krask2List: document.getElementById('krask2-list'),
 	krask2CatalogCacheMeta: document.getElementById('krask2-catalog-cache-meta'),
 	krask2ItemsCacheMeta: document.getElementById('krask2-items-cache-meta'),
+	krask2More: document.getElementById('krask2-more'),
+	krask2Filters: document.getElementById('krask2-filters'),
+	krask2SearchAll: document.getElementById('krask2-search-all'),
+	krask2BulkQueue: document.getElementById('krask2-bulk-queue'),
+	krask2LayoutButtons: Array.from(document.querySelectorAll('[data-krask2-layout]')),
+	followedList: document.getElementById('followed-list'),
+	followedEmpty: document.getElementById('followed-empty'),
+	followedError: document.getElementById('followed-error'),
+	followedLoading: document.getElementById('followed-loading'),
+	followedRefreshBtn: document.getElementById('followed-refresh-btn'),
 	queueView: document.getElementById('queue-view'),
 	jobsList: document.getElementById('jobs-list'),
 	jobsEmpty: document.getElementById('jobs-empty'),
@@ -204,8 +289,12 @@ export const API = {
 	providerResume: '/api/providers/resume',
 	providersStatusAll: '/api/providers/status_all',
 	search: '/api/search',
+	savedSearches: '/api/saved_searches',
+	qualityProfiles: '/api/quality_profiles',
 	kraskaMenu: '/api/providers/kraska/menu',
 	kraskaOptions: '/api/providers/kraska/options',
+	kraskaLocations: '/api/providers/kraska/locations',
+	followedSeries: '/api/followed_series',
 	krask2Catalogs: '/api/providers/krask2/catalogs.php',
 	krask2CatalogItems: '/api/providers/krask2/catalog_items.php',
 	krask2Meta: '/api/providers/krask2/meta.php',
@@ -0,0 +1,230 @@
+import { state, els, API } from './context.js';
+import { fetchJson, toggleElement, showToast, escapeHtml, messageFromError, formatRelativeTime } from './utils.js';
+import { getActiveQualityProfile, renderQualityProfileOptions } from './qualityProfiles.js';
+
+const PROVIDER_LABELS = { krask2: 'KraSk2', kraska: 'Kra.sk' };
+
+let openSeriesHandler = null;
+let changeHandler = null;
+
+/**
+ * `onOpen` browses to a followed Kra.sk series; `onChange` runs whenever the followed list changes
+ * so Follow buttons elsewhere can update.
+ */
+export function wireFollowedSeries({ onOpen, onChange } = {}) {
+	openSeriesHandler = typeof onOpen === 'function' ? onOpen : null;
+	changeHandler = typeof onChange === 'function' ? onChange : null;
+
+	els.followedRefreshBtn?.addEventListener('click', () => {
+		void loadFollowedSeries();
+	});
+
+	els.followedList?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		const action = target.closest('[data-followed-action]');
+		if (!(action instanceof HTMLElement)) return;
+		const series = findFollowedSeriesById(Number.parseInt(action.dataset.followedId ?? '', 10));
+		if (!series) return;
+		event.preventDefault();
+		switch (action.dataset.followedAction) {
+			case 'check':
+				void updateFollowedSeries(series, { check_now: true }, `"${series.title}" will be checked within a minute.`);
+				break;
+			case 'toggle':
+				void updateFollowedSeries(series, { enabled: !series.enabled });
+				break;
+			case 'delete':
+				void unfollowSeries(series);
+				break;
+			case 'open':
+				openSeriesHandler?.(series);
+				break;
+			default:
+				break;
+		}
+	});
+
+	els.followedList?.addEventListener('change', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLSelectElement) || target.dataset.followedProfile === undefined) return;
+		const series = findFollowedSeriesById(Number.parseInt(target.dataset.followedProfile, 10));
+		if (!series) return;
+		const profileId = target.value === '' ? null : Number.parseInt(target.value, 10);
+		void updateFollowedSeries(series, { quality_profile_id: profileId });
+	});
+}
+
+export async function loadFollowedSeries() {
+	if (!state.user) return;
+	state.followedSeriesLoading = true;
+	renderFollowedSeries();
+	try {
+		const response = await fetchJson(API.followedSeries);
+		state.followedSeries = Array.isArray(response?.data) ? response.data.map(normalizeFollowedSeries).filter(Boolean) : [];
+		state.followedSeriesError = null;
+	} catch (error) {
+		state.followedSeriesError = messageFromError(error);
+		console.warn('Failed to load followed series', error);
+	} finally {
+		state.followedSeriesLoading = false;
+		renderFollowedSeries();
+		changeHandler?.();
+	}
+}
+
+export function findFollowedSeries(provider, seriesRef) {
+	return state.followedSeries.find((entry) => entry.provider === provider && entry.series_ref === seriesRef) ?? null;
+}
+
+/**
+ * Follows the series, or asks to unfollow it when it is already followed. New follows use the
+ * quality profile picked in the Browse view.
+ */
+export async function toggleFollowSeries({ provider, seriesRef, title, poster = null }) {
+	if (!state.user || !seriesRef) return;
+	const existing = findFollowedSeries(provider, seriesRef);
+	if (existing) {
+		await unfollowSeries(existing);
+		return;
+	}
+
+	try {
+		const response = await fetchJson(API.followedSeries, {
+			method: 'POST',
+			body: JSON.stringify({
+				provider,
+				series_ref: seriesRef,
+				title,
+				poster,
+				quality_profile_id: getActiveQualityProfile()?.id ?? null,
+			}),
+		});
+		const saved = normalizeFollowedSeries(response?.data);
+		if (!saved) return;
+		upsertFollowedSeries(saved);
+		showToast(`Following "${saved.title}". New episodes will be queued automatically.`, 'success');
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+	}
+}
+
+export function renderFollowedSeries() {
+	const list = els.followedList;
+	if (!list) return;
+	toggleElement(els.followedLoading, state.followedSeriesLoading && state.followedSeries.length === 0);
+	if (els.followedError) {
+		els.followedError.textContent = state.followedSeriesError ?? '';
+		toggleElement(els.followedError, Boolean(state.followedSeriesError));
+	}
+	toggleElement(els.followedEmpty, !state.followedSeriesLoading && state.followedSeries.length === 0);
+	list.innerHTML = state.followedSeries.map(renderFollowedRow).join('');
+}
+
+function renderFollowedRow(series) {
+	const poster = series.poster
+		? `<img src="${escapeHtml(series.poster)}" alt="" class="h-16 w-12 rounded-lg object-cover" loading="lazy" />`
+		: '<div class="flex h-16 w-12 items-center justify-center rounded-lg bg-slate-800/70 text-xl">📺</div>';
+	const status = [];
+	if (series.last_checked_at) {
+		status.push(`Checked ${formatRelativeTime(series.last_checked_at)}`);
+		status.push(`${series.known_count} episode${series.known_count === 1 ? '' : 's'} known`);
+		if (series.last_new_count > 0) {
+			status.push(`${series.last_new_count} queued last time`);
+		}
+	} else {
+		status.push('Waiting for the first check; existing episodes are recorded, not queued');
+	}
+	const buttonClass = 'rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200';
+	return `
+		<li class="flex flex-col gap-3 rounded-2xl border border-slate-800/70 bg-slate-900/60 p-4 sm:flex-row sm:items-center ${series.enabled ? '' : 'opacity-70'}">
+			${poster}
+			<div class="min-w-0 flex-1 space-y-1">
+				<div class="flex flex-wrap items-center gap-2">
+					<h4 class="truncate text-base font-semibold text-slate-100">${escapeHtml(series.title)}</h4>
+					<span class="rounded-full border border-slate-800/60 bg-slate-950/50 px-2 py-0.5 text-[11px] uppercase tracking-wide text-slate-400">${escapeHtml(PROVIDER_LABELS[series.provider] ?? series.provider)}</span>
+					${series.enabled ? '' : '<span class="rounded-full border border-amber-500/40 bg-amber-500/10 px-2 py-0.5 text-[11px] uppercase tracking-wide text-amber-200">Paused</span>'}
+				</div>
+				<p class="text-xs text-slate-400">${escapeHtml(status.join(' · '))}</p>
+				${series.last_error ? `<p class="text-xs text-rose-300">${escapeHtml(series.last_error)}</p>` : ''}
+				${series.skipped_episodes.length > 0 ? `<p class="text-xs text-amber-200" title="${escapeHtml(series.skipped_episodes.map((entry) => `${entry.key}: ${entry.error}`).join('\n'))}">Skipped after repeated failures: ${escapeHtml(series.skipped_episodes.map((entry) => entry.key).join(', '))}</p>` : ''}
+			</div>
+			<div class="flex flex-wrap items-center gap-2">
+				<label class="inline-flex items-center gap-2 text-xs text-slate-400">
+					Profile
+					<select data-followed-profile="${series.id}" class="rounded-lg border border-slate-700 bg-slate-950/60 px-2 py-1 text-xs text-slate-100">${renderQualityProfileOptions(series.quality_profile_id)}</select>
+				</label>
+				${series.provider === 'kraska' ? `<button type="button" data-followed-action="open" data-followed-id="${series.id}" class="${buttonClass}">Open</button>` : ''}
+				<button type="button" data-followed-action="check" data-followed-id="${series.id}" class="${buttonClass}" ${series.enabled ? '' : 'disabled'}>Check now</button>
+				<button type="button" data-followed-action="toggle" data-followed-id="${series.id}" class="${buttonClass}">${series.enabled ? 'Pause' : 'Resume'}</button>
+				<button type="button" data-followed-action="delete" data-followed-id="${series.id}" class="rounded-lg border border-rose-600/60 bg-rose-500/10 px-3 py-1.5 text-xs font-semibold text-rose-200 transition hover:bg-rose-500/20">Unfollow</button>
+			</div>
+		</li>
+	`;
+}
+
+async function updateFollowedSeries(series, payload, successMessage = null) {
+	try {
+		const response = await fetchJson(`${API.followedSeries}?id=${encodeURIComponent(String(series.id))}`, {
+			method: 'PATCH',
+			body: JSON.stringify(payload),
+		});
+		const updated = normalizeFollowedSeries(response?.data);
+		if (updated) upsertFollowedSeries(updated);
+		if (successMessage) showToast(successMessage, 'success');
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+		renderFollowedSeries();
+	}
+}
+
+async function unfollowSeries(series) {
+	if (!window.confirm(`Stop following "${series.title}"? Episodes already queued stay in the queue.`)) return;
+	try {
+		await fetchJson(`${API.followedSeries}?id=${encodeURIComponent(String(series.id))}`, { method: 'DELETE' });
+		state.followedSeries = state.followedSeries.filter((entry) => entry.id !== series.id);
+		renderFollowedSeries();
+		changeHandler?.();
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+	}
+}
+
+function upsertFollowedSeries(series) {
+	state.followedSeries = state.followedSeries
+		.filter((entry) => entry.id !== series.id)
+		.concat(series)
+		.sort((a, b) => a.title.localeCompare(b.title));
+	renderFollowedSeries();
+	changeHandler?.();
+}
+
+function findFollowedSeriesById(id) {
+	return state.followedSeries.find((entry) => entry.id === id) ?? null;
+}
+
+function normalizeFollowedSeries(raw) {
+	if (!raw || typeof raw !== 'object') return null;
+	const id = Number.parseInt(String(raw.id ?? ''), 10);
+	const seriesRef = typeof raw.series_ref === 'string' ? raw.series_ref : '';
+	if (!Number.isFinite(id) || seriesRef === '') return null;
+	const profileId = Number.parseInt(String(raw.quality_profile_id ?? ''), 10);
+	return {
+		id,
+		provider: raw.provider === 'kraska' ? 'kraska' : 'krask2',
+		series_ref: seriesRef,
+		title: typeof raw.title === 'string' && raw.title !== '' ? raw.title : seriesRef,
+		poster: typeof raw.poster === 'string' && raw.poster !== '' ? raw.poster : null,
+		quality_profile_id: Number.isFinite(profileId) ? profileId : null,
+		enabled: raw.enabled !== false,
+		known_count: Number.parseInt(String(raw.known_count ?? 0), 10) || 0,
+		last_checked_at: typeof raw.last_checked_at === 'string' && raw.last_checked_at !== '' ? raw.last_checked_at : null,
+		last_new_count: Number.parseInt(String(raw.last_new_count ?? 0), 10) || 0,
+		last_error: typeof raw.last_error === 'string' && raw.last_error !== '' ? raw.last_error : null,
+		skipped_episodes: Array.isArray(raw.skipped_episodes)
+			? raw.skipped_episodes
+				.filter((entry) => entry && typeof entry.key === 'string')
+				.map((entry) => ({ key: entry.key, error: typeof entry.error === 'string' ? entry.error : '' }))
+			: [],
+	};
+}
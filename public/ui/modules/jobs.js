@@ -13,6 +13,8 @@ import {
 	parseIsoDate,
 	formatBytes,
 } from './utils.js';
+import { syncRoute } from './router.js';
+import { indexJobs } from './library.js';
 
 let dragSourceId = null;
 const QUEUE_STATUSES = new Set(['downloading', 'starting', 'queued', 'paused']);
@@ -138,6 +140,7 @@ function detectProviderAlertType(alert) {
 export function wireJobs() {
 	els.jobsMineToggle?.addEventListener('change', () => {
 		state.showMyJobs = Boolean(els.jobsMineToggle?.checked);
+		syncRoute();
 		loadJobs();
 	});
 
@@ -220,6 +223,7 @@ async function loadJobsPage(initial = false) {
 		applyProviderAlerts([...backoffs, ...pauses]);
 		const normalized = jobs.map((j) => normalizeJob(j)).filter(Boolean);
 		state.jobs.push(...normalized);
+		indexJobs(normalized);
 		sortJobsInPlace(state.jobs); // ensure stable ordering relative to client expectations
 		state.jobsOffset += normalized.length;
 		state.jobsTotal = typeof meta.total === 'number' ? meta.total : state.jobsTotal;
@@ -682,6 +686,7 @@ function handleJobEvent(event) {
 	if (!event || !event.type) return;
 
 	const job = event.job ?? {};
+	indexJobs([normalizeJob(job)].filter(Boolean));
 	const jobId = Number(job?.id);
 	const isVisible = Number.isFinite(jobId) && state.jobStreamVisibleIds.has(jobId);
 	if (!isVisible) {
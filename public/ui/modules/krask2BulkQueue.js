@@ -0,0 +1,266 @@
+import { state, els, API } from './context.js';
+import { fetchJson, toggleElement, showToast, escapeHtml, messageFromError, formatRelativeTime } from './utils.js';
+
+const POLL_INTERVAL_MS = 3000;
+const STATUS_BADGES = {
+	waiting: 'border-slate-700/60 bg-slate-950/50 text-slate-300',
+	resolving: 'border-brand-500/40 bg-brand-500/10 text-brand-200',
+	queued: 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200',
+	failed: 'border-rose-500/40 bg-rose-500/10 text-rose-200',
+};
+
+let queuedHandler = null;
+let pollTimer = null;
+let loadGeneration = 0;
+let knownQueuedIds = null; // queued entry ids seen by the previous load
+// Task ids the user expanded or collapsed; other tasks are open while they have unfinished entries.
+const taskOpen = new Map();
+
+/**
+ * Panel listing the background resolver's recent tasks and their entries. `onQueued` runs when
+ * entries have turned into jobs since the previous refresh.
+ */
+export function wireKrask2BulkQueue({ onQueued } = {}) {
+	queuedHandler = typeof onQueued === 'function' ? onQueued : null;
+
+	els.krask2BulkQueue?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		const action = target.closest('[data-krask2-bulk-action]');
+		if (!(action instanceof HTMLElement)) return;
+		event.preventDefault();
+		const id = Number.parseInt(action.dataset.krask2BulkId ?? '', 10);
+		switch (action.dataset.krask2BulkAction) {
+			case 'refresh':
+				void loadKrask2BulkQueue();
+				break;
+			case 'toggle':
+				if (Number.isFinite(id)) {
+					taskOpen.set(id, !isTaskOpen(findTask(id)));
+					renderKrask2BulkQueue();
+				}
+				break;
+			case 'retry':
+				if (Number.isFinite(id)) void updateEntry(id, 'PATCH');
+				break;
+			case 'remove':
+				if (Number.isFinite(id)) void updateEntry(id, 'DELETE');
+				break;
+			default:
+				break;
+		}
+	});
+}
+
+/** Fetches the recent tasks and keeps polling while any entry is still waiting or resolving. */
+export async function loadKrask2BulkQueue() {
+	if (!state.user) return;
+	stopPolling();
+	const generation = ++loadGeneration;
+	const bulkQueue = state.krask2.bulkQueue;
+	bulkQueue.loading = true;
+	renderKrask2BulkQueue();
+	try {
+		const response = await fetchJson(API.krask2BulkQueue);
+		if (generation !== loadGeneration) return;
+		const tasks = Array.isArray(response?.data) ? response.data.map(normalizeTask).filter(Boolean) : [];
+		const queuedIds = collectQueuedIds(tasks);
+		const newlyQueued = knownQueuedIds !== null && Array.from(queuedIds).some((id) => !knownQueuedIds.has(id));
+		knownQueuedIds = queuedIds;
+		bulkQueue.tasks = tasks;
+		bulkQueue.error = null;
+		if (newlyQueued) {
+			queuedHandler?.();
+		}
+	} catch (error) {
+		if (generation !== loadGeneration) return;
+		bulkQueue.error = messageFromError(error);
+		console.warn('Failed to load KraSk2 bulk queue', error);
+	} finally {
+		if (generation === loadGeneration) {
+			bulkQueue.loading = false;
+			renderKrask2BulkQueue();
+			if (bulkQueue.tasks.some(isTaskActive)) {
+				pollTimer = window.setTimeout(() => {
+					pollTimer = null;
+					void loadKrask2BulkQueue();
+				}, POLL_INTERVAL_MS);
+			}
+		}
+	}
+}
+
+export function resetKrask2BulkQueue() {
+	stopPolling();
+	loadGeneration++;
+	knownQueuedIds = null;
+	taskOpen.clear();
+	state.krask2.bulkQueue = { tasks: [], loading: false, error: null };
+	renderKrask2BulkQueue();
+}
+
+export function renderKrask2BulkQueue() {
+	const container = els.krask2BulkQueue;
+	if (!container) return;
+	const { tasks, loading, error } = state.krask2.bulkQueue;
+	const visible = tasks.filter((task) => task.items.length > 0);
+	if (visible.length === 0 && !error) {
+		container.innerHTML = '';
+		toggleElement(container, false);
+		return;
+	}
+
+	const waiting = visible.reduce((total, task) => total + task.items.filter(isEntryActive).length, 0);
+	const summary = waiting > 0 ? `${waiting} entr${waiting === 1 ? 'y' : 'ies'} still resolving` : 'All entries handled';
+	container.innerHTML = `
+		<div class="flex flex-wrap items-center justify-between gap-2">
+			<div>
+				<h4 class="text-sm font-semibold text-slate-100">Background resolver</h4>
+				<p class="text-xs text-slate-400">${escapeHtml(summary)}${loading ? ' · refreshing…' : ''}</p>
+			</div>
+			<button type="button" data-krask2-bulk-action="refresh" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Refresh</button>
+		</div>
+		${error ? `<p class="text-xs text-rose-300">${escapeHtml(error)}</p>` : ''}
+		<ul class="space-y-2">${visible.map(renderTask).join('')}</ul>
+	`;
+	toggleElement(container, true);
+}
+
+function renderTask(task) {
+	const open = isTaskOpen(task);
+	const counts = task.items.reduce((acc, item) => {
+		acc[item.status] = (acc[item.status] ?? 0) + 1;
+		return acc;
+	}, {});
+	const parts = ['waiting', 'resolving', 'queued', 'failed']
+		.filter((status) => counts[status] > 0)
+		.map((status) => `${counts[status]} ${status}`);
+	const meta = [
+		`Submitted ${formatRelativeTime(task.created_at)}`,
+		task.quality_profile ? `profile "${task.quality_profile}"` : null,
+		parts.join(', '),
+	].filter(Boolean);
+
+	return `
+		<li class="rounded-xl border border-slate-800/70 bg-slate-900/60">
+			<button type="button" data-krask2-bulk-action="toggle" data-krask2-bulk-id="${task.id}" aria-expanded="${open}" class="flex w-full items-center justify-between gap-2 px-3 py-2 text-left">
+				<span class="min-w-0 truncate text-xs text-slate-300">${escapeHtml(meta.join(' · '))}</span>
+				<span class="text-xs text-slate-500">${open ? '▾' : '▸'}</span>
+			</button>
+			${task.error_text ? `<p class="px-3 pb-2 text-xs text-rose-300">${escapeHtml(task.error_text)}</p>` : ''}
+			${open ? `<ul class="divide-y divide-slate-800/70 border-t border-slate-800/70">${task.items.map(renderEntry).join('')}</ul>` : ''}
+		</li>
+	`;
+}
+
+function renderEntry(item) {
+	const buttonClass = 'rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-[11px] font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200';
+	const label = {
+		waiting: 'Waiting',
+		resolving: item.stale ? 'Stuck resolving' : 'Resolving…',
+		queued: item.job_id ? `Queued as job #${item.job_id}` : 'Queued',
+		failed: 'Failed',
+	}[item.status];
+	const actions = [];
+	if (item.status === 'failed' || item.stale) {
+		actions.push(`<button type="button" data-krask2-bulk-action="retry" data-krask2-bulk-id="${item.id}" class="${buttonClass}">Retry</button>`);
+	}
+	if (item.status !== 'resolving' || item.stale) {
+		actions.push(`<button type="button" data-krask2-bulk-action="remove" data-krask2-bulk-id="${item.id}" class="${buttonClass}">${item.status === 'queued' ? 'Dismiss' : 'Remove'}</button>`);
+	}
+
+	return `
+		<li class="flex flex-wrap items-center gap-2 px-3 py-2">
+			<div class="min-w-0 flex-1">
+				<p class="truncate text-sm text-slate-200">${escapeHtml(item.title)}</p>
+				${item.status === 'failed' && item.error_text ? `<p class="text-xs text-rose-300">${escapeHtml(item.error_text)}</p>` : ''}
+			</div>
+			<span class="rounded-full border px-2 py-0.5 text-[11px] ${STATUS_BADGES[item.status]}">${escapeHtml(label)}${item.attempts > 1 ? ` · attempt ${item.attempts}` : ''}</span>
+			${actions.join('')}
+		</li>
+	`;
+}
+
+async function updateEntry(itemId, method) {
+	try {
+		const response = await fetchJson(`${API.krask2BulkQueue}?item_id=${encodeURIComponent(String(itemId))}`, { method });
+		const updated = normalizeTask(response?.data);
+		const tasks = state.krask2.bulkQueue.tasks;
+		const ownerIndex = tasks.findIndex((task) => task.items.some((item) => item.id === itemId));
+		if (ownerIndex !== -1) {
+			// A null task means its last entry was removed and the task went with it.
+			state.krask2.bulkQueue.tasks = updated
+				? tasks.map((task, index) => (index === ownerIndex ? updated : task))
+				: tasks.filter((_, index) => index !== ownerIndex);
+		}
+		renderKrask2BulkQueue();
+		if (method === 'PATCH') {
+			showToast('Entry sent back to the resolver.', 'success');
+			void loadKrask2BulkQueue();
+		}
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+		void loadKrask2BulkQueue();
+	}
+}
+
+function stopPolling() {
+	if (pollTimer !== null) {
+		clearTimeout(pollTimer);
+		pollTimer = null;
+	}
+}
+
+function findTask(id) {
+	return state.krask2.bulkQueue.tasks.find((task) => task.id === id) ?? null;
+}
+
+// Entries the server reports as stale were abandoned by a stopped scheduler and will not change
+// on their own, so they do not keep the panel polling.
+function isTaskActive(task) {
+	return task.items.some(isEntryActive);
+}
+
+function isEntryActive(item) {
+	return item.status === 'waiting' || (item.status === 'resolving' && !item.stale);
+}
+
+function isTaskOpen(task) {
+	if (!task) return false;
+	if (taskOpen.has(task.id)) return taskOpen.get(task.id);
+	return task.items.some((item) => item.status !== 'queued');
+}
+
+function collectQueuedIds(tasks) {
+	return new Set(tasks.flatMap((task) => task.items.filter((item) => item.status === 'queued').map((item) => item.id)));
+}
+
+function normalizeTask(raw) {
+	if (!raw || typeof raw !== 'object') return null;
+	const id = Number.parseInt(String(raw.id ?? ''), 10);
+	if (!Number.isFinite(id)) return null;
+	return {
+		id,
+		status: typeof raw.status === 'string' ? raw.status : 'pending',
+		quality_profile: typeof raw.quality_profile === 'string' && raw.quality_profile !== '' ? raw.quality_profile : null,
+		error_text: typeof raw.error_text === 'string' && raw.error_text !== '' ? raw.error_text : null,
+		created_at: typeof raw.created_at === 'string' ? raw.created_at : null,
+		items: Array.isArray(raw.items) ? raw.items.map(normalizeEntry).filter(Boolean) : [],
+	};
+}
+
+function normalizeEntry(raw) {
+	if (!raw || typeof raw !== 'object') return null;
+	const id = Number.parseInt(String(raw.id ?? ''), 10);
+	if (!Number.isFinite(id)) return null;
+	const jobId = Number.parseInt(String(raw.job_id ?? ''), 10);
+	return {
+		id,
+		status: raw.status in STATUS_BADGES ? raw.status : 'waiting',
+		title: typeof raw.title === 'string' && raw.title !== '' ? raw.title : 'KraSk2 item',
+		job_id: Number.isFinite(jobId) ? jobId : null,
+		error_text: typeof raw.error_text === 'string' && raw.error_text !== '' ? raw.error_text : null,
+		attempts: Number.parseInt(String(raw.attempts ?? 0), 10) || 0,
+		stale: raw.stale === true,
+	};
+}
@@ -0,0 +1,197 @@
+import { state } from './context.js';
+
+/**
+ * Browser-side cache for KraSk2 catalogs, catalog pages and series meta, kept in IndexedDB so
+ * it survives reloads and brief outages. Records expire when the server's own cache copy does
+ * (`fetched_at` + `ttl_seconds` of the response's `cache` meta); expired records are still
+ * served while a fresh copy is fetched, or instead of it when the request fails.
+ */
+
+const DB_NAME = 'jf-fetch';
+const DB_VERSION = 1;
+const STORE = 'krask2';
+const DEFAULT_TTL_SECONDS = 600;
+// Expired records are kept this long as an offline fallback before they are pruned.
+const MAX_STALE_MS = 7 * 24 * 3600 * 1000;
+
+let dbPromise = null;
+
+/**
+ * Cache key scoped to the signed-in user and, except for the catalog list itself, to the
+ * manifest the catalogs came from.
+ */
+export function krask2CacheKey(kind, id = '') {
+	const userId = state.user?.id ?? 'anonymous';
+	if (kind === 'catalogs') {
+		return `${userId}|catalogs`;
+	}
+	const manifest = state.krask2.manifest;
+	const scope = manifest ? `${manifest.id ?? ''}@${manifest.version ?? ''}` : 'manifest';
+	return `${userId}|${scope}|${kind}|${id}`;
+}
+
+/**
+ * Stale-while-revalidate around `load()`, which resolves to `{ value, cache }` with `cache` being
+ * the normalized server cache meta. A fresh browser copy is returned without a request. A stale
+ * copy is returned at once when `onRevalidated` is given (the request then runs in the background
+ * and its result is passed to the callback), otherwise only when the request fails.
+ *
+ * Browser copies carry `source: 'browser'` in their cache meta, plus `stale` or `offline`.
+ *
+ * @returns {Promise<{ value: any, cache: object|null }>}
+ */
+export async function loadWithKrask2Cache(key, load, { force = false, onRevalidated = null } = {}) {
+	const cached = force ? null : await readKrask2Cache(key);
+	if (cached && !cached.cache.stale) {
+		return cached;
+	}
+
+	const request = load().then((result) => {
+		void writeKrask2Cache(key, result.value, result.cache);
+		return result;
+	});
+	if (cached && typeof onRevalidated === 'function') {
+		request
+			.then(onRevalidated, (error) => {
+				console.warn('KraSk2 revalidation failed; keeping the browser copy', error);
+				onRevalidated(asOffline(cached));
+			})
+			.catch((error) => console.warn('Failed to apply revalidated KraSk2 data', error));
+		return cached;
+	}
+
+	try {
+		return await request;
+	} catch (error) {
+		if (cached) {
+			return asOffline(cached);
+		}
+		throw error;
+	}
+}
+
+/** Drops every cached record, e.g. when the user signs out. */
+export async function clearKrask2Cache() {
+	const db = await openDatabase();
+	if (!db) return;
+	await runRequest(db, 'readwrite', (store) => store.clear());
+}
+
+async function readKrask2Cache(key) {
+	const db = await openDatabase();
+	if (!db) return null;
+	const record = await runRequest(db, 'readonly', (store) => store.get(key));
+	if (!record || typeof record !== 'object' || !('value' in record)) {
+		return null;
+	}
+	const now = Date.now();
+	return {
+		value: record.value,
+		cache: {
+			hit: true,
+			fetched_at: new Date(record.fetchedAt).toISOString(),
+			age_seconds: Math.max(0, Math.round((now - record.fetchedAt) / 1000)),
+			ttl_seconds: record.ttlSeconds,
+			refreshable: true,
+			source: 'browser',
+			stale: record.expiresAt <= now,
+		},
+	};
+}
+
+async function writeKrask2Cache(key, value, cacheMeta) {
+	const db = await openDatabase();
+	if (!db) return;
+	const now = Date.now();
+	const ttlSeconds = Number.isFinite(cacheMeta?.ttl_seconds) ? cacheMeta.ttl_seconds : DEFAULT_TTL_SECONDS;
+	// Align with the server copy: it expires ttl seconds after the server fetched it, not after we did.
+	const parsedFetchedAt = cacheMeta?.fetched_at ? Date.parse(cacheMeta.fetched_at) : Number.NaN;
+	const fetchedAt = Number.isFinite(parsedFetchedAt)
+		? Math.min(parsedFetchedAt, now)
+		: Number.isFinite(cacheMeta?.age_seconds)
+			? now - cacheMeta.age_seconds * 1000
+			: now;
+	await runRequest(db, 'readwrite', (store) =>
+		store.put({ key, value, fetchedAt, ttlSeconds, expiresAt: fetchedAt + ttlSeconds * 1000 })
+	);
+}
+
+function asOffline(cached) {
+	return { value: cached.value, cache: { ...cached.cache, stale: false, offline: true } };
+}
+
+// Resolves to null where IndexedDB is unavailable (private windows, blocked storage); callers
+// then simply go to the network.
+function openDatabase() {
+	if (dbPromise) return dbPromise;
+	dbPromise = new Promise((resolve) => {
+		if (typeof indexedDB === 'undefined') {
+			resolve(null);
+			return;
+		}
+		let request;
+		try {
+			request = indexedDB.open(DB_NAME, DB_VERSION);
+		} catch (error) {
+			resolve(null);
+			return;
+		}
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			if (!db.objectStoreNames.contains(STORE)) {
+				db.createObjectStore(STORE, { keyPath: 'key' }).createIndex('expiresAt', 'expiresAt');
+			}
+		};
+		request.onsuccess = () => {
+			const db = request.result;
+			void pruneExpired(db);
+			resolve(db);
+		};
+		request.onerror = () => {
+			console.warn('KraSk2 browser cache unavailable', request.error);
+			resolve(null);
+		};
+		request.onblocked = () => resolve(null);
+	});
+	return dbPromise;
+}
+
+function pruneExpired(db) {
+	const cutoff = IDBKeyRange.upperBound(Date.now() - MAX_STALE_MS);
+	return runRequest(
+		db,
+		'readwrite',
+		(store) => store.index('expiresAt').openCursor(cutoff),
+		(cursor) => {
+			if (!cursor) return true;
+			cursor.delete();
+			cursor.continue();
+			return false;
+		}
+	);
+}
+
+/**
+ * Runs one request in its own transaction. Storage errors resolve to null rather than rejecting:
+ * the cache is an optimisation and must never break browsing. `onResult` handles cursors; it
+ * returns true once the iteration is done.
+ */
+function runRequest(db, mode, makeRequest, onResult = null) {
+	return new Promise((resolve) => {
+		try {
+			const store = db.transaction(STORE, mode).objectStore(STORE);
+			const request = makeRequest(store);
+			request.onsuccess = () => {
+				if (onResult && !onResult(request.result)) return;
+				resolve(onResult ? null : request.result);
+			};
+			request.onerror = () => {
+				console.warn('KraSk2 browser cache request failed', request.error);
+				resolve(null);
+			};
+		} catch (error) {
+			console.warn('KraSk2 browser cache request failed', error);
+			resolve(null);
+		}
+	});
+}
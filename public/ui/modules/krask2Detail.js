@@ -0,0 +1,132 @@
+import { state, els } from './context.js';
+import { toggleElement, showToast, escapeHtml, formatDuration } from './utils.js';
+import { findFollowedSeries } from './followedSeries.js';
+
+let optionsHandler = null;
+let episodesHandler = null;
+let followHandler = null;
+let activeItemId = null;
+
+/**
+ * Detail panel for a KraSk2 catalog item. Handlers receive the item's index in
+ * `state.krask2.items` (`onFollow` gets the item itself).
+ */
+export function wireKrask2Detail({ onOptions, onEpisodes, onFollow } = {}) {
+	optionsHandler = typeof onOptions === 'function' ? onOptions : null;
+	episodesHandler = typeof onEpisodes === 'function' ? onEpisodes : null;
+	followHandler = typeof onFollow === 'function' ? onFollow : null;
+
+	els.krask2Detail?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target === els.krask2Detail || target.closest('[data-krask2-detail-close]')) {
+			closeKrask2Detail();
+			return;
+		}
+		const index = getActiveIndex();
+		if (index === -1) return;
+		if (target.closest('[data-krask2-detail-options]')) {
+			optionsHandler?.(index);
+		} else if (target.closest('[data-krask2-detail-episodes]')) {
+			closeKrask2Detail();
+			episodesHandler?.(index);
+		} else if (target.closest('[data-krask2-detail-follow]')) {
+			followHandler?.(state.krask2.items[index]);
+		} else if (target.closest('[data-krask2-detail-copy]')) {
+			void copyImdbId(state.krask2.items[index]?.imdbId);
+		}
+	});
+
+	document.addEventListener('keydown', (event) => {
+		if (event.key === 'Escape' && activeItemId !== null) {
+			closeKrask2Detail();
+		}
+	});
+}
+
+export function openKrask2Detail(index) {
+	const item = state.krask2.items[index];
+	if (!item || !els.krask2Detail || !els.krask2DetailBody) return;
+	activeItemId = item.id;
+	renderKrask2Detail();
+	toggleElement(els.krask2Detail, true, 'flex');
+	els.krask2Detail.querySelector('[data-krask2-detail-close]')?.focus();
+}
+
+export function closeKrask2Detail() {
+	activeItemId = null;
+	toggleElement(els.krask2Detail, false, 'flex');
+	if (els.krask2DetailBody) {
+		els.krask2DetailBody.innerHTML = '';
+	}
+}
+
+/** Re-renders the open panel, closing it when its item is no longer loaded. */
+export function renderKrask2Detail() {
+	if (activeItemId === null || !els.krask2DetailBody) return;
+	const item = state.krask2.items[getActiveIndex()];
+	if (!item) {
+		closeKrask2Detail();
+		return;
+	}
+	els.krask2DetailBody.innerHTML = renderDetail(item);
+}
+
+function getActiveIndex() {
+	return activeItemId === null ? -1 : state.krask2.items.findIndex((item) => item.id === activeItemId);
+}
+
+async function copyImdbId(imdbId) {
+	if (!imdbId) return;
+	try {
+		await navigator.clipboard.writeText(imdbId);
+		showToast('IMDb ID copied.', 'success');
+	} catch (error) {
+		window.prompt('Copy the IMDb ID:', imdbId);
+	}
+}
+
+function renderDetail(item) {
+	const buttonClass = 'rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200';
+	const artwork = item.background ?? item.poster;
+	const facts = [
+		['Type', item.type],
+		['Year', item.year],
+		['Runtime', item.runtimeMinutes ? formatDuration(item.runtimeMinutes * 60) : null],
+		['Rating', Number.isFinite(item.imdbRating) ? `${Number(item.imdbRating).toFixed(1)}★` : null],
+		['Genres', item.genres.length > 0 ? item.genres.join(', ') : null],
+		['Languages', item.languages.length > 0 ? item.languages.join(', ') : null],
+		['Director', item.directors.length > 0 ? item.directors.join(', ') : null],
+		['Catalog', item.catalogLabels.length > 0 ? item.catalogLabels.join(', ') : null],
+	].filter(([, value]) => value !== null && value !== undefined && value !== '');
+	const actions = [];
+	if (item.external_id) {
+		actions.push('<button type="button" data-krask2-detail-options class="rounded-lg bg-brand-500 px-3 py-1.5 text-xs font-semibold text-white shadow transition hover:bg-brand-400">Download options</button>');
+	}
+	if (item.type === 'series') {
+		actions.push(`<button type="button" data-krask2-detail-episodes class="${buttonClass}">Show episodes</button>`);
+		actions.push(`<button type="button" data-krask2-detail-follow class="${buttonClass}">${findFollowedSeries('krask2', item.id) ? '★ Following' : 'Follow series'}</button>`);
+	}
+	if (item.imdbId) {
+		actions.push(`<button type="button" data-krask2-detail-copy class="${buttonClass}">Copy IMDb ID</button>`);
+	}
+
+	return `
+		<div class="space-y-5">
+			${artwork ? `<img src="${escapeHtml(artwork)}" alt="${escapeHtml(item.title)}" class="w-full rounded-xl border border-slate-800/70 object-cover" loading="lazy" decoding="async" />` : ''}
+			<h3 class="break-words text-lg font-semibold text-slate-100">${escapeHtml(item.title)}</h3>
+			${actions.length > 0 ? `<div class="flex flex-wrap gap-2">${actions.join('')}</div>` : ''}
+			${item.description ? `<p class="whitespace-pre-line text-sm text-slate-300">${escapeHtml(item.description)}</p>` : ''}
+			<dl class="grid grid-cols-[8rem_minmax(0,1fr)] gap-x-3 gap-y-1 text-sm">
+				${facts.map(([label, value]) => `<dt class="text-slate-500">${label}</dt><dd class="break-words text-slate-200">${escapeHtml(String(value))}</dd>`).join('')}
+				${item.imdbId ? `<dt class="text-slate-500">IMDb</dt><dd><a href="https://www.imdb.com/title/${encodeURIComponent(item.imdbId)}/" target="_blank" rel="noopener noreferrer" class="text-brand-300 hover:text-brand-200">${escapeHtml(item.imdbId)}</a></dd>` : ''}
+			</dl>
+			${item.cast.length > 0 ? `
+				<div class="space-y-2">
+					<h4 class="text-xs font-semibold uppercase tracking-wide text-slate-400">Cast</h4>
+					<p class="text-sm text-slate-200">${escapeHtml(item.cast.join(', '))}</p>
+				</div>
+			` : ''}
+		</div>
+	`;
+}
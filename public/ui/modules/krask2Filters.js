@@ -0,0 +1,240 @@
+import { state, els } from './context.js';
+import { toggleElement, escapeHtml } from './utils.js';
+
+const CONTROL_CLASS = 'rounded-lg border border-slate-800 bg-slate-950/70 px-2 py-1 text-xs text-slate-100 focus:border-brand-400 focus:outline-none';
+
+let filtersChangeHandler = null;
+let genreChangeHandler = null;
+let renderedCatalog = null;
+
+export function createKrask2Filters() {
+	return {
+		genre: '',
+		language: '',
+		minYear: '',
+		maxYear: '',
+		minRuntime: '',
+		maxRuntime: '',
+	};
+}
+
+/**
+ * `onChange` re-renders the loaded items; `onGenreChange` runs instead when the genre changes,
+ * because catalogs that offer a `genre` extra filter it upstream and need a reload.
+ */
+export function wireKrask2Filters({ onChange, onGenreChange } = {}) {
+	filtersChangeHandler = typeof onChange === 'function' ? onChange : null;
+	genreChangeHandler = typeof onGenreChange === 'function' ? onGenreChange : null;
+	state.krask2.filters = createKrask2Filters();
+	const container = els.krask2Filters;
+	if (!container) return;
+
+	const handleInput = (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLInputElement || target instanceof HTMLSelectElement)) return;
+		const key = target.dataset.krask2Filter;
+		if (!key || !(key in state.krask2.filters)) return;
+		const value = target.value.trim();
+		if (state.krask2.filters[key] === value) return;
+		state.krask2.filters[key] = value;
+		if (key === 'genre') {
+			genreChangeHandler?.();
+		} else {
+			filtersChangeHandler?.();
+		}
+	};
+	container.addEventListener('input', handleInput);
+	container.addEventListener('change', handleInput);
+
+	container.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (!target.closest('[data-krask2-filters-reset]')) return;
+		event.preventDefault();
+		const genreWasSet = state.krask2.filters.genre !== '';
+		state.krask2.filters = createKrask2Filters();
+		renderKrask2FilterBar(renderedCatalog);
+		if (genreWasSet) {
+			genreChangeHandler?.();
+		} else {
+			filtersChangeHandler?.();
+		}
+	});
+}
+
+/**
+ * Genre options a catalog advertises through its manifest `extra` (or the legacy `genres` list).
+ * Returns null when the catalog cannot filter by genre upstream.
+ */
+export function getKrask2CatalogGenres(catalog) {
+	if (!catalog || typeof catalog !== 'object') return null;
+	const extra = Array.isArray(catalog.extra) ? catalog.extra.find((entry) => entry?.name === 'genre') : null;
+	if (extra) {
+		return Array.isArray(extra.options) ? extra.options.filter((option) => typeof option === 'string' && option !== '') : [];
+	}
+	if (Array.isArray(catalog.genres) && catalog.genres.length > 0) {
+		return catalog.genres.filter((option) => typeof option === 'string' && option !== '');
+	}
+	return null;
+}
+
+/** The genre to send as a catalog `extra`, or null when it has to be applied client-side. */
+export function getKrask2GenreExtra(catalog) {
+	const genre = state.krask2.filters?.genre ?? '';
+	if (genre === '') return null;
+	const options = getKrask2CatalogGenres(catalog);
+	if (options === null) return null;
+	return options.length === 0 || options.includes(genre) ? genre : null;
+}
+
+/**
+ * Loaded items that pass the filters, paired with their index in `state.krask2.items` (the
+ * index is what the item's controls refer to).
+ */
+export function getVisibleKrask2Items(catalog) {
+	const items = Array.isArray(state.krask2.items) ? state.krask2.items : [];
+	const filters = state.krask2.filters ?? createKrask2Filters();
+	// A genre the catalog filtered upstream is already applied to every item it returned.
+	const clientGenre = filters.genre !== '' && getKrask2GenreExtra(catalog) === null ? filters.genre.toLowerCase() : '';
+	return items
+		.map((item, index) => ({ item, index }))
+		.filter(({ item }) => matchesKrask2Filters(item, filters, clientGenre));
+}
+
+export function hasActiveKrask2Filters() {
+	return Object.values(state.krask2.filters ?? {}).some((value) => value !== '');
+}
+
+/**
+ * Keeps the filter controls in step with the state. The bar is built once; later calls only
+ * refresh option lists and values, leaving the control being edited alone so a page or cache
+ * refresh arriving mid-edit does not steal focus or the caret. Genre choices come from the
+ * catalog when it supports the `genre` extra and from the loaded items otherwise; languages
+ * always come from the items.
+ */
+export function renderKrask2FilterBar(catalog) {
+	const container = els.krask2Filters;
+	if (!container) return;
+	renderedCatalog = catalog ?? null;
+	// Without a catalog (all-catalogs search) every filter runs over the loaded items.
+	if (!catalog && !state.krask2.itemsRequested) {
+		toggleElement(container, false);
+		return;
+	}
+
+	if (!container.querySelector('[data-krask2-filter]')) {
+		buildKrask2FilterBar(container);
+	}
+
+	const filters = state.krask2.filters;
+	const items = Array.isArray(state.krask2.items) ? state.krask2.items : [];
+	const catalogGenres = getKrask2CatalogGenres(catalog);
+	const genres = withSelected(
+		catalogGenres !== null && catalogGenres.length > 0 ? catalogGenres : distinctValues(items.flatMap((item) => item.genres ?? [])),
+		filters.genre
+	);
+	const languages = withSelected(distinctValues(items.flatMap((item) => item.languages ?? [])), filters.language);
+	const active = document.activeElement;
+
+	container.querySelectorAll('[data-krask2-filter]').forEach((control) => {
+		if (control === active) return;
+		const key = control.dataset.krask2Filter ?? '';
+		if (control instanceof HTMLSelectElement) {
+			updateSelectOptions(control, key === 'genre' ? genres : languages, key === 'language' ? (value) => value.toUpperCase() : (value) => value);
+		}
+		if ((control instanceof HTMLSelectElement || control instanceof HTMLInputElement) && control.value !== (filters[key] ?? '')) {
+			control.value = filters[key] ?? '';
+		}
+	});
+
+	const note = container.querySelector('[data-krask2-filters-note]');
+	if (note instanceof HTMLElement) {
+		toggleElement(note, filters.genre !== '' && getKrask2GenreExtra(catalog) === null);
+	}
+	toggleElement(container, true);
+}
+
+function buildKrask2FilterBar(container) {
+	const select = (key, label) => `
+		<label class="flex flex-col gap-1">
+			<span class="text-[11px] uppercase tracking-wide text-slate-500">${escapeHtml(label)}</span>
+			<select data-krask2-filter="${key}" class="${CONTROL_CLASS}">
+				<option value="">Any</option>
+			</select>
+		</label>
+	`;
+	const range = (minKey, maxKey, label, unit = '') => `
+		<label class="flex flex-col gap-1">
+			<span class="text-[11px] uppercase tracking-wide text-slate-500">${escapeHtml(label)}</span>
+			<span class="flex items-center gap-1">
+				<input type="number" min="0" step="1" data-krask2-filter="${minKey}" placeholder="from" class="${CONTROL_CLASS} w-20" />
+				<span class="text-xs text-slate-500">–</span>
+				<input type="number" min="0" step="1" data-krask2-filter="${maxKey}" placeholder="to" class="${CONTROL_CLASS} w-20" />
+				${unit ? `<span class="text-xs text-slate-500">${escapeHtml(unit)}</span>` : ''}
+			</span>
+		</label>
+	`;
+
+	container.innerHTML = `
+		<div class="flex flex-wrap items-end gap-3">
+			${select('genre', 'Genre')}
+			${select('language', 'Language')}
+			${range('minYear', 'maxYear', 'Year')}
+			${range('minRuntime', 'maxRuntime', 'Runtime', 'min')}
+			<button type="button" data-krask2-filters-reset class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Reset</button>
+			<span data-krask2-filters-note class="hidden text-[11px] text-slate-500">Genre is matched against the loaded items; this catalog cannot filter it upstream.</span>
+		</div>
+	`;
+}
+
+// Replaces the options only when the list changed, so an unchanged select keeps its state.
+function updateSelectOptions(select, values, format) {
+	const signature = JSON.stringify(values);
+	if (select.dataset.krask2Options === signature) return;
+	select.dataset.krask2Options = signature;
+	select.innerHTML = ['<option value="">Any</option>', ...values.map((value) => `<option value="${escapeHtml(value)}">${escapeHtml(format(value))}</option>`)].join('');
+}
+
+function matchesKrask2Filters(item, filters, clientGenre) {
+	if (clientGenre !== '' && !(item.genres ?? []).some((genre) => genre.toLowerCase() === clientGenre)) {
+		return false;
+	}
+	if (filters.language !== '' && !(item.languages ?? []).includes(filters.language)) {
+		return false;
+	}
+	if (!withinRange(item.year, filters.minYear, filters.maxYear)) {
+		return false;
+	}
+	if (!withinRange(item.runtimeMinutes, filters.minRuntime, filters.maxRuntime)) {
+		return false;
+	}
+	return true;
+}
+
+// Items without the value (no year, unknown runtime) are hidden only while that range is set.
+function withinRange(value, minRaw, maxRaw) {
+	const min = parseFilterNumber(minRaw);
+	const max = parseFilterNumber(maxRaw);
+	if (min === null && max === null) return true;
+	if (!Number.isFinite(value) || value <= 0) return false;
+	if (min !== null && value < min) return false;
+	if (max !== null && value > max) return false;
+	return true;
+}
+
+function parseFilterNumber(value) {
+	if (value === '' || value === null || value === undefined) return null;
+	const numeric = Number(value);
+	return Number.isFinite(numeric) ? numeric : null;
+}
+
+function distinctValues(values) {
+	return Array.from(new Set(values.filter((value) => typeof value === 'string' && value !== ''))).sort((a, b) =>
+		a.localeCompare(b, undefined, { sensitivity: 'base' })
+	);
+}
+
+// Keeps a selection that the current catalog or items no longer offer visible in its select.
+function withSelected(values, selected) {
+	return selected !== '' && !values.includes(selected) ? [selected, ...values] : values;
+}
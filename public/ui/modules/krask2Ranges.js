@@ -0,0 +1,130 @@
+/**
+ * Episode range expressions for the KraSk2 episode panel. A range is a comma-separated list of:
+ *   S2-S4 / seasons 2-4   whole seasons
+ *   S1E5-E12 / S1E5-S2E3  episodes between two positions
+ *   E5-E12 / episodes 5-12  the same episode numbers in every season
+ *   latest 3              the newest aired episodes
+ *   unaired               episodes with a future release date
+ */
+
+const SEASON_PATTERN = /^(?:s|seasons?)(\d+)(?:-s?(\d+))?$/;
+const POSITION_PATTERN = /^s(\d+)e(\d+)(?:-(?:s(\d+))?e?(\d+))?$/;
+const EPISODE_PATTERN = /^(?:e|episodes?)?(\d+)(?:-e?(\d+))?$/;
+const LATEST_PATTERN = /^(?:latest|last)(\d+)$/;
+
+/**
+ * @returns {Array<object>|null} Parsed parts, or null when any part is not understood.
+ */
+export function parseKrask2Range(text) {
+	const parts = String(text ?? '')
+		.toLowerCase()
+		.replace(/[–—]/g, '-')
+		.split(',')
+		.map((part) => part.replace(/\s+/g, ''))
+		.filter((part) => part !== '');
+	if (parts.length === 0) return null;
+	const ranges = parts.map(parseRangePart);
+	return ranges.every(Boolean) ? ranges : null;
+}
+
+/**
+ * Resolves parsed ranges against a series' episodes. Season ranges come back as season numbers
+ * (queued as whole seasons); everything else as indexes into `videos`.
+ *
+ * @returns {{ seasons: number[], episodeIndexes: number[] }}
+ */
+export function resolveKrask2Range(ranges, videos, now = Date.now()) {
+	const seasons = new Set();
+	const indexes = new Set();
+	const numbered = videos
+		.map((video, index) => ({ video, index }))
+		.filter(({ video }) => Number.isFinite(video?.season) && Number.isFinite(video?.episode));
+	const available = new Set(numbered.map(({ video }) => video.season));
+
+	ranges.forEach((range) => {
+		switch (range.kind) {
+			case 'seasons':
+				for (let season = range.from; season <= range.to; season++) {
+					if (available.has(season)) seasons.add(season);
+				}
+				break;
+			case 'positions': {
+				const from = positionKey(range.from.season, range.from.episode);
+				const to = positionKey(range.to.season, range.to.episode);
+				numbered.forEach(({ video, index }) => {
+					const key = positionKey(video.season, video.episode);
+					if (key >= from && key <= to) indexes.add(index);
+				});
+				break;
+			}
+			case 'episodes':
+				numbered.forEach(({ video, index }) => {
+					if (video.episode >= range.from && video.episode <= range.to) indexes.add(index);
+				});
+				break;
+			case 'latest':
+				numbered
+					.filter(({ video }) => !isUnaired(video, now))
+					.sort((a, b) => positionKey(a.video.season, a.video.episode) - positionKey(b.video.season, b.video.episode))
+					.slice(-range.count)
+					.forEach(({ index }) => indexes.add(index));
+				break;
+			case 'unaired':
+				videos.forEach((video, index) => {
+					if (isUnaired(video, now)) indexes.add(index);
+				});
+				break;
+			default:
+				break;
+		}
+	});
+
+	return {
+		seasons: Array.from(seasons).sort((a, b) => a - b),
+		episodeIndexes: Array.from(indexes).sort((a, b) => a - b),
+	};
+}
+
+function parseRangePart(part) {
+	if (part === 'unaired') {
+		return { kind: 'unaired' };
+	}
+	let match = part.match(LATEST_PATTERN);
+	if (match) {
+		const count = Number.parseInt(match[1], 10);
+		return count > 0 ? { kind: 'latest', count } : null;
+	}
+	match = part.match(SEASON_PATTERN);
+	if (match) {
+		return ordered('seasons', Number.parseInt(match[1], 10), Number.parseInt(match[2] ?? match[1], 10));
+	}
+	match = part.match(POSITION_PATTERN);
+	if (match) {
+		const from = { season: Number.parseInt(match[1], 10), episode: Number.parseInt(match[2], 10) };
+		const to = {
+			season: Number.parseInt(match[3] ?? match[1], 10),
+			episode: Number.parseInt(match[4] ?? match[2], 10),
+		};
+		return positionKey(from.season, from.episode) <= positionKey(to.season, to.episode)
+			? { kind: 'positions', from, to }
+			: { kind: 'positions', from: to, to: from };
+	}
+	match = part.match(EPISODE_PATTERN);
+	if (match) {
+		return ordered('episodes', Number.parseInt(match[1], 10), Number.parseInt(match[2] ?? match[1], 10));
+	}
+	return null;
+}
+
+function ordered(kind, a, b) {
+	return { kind, from: Math.min(a, b), to: Math.max(a, b) };
+}
+
+function positionKey(season, episode) {
+	return season * 100000 + episode;
+}
+
+function isUnaired(video, now) {
+	const released = video?.released ? Date.parse(video.released) : Number.NaN;
+	return Number.isFinite(released) && released > now;
+}
@@ -0,0 +1,222 @@
+import { state, els, API } from './context.js';
+import { fetchJson, toggleElement, showToast, escapeHtml, messageFromError, formatRelativeTime } from './utils.js';
+
+const MAX_VISIBLE_RECENT = 8;
+
+let openLocationHandler = null;
+let savingVisitPath = null; // path of a visit whose POST has not answered yet
+
+export function wireKraskaLocations({ onOpen } = {}) {
+	openLocationHandler = typeof onOpen === 'function' ? onOpen : null;
+
+	els.kraskaBookmarkBtn?.addEventListener('click', () => {
+		void bookmarkCurrentLocation();
+	});
+
+	els.kraskaLocations?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		const renameBtn = target.closest('[data-kraska-location-rename]');
+		if (renameBtn instanceof HTMLElement) {
+			event.preventDefault();
+			void renameBookmark(Number.parseInt(renameBtn.dataset.kraskaLocationRename ?? '', 10));
+			return;
+		}
+		const deleteBtn = target.closest('[data-kraska-location-delete]');
+		if (deleteBtn instanceof HTMLElement) {
+			event.preventDefault();
+			void deleteLocation(Number.parseInt(deleteBtn.dataset.kraskaLocationDelete ?? '', 10));
+			return;
+		}
+		const openBtn = target.closest('[data-kraska-location-open]');
+		if (!(openBtn instanceof HTMLElement)) return;
+		const location = findLocation(Number.parseInt(openBtn.dataset.kraskaLocationOpen ?? '', 10));
+		if (location && openLocationHandler) {
+			event.preventDefault();
+			openLocationHandler(location);
+		}
+	});
+}
+
+export async function loadKraskaLocations() {
+	if (!state.user) return;
+	try {
+		const response = await fetchJson(API.kraskaLocations);
+		state.kraskaLocations = normalizeLocations(response?.data);
+	} catch (error) {
+		state.kraskaLocations = { bookmarks: [], recent: [] };
+		console.warn('Failed to load Kra.sk bookmarks', error);
+	}
+	renderKraskaLocations();
+}
+
+/**
+ * Remembers the menu level the user just opened. The root level is not worth a history entry,
+ * and reloading or paging the level that is already the latest visit does not post it again.
+ */
+export function recordKraskaVisit(trail) {
+	const current = Array.isArray(trail) ? trail[trail.length - 1] : null;
+	if (!state.user || !current || typeof current.path !== 'string' || current.path === '/') return;
+	const latestPath = savingVisitPath ?? state.kraskaLocations.recent[0]?.path ?? null;
+	if (latestPath === current.path) return;
+	void persistVisit({ kind: 'recent', path: current.path, label: current.label ?? null, trail });
+}
+
+export function renderKraskaLocations() {
+	const panel = els.kraskaLocations;
+	if (!panel) return;
+	const { bookmarks, recent } = state.kraskaLocations;
+	const currentPath = state.kraska.currentPath;
+	const isBookmarked = bookmarks.some((entry) => entry.path === currentPath);
+	if (els.kraskaBookmarkBtn) {
+		els.kraskaBookmarkBtn.textContent = isBookmarked ? '★ Bookmarked' : '☆ Bookmark';
+		els.kraskaBookmarkBtn.toggleAttribute('disabled', !state.user || state.kraska.loading);
+	}
+
+	const visibleRecent = recent.filter((entry) => entry.path !== currentPath).slice(0, MAX_VISIBLE_RECENT);
+	toggleElement(panel, bookmarks.length > 0 || visibleRecent.length > 0);
+	panel.innerHTML = [
+		bookmarks.length > 0 ? renderLocationGroup('Bookmarks', bookmarks.map((entry) => renderBookmark(entry, entry.path === currentPath))) : '',
+		visibleRecent.length > 0 ? renderLocationGroup('Recently visited', visibleRecent.map(renderRecent)) : '',
+	].join('');
+}
+
+function renderLocationGroup(title, rows) {
+	return `
+		<div class="flex flex-wrap items-center gap-2">
+			<span class="text-xs font-semibold uppercase tracking-wide text-slate-500">${title}</span>
+			${rows.join('')}
+		</div>
+	`;
+}
+
+function renderBookmark(entry, isCurrent) {
+	return `
+		<span class="inline-flex items-center gap-1 rounded-full border ${isCurrent ? 'border-brand-500/50 text-brand-100' : 'border-slate-800/70 text-slate-200'} bg-slate-950/60 pl-3 pr-1 py-0.5 text-xs">
+			<button type="button" data-kraska-location-open="${entry.id}" class="max-w-[14rem] truncate font-medium hover:text-brand-200" title="${escapeHtml(describeTrail(entry))}">${escapeHtml(entry.label)}</button>
+			<button type="button" data-kraska-location-rename="${entry.id}" class="rounded-full px-1 text-slate-500 transition hover:text-brand-200" aria-label="Rename bookmark">✎</button>
+			<button type="button" data-kraska-location-delete="${entry.id}" class="rounded-full px-1 text-slate-500 transition hover:text-rose-300" aria-label="Remove bookmark">✕</button>
+		</span>
+	`;
+}
+
+function renderRecent(entry) {
+	const visited = entry.visited_at ? ` · ${formatRelativeTime(entry.visited_at)}` : '';
+	return `
+		<button type="button" data-kraska-location-open="${entry.id}" class="max-w-[14rem] truncate rounded-full border border-slate-800/70 bg-slate-900/40 px-3 py-0.5 text-xs text-slate-300 transition hover:border-brand-400/60 hover:text-brand-200" title="${escapeHtml(describeTrail(entry) + visited)}">${escapeHtml(entry.label)}</button>
+	`;
+}
+
+function describeTrail(entry) {
+	const labels = entry.trail.map((crumb) => crumb.label ?? crumb.path).filter(Boolean);
+	return labels.length > 0 ? labels.join(' / ') : entry.path;
+}
+
+async function bookmarkCurrentLocation() {
+	if (!state.user) return;
+	const trail = Array.isArray(state.kraska.trail) ? state.kraska.trail : [];
+	const current = trail[trail.length - 1] ?? { path: state.kraska.currentPath, label: state.kraska.title };
+	const existing = state.kraskaLocations.bookmarks.find((entry) => entry.path === current.path);
+	const label = window.prompt(existing ? 'Rename this bookmark:' : 'Bookmark this folder as:', existing?.label ?? current.label ?? current.path);
+	if (label === null) return;
+
+	try {
+		const response = await fetchJson(API.kraskaLocations, {
+			method: 'POST',
+			body: JSON.stringify({ kind: 'bookmark', path: current.path, label: label.trim(), trail }),
+		});
+		const saved = normalizeLocation(response?.data);
+		if (!saved) return;
+		upsertLocation(saved);
+		showToast(`Bookmarked "${saved.label}".`, 'success');
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+	}
+}
+
+async function renameBookmark(id) {
+	const bookmark = findLocation(id);
+	if (!bookmark) return;
+	const label = window.prompt('Rename this bookmark:', bookmark.label);
+	if (label === null || label.trim() === '' || label.trim() === bookmark.label) return;
+
+	try {
+		const response = await fetchJson(`${API.kraskaLocations}?id=${encodeURIComponent(String(id))}`, {
+			method: 'PATCH',
+			body: JSON.stringify({ label: label.trim() }),
+		});
+		const updated = normalizeLocation(response?.data);
+		if (updated) upsertLocation(updated);
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+	}
+}
+
+async function deleteLocation(id) {
+	const location = findLocation(id);
+	if (!location) return;
+	if (!window.confirm(`Remove bookmark "${location.label}"?`)) return;
+
+	try {
+		await fetchJson(`${API.kraskaLocations}?id=${encodeURIComponent(String(id))}`, { method: 'DELETE' });
+		state.kraskaLocations.bookmarks = state.kraskaLocations.bookmarks.filter((entry) => entry.id !== id);
+		renderKraskaLocations();
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+	}
+}
+
+async function persistVisit(payload) {
+	savingVisitPath = payload.path;
+	try {
+		const response = await fetchJson(API.kraskaLocations, { method: 'POST', body: JSON.stringify(payload) });
+		const visit = normalizeLocation(response?.data);
+		if (visit) upsertLocation(visit);
+	} catch (error) {
+		console.warn('Failed to record Kra.sk visit', error);
+	} finally {
+		if (savingVisitPath === payload.path) {
+			savingVisitPath = null;
+		}
+	}
+}
+
+function upsertLocation(location) {
+	const key = location.kind === 'bookmark' ? 'bookmarks' : 'recent';
+	const others = state.kraskaLocations[key].filter((entry) => entry.id !== location.id);
+	state.kraskaLocations[key] = key === 'bookmarks'
+		? others.concat(location).sort((a, b) => a.label.localeCompare(b.label))
+		: [location, ...others];
+	renderKraskaLocations();
+}
+
+function findLocation(id) {
+	const { bookmarks, recent } = state.kraskaLocations;
+	return bookmarks.find((entry) => entry.id === id) ?? recent.find((entry) => entry.id === id) ?? null;
+}
+
+function normalizeLocations(raw) {
+	const bookmarks = Array.isArray(raw?.bookmarks) ? raw.bookmarks.map(normalizeLocation).filter(Boolean) : [];
+	const recent = Array.isArray(raw?.recent) ? raw.recent.map(normalizeLocation).filter(Boolean) : [];
+	return { bookmarks, recent };
+}
+
+function normalizeLocation(raw) {
+	if (!raw || typeof raw !== 'object') return null;
+	const id = Number.parseInt(String(raw.id ?? ''), 10);
+	const path = typeof raw.path === 'string' ? raw.path : '';
+	if (!Number.isFinite(id) || path === '') return null;
+	const trail = Array.isArray(raw.trail)
+		? raw.trail
+			.filter((crumb) => crumb && typeof crumb.path === 'string')
+			.map((crumb) => ({ path: crumb.path, label: typeof crumb.label === 'string' ? crumb.label : null }))
+		: [];
+	return {
+		id,
+		kind: raw.kind === 'bookmark' ? 'bookmark' : 'recent',
+		label: typeof raw.label === 'string' && raw.label !== '' ? raw.label : path,
+		path,
+		trail,
+		visited_at: typeof raw.visited_at === 'string' && raw.visited_at !== '' ? raw.visited_at : null,
+	};
+}
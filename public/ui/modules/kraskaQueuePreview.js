@@ -0,0 +1,183 @@
+import { els } from './context.js';
+import { showToast, escapeHtml, messageFromError } from './utils.js';
+
+const UNGROUPED_SEASON = 'Other files';
+
+/**
+ * Opens a dry-run preview of the jobs an expanded Kra.sk selection would create. `items` are
+ * `API.queue` payload items (with the metadata from `buildKraskaMetadataForItem`). `onSubmit`
+ * receives the items that stayed checked and should throw to keep the dialog open.
+ */
+export function openKraskaQueuePreview(items, { onSubmit } = {}) {
+	if (!els.modal || !Array.isArray(items) || items.length === 0) return;
+	const formId = `kraska-preview-form-${Date.now()}`;
+	const groups = groupPreviewItems(items);
+
+	els.modal.innerHTML = `
+		<form id="${formId}" method="dialog" class="space-y-4">
+			<header>
+				<h3 class="text-xl font-semibold">Preview ${items.length} file${items.length === 1 ? '' : 's'} to queue</h3>
+				<p class="mt-1 text-sm text-slate-400">The selected folders expanded to the files below. Nothing is queued until you confirm; untick anything you do not want.</p>
+			</header>
+			<div class="modal-body space-y-4">
+				${groups.map((group, groupIndex) => renderPreviewGroup(group, groupIndex)).join('')}
+			</div>
+			<footer>
+				<button type="button" data-close class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-4 py-2 text-sm text-slate-200">Cancel</button>
+				<button type="submit" class="rounded-lg bg-brand-500 px-4 py-2 text-sm font-semibold text-white disabled:opacity-40"></button>
+			</footer>
+		</form>
+	`;
+
+	const form = els.modal.querySelector(`#${formId}`);
+	const submitBtn = form?.querySelector('button[type="submit"]');
+	const itemBoxes = () => Array.from(form?.querySelectorAll('input[data-preview-item]') ?? []);
+
+	const refreshCounts = () => {
+		const boxes = itemBoxes();
+		const checked = boxes.filter((box) => box.checked).length;
+		if (submitBtn) {
+			submitBtn.textContent = `Queue ${checked} of ${boxes.length}`;
+			submitBtn.toggleAttribute('disabled', checked === 0);
+		}
+		form?.querySelectorAll('input[data-preview-group]').forEach((groupBox) => {
+			if (!(groupBox instanceof HTMLInputElement)) return;
+			const members = boxes.filter((box) => box.dataset.previewItemGroup === groupBox.dataset.previewGroup);
+			const selected = members.filter((box) => box.checked).length;
+			groupBox.checked = selected === members.length;
+			groupBox.indeterminate = selected > 0 && selected < members.length;
+		});
+	};
+
+	els.modal.querySelector('[data-close]')?.addEventListener('click', () => {
+		els.modal.close();
+	});
+
+	form?.addEventListener('change', (event) => {
+		const target = event.target;
+		if (target instanceof HTMLInputElement && target.dataset.previewGroup !== undefined) {
+			itemBoxes()
+				.filter((box) => box.dataset.previewItemGroup === target.dataset.previewGroup)
+				.forEach((box) => {
+					box.checked = target.checked;
+				});
+		}
+		refreshCounts();
+	});
+
+	form?.addEventListener('submit', async (event) => {
+		event.preventDefault();
+		const chosen = itemBoxes()
+			.filter((box) => box.checked)
+			.map((box) => items[Number.parseInt(box.dataset.previewItem ?? '', 10)])
+			.filter(Boolean);
+		if (chosen.length === 0) return;
+
+		submitBtn?.setAttribute('disabled', 'true');
+		try {
+			await onSubmit?.(chosen);
+			els.modal.close();
+		} catch (error) {
+			showToast(messageFromError(error), 'error');
+			submitBtn?.removeAttribute('disabled');
+		}
+	});
+
+	refreshCounts();
+	els.modal.showModal();
+}
+
+/**
+ * Groups payload items by the branch they were expanded from, then by season; episodes keep
+ * their natural order. Items that were selected directly form their own group.
+ */
+function groupPreviewItems(items) {
+	const branches = new Map();
+	items.forEach((item, index) => {
+		const metadata = item.metadata ?? {};
+		const branchLabel = metadata.menu?.branch?.label ?? 'Selected items';
+		const hints = metadata.hints ?? {};
+		const seasonLabel = Number.isFinite(hints.season)
+			? `Season ${hints.season}`
+			: typeof hints.season_label === 'string' && hints.season_label !== ''
+				? hints.season_label
+				: UNGROUPED_SEASON;
+		if (!branches.has(branchLabel)) {
+			branches.set(branchLabel, new Map());
+		}
+		const seasons = branches.get(branchLabel);
+		if (!seasons.has(seasonLabel)) {
+			seasons.set(seasonLabel, []);
+		}
+		seasons.get(seasonLabel).push({ item, index, hints });
+	});
+
+	const groups = [];
+	branches.forEach((seasons, branchLabel) => {
+		Array.from(seasons.entries())
+			.sort(([a, aRows], [b, bRows]) => compareSeasons(a, aRows, b, bRows))
+			.forEach(([seasonLabel, rows]) => {
+				rows.sort((a, b) => (a.hints.episode ?? Infinity) - (b.hints.episode ?? Infinity) || a.item.title.localeCompare(b.item.title));
+				groups.push({ branchLabel, seasonLabel: seasons.size > 1 || seasonLabel !== UNGROUPED_SEASON ? seasonLabel : null, rows });
+			});
+	});
+	return groups;
+}
+
+function compareSeasons(a, aRows, b, bRows) {
+	if (a === UNGROUPED_SEASON || b === UNGROUPED_SEASON) {
+		return a === b ? 0 : a === UNGROUPED_SEASON ? 1 : -1;
+	}
+	const aSeason = aRows[0]?.hints.season ?? Infinity;
+	const bSeason = bRows[0]?.hints.season ?? Infinity;
+	return aSeason - bSeason || a.localeCompare(b);
+}
+
+function renderPreviewGroup(group, groupIndex) {
+	const heading = group.seasonLabel ? `${group.branchLabel} · ${group.seasonLabel}` : group.branchLabel;
+	return `
+		<section class="space-y-2">
+			<label class="flex items-center gap-2 text-sm font-semibold text-slate-200">
+				<input type="checkbox" data-preview-group="${groupIndex}" checked class="h-4 w-4 rounded border-slate-600 bg-slate-900 text-brand-500 focus:ring-brand-500" />
+				<span>${escapeHtml(heading)}</span>
+				<span class="text-xs font-normal text-slate-500">${group.rows.length} file${group.rows.length === 1 ? '' : 's'}</span>
+			</label>
+			<ul class="space-y-1">
+				${group.rows.map((row) => renderPreviewRow(row, groupIndex)).join('')}
+			</ul>
+		</section>
+	`;
+}
+
+function renderPreviewRow({ item, index, hints }, groupIndex) {
+	const details = [
+		hints.series_title,
+		formatEpisodeCode(hints),
+		hints.episode_title,
+		item.metadata?.item?.meta?.quality,
+		Array.isArray(item.metadata?.item?.meta?.languages) ? item.metadata.item.meta.languages.join(', ') : null,
+	].filter((value) => value !== null && value !== undefined && value !== '');
+	return `
+		<li class="rounded-lg border border-slate-800/70 bg-slate-900/50 px-3 py-2">
+			<label class="flex items-start gap-3">
+				<input type="checkbox" data-preview-item="${index}" data-preview-item-group="${groupIndex}" checked class="mt-0.5 h-4 w-4 rounded border-slate-600 bg-slate-900 text-brand-500 focus:ring-brand-500" />
+				<span class="min-w-0 flex-1">
+					<span class="block truncate text-sm text-slate-100" title="${escapeHtml(item.title)}">${escapeHtml(item.title)}</span>
+					<span class="block truncate text-xs text-slate-400">${details.length > 0 ? escapeHtml(details.join(' · ')) : 'No series hints; placement will be detected from the title.'}</span>
+				</span>
+			</label>
+			${item.metadata ? `
+				<details class="ml-7 mt-1">
+					<summary class="cursor-pointer text-xs text-slate-500">Metadata</summary>
+					<pre class="mt-1 max-h-48 overflow-auto rounded bg-slate-950/60 p-2 text-[11px] text-slate-300">${escapeHtml(JSON.stringify(item.metadata, null, 2))}</pre>
+				</details>
+			` : ''}
+		</li>
+	`;
+}
+
+function formatEpisodeCode(hints) {
+	const season = Number.isFinite(hints.season) ? `S${String(hints.season).padStart(2, '0')}` : '';
+	const episode = Number.isFinite(hints.episode) ? `E${String(hints.episode).padStart(2, '0')}` : '';
+	return season || episode ? `${season}${episode}` : null;
+}
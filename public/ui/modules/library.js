@@ -0,0 +1,280 @@
+import { state, API } from './context.js';
+import { fetchJson, escapeHtml } from './utils.js';
+
+const ACTIVE_STATUSES = new Set(['queued', 'starting', 'downloading', 'paused']);
+const STATUS_RANK = { downloaded: 3, queued: 2, failed: 1 };
+const STATUS_BADGES = {
+	downloaded: { label: 'Downloaded', className: 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200' },
+	queued: { label: 'In queue', className: 'border-sky-500/40 bg-sky-500/10 text-sky-200' },
+	failed: { label: 'Failed before', className: 'border-rose-500/40 bg-rose-500/10 text-rose-200' },
+};
+const REFRESH_DELAY_MS = 4000;
+const MAX_REFRESH_ROUNDS = 10;
+// Incremental refreshes only see jobs that still exist, so every so often the index is rebuilt to
+// drop jobs removed on the server.
+const FULL_RELOAD_EVERY = 10;
+
+let libraryChangeHandler = null;
+let refreshTimeout = null;
+
+export function createLibraryIndex() {
+	return {
+		jobs: new Map(), // job id → { status, keys }
+		keys: new Map(), // library key → best status across jobs
+		cursor: null, // { since, afterId } of the newest job change seen, for incremental refreshes
+		refreshes: 0, // incremental refreshes since the last full load
+		loaded: false,
+	};
+}
+
+export function wireLibrary({ onChange } = {}) {
+	libraryChangeHandler = typeof onChange === 'function' ? onChange : null;
+	state.library = createLibraryIndex();
+}
+
+/**
+ * Loads the complete (unpaged) jobs list and rebuilds the library index from it. Later changes
+ * are picked up by refreshLibraryIndex() without downloading the whole list again.
+ */
+export async function loadLibraryIndex() {
+	if (!state.user) return;
+	try {
+		const response = await fetchJson(API.jobsList);
+		const jobs = Array.isArray(response?.data) ? response.data : [];
+		state.library = createLibraryIndex();
+		indexJobs(jobs, { notify: false });
+		state.library.cursor = advanceCursor(null, jobs);
+		state.library.loaded = true;
+		notifyChange();
+	} catch (error) {
+		console.warn('Failed to load library index', error);
+	}
+}
+
+/**
+ * Merges the jobs changed since the previous load or refresh into the index, falling back to a
+ * full load every FULL_RELOAD_EVERY refreshes.
+ */
+export async function refreshLibraryIndex() {
+	if (!state.user) return;
+	const library = state.library;
+	if (!library?.loaded || !library.cursor || library.refreshes >= FULL_RELOAD_EVERY) {
+		await loadLibraryIndex();
+		return;
+	}
+	library.refreshes += 1;
+	try {
+		for (let round = 0; round < MAX_REFRESH_ROUNDS; round++) {
+			const params = new URLSearchParams({ since: library.cursor.since, after_id: String(library.cursor.afterId) });
+			const response = await fetchJson(`${API.jobsList}?${params.toString()}`);
+			// A sign-out or full reload replaced the index while the request was running.
+			if (state.library !== library) return;
+			const jobs = Array.isArray(response?.data) ? response.data : [];
+			indexJobs(jobs);
+			library.cursor = advanceCursor(library.cursor, jobs);
+			if (response?.meta?.has_more !== true) return;
+		}
+	} catch (error) {
+		console.warn('Failed to refresh library index', error);
+	}
+}
+
+/**
+ * Merges job rows (from the jobs list, paging or the live stream) into the library index.
+ */
+export function indexJobs(jobs, { notify = true } = {}) {
+	if (!state.library) return;
+	let changed = false;
+	(Array.isArray(jobs) ? jobs : []).forEach((job) => {
+		const id = Number(job?.id);
+		if (!Number.isFinite(id)) return;
+		const status = classifyJob(job);
+		const previous = state.library.jobs.get(id);
+		if (previous?.status === status) return;
+		if (status === null) {
+			state.library.jobs.delete(id);
+		} else {
+			// Stream updates can be partial; keep the keys learned from the full row.
+			const keys = jobLibraryKeys(job);
+			state.library.jobs.set(id, { status, keys: keys.length > 0 ? keys : previous?.keys ?? [] });
+		}
+		changed = true;
+	});
+	if (!changed) return;
+	rebuildKeyIndex();
+	if (notify) {
+		notifyChange();
+	}
+}
+
+/**
+ * Optimistically marks freshly submitted items as queued until the next index refresh.
+ */
+export function noteLibraryQueued(keyLists) {
+	if (!state.library) return;
+	(Array.isArray(keyLists) ? keyLists : []).forEach((keys) => {
+		keys.forEach((key) => {
+			if (!state.library.keys.has(key)) {
+				state.library.keys.set(key, 'queued');
+			}
+		});
+	});
+	notifyChange();
+	scheduleLibraryRefresh();
+}
+
+export function scheduleLibraryRefresh(delay = REFRESH_DELAY_MS) {
+	if (refreshTimeout) {
+		clearTimeout(refreshTimeout);
+	}
+	refreshTimeout = setTimeout(() => {
+		refreshTimeout = null;
+		void refreshLibraryIndex();
+	}, delay);
+}
+
+/**
+ * Best known status among the given keys: 'downloaded', 'queued', 'failed' or null.
+ */
+export function libraryStatus(keys) {
+	if (!state.library) return null;
+	let best = null;
+	(Array.isArray(keys) ? keys : []).forEach((key) => {
+		const status = state.library.keys.get(key) ?? null;
+		if (status && (best === null || STATUS_RANK[status] > STATUS_RANK[best])) {
+			best = status;
+		}
+	});
+	return best;
+}
+
+export function renderLibraryBadge(status, label = null) {
+	const badge = status ? STATUS_BADGES[status] : null;
+	if (!badge) return '';
+	return `<span class="rounded-full border ${badge.className} px-2 py-0.5 text-xs font-semibold uppercase tracking-wide">${escapeHtml(label ?? badge.label)}</span>`;
+}
+
+export function searchResultLibraryKeys(item) {
+	const keys = [];
+	if (item?.provider && item?.external_id) {
+		keys.push(`${String(item.provider).toLowerCase()}:${item.external_id}`);
+	}
+	const title = normalizeLibraryTitle(item?.title);
+	if (title) {
+		keys.push(`title:${title}`);
+	}
+	return keys;
+}
+
+export function kraskaItemLibraryKeys(item) {
+	return item?.ident ? [`${String(item.provider ?? 'kraska').toLowerCase()}:${item.ident}`] : [];
+}
+
+/**
+ * KraSk2 jobs store per-stream tokens, so movies and episodes are matched through the
+ * catalog item id kept in the job metadata.
+ */
+export function krask2ItemLibraryKeys(item) {
+	const keys = [];
+	if (item?.id !== undefined && item?.id !== null && item.id !== '') {
+		keys.push(`krask2:item:${item.id}`);
+	}
+	const externalId = item?.external_id ?? item?.externalId ?? null;
+	if (externalId) {
+		keys.push(`krask2:${externalId}`);
+	}
+	return keys;
+}
+
+/**
+ * Asks before re-queueing entries that are already downloaded or queued.
+ * `entries` are `{ label, keys }` objects; returns the entries that should be submitted.
+ */
+export function resolveLibraryDuplicates(entries) {
+	const list = Array.isArray(entries) ? entries : [];
+	const duplicates = list
+		.map((entry) => ({ entry, status: libraryStatus(entry.keys) }))
+		.filter(({ status }) => status === 'downloaded' || status === 'queued');
+	if (duplicates.length === 0) {
+		return list;
+	}
+
+	const preview = duplicates
+		.slice(0, 8)
+		.map(({ entry, status }) => `• ${entry.label} (${STATUS_BADGES[status].label.toLowerCase()})`)
+		.join('\n');
+	const more = duplicates.length > 8 ? `\n…and ${duplicates.length - 8} more` : '';
+	const count = duplicates.length === list.length ? (list.length === 1 ? 'The selected item is' : `All ${list.length} selected items are`) : `${duplicates.length} of ${list.length} selected items are`;
+	const queueAnyway = window.confirm(`${count} already downloaded or queued:\n${preview}${more}\n\nPress OK to queue them again, or Cancel to skip them.`);
+	if (queueAnyway) {
+		return list;
+	}
+	const skipped = new Set(duplicates.map(({ entry }) => entry));
+	return list.filter((entry) => !skipped.has(entry));
+}
+
+function classifyJob(job) {
+	const status = typeof job?.status === 'string' ? job.status.toLowerCase() : '';
+	if (status === 'completed') {
+		return job?.deleted_at ? null : 'downloaded';
+	}
+	if (ACTIVE_STATUSES.has(status)) {
+		return 'queued';
+	}
+	return status === 'failed' ? 'failed' : null;
+}
+
+function jobLibraryKeys(job) {
+	const provider = String(job?.provider_key ?? job?.provider?.key ?? '').toLowerCase();
+	const keys = [];
+	if (provider && job?.external_id) {
+		keys.push(`${provider}:${job.external_id}`);
+	}
+	const itemId = job?.metadata?.item?.id;
+	if (provider && itemId !== undefined && itemId !== null && itemId !== '') {
+		keys.push(`${provider}:item:${itemId}`);
+	}
+	const title = normalizeLibraryTitle(job?.title);
+	if (title) {
+		keys.push(`title:${title}`);
+	}
+	return keys;
+}
+
+function advanceCursor(cursor, jobs) {
+	let next = cursor;
+	jobs.forEach((job) => {
+		const since = typeof job?.updated_at === 'string' ? job.updated_at : '';
+		const afterId = Number(job?.id);
+		if (since === '' || !Number.isFinite(afterId)) return;
+		if (!next || since > next.since || (since === next.since && afterId > next.afterId)) {
+			next = { since, afterId };
+		}
+	});
+	return next;
+}
+
+function rebuildKeyIndex() {
+	const keys = new Map();
+	state.library.jobs.forEach(({ status, keys: jobKeys }) => {
+		jobKeys.forEach((key) => {
+			const current = keys.get(key);
+			if (!current || STATUS_RANK[status] > STATUS_RANK[current]) {
+				keys.set(key, status);
+			}
+		});
+	});
+	state.library.keys = keys;
+}
+
+function normalizeLibraryTitle(title) {
+	return typeof title === 'string'
+		? title.toLowerCase().replace(/[._\-\s]+/g, ' ').trim()
+		: '';
+}
+
+function notifyChange() {
+	if (libraryChangeHandler) {
+		libraryChangeHandler();
+	}
+}
@@ -0,0 +1,64 @@
+/**
+ * Audio and subtitle track parsing shared by the result drawer and the variant comparison.
+ */
+
+import { formatAudioChannels } from './utils.js';
+
+/**
+ * Stream-Cinema entries carry track lists either at the top level or under `stream_info`;
+ * the normalized result only keeps the first audio track, so read the raw entry as well.
+ */
+export function collectAudioTracks(item) {
+	const lists = [item.source_entry?.audio, item.source_entry?.stream_info?.audio, item.source?.audio, item.source?.stream_info?.audio];
+	const tracks = lists
+		.flatMap(toTrackList)
+		.map((track) => [track.language ?? track.lang, track.codec ? String(track.codec).toUpperCase() : null, formatAudioChannels(track.channels)]
+			.filter(Boolean)
+			.join(' · '))
+		.filter(Boolean);
+	if (tracks.length === 0) {
+		const fallback = [item.audio_language, item.audio_codec ? String(item.audio_codec).toUpperCase() : null, formatAudioChannels(item.audio_channels)].filter(Boolean);
+		return fallback.length > 0 ? [fallback.join(' · ')] : [];
+	}
+	return Array.from(new Set(tracks));
+}
+
+/**
+ * Distinct audio languages, upper-cased so `cs` and `CS` collapse into one entry.
+ */
+export function collectAudioLanguages(item) {
+	const lists = [item.source_entry?.audio, item.source_entry?.stream_info?.audio, item.source?.audio, item.source?.stream_info?.audio];
+	const languages = lists
+		.flatMap(toTrackList)
+		.map((track) => track.language ?? track.lang)
+		.concat(item.audio_language ?? item.language ?? [])
+		.filter((value) => typeof value === 'string' && value.trim() !== '')
+		.map((value) => value.trim().toUpperCase());
+	return Array.from(new Set(languages));
+}
+
+export function collectSubtitles(item) {
+	const lists = [item.source_entry?.subtitles, item.source_entry?.stream_info?.subtitles, item.source_entry?.subs, item.source?.subtitles, item.source?.stream_info?.subtitles];
+	const tracks = lists
+		.flatMap(toTrackList)
+		.map((track) => {
+			const label = track.language ?? track.lang ?? track.label ?? null;
+			return label ? `${label}${track.forced ? ' (forced)' : ''}` : null;
+		})
+		.filter(Boolean);
+	return Array.from(new Set(tracks));
+}
+
+function toTrackList(value) {
+	if (Array.isArray(value)) {
+		return value.map((entry) => (typeof entry === 'string' ? { language: entry } : entry)).filter((entry) => entry && typeof entry === 'object');
+	}
+	if (value && typeof value === 'object') {
+		// Either a single track or a language → details map such as `{ cs: {...}, en: {...} }`.
+		if ('codec' in value || 'language' in value || 'lang' in value || 'channels' in value) {
+			return [value];
+		}
+		return Object.entries(value).map(([language, details]) => ({ language, ...(details && typeof details === 'object' ? details : {}) }));
+	}
+	return [];
+}
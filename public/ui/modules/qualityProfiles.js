@@ -0,0 +1,510 @@
+import { state, els, API } from './context.js';
+import { fetchJson, showToast, escapeHtml, messageFromError } from './utils.js';
+import { resolveResultHeight } from './searchFilters.js';
+
+export const HDR_MODES = [
+	{ value: 'any', label: 'No preference' },
+	{ value: 'prefer', label: 'Prefer HDR' },
+	{ value: 'avoid', label: 'Prefer SDR' },
+	{ value: 'require', label: 'HDR only' },
+	{ value: 'exclude', label: 'SDR only' },
+];
+
+const HEIGHT_STEPS = [480, 576, 720, 1080, 1440, 2160, 4320];
+
+// Keep in sync with App\Domain\QualityProfiles so client picks match the background resolver.
+const CODEC_ALIASES = {
+	h264: 'h264', x264: 'h264', avc: 'h264',
+	h265: 'hevc', x265: 'hevc', hevc: 'hevc',
+	av1: 'av1', vp9: 'vp9',
+	xvid: 'mpeg4', divx: 'mpeg4', mpeg4: 'mpeg4', mpeg2: 'mpeg2',
+};
+
+const LANGUAGE_ALIASES = {
+	cz: 'cz', cs: 'cz', cze: 'cz', ces: 'cz',
+	sk: 'sk', svk: 'sk', slk: 'sk',
+	en: 'en', eng: 'en',
+	de: 'de', ger: 'de', deu: 'de',
+	fr: 'fr', fre: 'fr', fra: 'fr',
+	es: 'es', spa: 'es',
+	it: 'it', ita: 'it',
+	pl: 'pl', pol: 'pl',
+	hu: 'hu', hun: 'hu',
+	ru: 'ru', rus: 'ru',
+};
+
+// Where a language may be read from text: bracketed codes ([CZ], (CZ, EN)) and plus-joined codes
+// (CZ+EN) anywhere, plus plain codes in the tag region of a release name, which starts after the
+// first year, resolution or episode code. Mirrors QualityProfiles::LANGUAGE_TAG_PATTERNS.
+const LANGUAGE_TAG_PATTERNS = [
+	/[[(][a-z]{2,3}(?:\s*[,/+|]\s*[a-z]{2,3})*[\])]/gi,
+	/(?<![a-z0-9])[a-z]{2,3}(?:\+[a-z]{2,3})+(?![a-z0-9])/gi,
+];
+const RELEASE_TAG_REGION_START = /(?<![a-z0-9])(?:(?:19|20)\d{2}|\d{3,4}[pi]|[48]k|uhd|s\d{1,2}e\d{1,3})(?![a-z0-9])/i;
+const RELEASE_TAG_TOKEN = /(?<![a-z0-9])[a-z]{2,3}(?![a-z0-9])/gi;
+
+const CONTROL_CLASS = 'rounded-lg border border-slate-700 bg-slate-950/60 px-3 py-2 text-slate-100';
+
+let profilesChangeHandler = null;
+
+export function wireQualityProfiles({ onChange } = {}) {
+	profilesChangeHandler = typeof onChange === 'function' ? onChange : null;
+
+	els.krask2ProfileSelect?.addEventListener('change', (event) => {
+		const target = event.target;
+		if (target instanceof HTMLSelectElement) {
+			setActiveQualityProfile(target.value);
+		}
+	});
+
+	document.querySelectorAll('[data-quality-profile-manage]').forEach((button) => {
+		button.addEventListener('click', () => {
+			openQualityProfilesManager();
+		});
+	});
+}
+
+export async function loadQualityProfiles() {
+	if (!state.user) return;
+	try {
+		const response = await fetchJson(API.qualityProfiles);
+		state.qualityProfiles = Array.isArray(response?.data) ? response.data.map(normalizeQualityProfile).filter(Boolean) : [];
+	} catch (error) {
+		state.qualityProfiles = [];
+		console.warn('Failed to load quality profiles', error);
+	}
+	const active = state.activeQualityProfileId;
+	// `undefined` means the user never picked one this session, so the default profile applies.
+	if (active === undefined || (active !== null && !getQualityProfile(active))) {
+		state.activeQualityProfileId = state.qualityProfiles.find((profile) => profile.is_default)?.id ?? null;
+	}
+	notifyChange();
+}
+
+export function getQualityProfile(id) {
+	const numeric = Number.parseInt(String(id ?? ''), 10);
+	return state.qualityProfiles.find((profile) => profile.id === numeric) ?? null;
+}
+
+export function getActiveQualityProfile() {
+	return getQualityProfile(state.activeQualityProfileId);
+}
+
+export function setActiveQualityProfile(value) {
+	state.activeQualityProfileId = getQualityProfile(value)?.id ?? null;
+	notifyChange();
+}
+
+/**
+ * Option markup for profile pickers; the empty value stands for the built-in ranking.
+ */
+export function renderQualityProfileOptions(selectedId = state.activeQualityProfileId) {
+	const options = [`<option value="">Built-in ranking</option>`];
+	state.qualityProfiles.forEach((profile) => {
+		const selected = profile.id === selectedId ? 'selected' : '';
+		const label = profile.is_default ? `${profile.name} (default)` : profile.name;
+		options.push(`<option value="${profile.id}" ${selected}>${escapeHtml(label)}</option>`);
+	});
+	return options.join('');
+}
+
+export function renderQualityProfileSelects() {
+	if (els.krask2ProfileSelect instanceof HTMLSelectElement) {
+		els.krask2ProfileSelect.innerHTML = renderQualityProfileOptions();
+	}
+}
+
+/**
+ * Short human summary of a profile's rules, e.g. "≤ 20 GB · 720p–2160p · CZ › EN · no AV1".
+ */
+export function describeQualityProfile(profile) {
+	if (!profile) return '';
+	const parts = [];
+	if (profile.max_size_gb) parts.push(`≤ ${profile.max_size_gb} GB`);
+	if (profile.min_height || profile.max_height) {
+		parts.push(`${profile.min_height ? `${profile.min_height}p` : 'any'}–${profile.max_height ? `${profile.max_height}p` : 'any'}`);
+	}
+	if (profile.preferred_languages.length > 0) parts.push(profile.preferred_languages.map((code) => code.toUpperCase()).join(' › '));
+	if (profile.preferred_codecs.length > 0) parts.push(profile.preferred_codecs.map((codec) => codec.toUpperCase()).join(' › '));
+	if (profile.forbidden_codecs.length > 0) parts.push(`no ${profile.forbidden_codecs.map((codec) => codec.toUpperCase()).join('/')}`);
+	const hdr = HDR_MODES.find((mode) => mode.value === profile.hdr);
+	if (hdr && hdr.value !== 'any') parts.push(hdr.label);
+	return parts.join(' · ');
+}
+
+/**
+ * Whether a variant or search result stays within the profile's hard limits.
+ * Attributes that cannot be determined never exclude an entry.
+ */
+export function variantMatchesProfile(variant, profile) {
+	if (!profile) return true;
+	const traits = describeVariant(variant);
+	if (profile.max_size_gb && traits.size > 0 && traits.size > profile.max_size_gb * 1024 ** 3) {
+		return false;
+	}
+	if (traits.codec && profile.forbidden_codecs.includes(traits.codec)) {
+		return false;
+	}
+	if (traits.height !== null) {
+		if (profile.min_height && traits.height < profile.min_height) return false;
+		if (profile.max_height && traits.height > profile.max_height) return false;
+	}
+	if (profile.hdr === 'require' && !traits.hdr) return false;
+	if (profile.hdr === 'exclude' && traits.hdr) return false;
+	return true;
+}
+
+/**
+ * Orders entries best-first for the profile: preferred language, HDR preference, resolution,
+ * preferred codec, then `tieBreaker` (or size and bitrate). Entries outside the profile's limits
+ * are dropped unless `keepExcluded` is set, in which case they sort last.
+ */
+export function rankVariantsByProfile(variants, profile, { tieBreaker = null, keepExcluded = false } = {}) {
+	const entries = (Array.isArray(variants) ? variants : [])
+		.map((variant, order) => ({ variant, order, traits: describeVariant(variant), allowed: variantMatchesProfile(variant, profile) }))
+		.filter((entry) => keepExcluded || entry.allowed);
+
+	return entries
+		.sort((a, b) => {
+			if (a.allowed !== b.allowed) return a.allowed ? -1 : 1;
+			const diff = profile ? compareTraits(a.traits, b.traits, profile) : 0;
+			if (diff !== 0) return diff;
+			if (tieBreaker) {
+				const tie = tieBreaker(a.variant, b.variant);
+				if (tie !== 0) return tie;
+			} else {
+				const sizeDiff = Number(b.variant?.size_bytes ?? 0) - Number(a.variant?.size_bytes ?? 0);
+				if (sizeDiff !== 0) return sizeDiff;
+				const bitrateDiff = Number(b.variant?.bitrate_kbps ?? 0) - Number(a.variant?.bitrate_kbps ?? 0);
+				if (bitrateDiff !== 0) return bitrateDiff;
+			}
+			return a.order - b.order;
+		})
+		.map((entry) => entry.variant);
+}
+
+export function pickVariantForProfile(variants, profile) {
+	return rankVariantsByProfile(variants, profile)[0] ?? null;
+}
+
+export function openQualityProfilesManager() {
+	if (!els.modal || !state.user) return;
+	renderManagerList();
+	if (!els.modal.open) {
+		els.modal.showModal();
+	}
+}
+
+function renderManagerList() {
+	const profiles = state.qualityProfiles;
+	const rows = profiles
+		.map((profile) => `
+			<li class="flex items-start justify-between gap-3 rounded-xl border border-slate-800/70 bg-slate-950/40 p-3">
+				<div class="min-w-0">
+					<div class="text-sm font-semibold text-slate-100">${escapeHtml(profile.name)}${profile.is_default ? ' <span class="ml-1 rounded-full border border-brand-500/40 bg-brand-500/10 px-2 py-0.5 text-[11px] font-semibold uppercase tracking-wide text-brand-200">Default</span>' : ''}</div>
+					<div class="text-xs text-slate-400">${escapeHtml(describeQualityProfile(profile) || 'No limits')}</div>
+				</div>
+				<div class="flex shrink-0 gap-2">
+					<button type="button" data-quality-profile-edit="${profile.id}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Edit</button>
+					<button type="button" data-quality-profile-delete="${profile.id}" class="rounded-lg px-1.5 text-xs text-slate-500 transition hover:text-rose-300" aria-label="Delete quality profile">✕</button>
+				</div>
+			</li>
+		`)
+		.join('');
+
+	els.modal.innerHTML = `
+		<div>
+			<header>
+				<h3 class="text-lg font-semibold text-slate-100">Quality profiles</h3>
+				<p class="mt-1 text-sm text-slate-400">Profiles decide which variant is queued automatically. The default profile applies until you pick another one.</p>
+			</header>
+			<div class="modal-body space-y-3">
+				${profiles.length > 0 ? `<ul class="space-y-2">${rows}</ul>` : '<p class="text-sm text-slate-500">No profiles yet.</p>'}
+			</div>
+			<footer>
+				<button type="button" data-close class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-4 py-2 text-sm text-slate-200">Close</button>
+				<button type="button" data-quality-profile-new class="rounded-lg bg-brand-500 px-4 py-2 text-sm font-semibold text-white">New profile</button>
+			</footer>
+		</div>
+	`;
+
+	els.modal.querySelector('[data-close]')?.addEventListener('click', () => {
+		els.modal.close();
+	});
+	els.modal.querySelector('[data-quality-profile-new]')?.addEventListener('click', () => {
+		renderManagerForm(null);
+	});
+	els.modal.querySelectorAll('[data-quality-profile-edit]').forEach((button) => {
+		button.addEventListener('click', () => {
+			renderManagerForm(getQualityProfile(button.getAttribute('data-quality-profile-edit')));
+		});
+	});
+	els.modal.querySelectorAll('[data-quality-profile-delete]').forEach((button) => {
+		button.addEventListener('click', () => {
+			void deleteQualityProfile(getQualityProfile(button.getAttribute('data-quality-profile-delete')));
+		});
+	});
+}
+
+function renderManagerForm(profile) {
+	const formId = `quality-profile-form-${Date.now()}`;
+	const heightSelect = (name, value) => `
+		<select name="${name}" class="${CONTROL_CLASS}">
+			<option value="">Any</option>
+			${HEIGHT_STEPS.map((height) => `<option value="${height}" ${height === value ? 'selected' : ''}>${height}p</option>`).join('')}
+		</select>
+	`;
+	const textField = (name, label, value, placeholder, helper) => `
+		<label class="flex flex-col gap-1 text-sm">
+			<span class="font-medium text-slate-200">${escapeHtml(label)}</span>
+			<input name="${name}" value="${escapeHtml(value)}" placeholder="${escapeHtml(placeholder)}" class="${CONTROL_CLASS}" />
+			<p class="text-xs text-slate-400">${escapeHtml(helper)}</p>
+		</label>
+	`;
+
+	els.modal.innerHTML = `
+		<form id="${formId}" method="dialog" class="space-y-4">
+			<header>
+				<h3 class="text-xl font-semibold">${profile ? `Edit ${escapeHtml(profile.name)}` : 'New quality profile'}</h3>
+				<p class="mt-1 text-sm text-slate-400">Limits exclude variants outright; preferences rank whatever remains.</p>
+			</header>
+			<div class="modal-body space-y-4">
+				<div class="form-grid two-cols">
+					<label class="flex flex-col gap-1 text-sm">
+						<span class="font-medium text-slate-200">Name</span>
+						<input name="name" value="${escapeHtml(profile?.name ?? '')}" placeholder="Living room" required class="${CONTROL_CLASS}" />
+					</label>
+					<label class="flex flex-col gap-1 text-sm">
+						<span class="font-medium text-slate-200">Maximum size (GB)</span>
+						<input name="max_size_gb" type="number" min="0" step="any" value="${escapeHtml(profile?.max_size_gb ?? '')}" placeholder="No limit" class="${CONTROL_CLASS}" />
+					</label>
+					<label class="flex flex-col gap-1 text-sm">
+						<span class="font-medium text-slate-200">Minimum resolution</span>
+						${heightSelect('min_height', profile?.min_height ?? null)}
+					</label>
+					<label class="flex flex-col gap-1 text-sm">
+						<span class="font-medium text-slate-200">Maximum resolution</span>
+						${heightSelect('max_height', profile?.max_height ?? null)}
+					</label>
+				</div>
+				${textField('preferred_languages', 'Preferred audio languages', (profile?.preferred_languages ?? []).join(', '), 'cz, sk, en', 'Comma separated, most preferred first.')}
+				<div class="form-grid two-cols">
+					${textField('preferred_codecs', 'Preferred codecs', (profile?.preferred_codecs ?? []).join(', '), 'hevc, h264', 'Most preferred first.')}
+					${textField('forbidden_codecs', 'Forbidden codecs', (profile?.forbidden_codecs ?? []).join(', '), 'xvid', 'Never picked automatically.')}
+				</div>
+				<label class="flex flex-col gap-1 text-sm">
+					<span class="font-medium text-slate-200">HDR</span>
+					<select name="hdr" class="${CONTROL_CLASS}">
+						${HDR_MODES.map((mode) => `<option value="${mode.value}" ${mode.value === (profile?.hdr ?? 'any') ? 'selected' : ''}>${escapeHtml(mode.label)}</option>`).join('')}
+					</select>
+				</label>
+				<label class="inline-flex items-center gap-2 text-sm text-slate-200">
+					<input name="is_default" type="checkbox" class="rounded border-slate-700 bg-slate-950 text-brand-500 focus:ring-brand-500/60" ${profile?.is_default ? 'checked' : ''} />
+					Use as my default profile
+				</label>
+			</div>
+			<footer>
+				<button type="button" data-back class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-4 py-2 text-sm text-slate-200">Back</button>
+				<button type="submit" class="rounded-lg bg-brand-500 px-4 py-2 text-sm font-semibold text-white">${profile ? 'Save changes' : 'Create profile'}</button>
+			</footer>
+		</form>
+	`;
+
+	const form = els.modal.querySelector(`#${formId}`);
+	const submitBtn = form?.querySelector('button[type="submit"]');
+	els.modal.querySelector('[data-back]')?.addEventListener('click', () => {
+		renderManagerList();
+	});
+
+	form?.addEventListener('submit', async (event) => {
+		event.preventDefault();
+		if (!(form instanceof HTMLFormElement)) return;
+		const formData = new FormData(form);
+		const splitList = (key) => String(formData.get(key) ?? '')
+			.split(/[,\s]+/)
+			.map((token) => token.trim())
+			.filter(Boolean);
+		const payload = {
+			name: String(formData.get('name') ?? '').trim(),
+			max_size_gb: String(formData.get('max_size_gb') ?? '').trim() || null,
+			min_height: String(formData.get('min_height') ?? '') || null,
+			max_height: String(formData.get('max_height') ?? '') || null,
+			preferred_languages: splitList('preferred_languages'),
+			preferred_codecs: splitList('preferred_codecs'),
+			forbidden_codecs: splitList('forbidden_codecs'),
+			hdr: String(formData.get('hdr') ?? 'any'),
+			is_default: formData.get('is_default') !== null,
+		};
+		if (!payload.name) {
+			showToast('Profile name is required.', 'error');
+			return;
+		}
+
+		submitBtn?.setAttribute('disabled', 'true');
+		try {
+			const response = await fetchJson(profile ? `${API.qualityProfiles}?id=${encodeURIComponent(String(profile.id))}` : API.qualityProfiles, {
+				method: profile ? 'PATCH' : 'POST',
+				body: JSON.stringify(payload),
+			});
+			const saved = normalizeQualityProfile(response?.data);
+			showToast(profile ? 'Quality profile updated.' : 'Quality profile created.', 'success');
+			await loadQualityProfiles();
+			if (saved && !profile && state.activeQualityProfileId === null) {
+				setActiveQualityProfile(saved.id);
+			}
+			renderManagerList();
+		} catch (error) {
+			showToast(messageFromError(error), 'error');
+			submitBtn?.removeAttribute('disabled');
+		}
+	});
+}
+
+async function deleteQualityProfile(profile) {
+	if (!profile) return;
+	if (!window.confirm(`Delete quality profile "${profile.name}"?`)) return;
+	try {
+		await fetchJson(`${API.qualityProfiles}?id=${encodeURIComponent(String(profile.id))}`, { method: 'DELETE' });
+		await loadQualityProfiles();
+		renderManagerList();
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+	}
+}
+
+function compareTraits(a, b, profile) {
+	const languageDiff = preferenceRank(a.languages, profile.preferred_languages) - preferenceRank(b.languages, profile.preferred_languages);
+	if (languageDiff !== 0) return languageDiff;
+	if (a.hdr !== b.hdr && (profile.hdr === 'prefer' || profile.hdr === 'avoid')) {
+		return a.hdr === (profile.hdr === 'prefer') ? -1 : 1;
+	}
+	const heightDiff = (b.height ?? 0) - (a.height ?? 0);
+	if (heightDiff !== 0) return heightDiff;
+	return preferenceRank(a.codec ? [a.codec] : [], profile.preferred_codecs) - preferenceRank(b.codec ? [b.codec] : [], profile.preferred_codecs);
+}
+
+function preferenceRank(tokens, preferences) {
+	let rank = preferences.length;
+	tokens.forEach((token) => {
+		const index = preferences.indexOf(token);
+		if (index !== -1 && index < rank) rank = index;
+	});
+	return rank;
+}
+
+/**
+ * Reads height, codec, audio languages, HDR and size from Kra.sk/KraSk2 variants as well as
+ * search results, falling back to tokens in the release text.
+ */
+export function describeVariant(variant) {
+	const stream = variant?.source?.stream ?? null;
+	const text = [
+		variant?.title,
+		variant?.quality,
+		variant?.description,
+		variant?.resolution,
+		variant?.language,
+		variant?.audio_language,
+		stream?.name,
+		stream?.title,
+		stream?.description,
+	]
+		.filter((value) => typeof value === 'string' && value !== '')
+		.join(' ')
+		.toLowerCase();
+
+	let height = resolveResultHeight(variant);
+	if (height === null) {
+		const dimensions = text.match(/\b\d{3,4}\s*x\s*(\d{3,4})\b/);
+		const progressive = text.match(/\b(\d{3,4})[pi]\b/);
+		if (dimensions) height = Number.parseInt(dimensions[1], 10);
+		else if (progressive) height = Number.parseInt(progressive[1], 10);
+		else if (/\b(8k|4320)\b/.test(text)) height = 4320;
+		else if (/\b(4k|uhd|2160)\b/.test(text)) height = 2160;
+		else if (/\bfhd\b/.test(text)) height = 1080;
+	}
+
+	let codec = typeof variant?.video_codec === 'string' && variant.video_codec !== '' ? normalizeCodec(variant.video_codec) : null;
+	if (!codec) {
+		const match = text.match(/\b(h\.?26[45]|x26[45]|avc|hevc|av1|vp9|xvid|divx|mpeg-?[24])\b/);
+		codec = match ? normalizeCodec(match[1]) : null;
+	}
+
+	return {
+		height,
+		codec,
+		languages: detectLanguages(variant),
+		hdr: /\b(hdr10\+?|hdr|dv|dovi|dolby ?vision)\b/.test(text),
+		size: Number(variant?.size_bytes ?? 0) || 0,
+	};
+}
+
+/**
+ * Audio languages of a variant: explicit language fields as they are, text only through
+ * LANGUAGE_TAG_PATTERNS and the release tag region so words such as "It" or "De" in a title do
+ * not count.
+ * Same rules as QualityProfiles::detectLanguages().
+ */
+export function detectLanguages(variant) {
+	const stream = variant?.source?.stream ?? null;
+	const tokens = [];
+	[variant?.language, variant?.audio_language, stream?.language, stream?.lang].forEach((value) => {
+		if (typeof value === 'string' && value !== '') {
+			tokens.push(...value.toLowerCase().split(/[^a-z]+/).filter(Boolean));
+		}
+	});
+	const releaseNames = [variant?.title, variant?.quality, stream?.name, stream?.title];
+	releaseNames.forEach((value) => {
+		const start = typeof value === 'string' ? value.match(RELEASE_TAG_REGION_START) : null;
+		if (!start) return;
+		const region = value.slice(start.index + start[0].length);
+		tokens.push(...(region.match(RELEASE_TAG_TOKEN) ?? []).map((token) => token.toLowerCase()));
+	});
+	[...releaseNames, variant?.description, stream?.description].forEach((value) => {
+		if (typeof value !== 'string' || value === '') return;
+		LANGUAGE_TAG_PATTERNS.forEach((pattern) => {
+			(value.match(pattern) ?? []).forEach((match) => tokens.push(...match.toLowerCase().split(/[^a-z]+/).filter(Boolean)));
+		});
+	});
+
+	const languages = new Set();
+	tokens.forEach((token) => {
+		if (LANGUAGE_ALIASES[token]) languages.add(LANGUAGE_ALIASES[token]);
+	});
+	return Array.from(languages);
+}
+
+function normalizeCodec(value) {
+	const token = String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+	return CODEC_ALIASES[token] ?? token;
+}
+
+function normalizeQualityProfile(raw) {
+	if (!raw || typeof raw !== 'object') return null;
+	const id = Number.parseInt(String(raw.id ?? ''), 10);
+	if (!Number.isFinite(id)) return null;
+	const list = (value) => (Array.isArray(value) ? value.filter((entry) => typeof entry === 'string' && entry !== '') : []);
+	const positive = (value) => {
+		const numeric = Number(value);
+		return Number.isFinite(numeric) && numeric > 0 ? numeric : null;
+	};
+	return {
+		id,
+		name: typeof raw.name === 'string' && raw.name !== '' ? raw.name : `Profile ${id}`,
+		max_size_gb: positive(raw.max_size_gb),
+		min_height: positive(raw.min_height),
+		max_height: positive(raw.max_height),
+		preferred_languages: list(raw.preferred_languages),
+		preferred_codecs: list(raw.preferred_codecs),
+		forbidden_codecs: list(raw.forbidden_codecs),
+		hdr: HDR_MODES.some((mode) => mode.value === raw.hdr) ? raw.hdr : 'any',
+		is_default: raw.is_default === true,
+	};
+}
+
+function notifyChange() {
+	renderQualityProfileSelects();
+	if (profilesChangeHandler) {
+		profilesChangeHandler();
+	}
+}
@@ -0,0 +1,217 @@
+import { state, els } from './context.js';
+import { showToast, escapeHtml, messageFromError, formatRelativeSize } from './utils.js';
+
+const DEFAULT_LIBRARY_FOLDERS = ['Movies', 'Shows'];
+const MEDIA_TYPES = [
+	['auto', 'Detect'],
+	['movie', 'Movie'],
+	['series', 'Series'],
+];
+const INPUT_CLASS = 'rounded-lg border border-slate-700 bg-slate-950/60 px-2 py-1.5 text-sm text-slate-100';
+
+/**
+ * Opens the pre-queue review dialog for search results. `onSubmit` receives
+ * `{ item, title, metadata }` entries and should throw to keep the dialog open.
+ */
+export function openQueueReview(items, { onSubmit } = {}) {
+	if (!els.modal || !Array.isArray(items) || items.length === 0) return;
+	const formId = `queue-review-form-${Date.now()}`;
+	const listId = `${formId}-folders`;
+	const folders = Array.from(new Set([...DEFAULT_LIBRARY_FOLDERS, ...state.queueReviewFolders]));
+
+	els.modal.innerHTML = `
+		<form id="${formId}" method="dialog" class="space-y-4">
+			<header>
+				<h3 class="text-xl font-semibold">Review ${items.length} item${items.length === 1 ? '' : 's'} before queueing</h3>
+				<p class="mt-1 text-sm text-slate-400">Adjust the final title and where each download lands in the library. Empty fields keep the automatic naming.</p>
+			</header>
+			<div class="modal-body space-y-4">
+				<datalist id="${listId}">${folders.map((folder) => `<option value="${escapeHtml(folder)}"></option>`).join('')}</datalist>
+				${items.length > 1 ? renderBulkRow(listId) : ''}
+				<ul class="space-y-3">
+					${items.map((item, index) => renderReviewRow(item, index, listId)).join('')}
+				</ul>
+			</div>
+			<footer>
+				<button type="button" data-close class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-4 py-2 text-sm text-slate-200">Cancel</button>
+				<button type="submit" class="rounded-lg bg-brand-500 px-4 py-2 text-sm font-semibold text-white">Add ${items.length} to queue</button>
+			</footer>
+		</form>
+	`;
+
+	const form = els.modal.querySelector(`#${formId}`);
+	const submitBtn = form?.querySelector('button[type="submit"]');
+
+	els.modal.querySelector('[data-close]')?.addEventListener('click', () => {
+		els.modal.close();
+	});
+
+	form?.querySelector('[data-review-apply-all]')?.addEventListener('click', () => {
+		const type = form.querySelector('[name="bulk-type"]')?.value ?? '';
+		const folder = form.querySelector('[name="bulk-folder"]')?.value ?? '';
+		items.forEach((_, index) => {
+			if (type !== '') setFieldValue(form, `type-${index}`, type);
+			if (folder.trim() !== '') setFieldValue(form, `folder-${index}`, folder.trim());
+		});
+	});
+
+	form?.addEventListener('submit', async (event) => {
+		event.preventDefault();
+		if (!form) return;
+		const formData = new FormData(form);
+		const entries = [];
+		for (const [index, item] of items.entries()) {
+			const entry = readReviewRow(formData, item, index);
+			if (typeof entry === 'string') {
+				showToast(entry, 'error');
+				return;
+			}
+			entries.push(entry);
+		}
+
+		submitBtn?.setAttribute('disabled', 'true');
+		try {
+			await onSubmit?.(entries);
+			rememberFolders(entries);
+			els.modal.close();
+		} catch (error) {
+			showToast(messageFromError(error), 'error');
+		} finally {
+			submitBtn?.removeAttribute('disabled');
+		}
+	});
+
+	els.modal.showModal();
+}
+
+function renderBulkRow(listId) {
+	return `
+		<div class="flex flex-wrap items-end gap-3 rounded-xl border border-slate-800/70 bg-slate-950/40 p-3 text-sm">
+			<label class="flex flex-col gap-1">
+				<span class="text-xs font-medium text-slate-400">Placement for all</span>
+				<select name="bulk-type" class="${INPUT_CLASS}">
+					<option value="">Keep</option>
+					${MEDIA_TYPES.map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+				</select>
+			</label>
+			<label class="flex flex-1 flex-col gap-1">
+				<span class="text-xs font-medium text-slate-400">Library folder for all</span>
+				<input name="bulk-folder" list="${listId}" placeholder="Keep" class="${INPUT_CLASS}" />
+			</label>
+			<button type="button" data-review-apply-all class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Apply to all</button>
+		</div>
+	`;
+}
+
+function renderReviewRow(item, index, listId) {
+	const guess = guessPlacement(item.title);
+	return `
+		<li class="space-y-2 rounded-xl border border-slate-800/70 bg-slate-900/60 p-3">
+			<div class="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+				<span class="rounded-full border border-slate-800/70 bg-slate-950/60 px-2 py-0.5 uppercase tracking-wide text-slate-300">${escapeHtml(item.provider)}</span>
+				<span>${formatRelativeSize(item.size_bytes)}</span>
+				<span class="truncate" title="${escapeHtml(item.title)}">${escapeHtml(item.title)}</span>
+			</div>
+			<label class="flex flex-col gap-1 text-sm">
+				<span class="text-xs font-medium text-slate-400">Final title</span>
+				<input name="title-${index}" value="${escapeHtml(item.title)}" required class="${INPUT_CLASS}" />
+			</label>
+			<div class="grid grid-cols-2 gap-2 sm:grid-cols-5">
+				<label class="flex flex-col gap-1 text-sm">
+					<span class="text-xs font-medium text-slate-400">Placement</span>
+					<select name="type-${index}" class="${INPUT_CLASS}">
+						${MEDIA_TYPES.map(([value, label]) => `<option value="${value}" ${value === guess.type ? 'selected' : ''}>${label}</option>`).join('')}
+					</select>
+				</label>
+				<label class="flex flex-col gap-1 text-sm">
+					<span class="text-xs font-medium text-slate-400">Year</span>
+					<input name="year-${index}" type="number" min="1900" max="2100" value="${guess.year ?? ''}" class="${INPUT_CLASS}" />
+				</label>
+				<label class="flex flex-col gap-1 text-sm">
+					<span class="text-xs font-medium text-slate-400">Season</span>
+					<input name="season-${index}" type="number" min="1" max="99" value="${guess.season ?? ''}" class="${INPUT_CLASS}" />
+				</label>
+				<label class="flex flex-col gap-1 text-sm">
+					<span class="text-xs font-medium text-slate-400">Episode</span>
+					<input name="episode-${index}" type="number" min="1" max="999" value="${guess.episode ?? ''}" class="${INPUT_CLASS}" />
+				</label>
+				<label class="col-span-2 flex flex-col gap-1 text-sm sm:col-span-1">
+					<span class="text-xs font-medium text-slate-400">Library folder</span>
+					<input name="folder-${index}" list="${listId}" placeholder="Automatic" class="${INPUT_CLASS}" />
+				</label>
+			</div>
+		</li>
+	`;
+}
+
+/**
+ * Returns the reviewed entry, or an error message when a field is out of range.
+ */
+function readReviewRow(formData, item, index) {
+	const title = String(formData.get(`title-${index}`) ?? '').trim();
+	if (title === '') {
+		return `A title is required for "${item.title}".`;
+	}
+	const type = String(formData.get(`type-${index}`) ?? 'auto');
+	const year = readNumber(formData, `year-${index}`);
+	const season = readNumber(formData, `season-${index}`);
+	const episode = readNumber(formData, `episode-${index}`);
+	const folder = String(formData.get(`folder-${index}`) ?? '').trim();
+
+	if (Number.isNaN(year) || (year !== null && (year < 1900 || year > 2100))) {
+		return `Year for "${title}" must be between 1900 and 2100.`;
+	}
+	if (Number.isNaN(season) || Number.isNaN(episode) || (season !== null && season < 1) || (episode !== null && episode < 1)) {
+		return `Season and episode for "${title}" must be positive numbers.`;
+	}
+
+	const hints = {};
+	if (type === 'movie' || type === 'series') hints.media_type = type;
+	if (year !== null) hints.year = year;
+	if (type !== 'movie') {
+		if (season !== null) hints.season = season;
+		if (episode !== null) hints.episode = episode;
+	}
+	if (folder !== '') hints.library_folder = folder;
+
+	return {
+		item,
+		title,
+		metadata: Object.keys(hints).length > 0 ? { source: 'search', hints } : null,
+	};
+}
+
+function readNumber(formData, name) {
+	const raw = String(formData.get(name) ?? '').trim();
+	if (raw === '') return null;
+	const value = Number.parseInt(raw, 10);
+	return Number.isFinite(value) ? value : Number.NaN;
+}
+
+function guessPlacement(title) {
+	const text = String(title ?? '');
+	const episode = text.match(/S(\d{1,2})E(\d{1,3})/i) ?? text.match(/\b(\d{1,2})x(\d{1,3})\b/);
+	const year = text.match(/\b(19|20)\d{2}\b/);
+	return {
+		type: episode ? 'series' : 'auto',
+		season: episode ? Number.parseInt(episode[1], 10) : null,
+		episode: episode ? Number.parseInt(episode[2], 10) : null,
+		year: year ? Number.parseInt(year[0], 10) : null,
+	};
+}
+
+function setFieldValue(form, name, value) {
+	const field = form.querySelector(`[name="${name}"]`);
+	if (field instanceof HTMLInputElement || field instanceof HTMLSelectElement) {
+		field.value = value;
+	}
+}
+
+function rememberFolders(entries) {
+	entries.forEach(({ metadata }) => {
+		const folder = metadata?.hints?.library_folder;
+		if (folder && !DEFAULT_LIBRARY_FOLDERS.includes(folder) && !state.queueReviewFolders.includes(folder)) {
+			state.queueReviewFolders.push(folder);
+		}
+	});
+}
@@ -0,0 +1,141 @@
+import { state, els } from './context.js';
+import {
+	toggleElement,
+	showToast,
+	escapeHtml,
+	formatRelativeSize,
+	formatDuration,
+	formatBitrate,
+	formatFps,
+} from './utils.js';
+import { collectAudioTracks, collectSubtitles } from './mediaTracks.js';
+
+let queueHandler = null;
+let chooseStreamHandler = null;
+let activeCacheKey = null;
+
+export function wireResultDrawer({ onQueue, onChooseStream } = {}) {
+	queueHandler = typeof onQueue === 'function' ? onQueue : null;
+	chooseStreamHandler = typeof onChooseStream === 'function' ? onChooseStream : null;
+
+	els.resultDrawer?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (target === els.resultDrawer || target.closest('[data-result-drawer-close]')) {
+			closeResultDrawer();
+			return;
+		}
+		const item = getActiveResult();
+		if (!item) return;
+		if (target.closest('[data-result-drawer-queue]')) {
+			queueHandler?.(item);
+		} else if (target.closest('[data-result-drawer-streams]')) {
+			closeResultDrawer();
+			chooseStreamHandler?.(item);
+		} else if (target.closest('[data-result-drawer-copy]')) {
+			void copyExternalId(item.external_id);
+		}
+	});
+
+	document.addEventListener('keydown', (event) => {
+		if (event.key === 'Escape' && activeCacheKey !== null) {
+			closeResultDrawer();
+		}
+	});
+}
+
+export function openResultDrawer(item) {
+	if (!item || !els.resultDrawer || !els.resultDrawerBody) return;
+	activeCacheKey = item.cacheKey;
+	els.resultDrawerBody.innerHTML = renderResultDetail(item);
+	toggleElement(els.resultDrawer, true, 'flex');
+	els.resultDrawer.querySelector('[data-result-drawer-close]')?.focus();
+}
+
+export function closeResultDrawer() {
+	activeCacheKey = null;
+	toggleElement(els.resultDrawer, false, 'flex');
+	if (els.resultDrawerBody) {
+		els.resultDrawerBody.innerHTML = '';
+	}
+}
+
+function getActiveResult() {
+	return activeCacheKey === null ? null : state.searchResults.find((item) => item.cacheKey === activeCacheKey) ?? null;
+}
+
+async function copyExternalId(externalId) {
+	try {
+		await navigator.clipboard.writeText(String(externalId ?? ''));
+		showToast('External ID copied.', 'success');
+	} catch (error) {
+		// Clipboard access needs a secure context; fall back to a selectable prompt.
+		window.prompt('Copy the external ID:', String(externalId ?? ''));
+	}
+}
+
+function renderResultDetail(item) {
+	const raw = item.source_entry ?? item.source ?? null;
+	const isKraska = String(item.provider ?? '').toLowerCase() === 'kraska';
+	const resolution = item.resolution ?? (item.video_width && item.video_height ? `${item.video_width}x${item.video_height}` : null);
+	const overview = [
+		['Provider', item.provider],
+		['External ID', item.external_id],
+		['Size', item.size_bytes ? formatRelativeSize(item.size_bytes) : null],
+		['Duration', item.duration_seconds ? formatDuration(item.duration_seconds) : null],
+		['Container', detectContainer(item)],
+		['Resolution', resolution],
+		['Video codec', item.video_codec ? String(item.video_codec).toUpperCase() : null],
+		['Frame rate', formatFps(item.video_fps)],
+		['Bitrate', formatBitrate(item.bitrate_kbps)],
+		['Kra.sk ident', item.kra_ident],
+		['Path', item.kraska_path],
+	].filter(([, value]) => value !== null && value !== undefined && value !== '');
+	const audioTracks = collectAudioTracks(item);
+	const subtitles = collectSubtitles(item);
+
+	return `
+		<div class="space-y-5">
+			${item.thumbnail ? `<img src="${escapeHtml(item.thumbnail)}" alt="${escapeHtml(item.title)}" class="w-full rounded-xl border border-slate-800/70 object-contain" />` : ''}
+			<h3 class="break-words text-lg font-semibold text-slate-100">${escapeHtml(item.title)}</h3>
+			<div class="flex flex-wrap gap-2">
+				<button type="button" data-result-drawer-queue class="rounded-lg bg-brand-500 px-3 py-1.5 text-xs font-semibold text-white shadow transition hover:bg-brand-400">Add to queue</button>
+				${isKraska ? '<button type="button" data-result-drawer-streams class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Choose stream</button>' : ''}
+				<button type="button" data-result-drawer-copy class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Copy external ID</button>
+			</div>
+			<dl class="grid grid-cols-[8rem_minmax(0,1fr)] gap-x-3 gap-y-1 text-sm">
+				${overview.map(([label, value]) => `<dt class="text-slate-500">${label}</dt><dd class="break-all text-slate-200">${escapeHtml(String(value))}</dd>`).join('')}
+			</dl>
+			${renderTrackSection('Audio tracks', audioTracks)}
+			${renderTrackSection('Subtitles', subtitles)}
+			${raw ? `
+				<details class="rounded-lg border border-slate-800/70 bg-slate-950/60">
+					<summary class="cursor-pointer px-3 py-2 text-xs font-semibold uppercase tracking-wide text-slate-400">Raw source entry</summary>
+					<pre class="max-h-96 overflow-auto px-3 pb-3 text-xs text-slate-300">${escapeHtml(JSON.stringify(raw, null, 2))}</pre>
+				</details>
+			` : ''}
+		</div>
+	`;
+}
+
+function renderTrackSection(title, tracks) {
+	if (tracks.length === 0) return '';
+	return `
+		<div class="space-y-2">
+			<h4 class="text-xs font-semibold uppercase tracking-wide text-slate-400">${title}</h4>
+			<ul class="space-y-1 text-sm text-slate-200">
+				${tracks.map((track) => `<li class="rounded-lg border border-slate-800/60 bg-slate-900/40 px-3 py-1.5">${escapeHtml(track)}</li>`).join('')}
+			</ul>
+		</div>
+	`;
+}
+
+function detectContainer(item) {
+	const explicit = item.source_entry?.container ?? item.source?.container ?? item.source_entry?.stream_info?.container ?? null;
+	if (typeof explicit === 'string' && explicit !== '') {
+		return explicit.toUpperCase();
+	}
+	const name = [item.source?.name, item.source_entry?.name, item.title].find((value) => typeof value === 'string' && value !== '');
+	const match = typeof name === 'string' ? name.match(/\.(mkv|mp4|avi|m4v|mov|ts|wmv|webm)$/i) : null;
+	return match ? match[1].toUpperCase() : null;
+}
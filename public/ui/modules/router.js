@@ -0,0 +1,155 @@
+/**
+ * Hash-based router: mirrors the active view and its browsing state in `location.hash`
+ * (e.g. `#/kraska?mode=kraska&path=/movies`) so views can be reloaded and shared.
+ */
+
+import { state } from './context.js';
+
+const ROUTE_VIEWS = new Set(['search', 'kraska', 'followed', 'queue', 'providers', 'settings', 'users', 'audit']);
+const DEFAULT_VIEW = 'search';
+
+let syncSuspended = 0;
+
+export function wireRouter(onRouteChange) {
+	window.addEventListener('hashchange', () => {
+		onRouteChange(parseRoute());
+	});
+}
+
+export function parseRoute(hash = window.location.hash) {
+	const raw = typeof hash === 'string' ? hash.replace(/^#\/?/, '') : '';
+	const queryIndex = raw.indexOf('?');
+	const viewPart = queryIndex === -1 ? raw : raw.slice(0, queryIndex);
+	const params = new URLSearchParams(queryIndex === -1 ? '' : raw.slice(queryIndex + 1));
+	const view = ROUTE_VIEWS.has(viewPart) ? viewPart : DEFAULT_VIEW;
+
+	const route = { view };
+	if (view === 'search') {
+		const limit = Number.parseInt(params.get('limit') ?? '', 10);
+		route.search = {
+			query: (params.get('q') ?? '').trim(),
+			limit: Number.isFinite(limit) && limit > 0 ? limit : null,
+			providers: (params.get('providers') ?? '')
+				.split(',')
+				.map((key) => key.trim())
+				.filter(Boolean),
+		};
+	} else if (view === 'kraska') {
+		const modeParam = params.get('mode');
+		const mode = modeParam === 'krask2' || modeParam === 'unified' ? modeParam : 'kraska';
+		route.browse = {
+			mode,
+			path: params.get('path') || '/',
+			trail: parseRouteTrail(params.get('trail')),
+			catalog: params.get('catalog') || null,
+			search: (params.get('q') ?? '').trim(),
+			loadItems: params.get('items') === '1',
+			layout: params.get('layout') === 'grid' ? 'grid' : 'list',
+			searchAll: params.get('all') === '1',
+		};
+	} else if (view === 'queue') {
+		route.queue = { mine: params.get('mine') === '1' };
+	}
+
+	return route;
+}
+
+export function buildRouteHash() {
+	const view = ROUTE_VIEWS.has(state.currentView) ? state.currentView : DEFAULT_VIEW;
+	const params = new URLSearchParams();
+
+	if (view === 'search' && state.lastSearch) {
+		params.set('q', state.lastSearch.query);
+		params.set('limit', String(state.lastSearch.limit));
+		if (Array.isArray(state.lastSearch.providers) && state.lastSearch.providers.length > 0) {
+			params.set('providers', state.lastSearch.providers.join(','));
+		}
+	} else if (view === 'kraska') {
+		const mode = state.kraska.mode === 'krask2' || state.kraska.mode === 'unified' ? state.kraska.mode : 'kraska';
+		params.set('mode', mode);
+		if (mode === 'unified') {
+			if (state.unifiedBrowse.query) {
+				params.set('q', state.unifiedBrowse.query);
+			}
+		} else if (mode === 'kraska') {
+			const path = typeof state.kraska.currentPath === 'string' ? state.kraska.currentPath : '/';
+			if (path !== '/') {
+				params.set('path', path);
+			}
+			const trail = Array.isArray(state.kraska.trail) ? state.kraska.trail : [];
+			if (trail.length > 1) {
+				params.set('trail', JSON.stringify(trail.map((crumb) => [crumb.path, crumb.label ?? ''])));
+			}
+		} else {
+			if (state.krask2.selectedCatalogKey) {
+				params.set('catalog', state.krask2.selectedCatalogKey);
+			}
+			if (state.krask2.itemsRequested) {
+				params.set('items', '1');
+				if (state.krask2.searchTerm) {
+					params.set('q', state.krask2.searchTerm);
+				}
+				if (state.krask2.searchScope === 'all') {
+					params.set('all', '1');
+				}
+			}
+			if (state.krask2.layout === 'grid') {
+				params.set('layout', 'grid');
+			}
+		}
+	} else if (view === 'queue' && state.showMyJobs) {
+		params.set('mine', '1');
+	}
+
+	const query = params.toString();
+	return `#/${view}${query !== '' ? `?${query}` : ''}`;
+}
+
+/**
+ * Writes the current state into the URL. New history entries are pushed unless `replace` is set,
+ * so browser back/forward walks through views and browse locations.
+ */
+export function syncRoute({ replace = false } = {}) {
+	if (syncSuspended > 0 || !state.user) {
+		return;
+	}
+	const hash = buildRouteHash();
+	if (hash === window.location.hash) {
+		return;
+	}
+	const url = `${window.location.pathname}${window.location.search}${hash}`;
+	if (replace) {
+		window.history.replaceState(null, '', url);
+	} else {
+		window.history.pushState(null, '', url);
+	}
+}
+
+/**
+ * Runs `task` while URL updates are suppressed, then records the resulting state once.
+ * Used when restoring a route so applying it does not create history entries. The suspension
+ * only covers the synchronous part: a promise returned by `task` is handed back unawaited, so
+ * navigation while it settles is synced as usual.
+ */
+export function withRouteSyncSuspended(task) {
+	syncSuspended += 1;
+	try {
+		return task();
+	} finally {
+		syncSuspended -= 1;
+		syncRoute({ replace: true });
+	}
+}
+
+function parseRouteTrail(value) {
+	if (!value) return [];
+	try {
+		const decoded = JSON.parse(value);
+		if (!Array.isArray(decoded)) return [];
+		return decoded
+			.filter((entry) => Array.isArray(entry) && typeof entry[0] === 'string' && entry[0] !== '')
+			.map(([path, label]) => ({ path, label: typeof label === 'string' && label !== '' ? label : path }));
+	} catch {
+		return [];
+	}
+}
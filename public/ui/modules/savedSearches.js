@@ -0,0 +1,184 @@
+import { state, els, API } from './context.js';
+import { fetchJson, toggleElement, showToast, escapeHtml, messageFromError, formatRelativeTime } from './utils.js';
+
+let runSavedSearchHandler = null;
+
+export function wireSavedSearches({ onRun } = {}) {
+	runSavedSearchHandler = typeof onRun === 'function' ? onRun : null;
+
+	els.savedSearchSaveBtn?.addEventListener('click', () => {
+		void saveCurrentSearch();
+	});
+
+	els.savedSearchesList?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		const deleteBtn = target.closest('[data-saved-search-delete]');
+		if (deleteBtn instanceof HTMLElement) {
+			event.preventDefault();
+			void deleteSavedSearch(Number.parseInt(deleteBtn.dataset.savedSearchDelete ?? '', 10));
+			return;
+		}
+		const runBtn = target.closest('[data-saved-search-run]');
+		if (!(runBtn instanceof HTMLElement)) return;
+		const id = Number.parseInt(runBtn.dataset.savedSearchRun ?? '', 10);
+		const savedSearch = state.savedSearches.find((entry) => entry.id === id);
+		if (savedSearch && runSavedSearchHandler) {
+			event.preventDefault();
+			runSavedSearchHandler(savedSearch);
+		}
+	});
+}
+
+export async function loadSavedSearches() {
+	if (!state.user) return;
+	state.savedSearchesLoading = true;
+	toggleElement(els.savedSearchesError, false);
+	try {
+		const response = await fetchJson(API.savedSearches);
+		state.savedSearches = Array.isArray(response?.data) ? response.data.map(normalizeSavedSearch).filter(Boolean) : [];
+	} catch (error) {
+		state.savedSearches = [];
+		if (els.savedSearchesError) {
+			els.savedSearchesError.textContent = messageFromError(error);
+			toggleElement(els.savedSearchesError, true);
+		}
+	} finally {
+		state.savedSearchesLoading = false;
+		renderSavedSearches();
+	}
+}
+
+export function renderSavedSearches() {
+	const list = els.savedSearchesList;
+	if (!list) return;
+	const searches = Array.isArray(state.savedSearches) ? state.savedSearches : [];
+	toggleElement(els.savedSearchesEmpty, searches.length === 0 && !state.savedSearchesLoading);
+
+	list.innerHTML = searches
+		.map((search) => {
+			const isActive = search.id === state.activeSavedSearchId;
+			const providerLabel = search.providers.length > 0 ? search.providers.join(', ') : 'all providers';
+			const details = [`"${search.query}"`, providerLabel, search.limit ? `limit ${search.limit}` : null].filter(Boolean).join(' · ');
+			const lastRun = search.last_run_at ? `Last run ${formatRelativeTime(search.last_run_at)}` : 'Not run yet';
+			return `
+				<li class="rounded-xl border ${isActive ? 'border-brand-500/50' : 'border-slate-800/70'} bg-slate-950/40 p-3">
+					<div class="flex items-start gap-2">
+						<button type="button" data-saved-search-run="${search.id}" class="min-w-0 flex-1 text-left" title="Run this search">
+							<div class="truncate text-sm font-semibold text-slate-100">${escapeHtml(search.name)}</div>
+							<div class="truncate text-xs text-slate-400">${escapeHtml(details)}</div>
+							<div class="text-xs text-slate-500">${escapeHtml(lastRun)}</div>
+						</button>
+						<button type="button" data-saved-search-delete="${search.id}" class="rounded-lg px-1.5 text-xs text-slate-500 transition hover:text-rose-300" aria-label="Delete saved search">✕</button>
+					</div>
+				</li>
+			`;
+		})
+		.join('');
+}
+
+/**
+ * Compares the results of a saved search run against the keys stored from its previous run,
+ * then persists the new snapshot unless `persist` is false (e.g. a provider failed, so its
+ * releases would look new on the next run). Returns the cacheKeys that were not present last time.
+ */
+export function trackSavedSearchRun(id, results, { persist = true } = {}) {
+	const savedSearch = state.savedSearches.find((entry) => entry.id === id);
+	if (!savedSearch) {
+		return new Set();
+	}
+	const keys = (Array.isArray(results) ? results : [])
+		.map((item) => item?.cacheKey)
+		.filter((key) => typeof key === 'string' && key !== '');
+	const previous = new Set(savedSearch.last_result_keys);
+	const fresh = savedSearch.last_run_at ? new Set(keys.filter((key) => !previous.has(key))) : new Set();
+	if (persist) {
+		void persistSavedSearchRun(id, keys);
+	}
+	return fresh;
+}
+
+async function persistSavedSearchRun(id, keys) {
+	try {
+		const response = await fetchJson(`${API.savedSearches}?id=${encodeURIComponent(String(id))}`, {
+			method: 'PATCH',
+			body: JSON.stringify({ result_keys: keys }),
+		});
+		replaceSavedSearch(response?.data);
+	} catch (error) {
+		console.warn('Failed to record saved search run', error);
+	}
+}
+
+async function saveCurrentSearch() {
+	if (!state.user) return;
+	const current = state.lastSearch;
+	if (!current) {
+		showToast('Run a search before saving it.', 'warning');
+		return;
+	}
+	const name = window.prompt('Name for this saved search:', current.query);
+	if (name === null) return;
+
+	try {
+		const response = await fetchJson(API.savedSearches, {
+			method: 'POST',
+			body: JSON.stringify({
+				name: name.trim(),
+				query: current.query,
+				providers: current.providers,
+				limit: current.limit,
+			}),
+		});
+		const created = normalizeSavedSearch(response?.data);
+		if (!created) return;
+		state.savedSearches = state.savedSearches.concat(created).sort((a, b) => a.name.localeCompare(b.name));
+		state.activeSavedSearchId = created.id;
+		// Seed the snapshot with what is on screen so the next run only highlights genuinely new releases.
+		trackSavedSearchRun(created.id, state.searchResults);
+		renderSavedSearches();
+		showToast(`Saved search "${created.name}".`, 'success');
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+	}
+}
+
+async function deleteSavedSearch(id) {
+	const savedSearch = state.savedSearches.find((entry) => entry.id === id);
+	if (!savedSearch) return;
+	if (!window.confirm(`Delete saved search "${savedSearch.name}"?`)) return;
+
+	try {
+		await fetchJson(`${API.savedSearches}?id=${encodeURIComponent(String(id))}`, { method: 'DELETE' });
+		state.savedSearches = state.savedSearches.filter((entry) => entry.id !== id);
+		if (state.activeSavedSearchId === id) {
+			state.activeSavedSearchId = null;
+		}
+		renderSavedSearches();
+	} catch (error) {
+		showToast(messageFromError(error), 'error');
+	}
+}
+
+function replaceSavedSearch(raw) {
+	const updated = normalizeSavedSearch(raw);
+	if (!updated) return;
+	state.savedSearches = state.savedSearches.map((entry) => (entry.id === updated.id ? updated : entry));
+	renderSavedSearches();
+}
+
+function normalizeSavedSearch(raw) {
+	if (!raw || typeof raw !== 'object') return null;
+	const id = Number.parseInt(String(raw.id ?? ''), 10);
+	if (!Number.isFinite(id)) return null;
+	const query = typeof raw.query === 'string' ? raw.query : '';
+	return {
+		id,
+		name: typeof raw.name === 'string' && raw.name !== '' ? raw.name : query,
+		query,
+		providers: Array.isArray(raw.providers) ? raw.providers.filter((key) => typeof key === 'string' && key !== '') : [],
+		limit: Number.isFinite(raw.limit) ? raw.limit : null,
+		last_result_keys: Array.isArray(raw.last_result_keys) ? raw.last_result_keys : [],
+		last_run_at: typeof raw.last_run_at === 'string' && raw.last_run_at !== '' ? raw.last_run_at : null,
+	};
+}
@@ -0,0 +1,284 @@
+import { state, els } from './context.js';
+import { toggleElement, escapeHtml } from './utils.js';
+
+const RESOLUTION_STEPS = [
+	{ value: 2160, label: '2160p+' },
+	{ value: 1080, label: '1080p+' },
+	{ value: 720, label: '720p+' },
+	{ value: 480, label: '480p+' },
+];
+
+const CHANNEL_STEPS = [
+	{ value: 8, label: '7.1+' },
+	{ value: 6, label: '5.1+' },
+	{ value: 2, label: 'Stereo+' },
+];
+
+const SORT_OPTIONS = [
+	{ value: '', label: 'Provider order' },
+	{ value: 'size-desc', label: 'Size (largest)' },
+	{ value: 'size-asc', label: 'Size (smallest)' },
+	{ value: 'bitrate-desc', label: 'Bitrate (highest)' },
+	{ value: 'duration-desc', label: 'Duration (longest)' },
+	{ value: 'title-asc', label: 'Title (A–Z)' },
+];
+
+const CONTROL_CLASS = 'rounded-lg border border-slate-800 bg-slate-950/70 px-2 py-1 text-xs text-slate-100 focus:border-brand-400 focus:outline-none';
+
+let filtersChangeHandler = null;
+
+export function createSearchFilters() {
+	return {
+		minHeight: '',
+		videoCodec: '',
+		audioLanguage: '',
+		minChannels: '',
+		minBitrateMbps: '',
+		minSizeGb: '',
+		maxSizeGb: '',
+		minDurationMin: '',
+		maxDurationMin: '',
+		provider: '',
+		sort: '',
+	};
+}
+
+export function wireSearchFilters({ onChange } = {}) {
+	filtersChangeHandler = typeof onChange === 'function' ? onChange : null;
+	state.searchFilters = createSearchFilters();
+	const container = els.searchFilters;
+	if (!container) return;
+
+	const handleInput = (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLInputElement || target instanceof HTMLSelectElement)) return;
+		const key = target.dataset.searchFilter;
+		if (!key || !(key in state.searchFilters)) return;
+		state.searchFilters[key] = target.value.trim();
+		notifyChange();
+	};
+	container.addEventListener('input', handleInput);
+	container.addEventListener('change', handleInput);
+
+	container.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		if (!target.closest('[data-search-filters-reset]')) return;
+		event.preventDefault();
+		state.searchFilters = createSearchFilters();
+		renderSearchFilterBar();
+		notifyChange();
+	});
+}
+
+/**
+ * Applies the active filters and sort order to `state.searchResults` without mutating it.
+ */
+export function getVisibleSearchResults() {
+	const results = Array.isArray(state.searchResults) ? state.searchResults : [];
+	const filters = state.searchFilters ?? createSearchFilters();
+	const visible = results.filter((item) => matchesSearchFilters(item, filters));
+	const [field, direction] = filters.sort ? filters.sort.split('-') : [null, null];
+	if (!field) {
+		return visible;
+	}
+	const factor = direction === 'asc' ? 1 : -1;
+	return visible
+		.map((item, order) => ({ item, order }))
+		.sort((a, b) => {
+			const diff = compareBySortField(a.item, b.item, field);
+			return diff !== 0 ? diff * factor : a.order - b.order;
+		})
+		.map((entry) => entry.item);
+}
+
+export function hasActiveSearchFilters() {
+	const filters = state.searchFilters ?? {};
+	return Object.entries(filters).some(([key, value]) => key !== 'sort' && value !== '');
+}
+
+/**
+ * Rebuilds the filter controls from the current result set (codec/language/provider choices
+ * only list values that occur in the results).
+ */
+export function renderSearchFilterBar() {
+	const container = els.searchFilters;
+	if (!container) return;
+	const results = Array.isArray(state.searchResults) ? state.searchResults : [];
+	if (results.length === 0) {
+		container.innerHTML = '';
+		toggleElement(container, false);
+		return;
+	}
+
+	const filters = state.searchFilters;
+	const codecs = distinctValues(results.map((item) => normalizeToken(item.video_codec)));
+	const languages = distinctValues(results.flatMap((item) => resultLanguages(item)));
+	const providers = distinctValues(results.map((item) => normalizeToken(item.provider)));
+	// Drop list filters that no longer match anything after a new search.
+	if (filters.videoCodec && !codecs.includes(filters.videoCodec)) filters.videoCodec = '';
+	if (filters.audioLanguage && !languages.includes(filters.audioLanguage)) filters.audioLanguage = '';
+	if (filters.provider && !providers.includes(filters.provider)) filters.provider = '';
+
+	const select = (key, label, options) => `
+		<label class="flex flex-col gap-1">
+			<span class="text-[11px] uppercase tracking-wide text-slate-500">${escapeHtml(label)}</span>
+			<select data-search-filter="${key}" class="${CONTROL_CLASS}">
+				${options
+					.map((option) => {
+						const value = String(option.value);
+						const selected = value === String(filters[key] ?? '') ? 'selected' : '';
+						return `<option value="${escapeHtml(value)}" ${selected}>${escapeHtml(option.label)}</option>`;
+					})
+					.join('')}
+			</select>
+		</label>
+	`;
+	const range = (minKey, maxKey, label, unit) => `
+		<label class="flex flex-col gap-1">
+			<span class="text-[11px] uppercase tracking-wide text-slate-500">${escapeHtml(label)}</span>
+			<span class="flex items-center gap-1">
+				<input type="number" min="0" step="any" data-search-filter="${minKey}" value="${escapeHtml(filters[minKey] ?? '')}" placeholder="min" class="${CONTROL_CLASS} w-16" />
+				<span class="text-xs text-slate-500">–</span>
+				<input type="number" min="0" step="any" data-search-filter="${maxKey}" value="${escapeHtml(filters[maxKey] ?? '')}" placeholder="max" class="${CONTROL_CLASS} w-16" />
+				<span class="text-xs text-slate-500">${escapeHtml(unit)}</span>
+			</span>
+		</label>
+	`;
+	const anyOption = { value: '', label: 'Any' };
+
+	container.innerHTML = `
+		<div class="flex flex-wrap items-end gap-3">
+			${select('sort', 'Sort', SORT_OPTIONS)}
+			${select('provider', 'Provider', [anyOption, ...providers.map((value) => ({ value, label: value }))])}
+			${select('minHeight', 'Resolution', [anyOption, ...RESOLUTION_STEPS])}
+			${select('videoCodec', 'Video codec', [anyOption, ...codecs.map((value) => ({ value, label: value.toUpperCase() }))])}
+			${select('audioLanguage', 'Audio', [anyOption, ...languages.map((value) => ({ value, label: value.toUpperCase() }))])}
+			${select('minChannels', 'Channels', [anyOption, ...CHANNEL_STEPS])}
+			<label class="flex flex-col gap-1">
+				<span class="text-[11px] uppercase tracking-wide text-slate-500">Min bitrate</span>
+				<span class="flex items-center gap-1">
+					<input type="number" min="0" step="any" data-search-filter="minBitrateMbps" value="${escapeHtml(filters.minBitrateMbps ?? '')}" class="${CONTROL_CLASS} w-16" />
+					<span class="text-xs text-slate-500">Mbps</span>
+				</span>
+			</label>
+			${range('minSizeGb', 'maxSizeGb', 'Size', 'GB')}
+			${range('minDurationMin', 'maxDurationMin', 'Duration', 'min')}
+			<button type="button" data-search-filters-reset class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Reset</button>
+		</div>
+	`;
+	toggleElement(container, true);
+}
+
+/**
+ * Best-effort vertical resolution of a result from explicit height or resolution labels
+ * such as "1920x1080", "720p" or "4K".
+ */
+export function resolveResultHeight(item) {
+	const height = Number(item?.video_height ?? 0);
+	if (Number.isFinite(height) && height > 0) {
+		return height;
+	}
+	const label = typeof item?.resolution === 'string' ? item.resolution.toLowerCase() : '';
+	if (label === '') {
+		return null;
+	}
+	const dimensions = label.match(/(\d{3,4})\s*x\s*(\d{3,4})/);
+	if (dimensions) {
+		return Number.parseInt(dimensions[2], 10);
+	}
+	const progressive = label.match(/(\d{3,4})\s*[pi]\b/);
+	if (progressive) {
+		return Number.parseInt(progressive[1], 10);
+	}
+	if (/\b(4k|uhd)\b/.test(label)) {
+		return 2160;
+	}
+	return null;
+}
+
+function notifyChange() {
+	if (filtersChangeHandler) {
+		filtersChangeHandler();
+	}
+}
+
+function matchesSearchFilters(item, filters) {
+	if (filters.provider && normalizeToken(item.provider) !== filters.provider) {
+		return false;
+	}
+	const minHeight = parseFilterNumber(filters.minHeight);
+	if (minHeight !== null) {
+		const height = resolveResultHeight(item);
+		if (height === null || height < minHeight) return false;
+	}
+	if (filters.videoCodec && normalizeToken(item.video_codec) !== filters.videoCodec) {
+		return false;
+	}
+	if (filters.audioLanguage && !resultLanguages(item).includes(filters.audioLanguage)) {
+		return false;
+	}
+	const minChannels = parseFilterNumber(filters.minChannels);
+	if (minChannels !== null && !(Number(item.audio_channels ?? 0) >= minChannels)) {
+		return false;
+	}
+	const minBitrate = parseFilterNumber(filters.minBitrateMbps);
+	if (minBitrate !== null && !(Number(item.bitrate_kbps ?? 0) >= minBitrate * 1000)) {
+		return false;
+	}
+	if (!withinRange(Number(item.size_bytes ?? 0) / 1024 ** 3, filters.minSizeGb, filters.maxSizeGb)) {
+		return false;
+	}
+	if (!withinRange(Number(item.duration_seconds ?? 0) / 60, filters.minDurationMin, filters.maxDurationMin)) {
+		return false;
+	}
+	return true;
+}
+
+function compareBySortField(a, b, field) {
+	switch (field) {
+		case 'size':
+			return Number(a.size_bytes ?? 0) - Number(b.size_bytes ?? 0);
+		case 'bitrate':
+			return Number(a.bitrate_kbps ?? 0) - Number(b.bitrate_kbps ?? 0);
+		case 'duration':
+			return Number(a.duration_seconds ?? 0) - Number(b.duration_seconds ?? 0);
+		case 'title':
+			return String(a.title ?? '').localeCompare(String(b.title ?? ''), undefined, { sensitivity: 'base', numeric: true });
+		default:
+			return 0;
+	}
+}
+
+function withinRange(value, minRaw, maxRaw) {
+	const min = parseFilterNumber(minRaw);
+	const max = parseFilterNumber(maxRaw);
+	if (min === null && max === null) return true;
+	if (!Number.isFinite(value) || value <= 0) return false;
+	if (min !== null && value < min) return false;
+	if (max !== null && value > max) return false;
+	return true;
+}
+
+function parseFilterNumber(value) {
+	if (value === '' || value === null || value === undefined) return null;
+	const numeric = Number.parseFloat(String(value));
+	return Number.isFinite(numeric) ? numeric : null;
+}
+
+function resultLanguages(item) {
+	const raw = item?.audio_language;
+	if (typeof raw !== 'string' || raw.trim() === '') return [];
+	return raw
+		.split(/[,/|+]/)
+		.map((token) => normalizeToken(token))
+		.filter(Boolean);
+}
+
+function normalizeToken(value) {
+	return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function distinctValues(values) {
+	return Array.from(new Set(values.filter(Boolean))).sort();
+}
@@ -0,0 +1,363 @@
+import { state, els } from './context.js';
+import {
+	escapeHtml,
+	formatRelativeSize,
+	formatDuration,
+	formatBitrate,
+	formatAudioChannels,
+	showToast,
+} from './utils.js';
+import { resolveResultHeight, getVisibleSearchResults } from './searchFilters.js';
+import { getQualityProfile, rankVariantsByProfile, variantMatchesProfile } from './qualityProfiles.js';
+
+const VIDEO_EXTENSIONS = /\.(mkv|mp4|avi|m4v|ts|wmv|mov|mpg|mpeg)$/i;
+const RELEASE_NOISE = /\b(2160p|1440p|1080p|1080i|720p|576p|480p|4k|uhd|hdr10|hdr|dv|bluray|bdrip|brrip|remux|web dl|webdl|webrip|web|hdtv|dvdrip|hdrip|x264|x265|h264|h265|hevc|avc|av1|aac|ac3|eac3|dts|atmos|cz|sk|en|eng|dabing|titulky|tit|multi|dual|proper|repack|extended|remastered|unrated)\b/;
+const CODEC_SCORES = { av1: 3, hevc: 3, h265: 3, x265: 3, h264: 2, avc: 2, x264: 2 };
+const PROFILE_RANKING_PREFIX = 'profile:';
+
+/**
+ * Ranking presets for picking the "best" release of a group. Criteria are compared in order;
+ * later criteria only break ties of earlier ones.
+ */
+export const RANKING_PRESETS = {
+	quality: { label: 'Resolution › bitrate › size', criteria: ['height', 'bitrate', 'size', 'channels'] },
+	bitrate: { label: 'Bitrate › resolution', criteria: ['bitrate', 'height', 'size'] },
+	efficient: { label: 'Resolution › modern codec › smallest', criteria: ['height', 'codec', 'sizeAsc'] },
+	largest: { label: 'Largest file', criteria: ['size', 'height'] },
+	smallest: { label: 'Smallest file', criteria: ['sizeAsc', 'height'] },
+};
+
+let queueBestHandler = null;
+let groupsChangeHandler = null;
+
+export function wireSearchGroups({ onQueueBest, onChange } = {}) {
+	queueBestHandler = typeof onQueueBest === 'function' ? onQueueBest : null;
+	groupsChangeHandler = typeof onChange === 'function' ? onChange : null;
+
+	els.searchGroupToggle?.addEventListener('change', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLInputElement)) return;
+		state.searchGrouping.enabled = target.checked;
+		updateSearchGroupControls();
+		notifyChange();
+	});
+
+	els.searchRankingSelect?.addEventListener('change', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLSelectElement)) return;
+		state.searchGrouping.ranking = RANKING_PRESETS[target.value] || resolveRankingProfile(target.value) ? target.value : 'quality';
+		notifyChange();
+	});
+
+	els.searchResults?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		const queueBtn = target.closest('[data-search-group-queue]');
+		if (queueBtn instanceof HTMLElement) {
+			event.preventDefault();
+			const group = findGroup(queueBtn.dataset.searchGroupQueue ?? '');
+			const best = group ? rankSearchResults(group.items)[0] : null;
+			const profile = resolveRankingProfile(state.searchGrouping.ranking);
+			if (best && profile && !variantMatchesProfile(best, profile)) {
+				showToast(`No release in this group matches the "${profile.name}" profile.`, 'warning');
+				return;
+			}
+			if (best && queueBestHandler) {
+				queueBestHandler(best, group);
+			}
+			return;
+		}
+		const toggleBtn = target.closest('[data-search-group-toggle]');
+		if (toggleBtn instanceof HTMLElement) {
+			event.preventDefault();
+			const key = toggleBtn.dataset.searchGroupToggle ?? '';
+			if (state.searchGrouping.expanded.has(key)) {
+				state.searchGrouping.expanded.delete(key);
+			} else {
+				state.searchGrouping.expanded.add(key);
+			}
+			notifyChange();
+		}
+	});
+
+	updateSearchGroupControls();
+}
+
+export function updateSearchGroupControls() {
+	if (els.searchGroupToggle instanceof HTMLInputElement) {
+		els.searchGroupToggle.checked = state.searchGrouping.enabled;
+	}
+	const select = els.searchRankingSelect;
+	if (select instanceof HTMLSelectElement) {
+		const ranking = state.searchGrouping.ranking;
+		if (!RANKING_PRESETS[ranking] && !resolveRankingProfile(ranking)) {
+			state.searchGrouping.ranking = 'quality';
+		}
+		const presets = Object.entries(RANKING_PRESETS)
+			.map(([value, preset]) => `<option value="${value}">${escapeHtml(preset.label)}</option>`)
+			.join('');
+		const profiles = state.qualityProfiles
+			.map((profile) => `<option value="${PROFILE_RANKING_PREFIX}${profile.id}">${escapeHtml(profile.name)}</option>`)
+			.join('');
+		select.innerHTML = profiles ? `${presets}<optgroup label="Quality profiles">${profiles}</optgroup>` : presets;
+		select.value = state.searchGrouping.ranking;
+		select.classList.toggle('hidden', !state.searchGrouping.enabled);
+	}
+}
+
+/**
+ * Splits a release name into a comparable key: normalized title plus year and season/episode
+ * when they can be parsed (e.g. "The.Matrix.1999.1080p.BluRay.x264" → "the matrix|1999|").
+ */
+export function parseReleaseTitle(title) {
+	const original = typeof title === 'string' ? title : '';
+	const normalized = original
+		.normalize('NFD')
+		.replace(/[\u0300-\u036f]/g, '')
+		.replace(VIDEO_EXTENSIONS, '')
+		.toLowerCase()
+		.replace(/[._\-[\](){}]+/g, ' ')
+		.replace(/\s+/g, ' ')
+		.trim();
+
+	const markers = [];
+	let season = null;
+	let episode = null;
+	const episodeMatch = normalized.match(/\bs(\d{1,2}) ?e(\d{1,3})\b/) ?? normalized.match(/\b(\d{1,2})x(\d{1,3})\b/);
+	if (episodeMatch) {
+		season = Number.parseInt(episodeMatch[1], 10);
+		episode = Number.parseInt(episodeMatch[2], 10);
+		markers.push(episodeMatch.index ?? 0);
+	}
+	let year = null;
+	const yearMatch = normalized.match(/(?<=\S\s)(19\d{2}|20\d{2})\b/);
+	if (yearMatch) {
+		year = Number.parseInt(yearMatch[1], 10);
+		markers.push(yearMatch.index ?? 0);
+	}
+	const noiseMatch = normalized.match(RELEASE_NOISE);
+	if (noiseMatch && (noiseMatch.index ?? 0) > 0) {
+		markers.push(noiseMatch.index ?? 0);
+	}
+
+	const cut = markers.length > 0 ? Math.min(...markers) : normalized.length;
+	const base = (normalized.slice(0, cut).replace(/[^a-z0-9 ]+/g, ' ').replace(/\s+/g, ' ').trim()) || normalized;
+	const episodeKey = season !== null && episode !== null ? `s${season}e${episode}` : '';
+
+	return {
+		key: `${base}|${year ?? ''}|${episodeKey}`,
+		base,
+		year,
+		season,
+		episode,
+	};
+}
+
+/**
+ * Clusters results into release groups, keeping the order in which groups first appear.
+ * Entries without a year join the only same-titled group that has one.
+ */
+export function groupSearchResults(results) {
+	const groups = new Map();
+	(Array.isArray(results) ? results : []).forEach((item) => {
+		const parsed = parseReleaseTitle(item?.title);
+		let group = groups.get(parsed.key);
+		if (!group) {
+			group = { ...parsed, items: [] };
+			groups.set(parsed.key, group);
+		}
+		group.items.push(item);
+	});
+
+	groups.forEach((group, key) => {
+		if (group.year !== null) return;
+		const candidates = Array.from(groups.values()).filter(
+			(other) => other !== group && other.base === group.base && other.year !== null && other.season === group.season && other.episode === group.episode
+		);
+		if (candidates.length === 1) {
+			candidates[0].items.push(...group.items);
+			groups.delete(key);
+		}
+	});
+
+	return Array.from(groups.values());
+}
+
+/**
+ * Orders results best-first according to the active ranking preset or quality profile.
+ * Profile rankings keep releases outside the profile's limits, but sort them last.
+ */
+export function rankSearchResults(items, ranking = state.searchGrouping.ranking) {
+	const profile = resolveRankingProfile(ranking);
+	if (profile) {
+		return rankVariantsByProfile(items, profile, { keepExcluded: true, tieBreaker: (a, b) => comparePreset(a, b, RANKING_PRESETS.quality) });
+	}
+	const preset = RANKING_PRESETS[ranking] ?? RANKING_PRESETS.quality;
+	return (Array.isArray(items) ? items : [])
+		.map((item, order) => ({ item, order }))
+		.sort((a, b) => comparePreset(a.item, b.item, preset) || a.order - b.order)
+		.map((entry) => entry.item);
+}
+
+export function renderSearchGroups(results) {
+	return groupSearchResults(results)
+		.map((group) => renderSearchGroup(group))
+		.join('');
+}
+
+function renderSearchGroup(group) {
+	const ranked = rankSearchResults(group.items);
+	const best = ranked[0];
+	const expanded = state.searchGrouping.expanded.has(group.key) || group.items.length === 1;
+	const label = formatGroupLabel(group, best);
+	const bestSummary = [describeResolution(best), best.video_codec ? String(best.video_codec).toUpperCase() : null, formatBitrate(best.bitrate_kbps), formatRelativeSize(best.size_bytes)]
+		.filter(Boolean)
+		.join(' · ');
+	const providers = Array.from(new Set(group.items.map((item) => String(item.provider ?? '')))).filter(Boolean);
+	const selectedCount = group.items.filter((item) => state.selectedSearch.has(item.cacheKey)).length;
+	const hasNew = group.items.some((item) => state.searchNewKeys.has(item.cacheKey));
+
+	return `
+		<li class="rounded-2xl border ${hasNew ? 'border-emerald-500/50' : 'border-slate-800/70'} bg-slate-900/60 p-4">
+			<div class="flex flex-wrap items-start justify-between gap-3">
+				<div class="min-w-0 space-y-1">
+					<div class="flex flex-wrap items-center gap-2">
+						<h4 class="text-lg font-semibold text-slate-100">${escapeHtml(label)}</h4>
+						<span class="rounded-full border border-slate-800/60 bg-slate-900/40 px-2 py-0.5 text-xs text-slate-300">${group.items.length} release${group.items.length === 1 ? '' : 's'}</span>
+						${providers.map((provider) => `<span class="rounded-full border border-slate-800/70 bg-slate-950/60 px-2 py-0.5 text-xs uppercase tracking-wide text-slate-300">${escapeHtml(provider)}</span>`).join('')}
+						${hasNew ? '<span class="rounded-full border border-emerald-500/40 bg-emerald-500/10 px-2 py-0.5 text-xs font-semibold uppercase tracking-wide text-emerald-200">New</span>' : ''}
+					</div>
+					<div class="text-xs text-slate-400">Best: ${escapeHtml(bestSummary || best.title)}${selectedCount > 0 ? ` · ${selectedCount} selected` : ''}</div>
+				</div>
+				<div class="flex items-center gap-2">
+					${group.items.length > 1 ? `<button type="button" data-search-group-toggle="${escapeHtml(group.key)}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-3 py-1.5 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">${expanded ? 'Hide' : 'Compare'}</button>` : ''}
+					<button type="button" data-search-group-queue="${escapeHtml(group.key)}" class="rounded-lg bg-emerald-500 px-3 py-1.5 text-xs font-semibold text-white shadow transition hover:bg-emerald-400">Queue best</button>
+				</div>
+			</div>
+			${expanded ? renderGroupTable(ranked) : ''}
+		</li>
+	`;
+}
+
+function renderGroupTable(ranked) {
+	const profile = resolveRankingProfile(state.searchGrouping.ranking);
+	const rows = ranked
+		.map((item, position) => {
+			const excluded = profile !== null && !variantMatchesProfile(item, profile);
+			const index = state.searchResults.indexOf(item);
+			const checked = state.selectedSearch.has(item.cacheKey) ? 'checked' : '';
+			const audio = [item.audio_codec ? String(item.audio_codec).toUpperCase() : null, formatAudioChannels(item.audio_channels), item.audio_language ? String(item.audio_language).toUpperCase() : null]
+				.filter(Boolean)
+				.join(' · ');
+			const isKraska = String(item.provider ?? '').toLowerCase() === 'kraska';
+			return `
+				<tr class="border-t border-slate-800/60 ${position === 0 && !excluded ? 'bg-emerald-500/5' : ''} ${excluded ? 'opacity-60' : ''}">
+					<td class="py-2 pr-2 align-top"><input type="checkbox" data-result-key="${escapeHtml(item.cacheKey)}" class="h-4 w-4 rounded border-slate-700 bg-slate-950 text-brand-500 focus:ring-brand-500/60" ${checked} /></td>
+					<td class="py-2 pr-3 align-top">
+						<div class="text-slate-200">${escapeHtml(item.title)}</div>
+						<div class="text-[11px] uppercase tracking-wide text-slate-500">${escapeHtml(item.provider)}${position === 0 && !excluded ? ' · <span class="text-emerald-300">best</span>' : ''}${excluded ? ' · <span class="text-amber-300">outside profile</span>' : ''}</div>
+					</td>
+					<td class="py-2 pr-3 align-top">${escapeHtml(describeResolution(item) ?? '—')}</td>
+					<td class="py-2 pr-3 align-top">${escapeHtml(item.video_codec ? String(item.video_codec).toUpperCase() : '—')}</td>
+					<td class="py-2 pr-3 align-top">${escapeHtml(audio || '—')}</td>
+					<td class="py-2 pr-3 align-top">${escapeHtml(formatBitrate(item.bitrate_kbps) ?? '—')}</td>
+					<td class="py-2 pr-3 align-top">${escapeHtml(formatRelativeSize(item.size_bytes))}</td>
+					<td class="py-2 pr-3 align-top">${item.duration_seconds ? escapeHtml(formatDuration(item.duration_seconds)) : '—'}</td>
+					<td class="py-2 align-top">
+						<div class="flex gap-1">
+							${isKraska ? `<button type="button" data-search-kraska-options="${index}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Streams</button>` : ''}
+							<button type="button" data-search-details="${index}" class="rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-xs font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200">Details</button>
+						</div>
+					</td>
+				</tr>
+			`;
+		})
+		.join('');
+
+	return `
+		<div class="mt-3 overflow-x-auto">
+			<table class="w-full text-left text-xs text-slate-300">
+				<thead class="text-[11px] uppercase tracking-wide text-slate-500">
+					<tr>
+						<th class="py-1 pr-2"></th>
+						<th class="py-1 pr-3">Release</th>
+						<th class="py-1 pr-3">Resolution</th>
+						<th class="py-1 pr-3">Video</th>
+						<th class="py-1 pr-3">Audio</th>
+						<th class="py-1 pr-3">Bitrate</th>
+						<th class="py-1 pr-3">Size</th>
+						<th class="py-1 pr-3">Duration</th>
+						<th class="py-1"></th>
+					</tr>
+				</thead>
+				<tbody>${rows}</tbody>
+			</table>
+		</div>
+	`;
+}
+
+function formatGroupLabel(group, fallbackItem) {
+	const base = group.base
+		? group.base.replace(/\b\w/g, (char) => char.toUpperCase())
+		: String(fallbackItem?.title ?? 'Untitled');
+	const parts = [base];
+	if (group.year !== null) {
+		parts.push(`(${group.year})`);
+	}
+	if (group.season !== null && group.episode !== null) {
+		parts.push(`S${String(group.season).padStart(2, '0')}E${String(group.episode).padStart(2, '0')}`);
+	}
+	return parts.join(' ');
+}
+
+function describeResolution(item) {
+	if (item?.resolution) return String(item.resolution);
+	const height = resolveResultHeight(item);
+	return height ? `${height}p` : null;
+}
+
+function comparePreset(a, b, preset) {
+	for (const criterion of preset.criteria) {
+		const diff = scoreCriterion(b, criterion) - scoreCriterion(a, criterion);
+		if (diff !== 0) return diff;
+	}
+	return 0;
+}
+
+function resolveRankingProfile(ranking) {
+	if (typeof ranking !== 'string' || !ranking.startsWith(PROFILE_RANKING_PREFIX)) {
+		return null;
+	}
+	return getQualityProfile(ranking.slice(PROFILE_RANKING_PREFIX.length));
+}
+
+function scoreCriterion(item, criterion) {
+	switch (criterion) {
+		case 'height':
+			return resolveResultHeight(item) ?? 0;
+		case 'bitrate':
+			return Number(item?.bitrate_kbps ?? 0) || 0;
+		case 'size':
+			return Number(item?.size_bytes ?? 0) || 0;
+		case 'sizeAsc': {
+			const size = Number(item?.size_bytes ?? 0) || 0;
+			return size > 0 ? -size : -Number.MAX_SAFE_INTEGER;
+		}
+		case 'channels':
+			return Number(item?.audio_channels ?? 0) || 0;
+		case 'codec':
+			return CODEC_SCORES[String(item?.video_codec ?? '').toLowerCase().replace(/[^a-z0-9]/g, '')] ?? 1;
+		default:
+			return 0;
+	}
+}
+
+function findGroup(key) {
+	return groupSearchResults(getVisibleSearchResults()).find((group) => group.key === key) ?? null;
+}
+
+function notifyChange() {
+	if (groupsChangeHandler) {
+		groupsChangeHandler();
+	}
+}
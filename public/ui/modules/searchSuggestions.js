@@ -0,0 +1,210 @@
+import { state, els, API } from './context.js';
+import { fetchJson, toggleElement, escapeHtml, isAbortError } from './utils.js';
+
+const DEBOUNCE_MS = 300;
+// Live title matches only come from Webshare: Kra.sk and KraSk2 searches are rate limited and
+// a lookup per keystroke would eat into the budget real searches and downloads depend on.
+const SUGGESTION_PROVIDER = 'webshare';
+const PROVIDER_DEBOUNCE_MS = 1200;
+const MIN_PROVIDER_QUERY_LENGTH = 4;
+const PROVIDER_SUGGESTION_LIMIT = 5;
+const MAX_SUGGESTIONS = 8;
+const MAX_RECENT_QUERIES = 20;
+
+let pickHandler = null;
+let providersResolver = null;
+let debounceTimeout = null;
+let providerTimeout = null;
+let suggestionController = null;
+
+export function wireSearchSuggestions({ onPick, getProviders } = {}) {
+	pickHandler = typeof onPick === 'function' ? onPick : null;
+	providersResolver = typeof getProviders === 'function' ? getProviders : null;
+	const input = els.searchQuery;
+	if (!(input instanceof HTMLInputElement)) return;
+
+	input.setAttribute('autocomplete', 'off');
+	input.addEventListener('input', () => scheduleSuggestions(input.value));
+	input.addEventListener('focus', () => {
+		if (input.value.trim() === '') {
+			scheduleSuggestions('');
+		}
+	});
+	input.addEventListener('keydown', handleSuggestionKeydown);
+	input.addEventListener('blur', () => {
+		// Delay so a click on a suggestion lands before the list disappears.
+		setTimeout(closeSearchSuggestions, 150);
+	});
+
+	els.searchSuggestions?.addEventListener('mousedown', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		const option = target.closest('[data-suggestion-index]');
+		if (!(option instanceof HTMLElement)) return;
+		event.preventDefault();
+		pickSuggestion(Number.parseInt(option.dataset.suggestionIndex ?? '', 10));
+	});
+}
+
+/**
+ * Remembers a submitted query so it is offered again as a suggestion (most recent first).
+ */
+export function recordRecentQuery(query) {
+	const value = typeof query === 'string' ? query.trim() : '';
+	if (value === '') return;
+	const lowered = value.toLowerCase();
+	state.recentQueries = [value, ...state.recentQueries.filter((entry) => entry.toLowerCase() !== lowered)].slice(0, MAX_RECENT_QUERIES);
+}
+
+/**
+ * Hides the list and drops any pending or in-flight suggestion lookup.
+ */
+export function closeSearchSuggestions() {
+	if (debounceTimeout) {
+		clearTimeout(debounceTimeout);
+		debounceTimeout = null;
+	}
+	cancelProviderLookup();
+	state.searchSuggestions = { query: '', items: [], activeIndex: -1, loading: false };
+	renderSearchSuggestions();
+}
+
+function scheduleSuggestions(rawQuery) {
+	if (debounceTimeout) {
+		clearTimeout(debounceTimeout);
+	}
+	debounceTimeout = setTimeout(() => {
+		debounceTimeout = null;
+		updateSuggestions(rawQuery.trim());
+	}, DEBOUNCE_MS);
+}
+
+function updateSuggestions(query) {
+	cancelProviderLookup();
+
+	const local = localSuggestions(query);
+	state.searchSuggestions = { query, items: local, activeIndex: -1, loading: false };
+	renderSearchSuggestions();
+
+	const providers = providersResolver ? providersResolver() : [];
+	if (query.length < MIN_PROVIDER_QUERY_LENGTH || !state.user || !providers.includes(SUGGESTION_PROVIDER)) {
+		return;
+	}
+	// The local list is already shown; the provider lookup waits for a longer pause in typing.
+	providerTimeout = setTimeout(() => {
+		providerTimeout = null;
+		void loadProviderSuggestions(query, local);
+	}, PROVIDER_DEBOUNCE_MS - DEBOUNCE_MS);
+}
+
+async function loadProviderSuggestions(query, local) {
+	const controller = new AbortController();
+	suggestionController = controller;
+	state.searchSuggestions.loading = true;
+	renderSearchSuggestions();
+
+	try {
+		const params = new URLSearchParams({ q: query, limit: String(PROVIDER_SUGGESTION_LIMIT) });
+		params.append('providers[]', SUGGESTION_PROVIDER);
+		const response = await fetchJson(`${API.search}?${params.toString()}`, { signal: controller.signal });
+		if (controller !== suggestionController) return;
+		const titles = (Array.isArray(response?.data) ? response.data : [])
+			.map((item) => (typeof item?.title === 'string' ? item.title.trim() : ''))
+			.filter(Boolean)
+			.map((value) => ({ value, source: 'provider' }));
+		state.searchSuggestions.items = mergeSuggestions(local, titles);
+	} catch (error) {
+		if (isAbortError(error) || controller !== suggestionController) return;
+		console.warn('Failed to load search suggestions', error);
+	}
+	state.searchSuggestions.loading = false;
+	suggestionController = null;
+	renderSearchSuggestions();
+}
+
+function cancelProviderLookup() {
+	if (providerTimeout) {
+		clearTimeout(providerTimeout);
+		providerTimeout = null;
+	}
+	suggestionController?.abort();
+	suggestionController = null;
+}
+
+function localSuggestions(query) {
+	const lowered = query.toLowerCase();
+	const recent = state.recentQueries.map((value) => ({ value, source: 'recent' }));
+	const saved = (Array.isArray(state.savedSearches) ? state.savedSearches : []).map((entry) => ({ value: entry.query, source: 'saved' }));
+	return mergeSuggestions(
+		[],
+		[...recent, ...saved].filter(({ value }) => typeof value === 'string' && value.toLowerCase().includes(lowered) && value.toLowerCase() !== lowered)
+	);
+}
+
+function mergeSuggestions(base, extra) {
+	const seen = new Set(base.map(({ value }) => value.toLowerCase()));
+	const merged = [...base];
+	extra.forEach((entry) => {
+		const key = entry.value.toLowerCase();
+		if (seen.has(key) || merged.length >= MAX_SUGGESTIONS) return;
+		seen.add(key);
+		merged.push(entry);
+	});
+	return merged;
+}
+
+function renderSearchSuggestions() {
+	const list = els.searchSuggestions;
+	if (!list) return;
+	const { items, activeIndex, loading } = state.searchSuggestions;
+	const open = items.length > 0 || loading;
+	toggleElement(list, open);
+	els.searchQuery?.setAttribute('aria-expanded', open ? 'true' : 'false');
+	if (!open) {
+		list.innerHTML = '';
+		return;
+	}
+
+	const sourceLabels = { recent: 'Recent', saved: 'Saved', provider: 'Match' };
+	const rows = items.map(({ value, source }, index) => {
+		const active = index === activeIndex;
+		return `
+			<li role="option" aria-selected="${active ? 'true' : 'false'}" data-suggestion-index="${index}" class="flex cursor-pointer items-center justify-between gap-3 px-3 py-2 text-sm ${active ? 'bg-brand-500/20 text-white' : 'text-slate-200 hover:bg-slate-800/70'}">
+				<span class="truncate">${escapeHtml(value)}</span>
+				<span class="shrink-0 text-[11px] uppercase tracking-wide text-slate-500">${sourceLabels[source] ?? ''}</span>
+			</li>
+		`;
+	});
+	if (loading) {
+		rows.push('<li class="px-3 py-2 text-xs text-slate-500">Looking up matches…</li>');
+	}
+	list.innerHTML = rows.join('');
+}
+
+function handleSuggestionKeydown(event) {
+	const suggestions = state.searchSuggestions;
+	if (suggestions.items.length === 0) return;
+	if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+		event.preventDefault();
+		// -1 means "nothing highlighted", so the cycle goes through the typed query as well.
+		const next = suggestions.activeIndex + (event.key === 'ArrowDown' ? 1 : -1);
+		const count = suggestions.items.length;
+		suggestions.activeIndex = next >= count ? -1 : next < -1 ? count - 1 : next;
+		renderSearchSuggestions();
+	} else if (event.key === 'Enter' && suggestions.activeIndex >= 0) {
+		event.preventDefault();
+		pickSuggestion(suggestions.activeIndex);
+	} else if (event.key === 'Escape') {
+		closeSearchSuggestions();
+	}
+}
+
+function pickSuggestion(index) {
+	const entry = state.searchSuggestions.items[index];
+	if (!entry || !(els.searchQuery instanceof HTMLInputElement)) return;
+	els.searchQuery.value = entry.value;
+	closeSearchSuggestions();
+	if (pickHandler) {
+		pickHandler(entry.value);
+	}
+}
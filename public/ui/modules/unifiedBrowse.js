@@ -0,0 +1,233 @@
+import { state, els } from './context.js';
+import { toggleElement, escapeHtml } from './utils.js';
+import { libraryStatus, renderLibraryBadge, kraskaItemLibraryKeys, krask2ItemLibraryKeys } from './library.js';
+
+const BUTTON_CLASS = 'rounded-lg border border-slate-700/60 bg-slate-950/60 px-2 py-1 text-[11px] font-semibold text-slate-200 transition hover:border-brand-400/60 hover:text-brand-200';
+
+let searchHandler = null;
+let optionsHandler = null;
+let openHandler = null;
+
+/**
+ * "Both" browse mode: one search runs against the Kra.sk library and every searchable KraSk2
+ * catalog, and entries describing the same title (same IMDb or TMDB id) are shown side by side.
+ * `onOptions(provider, item)` opens the download options of an entry, `onOpen(provider, item)`
+ * shows it in its own browse mode.
+ */
+export function wireUnifiedBrowse({ onSearch, onOptions, onOpen } = {}) {
+	searchHandler = typeof onSearch === 'function' ? onSearch : null;
+	optionsHandler = typeof onOptions === 'function' ? onOptions : null;
+	openHandler = typeof onOpen === 'function' ? onOpen : null;
+
+	els.unifiedSearchForm?.addEventListener('submit', (event) => {
+		event.preventDefault();
+		const query = els.unifiedSearchInput instanceof HTMLInputElement ? els.unifiedSearchInput.value.trim() : '';
+		if (query !== '') {
+			searchHandler?.(query);
+		}
+	});
+
+	els.unifiedBothOnly?.addEventListener('change', () => {
+		state.unifiedBrowse.bothOnly = els.unifiedBothOnly instanceof HTMLInputElement && els.unifiedBothOnly.checked;
+		renderUnifiedBrowse();
+	});
+
+	els.unifiedList?.addEventListener('click', (event) => {
+		const target = event.target;
+		if (!(target instanceof HTMLElement)) return;
+		const action = target.closest('[data-unified-action]');
+		if (!(action instanceof HTMLElement)) return;
+		const provider = action.dataset.unifiedProvider === 'krask2' ? 'krask2' : 'kraska';
+		const index = Number.parseInt(action.dataset.unifiedIndex ?? '', 10);
+		const item = state.unifiedBrowse[provider].items[index];
+		if (!item) return;
+		event.preventDefault();
+		if (action.dataset.unifiedAction === 'options') {
+			optionsHandler?.(provider, item);
+		} else if (action.dataset.unifiedAction === 'open') {
+			openHandler?.(provider, item);
+		}
+	});
+}
+
+export function resetUnifiedBrowse() {
+	state.unifiedBrowse = createUnifiedBrowseState();
+	if (els.unifiedSearchInput instanceof HTMLInputElement) {
+		els.unifiedSearchInput.value = '';
+	}
+	if (els.unifiedBothOnly instanceof HTMLInputElement) {
+		els.unifiedBothOnly.checked = false;
+	}
+	renderUnifiedBrowse();
+}
+
+function createUnifiedBrowseState() {
+	return {
+		query: '',
+		bothOnly: false,
+		kraska: { items: [], loading: false, error: null },
+		krask2: { items: [], loading: false, error: null, progress: null },
+	};
+}
+
+export function renderUnifiedBrowse() {
+	const { query, bothOnly, kraska, krask2 } = state.unifiedBrowse;
+	if (els.unifiedSearchInput instanceof HTMLInputElement && document.activeElement !== els.unifiedSearchInput) {
+		els.unifiedSearchInput.value = query;
+	}
+	if (els.unifiedStatus) {
+		const parts = query === '' ? [] : [describeSource('Kra.sk', kraska), describeSource('KraSk2', krask2)];
+		els.unifiedStatus.textContent = parts.join(' · ');
+		toggleElement(els.unifiedStatus, parts.length > 0);
+	}
+	if (!els.unifiedList) return;
+
+	const groups = groupUnifiedResults(kraska.items, krask2.items);
+	const visible = bothOnly ? groups.filter((group) => group.kraska.length > 0 && group.krask2.length > 0) : groups;
+	const loading = kraska.loading || krask2.loading;
+	if (visible.length === 0) {
+		let message = 'Search both sources to compare what each one offers for a title.';
+		if (query !== '') {
+			message = loading ? 'Searching…' : bothOnly && groups.length > 0 ? 'No title was found in both sources.' : 'Nothing found.';
+		}
+		els.unifiedList.innerHTML = `<li class="text-sm text-slate-500">${escapeHtml(message)}</li>`;
+		return;
+	}
+	els.unifiedList.innerHTML = visible.map(renderGroup).join('');
+}
+
+function describeSource(label, source) {
+	if (source.loading) {
+		const progress = source.progress;
+		return progress ? `${label}: searching ${progress.done}/${progress.total} catalogs…` : `${label}: searching…`;
+	}
+	if (source.error) {
+		return `${label}: ${source.error}`;
+	}
+	return `${label}: ${source.items.length} result${source.items.length === 1 ? '' : 's'}`;
+}
+
+/**
+ * Groups entries that share an IMDb id or a TMDB id (TMDB ids are only unique per media type).
+ * An entry matching two existing groups joins them; entries without ids stay on their own.
+ */
+function groupUnifiedResults(kraskaItems, krask2Items) {
+	const groups = [];
+	const byKey = new Map();
+	const add = (provider, item, index) => {
+		const keys = matchKeys(provider, item);
+		const matched = Array.from(new Set(keys.map((key) => byKey.get(key)).filter(Boolean)));
+		let group = matched.shift() ?? null;
+		if (!group) {
+			group = { kraska: [], krask2: [], keys: new Set() };
+			groups.push(group);
+		}
+		matched.forEach((other) => {
+			group.kraska.push(...other.kraska);
+			group.krask2.push(...other.krask2);
+			other.keys.forEach((key) => {
+				group.keys.add(key);
+				byKey.set(key, group);
+			});
+			groups.splice(groups.indexOf(other), 1);
+		});
+		group[provider].push({ item, index });
+		keys.forEach((key) => {
+			group.keys.add(key);
+			byKey.set(key, group);
+		});
+	};
+	kraskaItems.forEach((item, index) => add('kraska', item, index));
+	krask2Items.forEach((item, index) => add('krask2', item, index));
+	return groups;
+}
+
+function matchKeys(provider, item) {
+	const ids = provider === 'kraska' ? item.ids ?? {} : { imdb: item.imdbId, tmdb: item.tmdbId };
+	const kind = (provider === 'kraska' ? item.type === 'video' : item.type !== 'series') ? 'movie' : 'series';
+	const keys = [];
+	if (typeof ids.imdb === 'string' && ids.imdb !== '') keys.push(`imdb:${ids.imdb}`);
+	if (typeof ids.tmdb === 'string' && ids.tmdb !== '') keys.push(`tmdb:${kind}:${ids.tmdb}`);
+	return keys;
+}
+
+function renderGroup(group) {
+	const krask2First = group.krask2[0]?.item ?? null;
+	const kraskaFirst = group.kraska[0]?.item ?? null;
+	const title = krask2First?.title ?? kraskaFirst?.label ?? 'Untitled';
+	const year = krask2First?.year ?? (Number.isFinite(Number(kraskaFirst?.meta?.year)) ? Number(kraskaFirst.meta.year) : null);
+	const poster = krask2First?.poster ?? kraskaFirst?.art?.poster ?? kraskaFirst?.art?.thumb ?? null;
+	const imdbId = Array.from(group.keys).find((key) => key.startsWith('imdb:'))?.slice(5) ?? null;
+	const sources = group.kraska.length > 0 && group.krask2.length > 0
+		? '<span class="rounded-full border border-emerald-500/40 bg-emerald-500/10 px-2 py-0.5 text-[11px] text-emerald-200">Both sources</span>'
+		: `<span class="rounded-full border border-slate-700/60 bg-slate-950/50 px-2 py-0.5 text-[11px] text-slate-300">${group.kraska.length > 0 ? 'Kra.sk only' : 'KraSk2 only'}</span>`;
+
+	return `
+		<li class="rounded-2xl border border-slate-800/70 bg-slate-900/60 p-4">
+			<div class="flex items-start gap-4">
+				${poster ? `<img src="${escapeHtml(poster)}" alt="${escapeHtml(title)}" class="h-24 w-16 rounded-lg object-cover" loading="lazy" />` : ''}
+				<div class="min-w-0 flex-1 space-y-3">
+					<div class="flex flex-wrap items-center gap-2">
+						<h4 class="text-lg font-semibold text-slate-100">${escapeHtml(title)}</h4>
+						${year ? `<span class="text-xs text-slate-400">${escapeHtml(String(year))}</span>` : ''}
+						${sources}
+						${imdbId ? `<a href="https://www.imdb.com/title/${encodeURIComponent(imdbId)}/" target="_blank" rel="noopener" class="text-xs text-brand-300 hover:text-brand-200">${escapeHtml(imdbId)}</a>` : ''}
+					</div>
+					<div class="grid gap-3 md:grid-cols-2">
+						${renderSourceColumn('Kra.sk Library', group.kraska.map(renderKraskaEntry))}
+						${renderSourceColumn('Stremio Catalogs', group.krask2.map(renderKrask2Entry))}
+					</div>
+				</div>
+			</div>
+		</li>
+	`;
+}
+
+function renderSourceColumn(label, rows) {
+	return `
+		<div class="rounded-xl border border-slate-800/70 bg-slate-950/40 p-3">
+			<h5 class="mb-2 text-xs font-semibold uppercase tracking-wide text-slate-400">${escapeHtml(label)}</h5>
+			${rows.length > 0 ? `<ul class="space-y-2">${rows.join('')}</ul>` : '<p class="text-xs text-slate-500">Not found.</p>'}
+		</div>
+	`;
+}
+
+function renderKraskaEntry({ item, index }) {
+	const meta = item.meta ?? {};
+	const chips = [
+		meta.quality ? String(meta.quality) : null,
+		Array.isArray(meta.languages) && meta.languages.length > 0 ? meta.languages.join('/') : null,
+		Number.isFinite(Number(meta.year)) && Number(meta.year) > 0 ? String(Math.trunc(Number(meta.year))) : null,
+	].filter(Boolean);
+	const action = item.queueMode === 'single'
+		? `<button type="button" data-unified-action="options" data-unified-provider="kraska" data-unified-index="${index}" class="${BUTTON_CLASS}">Download options</button>`
+		: item.path
+			? `<button type="button" data-unified-action="open" data-unified-provider="kraska" data-unified-index="${index}" class="${BUTTON_CLASS}">Open in Kra.sk</button>`
+			: '';
+	return renderEntry(item.label ?? 'Untitled', item.type === 'video' ? 'video' : 'folder', chips, renderLibraryBadge(libraryStatus(kraskaItemLibraryKeys(item))), action);
+}
+
+function renderKrask2Entry({ item, index }) {
+	const chips = [
+		item.catalogLabels.length > 0 ? item.catalogLabels.join(', ') : item.catalogLabel,
+		item.languages.length > 0 ? item.languages.join('/') : null,
+		Number.isFinite(item.imdbRating) ? `${item.imdbRating.toFixed(1)}★` : null,
+	].filter(Boolean);
+	const action = item.external_id
+		? `<button type="button" data-unified-action="options" data-unified-provider="krask2" data-unified-index="${index}" class="${BUTTON_CLASS}">Download options</button>`
+		: `<button type="button" data-unified-action="open" data-unified-provider="krask2" data-unified-index="${index}" class="${BUTTON_CLASS}">Open in KraSk2</button>`;
+	return renderEntry(item.title, item.type, chips, renderLibraryBadge(libraryStatus(krask2ItemLibraryKeys(item))), action);
+}
+
+function renderEntry(label, type, chips, badge, action) {
+	return `
+		<li class="flex flex-wrap items-center gap-2">
+			<div class="min-w-0 flex-1">
+				<p class="truncate text-sm text-slate-200">${escapeHtml(label)} <span class="text-[11px] uppercase tracking-wide text-slate-500">${escapeHtml(type)}</span></p>
+				${chips.length > 0 ? `<p class="truncate text-xs text-slate-400">${escapeHtml(chips.join(' · '))}</p>` : ''}
+			</div>
+			${badge}
+			${action}
+		</li>
+	`;
+}
@@ -56,6 +56,8 @@ export async function fetchJson(url, options = {}) {
 		const error = new Error(message);
 		error.status = response.status;
 		error.details = typeof payload === 'object' && payload !== null ? payload.errors ?? null : null;
+		const retryAfter = Number(typeof payload === 'object' && payload !== null ? payload.retry_after : response.headers.get('Retry-After'));
+		error.retryAfter = Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter : null;
 		throw error;
 	}
 
@@ -101,6 +103,10 @@ export function escapeHtml(value) {
 		.replace(/'/g, '&#039;');
 }
 
+export function isAbortError(error) {
+	return error instanceof DOMException ? error.name === 'AbortError' : error?.name === 'AbortError';
+}
+
 export function messageFromError(error) {
 	if (!error) return 'Unknown error';
 	if (typeof error === 'string') return error;
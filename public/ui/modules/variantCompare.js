@@ -0,0 +1,172 @@
+import { escapeHtml, formatBitrate, formatRelativeSize } from './utils.js';
+import { describeVariant, variantMatchesProfile } from './qualityProfiles.js';
+import { collectAudioTracks, collectAudioLanguages, collectSubtitles } from './mediaTracks.js';
+
+// Lower index = more efficient codec; anything unknown ranks last.
+const CODEC_RANK = ['av1', 'hevc', 'vp9', 'h264', 'mpeg4', 'mpeg2'];
+
+/**
+ * Comparison columns. `value` is what sorting and "best" highlighting use (higher is better,
+ * null when unknown); `display` returns the cell text, or a list rendered one entry per line.
+ */
+const COLUMNS = [
+	{
+		key: 'resolution',
+		label: 'Resolution',
+		value: (row) => row.traits.height,
+		display: (row) => (row.traits.height ? `${row.traits.height}p` : row.variant.quality ?? null),
+	},
+	{
+		key: 'codec',
+		label: 'Codec',
+		value: (row) => (row.traits.codec && CODEC_RANK.includes(row.traits.codec) ? CODEC_RANK.length - CODEC_RANK.indexOf(row.traits.codec) : null),
+		display: (row) => (row.traits.codec ? row.traits.codec.toUpperCase() : null),
+	},
+	{
+		key: 'bitrate',
+		label: 'Bitrate',
+		value: (row) => row.variant.bitrate_kbps,
+		display: (row) => formatBitrate(row.variant.bitrate_kbps),
+	},
+	{
+		key: 'size',
+		label: 'Size',
+		value: (row) => row.variant.size_bytes,
+		display: (row) => row.variant.size_human ?? (row.variant.size_bytes ? formatRelativeSize(row.variant.size_bytes) : null),
+	},
+	{
+		key: 'audio',
+		label: 'Audio tracks',
+		value: (row) => row.audio.length || null,
+		display: (row) => row.audio,
+	},
+	{
+		key: 'languages',
+		label: 'Languages',
+		value: (row) => row.languages.length || null,
+		display: (row) => row.languages.join(', '),
+	},
+	{
+		key: 'subtitles',
+		label: 'Subtitles',
+		value: (row) => row.subtitles.length || null,
+		display: (row) => row.subtitles.join(', '),
+	},
+];
+
+/**
+ * Returns the sort state after clicking the `key` column header: the same column flips direction,
+ * a new column starts with the best values first.
+ */
+export function nextVariantSort(sort, key) {
+	if (sort?.key === key) {
+		return { key, dir: sort.dir === 'desc' ? 'asc' : 'desc' };
+	}
+	return { key, dir: key === 'title' ? 'asc' : 'desc' };
+}
+
+/**
+ * Renders the variants as a sortable table. Rows keep their index into `variants`, so the
+ * existing `data-kraska-queue-variant` buttons and `data-variant-select` checkboxes resolve them.
+ */
+export function renderVariantComparison(variants, { sort = null, selected = new Set(), profile = null, profilePick = null, queueing = false } = {}) {
+	const rows = variants.map((variant, index) => {
+		const traits = describeVariant(variant);
+		const languages = new Set(collectAudioLanguages(variant));
+		traits.languages.forEach((language) => languages.add(language.toUpperCase()));
+		return {
+			variant,
+			index,
+			traits,
+			audio: collectAudioTracks(variant),
+			languages: Array.from(languages),
+			subtitles: collectSubtitles(variant),
+		};
+	});
+
+	const best = new Map(
+		COLUMNS.map((column) => {
+			const values = rows.map(column.value).filter((value) => Number.isFinite(value));
+			const top = values.length > 0 ? Math.max(...values) : null;
+			// Nothing stands out when every option has the same value.
+			return [column.key, top !== null && values.some((value) => value !== top) ? top : null];
+		})
+	);
+
+	const sorted = sortRows(rows, sort);
+	const headerButton = (key, label) => {
+		const arrow = sort?.key === key ? (sort.dir === 'desc' ? ' ↓' : ' ↑') : '';
+		return `<button type="button" data-variant-sort="${key}" class="whitespace-nowrap font-semibold uppercase tracking-wide hover:text-brand-200">${label}${arrow}</button>`;
+	};
+
+	return `
+		<div class="overflow-x-auto rounded-xl border border-slate-800/70">
+			<table class="min-w-full text-left text-xs text-slate-300">
+				<thead class="bg-slate-950/60 text-[11px] text-slate-400">
+					<tr>
+						<th class="px-3 py-2"><span class="sr-only">Select</span></th>
+						<th class="px-3 py-2">${headerButton('title', 'Option')}</th>
+						${COLUMNS.map((column) => `<th class="px-3 py-2">${headerButton(column.key, column.label)}</th>`).join('')}
+						<th class="px-3 py-2"></th>
+					</tr>
+				</thead>
+				<tbody class="divide-y divide-slate-800/70">
+					${sorted.map((row) => renderRow(row, { best, selected, profile, profilePick, queueing })).join('')}
+				</tbody>
+			</table>
+		</div>
+	`;
+}
+
+function renderRow(row, { best, selected, profile, profilePick, queueing }) {
+	const { variant, index } = row;
+	const isPick = variant === profilePick;
+	const outsideProfile = profile !== null && !variantMatchesProfile(variant, profile);
+	const cells = COLUMNS.map((column) => {
+		const display = column.display(row);
+		const isBest = best.get(column.key) !== null && column.value(row) === best.get(column.key);
+		const isEmpty = display === null || display === undefined || display === '' || (Array.isArray(display) && display.length === 0);
+		const content = isEmpty
+			? '<span class="text-slate-600">—</span>'
+			: Array.isArray(display)
+				? display.map((entry) => escapeHtml(entry)).join('<br>')
+				: escapeHtml(String(display));
+		return `<td class="px-3 py-2 align-top ${isBest ? 'font-semibold text-emerald-300' : ''}">${content}</td>`;
+	}).join('');
+
+	return `
+		<tr class="${selected.has(index) ? 'bg-brand-500/10' : 'bg-slate-900/40'} ${outsideProfile ? 'opacity-60' : ''}">
+			<td class="px-3 py-2 align-top">
+				<input type="checkbox" data-variant-select="${index}" ${selected.has(index) ? 'checked' : ''} class="h-4 w-4 rounded border-slate-600 bg-slate-900 text-brand-500 focus:ring-brand-500" aria-label="Select option ${index + 1}" />
+			</td>
+			<td class="px-3 py-2 align-top">
+				<div class="font-semibold text-slate-100">${escapeHtml(variant.title ?? `Option ${index + 1}`)}</div>
+				${isPick ? '<span class="text-[11px] font-semibold uppercase tracking-wide text-emerald-300">Profile pick</span>' : ''}
+				${outsideProfile ? '<span class="text-[11px] text-amber-300">outside profile</span>' : ''}
+			</td>
+			${cells}
+			<td class="px-3 py-2 align-top">
+				<button type="button" data-kraska-queue-variant="${index}" class="whitespace-nowrap rounded-lg bg-brand-500 px-2 py-1 text-xs font-semibold text-white transition hover:bg-brand-400 disabled:cursor-not-allowed disabled:opacity-60" ${queueing ? 'disabled' : ''}>Queue</button>
+			</td>
+		</tr>
+	`;
+}
+
+function sortRows(rows, sort) {
+	if (!sort?.key) return rows;
+	const direction = sort.dir === 'asc' ? 1 : -1;
+	if (sort.key === 'title') {
+		return rows.slice().sort((a, b) => direction * String(a.variant.title ?? '').localeCompare(String(b.variant.title ?? '')));
+	}
+	const column = COLUMNS.find((entry) => entry.key === sort.key);
+	if (!column) return rows;
+	return rows.slice().sort((a, b) => {
+		const left = column.value(a);
+		const right = column.value(b);
+		// Unknown values stay at the bottom in both directions.
+		if (!Number.isFinite(left) || !Number.isFinite(right)) {
+			return Number.isFinite(left) ? -1 : Number.isFinite(right) ? 1 : a.index - b.index;
+		}
+		return direction * (left - right) || a.index - b.index;
+	});
+}
@@ -0,0 +1,165 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Tests\Domain;
+
+use App\Domain\FollowedSeries;
+use App\Tests\TestCase;
+use PDO;
+use RuntimeException;
+
+final class FollowedSeriesTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->bootDefaultConfig();
+        $this->pdo = $this->useInMemoryDatabase();
+        $this->createSchema($this->pdo);
+    }
+
+    public function testFollowUpsertsBySeriesAndValidatesInput(): void
+    {
+        $created = FollowedSeries::follow(4, ['provider' => 'krask2', 'series_ref' => 'tt0903747', 'title' => 'Breaking Bad']);
+        $this->assertTrue($created['enabled']);
+        $this->assertNull($created['last_checked_at']);
+
+        FollowedSeries::update(4, $created['id'], ['enabled' => false]);
+        $again = FollowedSeries::follow(4, ['provider' => 'krask2', 'series_ref' => 'tt0903747', 'title' => 'Breaking Bad (2008)']);
+        $this->assertSame($created['id'], $again['id']);
+        $this->assertSame('Breaking Bad (2008)', $again['title']);
+        $this->assertTrue($again['enabled']);
+
+        $this->assertCount(1, FollowedSeries::forUser(4));
+        $this->assertSame([], FollowedSeries::forUser(5));
+
+        try {
+            FollowedSeries::follow(4, ['provider' => 'kraska', 'series_ref' => 'not-a-path']);
+            $this->fail('Kra.sk series require a menu path.');
+        } catch (RuntimeException $exception) {
+            $this->assertSame('Kra.sk series must be followed by their menu path.', $exception->getMessage());
+        }
+
+        $this->expectException(RuntimeException::class);
+        FollowedSeries::delete(5, $created['id']);
+    }
+
+    public function testClaimDuePrefersUncheckedSeriesAndReschedules(): void
+    {
+        $checked = FollowedSeries::follow(4, ['provider' => 'kraska', 'series_ref' => '/shows/1', 'title' => 'Checked']);
+        $this->pdo->exec("UPDATE followed_series SET next_check_at = '2000-01-01T00:00:00.000000+00:00' WHERE id = " . $checked['id']);
+        $fresh = FollowedSeries::follow(5, ['provider' => 'kraska', 'series_ref' => '/shows/2', 'title' => 'Fresh']);
+        $paused = FollowedSeries::follow(4, ['provider' => 'kraska', 'series_ref' => '/shows/3', 'title' => 'Paused']);
+        FollowedSeries::update(4, $paused['id'], ['enabled' => false]);
+
+        $first = FollowedSeries::claimDue(3600);
+        $this->assertSame($fresh['id'], $first['id']);
+        $this->assertSame(5, $first['user_id']);
+        $this->assertNotNull($first['next_check_at']);
+
+        $this->assertSame($checked['id'], FollowedSeries::claimDue(3600)['id']);
+        $this->assertNull(FollowedSeries::claimDue(3600));
+
+        FollowedSeries::update(4, $checked['id'], ['check_now' => true]);
+        $this->assertSame($checked['id'], FollowedSeries::claimDue(3600)['id']);
+    }
+
+    public function testFirstCheckRecordsBaselineAndLaterChecksReportNewEpisodes(): void
+    {
+        $series = FollowedSeries::follow(4, ['provider' => 'krask2', 'series_ref' => 'tt1', 'title' => 'Show']);
+        $episodes = [
+            ['key' => FollowedSeries::episodeKey(1, 1, 'a')],
+            ['key' => FollowedSeries::episodeKey(1, 2, 'b')],
+        ];
+
+        $this->assertSame([], FollowedSeries::newEpisodes($series, $episodes));
+        FollowedSeries::recordCheck($series['id'], array_column($episodes, 'key'), 0);
+
+        $series = FollowedSeries::forUser(4)[0];
+        $this->assertSame(['S01E01', 'S01E02'], $series['known_episodes']);
+
+        $episodes[] = ['key' => FollowedSeries::episodeKey(1, 3, 'c')];
+        $episodes[] = ['key' => FollowedSeries::episodeKey(null, null, 'special')];
+        $this->assertSame(['S01E03', 'id:special'], array_column(FollowedSeries::newEpisodes($series, $episodes), 'key'));
+
+        FollowedSeries::recordFailure($series['id'], 'Upstream unavailable');
+        $series = FollowedSeries::forUser(4)[0];
+        $this->assertSame('Upstream unavailable', $series['last_error']);
+        $this->assertSame(2, $series['known_count']);
+    }
+
+    public function testClaimDueLeavesSkippedProvidersDueAndPostponeDelaysTheCheck(): void
+    {
+        $kraska = FollowedSeries::follow(4, ['provider' => 'kraska', 'series_ref' => '/shows/1', 'title' => 'Kra.sk show']);
+        $krask2 = FollowedSeries::follow(4, ['provider' => 'krask2', 'series_ref' => 'tt2', 'title' => 'KraSk2 show']);
+
+        $this->assertSame($krask2['id'], FollowedSeries::claimDue(3600, ['kraska'])['id']);
+        $this->assertNull(FollowedSeries::claimDue(3600, ['kraska']));
+
+        $claimed = FollowedSeries::claimDue(3600);
+        $this->assertSame($kraska['id'], $claimed['id']);
+
+        FollowedSeries::update(4, $kraska['id'], ['check_now' => true]);
+        FollowedSeries::postpone($kraska['id'], 600);
+        $this->assertNull(FollowedSeries::claimDue(3600));
+        $this->assertNull(FollowedSeries::forUser(4)[0]['last_checked_at']);
+    }
+
+    public function testEpisodesFailingRepeatedlyAreSkipped(): void
+    {
+        $series = FollowedSeries::follow(4, ['provider' => 'kraska', 'series_ref' => '/shows/1', 'title' => 'Show']);
+        FollowedSeries::recordCheck($series['id'], ['S01E01'], 0);
+
+        for ($check = 1; $check < FollowedSeries::MAX_EPISODE_ATTEMPTS; $check++) {
+            $skipped = FollowedSeries::recordCheck($series['id'], ['S01E01', 'S01E03'], 1, 'S01E02: No variant matches', ['S01E02' => 'No variant matches']);
+            $this->assertSame([], $skipped);
+            $this->assertSame(['S01E01', 'S01E03'], FollowedSeries::forUser(4)[0]['known_episodes']);
+        }
+
+        $skipped = FollowedSeries::recordCheck($series['id'], ['S01E01', 'S01E03'], 0, 'S01E02: No variant matches', ['S01E02' => 'No variant matches']);
+        $this->assertSame(['S01E02'], $skipped);
+
+        $series = FollowedSeries::forUser(4)[0];
+        $this->assertSame(['S01E01', 'S01E03', 'S01E02'], $series['known_episodes']);
+        $this->assertSame([['key' => 'S01E02', 'error' => 'No variant matches']], $series['skipped_episodes']);
+        $this->assertSame([], FollowedSeries::newEpisodes($series, [['key' => 'S01E02']]));
+
+        // An episode that queues after a failed attempt loses its count.
+        FollowedSeries::recordCheck($series['id'], $series['known_episodes'], 0, 'S01E04: Upstream error', ['S01E04' => 'Upstream error']);
+        FollowedSeries::recordCheck($series['id'], array_merge($series['known_episodes'], ['S01E04']), 1);
+        $stored = $this->pdo->query('SELECT episode_failures_json FROM followed_series')->fetchColumn();
+        $this->assertSame(['S01E02'], array_keys(json_decode((string) $stored, true)));
+    }
+
+    private function createSchema(PDO $pdo): void
+    {
+        $pdo->exec('CREATE TABLE quality_profiles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            is_default INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )');
+
+        $pdo->exec("CREATE TABLE followed_series (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            provider VARCHAR(32) NOT NULL,
+            series_ref VARCHAR(1024) NOT NULL,
+            title VARCHAR(255) NOT NULL,
+            poster TEXT NULL,
+            quality_profile_id INTEGER NULL,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            known_episodes_json TEXT NOT NULL DEFAULT '[]',
+            episode_failures_json TEXT NOT NULL DEFAULT '{}',
+            last_checked_at TEXT NULL,
+            next_check_at TEXT NULL,
+            last_new_count INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )");
+    }
+}
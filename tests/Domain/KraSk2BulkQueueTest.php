@@ -7,6 +7,7 @@ namespace App\Tests\Domain;
 use App\Domain\KraSk2BulkQueue;
 use App\Tests\TestCase;
 use PDO;
+use RuntimeException;
 
 final class KraSk2BulkQueueTest extends TestCase
 {
@@ -67,6 +68,177 @@ final class KraSk2BulkQueueTest extends TestCase
         $this->assertSame('Network unavailable.', $failed['error_text']);
     }
 
+    public function testEntriesTrackResolverStateAndCanBeRetried(): void
+    {
+        $taskId = KraSk2BulkQueue::enqueue(4, [
+            ['external_id' => 'stream.one', 'title' => 'One'],
+            ['external_id' => 'stream.two', 'title' => ''],
+        ]);
+        KraSk2BulkQueue::claimPending();
+
+        $first = KraSk2BulkQueue::claimNextItem($taskId);
+        $this->assertNotNull($first);
+        $this->assertSame(['external_id' => 'stream.one', 'title' => 'One'], $first['item']);
+        KraSk2BulkQueue::markItemQueued($first['id'], 12);
+
+        $second = KraSk2BulkQueue::claimNextItem($taskId);
+        $this->assertNotNull($second);
+        KraSk2BulkQueue::markItemFailed($second['id'], 'No downloadable variants available.');
+        $this->assertNull(KraSk2BulkQueue::claimNextItem($taskId));
+        KraSk2BulkQueue::finishTask($taskId);
+
+        $tasks = KraSk2BulkQueue::forUser(4);
+        $this->assertCount(1, $tasks);
+        $this->assertSame('completed', $tasks[0]['status']);
+        $this->assertSame(1, $tasks[0]['processed_items']);
+        $this->assertSame(1, $tasks[0]['failed_items']);
+        [$queued, $failed] = $tasks[0]['items'];
+        $this->assertSame('queued', $queued['status']);
+        $this->assertSame(12, $queued['job_id']);
+        $this->assertSame('failed', $failed['status']);
+        $this->assertSame('KraSk2 item', $failed['title']);
+        $this->assertSame('No downloadable variants available.', $failed['error_text']);
+
+        $retried = KraSk2BulkQueue::retryItem(4, $failed['id']);
+        $this->assertSame('pending', $retried['status']);
+        $this->assertNull($retried['completed_at']);
+        $this->assertSame('waiting', $retried['items'][1]['status']);
+        $this->assertSame(0, $retried['failed_items']);
+
+        $claimed = KraSk2BulkQueue::claimPending();
+        $this->assertNotNull($claimed);
+        $this->assertSame($taskId, (int) $claimed['id']);
+        $again = KraSk2BulkQueue::claimNextItem($taskId);
+        $this->assertNotNull($again);
+        $this->assertSame($failed['id'], $again['id']);
+    }
+
+    public function testRemovingEntriesRecountsAndDeletesEmptyTasks(): void
+    {
+        $taskId = KraSk2BulkQueue::enqueue(4, [
+            ['external_id' => 'stream.one', 'title' => 'One'],
+            ['external_id' => 'stream.two', 'title' => 'Two'],
+        ]);
+        [$first, $second] = KraSk2BulkQueue::forUser(4)[0]['items'];
+
+        $task = KraSk2BulkQueue::removeItem(4, $first['id']);
+        $this->assertNotNull($task);
+        $this->assertSame('pending', $task['status']);
+        $this->assertSame(1, $task['total_items']);
+
+        $this->assertNull(KraSk2BulkQueue::removeItem(4, $second['id']));
+        $this->assertNull(KraSk2BulkQueue::fetchById($taskId));
+    }
+
+    public function testEntriesAreScopedToTheirOwner(): void
+    {
+        KraSk2BulkQueue::enqueue(4, [['external_id' => 'stream.one', 'title' => 'One']]);
+        $itemId = KraSk2BulkQueue::forUser(4)[0]['items'][0]['id'];
+
+        $this->assertSame([], KraSk2BulkQueue::forUser(5));
+
+        $this->expectException(RuntimeException::class);
+        $this->expectExceptionMessage('Bulk queue entry not found.');
+        KraSk2BulkQueue::removeItem(5, $itemId);
+    }
+
+    public function testOnlyFailedEntriesCanBeRetried(): void
+    {
+        KraSk2BulkQueue::enqueue(4, [['external_id' => 'stream.one', 'title' => 'One']]);
+        $itemId = KraSk2BulkQueue::forUser(4)[0]['items'][0]['id'];
+
+        $this->expectException(RuntimeException::class);
+        $this->expectExceptionMessage('Only failed entries can be retried.');
+        KraSk2BulkQueue::retryItem(4, $itemId);
+    }
+
+    public function testMarkFailedFailsEntriesItNeverReached(): void
+    {
+        $taskId = KraSk2BulkQueue::enqueue(3, [
+            ['external_id' => 'stream.fail', 'title' => 'Broken'],
+        ]);
+
+        KraSk2BulkQueue::markFailed($taskId, 0, 1, 'KraSk2 provider unavailable.');
+
+        $item = KraSk2BulkQueue::forUser(3)[0]['items'][0];
+        $this->assertSame('failed', $item['status']);
+        $this->assertSame('KraSk2 provider unavailable.', $item['error_text']);
+    }
+
+    public function testRecoverInterruptedReturnsResolvingEntriesToTheResolver(): void
+    {
+        $taskId = KraSk2BulkQueue::enqueue(4, [
+            ['external_id' => 'stream.one', 'title' => 'One'],
+            ['external_id' => 'stream.two', 'title' => 'Two'],
+        ]);
+        KraSk2BulkQueue::claimPending();
+        $entry = KraSk2BulkQueue::claimNextItem($taskId);
+        $this->assertNotNull($entry);
+
+        $this->assertSame(1, KraSk2BulkQueue::recoverInterrupted());
+
+        $task = KraSk2BulkQueue::forUser(4)[0];
+        $this->assertSame('pending', $task['status']);
+        $this->assertSame(['waiting', 'waiting'], array_column($task['items'], 'status'));
+        $this->assertNotNull(KraSk2BulkQueue::claimPending());
+        $this->assertSame($entry['id'], KraSk2BulkQueue::claimNextItem($taskId)['id'] ?? null);
+    }
+
+    public function testStaleResolvingEntriesCanBeRetriedAndRemoved(): void
+    {
+        $taskId = KraSk2BulkQueue::enqueue(4, [
+            ['external_id' => 'stream.one', 'title' => 'One'],
+            ['external_id' => 'stream.two', 'title' => 'Two'],
+        ]);
+        KraSk2BulkQueue::claimPending();
+        $first = KraSk2BulkQueue::claimNextItem($taskId);
+        $this->assertNotNull($first);
+
+        $fresh = KraSk2BulkQueue::forUser(4)[0]['items'][0];
+        $this->assertFalse($fresh['stale']);
+        try {
+            KraSk2BulkQueue::removeItem(4, $first['id']);
+            $this->fail('A resolving entry must not be removable while it is fresh.');
+        } catch (RuntimeException $exception) {
+            $this->assertSame('This entry is being resolved and cannot be removed right now.', $exception->getMessage());
+        }
+
+        $this->pdo->exec("UPDATE krask2_bulk_queue_items SET updated_at = '2000-01-01T00:00:00.000000+00:00' WHERE status = 'resolving'");
+        $this->assertTrue(KraSk2BulkQueue::forUser(4)[0]['items'][0]['stale']);
+
+        $retried = KraSk2BulkQueue::retryItem(4, $first['id']);
+        $this->assertSame('pending', $retried['status']);
+        $this->assertSame('waiting', $retried['items'][0]['status']);
+
+        KraSk2BulkQueue::claimPending();
+        $again = KraSk2BulkQueue::claimNextItem($taskId);
+        $this->assertSame($first['id'], $again['id'] ?? null);
+        $this->pdo->exec("UPDATE krask2_bulk_queue_items SET updated_at = '2000-01-01T00:00:00.000000+00:00' WHERE status = 'resolving'");
+
+        $task = KraSk2BulkQueue::removeItem(4, $first['id']);
+        $this->assertNotNull($task);
+        $this->assertSame(1, $task['total_items']);
+    }
+
+    public function testLateResolverDoesNotOverwriteRetriedEntry(): void
+    {
+        $taskId = KraSk2BulkQueue::enqueue(4, [['external_id' => 'stream.one', 'title' => 'One']]);
+        KraSk2BulkQueue::claimPending();
+        $entry = KraSk2BulkQueue::claimNextItem($taskId);
+        $this->assertNotNull($entry);
+
+        $this->pdo->exec("UPDATE krask2_bulk_queue_items SET updated_at = '2000-01-01T00:00:00.000000+00:00' WHERE status = 'resolving'");
+        KraSk2BulkQueue::retryItem(4, $entry['id']);
+
+        KraSk2BulkQueue::markItemQueued($entry['id'], 12);
+        KraSk2BulkQueue::markItemFailed($entry['id'], 'Timed out.');
+
+        $item = KraSk2BulkQueue::forUser(4)[0]['items'][0];
+        $this->assertSame('waiting', $item['status']);
+        $this->assertNull($item['job_id']);
+        $this->assertNull($item['error_text']);
+    }
+
     private function createSchema(PDO $pdo): void
     {
         $pdo->exec('CREATE TABLE krask2_bulk_queue (
@@ -82,5 +254,20 @@ final class KraSk2BulkQueueTest extends TestCase
             updated_at TEXT NOT NULL,
             completed_at TEXT
         )');
+
+        $pdo->exec('CREATE TABLE krask2_bulk_queue_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            task_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            title TEXT NOT NULL,
+            item_json TEXT NOT NULL,
+            job_id INTEGER,
+            error_text TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )');
     }
 }
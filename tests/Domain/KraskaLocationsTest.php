@@ -0,0 +1,95 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Tests\Domain;
+
+use App\Domain\KraskaLocations;
+use App\Tests\TestCase;
+use PDO;
+use RuntimeException;
+
+final class KraskaLocationsTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->bootDefaultConfig();
+        $this->pdo = $this->useInMemoryDatabase();
+        $this->createSchema($this->pdo);
+    }
+
+    public function testAddBookmarkStoresTrailAndUpsertsByPath(): void
+    {
+        $created = KraskaLocations::addBookmark(4, [
+            'path' => '/movies/genre/scifi',
+            'trail' => [
+                ['path' => '/', 'label' => 'Home'],
+                ['path' => '/movies', 'label' => 'Movies'],
+                ['path' => 'not-a-path', 'label' => 'Ignored'],
+                ['path' => '/movies/genre/scifi', 'label' => ' Sci-Fi '],
+            ],
+        ]);
+
+        $this->assertSame('Sci-Fi', $created['label']);
+        $this->assertSame(['/', '/movies', '/movies/genre/scifi'], array_column($created['trail'], 'path'));
+
+        $renamed = KraskaLocations::addBookmark(4, ['path' => '/movies/genre/scifi', 'label' => 'Space']);
+        $this->assertSame($created['id'], $renamed['id']);
+        $this->assertSame('Space', $renamed['label']);
+
+        $locations = KraskaLocations::forUser(4);
+        $this->assertCount(1, $locations['bookmarks']);
+        $this->assertSame([], $locations['recent']);
+        $this->assertSame(['bookmarks' => [], 'recent' => []], KraskaLocations::forUser(5));
+    }
+
+    public function testRecordVisitKeepsOnlyMostRecentEntries(): void
+    {
+        for ($index = 1; $index <= 14; $index++) {
+            KraskaLocations::recordVisit(4, ['path' => '/shows/' . $index, 'label' => 'Show ' . $index]);
+        }
+        KraskaLocations::recordVisit(4, ['path' => '/shows/3', 'label' => 'Show 3']);
+
+        $recent = KraskaLocations::forUser(4)['recent'];
+        $this->assertCount(12, $recent);
+        $this->assertSame('/shows/3', $recent[0]['path']);
+        $this->assertSame('Show 3', $recent[0]['label']);
+        $this->assertSame('/shows/14', $recent[1]['path']);
+        $this->assertNotContains('/shows/1', array_column($recent, 'path'));
+        $this->assertNotContains('/shows/2', array_column($recent, 'path'));
+    }
+
+    public function testRenameIsScopedToOwnerAndLimitedToBookmarks(): void
+    {
+        $visit = KraskaLocations::recordVisit(4, ['path' => '/movies']);
+        $bookmark = KraskaLocations::addBookmark(4, ['path' => '/movies', 'label' => 'Movies']);
+
+        $this->assertSame('Films', KraskaLocations::updateBookmark(4, $bookmark['id'], ['label' => 'Films'])['label']);
+
+        try {
+            KraskaLocations::updateBookmark(4, $visit['id'], ['label' => 'Films']);
+            $this->fail('Recent entries must not be renamable.');
+        } catch (RuntimeException $exception) {
+            $this->assertSame('Only bookmarks can be renamed.', $exception->getMessage());
+        }
+
+        $this->expectException(RuntimeException::class);
+        KraskaLocations::delete(5, $bookmark['id']);
+    }
+
+    private function createSchema(PDO $pdo): void
+    {
+        $pdo->exec('CREATE TABLE kraska_locations (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            kind VARCHAR(16) NOT NULL,
+            label VARCHAR(255) NOT NULL,
+            path VARCHAR(1024) NOT NULL,
+            trail_json TEXT NOT NULL,
+            visited_at TEXT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )');
+    }
+}
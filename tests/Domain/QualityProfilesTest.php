@@ -0,0 +1,131 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Tests\Domain;
+
+use App\Domain\QualityProfiles;
+use App\Tests\TestCase;
+use PDO;
+use RuntimeException;
+
+final class QualityProfilesTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->bootDefaultConfig();
+        $this->pdo = $this->useInMemoryDatabase();
+        $this->createSchema($this->pdo);
+    }
+
+    public function testCreateNormalizesCodecAndLanguageAliases(): void
+    {
+        $created = QualityProfiles::create(4, [
+            'name' => ' Living room ',
+            'max_size_gb' => '15',
+            'preferred_codecs' => ['x265', 'HEVC', 'h.264'],
+            'forbidden_codecs' => ['XviD'],
+            'preferred_languages' => ['CES', 'eng', ''],
+            'min_height' => 720,
+            'hdr' => 'prefer',
+        ]);
+
+        $this->assertSame('Living room', $created['name']);
+        $this->assertSame(15.0, $created['max_size_gb']);
+        $this->assertSame(['hevc', 'h264'], $created['preferred_codecs']);
+        $this->assertSame(['mpeg4'], $created['forbidden_codecs']);
+        $this->assertSame(['cz', 'en'], $created['preferred_languages']);
+        $this->assertSame(720, $created['min_height']);
+        $this->assertNull($created['max_height']);
+        $this->assertSame('prefer', $created['hdr']);
+        $this->assertFalse($created['is_default']);
+    }
+
+    public function testMarkingDefaultClearsPreviousDefaultAndIsScopedToOwner(): void
+    {
+        $first = QualityProfiles::create(4, ['name' => 'Archive', 'is_default' => true]);
+        $second = QualityProfiles::create(4, ['name' => 'Mobile']);
+        QualityProfiles::create(5, ['name' => 'Other user', 'is_default' => true]);
+
+        QualityProfiles::update(4, $second['id'], ['is_default' => true]);
+
+        $this->assertSame($second['id'], QualityProfiles::defaultForUser(4)['id'] ?? null);
+        $this->assertFalse(QualityProfiles::find(4, $first['id'])['is_default'] ?? true);
+        $this->assertNull(QualityProfiles::find(5, $first['id']));
+        $this->assertCount(2, QualityProfiles::forUser(4));
+    }
+
+    public function testUpdateRejectsInvertedResolutionBounds(): void
+    {
+        $created = QualityProfiles::create(4, ['name' => 'HD', 'min_height' => 1080]);
+
+        $this->expectException(RuntimeException::class);
+        QualityProfiles::update(4, $created['id'], ['max_height' => 720]);
+    }
+
+    public function testSelectVariantAppliesLimitsBeforePreferences(): void
+    {
+        $gb = 1024 ** 3;
+        $profile = QualityProfiles::create(4, [
+            'name' => 'Sensible',
+            'max_size_gb' => 20,
+            'forbidden_codecs' => ['av1'],
+            'preferred_languages' => ['cz'],
+            'max_height' => 2160,
+        ]);
+
+        $variants = [
+            ['id' => 'remux', 'title' => 'Movie 2160p REMUX HEVC CZ', 'size_bytes' => 60 * $gb],
+            ['id' => 'av1', 'title' => 'Movie 2160p AV1 CZ', 'size_bytes' => 8 * $gb],
+            ['id' => 'en', 'title' => 'Movie 2160p x265 EN', 'size_bytes' => 12 * $gb],
+            ['id' => 'cz-720', 'title' => 'Movie 720p x264 CZ', 'size_bytes' => 3 * $gb],
+            ['id' => 'cz-1080', 'title' => 'Movie 1080p x264 CZ', 'size_bytes' => 9 * $gb],
+        ];
+
+        $this->assertSame('cz-1080', QualityProfiles::selectVariant($variants, $profile)['id'] ?? null);
+
+        $strict = QualityProfiles::update(4, $profile['id'], ['hdr' => 'require']);
+        $this->assertNull(QualityProfiles::selectVariant($variants, $strict));
+    }
+
+    public function testDetectLanguagesOnlyReadsExplicitFieldsAndDelimitedTags(): void
+    {
+        $this->assertSame([], QualityProfiles::detectLanguages(['title' => 'It Follows 2014 1080p']));
+        $this->assertSame([], QualityProfiles::detectLanguages(['title' => 'De Gaulle', 'description' => 'Historia es larga']));
+        $this->assertSame([], QualityProfiles::detectLanguages(['title' => 'It.Follows.2014.1080p']));
+        $this->assertSame([], QualityProfiles::detectLanguages(['title' => 'The.It.Crowd.S01E01']));
+        $this->assertSame([], QualityProfiles::detectLanguages(['title' => 'IT (2017)']));
+        $this->assertSame([], QualityProfiles::detectLanguages(['title' => 'Stephen.Kings.It.2017.1080p']));
+
+        $this->assertSame(['cz'], QualityProfiles::detectLanguages(['title' => 'Movie.2020.cz.1080p']));
+        $this->assertSame(['cz', 'en'], QualityProfiles::detectLanguages(['title' => 'Film [CZ] (en)']));
+        $this->assertSame(['cz', 'en'], QualityProfiles::detectLanguages(['quality' => '1080p cz+en']));
+        $this->assertSame(['sk'], QualityProfiles::detectLanguages(['title' => 'Movie 720p x264 SK']));
+        $this->assertSame(['cz'], QualityProfiles::detectLanguages(['title' => 'Show.S01E02.CZ.720p']));
+        $this->assertSame([], QualityProfiles::detectLanguages(['description' => 'Released in 2014, it was a hit']));
+        $this->assertSame(
+            ['cz', 'en', 'de'],
+            QualityProfiles::detectLanguages(['language' => 'cs, eng', 'title' => 'Es', 'source' => ['stream' => ['lang' => 'de']]])
+        );
+    }
+
+    private function createSchema(PDO $pdo): void
+    {
+        $pdo->exec('CREATE TABLE quality_profiles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            max_size_gb REAL NULL,
+            preferred_codecs_json TEXT NOT NULL DEFAULT \'[]\',
+            forbidden_codecs_json TEXT NOT NULL DEFAULT \'[]\',
+            preferred_languages_json TEXT NOT NULL DEFAULT \'[]\',
+            min_height INTEGER NULL,
+            max_height INTEGER NULL,
+            hdr VARCHAR(16) NOT NULL DEFAULT \'any\',
+            is_default INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )');
+    }
+}
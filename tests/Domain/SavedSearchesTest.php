@@ -0,0 +1,76 @@
+<?php
+
+declare(strict_types=1);
+
+namespace App\Tests\Domain;
+
+use App\Domain\SavedSearches;
+use App\Tests\TestCase;
+use PDO;
+use RuntimeException;
+
+final class SavedSearchesTest extends TestCase
+{
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->bootDefaultConfig();
+        $this->pdo = $this->useInMemoryDatabase();
+        $this->createSchema($this->pdo);
+    }
+
+    public function testCreateNormalizesProvidersAndDefaultsNameToQuery(): void
+    {
+        $created = SavedSearches::create(4, [
+            'query' => '  Dune 2021 ',
+            'providers' => ['Webshare', 'kraska', 'webshare', ''],
+            'limit' => 25,
+        ]);
+
+        $this->assertSame('Dune 2021', $created['name']);
+        $this->assertSame('Dune 2021', $created['query']);
+        $this->assertSame(['webshare', 'kraska'], $created['providers']);
+        $this->assertSame(25, $created['limit']);
+        $this->assertSame([], $created['last_result_keys']);
+        $this->assertNull($created['last_run_at']);
+    }
+
+    public function testRecordRunReplacesKeysAndIsScopedToOwner(): void
+    {
+        $created = SavedSearches::create(4, ['name' => 'Dune', 'query' => 'dune']);
+
+        $updated = SavedSearches::recordRun(4, $created['id'], ['webshare:a', 'kraska:b', 'webshare:a', 7]);
+        $this->assertSame(['webshare:a', 'kraska:b'], $updated['last_result_keys']);
+        $this->assertNotNull($updated['last_run_at']);
+
+        $this->assertCount(1, SavedSearches::forUser(4));
+        $this->assertSame([], SavedSearches::forUser(5));
+
+        $this->expectException(RuntimeException::class);
+        SavedSearches::recordRun(5, $created['id'], ['webshare:c']);
+    }
+
+    public function testUpdateRejectsOutOfRangeLimit(): void
+    {
+        $created = SavedSearches::create(4, ['query' => 'dune']);
+
+        $this->expectException(RuntimeException::class);
+        SavedSearches::update(4, $created['id'], ['limit' => 500]);
+    }
+
+    private function createSchema(PDO $pdo): void
+    {
+        $pdo->exec('CREATE TABLE saved_searches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            query VARCHAR(512) NOT NULL,
+            providers_json TEXT NOT NULL,
+            result_limit INTEGER NULL,
+            last_result_keys_json TEXT NULL,
+            last_run_at TEXT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )');
+    }
+}
@@ -59,4 +59,34 @@ final class JellyfinPlacementTest extends TestCase
         $this->assertStringContainsString('/Shows/Mestecko South Park/Season 02/', $finalPath);
         $this->assertStringContainsString('Cartmanova mama je porad spinava flundra S02E02.mkv', $finalPath);
     }
+
+    public function testPlacementHonoursMovieTypeYearAndLibraryFolderOverrides(): void
+    {
+        $this->bootDefaultConfig();
+
+        $downloadsDir = (string) Config::get('paths.downloads');
+        $libraryDir = (string) Config::get('paths.library');
+
+        $sourcePath = $downloadsDir . '/override-test.mkv';
+        file_put_contents($sourcePath, 'test-bytes');
+
+        $job = [
+            'category' => 'TV',
+            'title' => 'Planet Earth S01E01',
+            'metadata_json' => json_encode([
+                'source' => 'search',
+                'hints' => [
+                    'media_type' => 'movie',
+                    'year' => 2006,
+                    'library_folder' => '../Documentaries',
+                ],
+            ]),
+        ];
+
+        $finalPath = Jellyfin::moveDownloadToLibrary($job, $sourcePath);
+
+        $this->assertFileExists($finalPath);
+        $this->assertStringStartsWith(rtrim($libraryDir, '/') . '/Documentaries/Planet Earth S01E01 (2006)/', $finalPath);
+        $this->assertStringEndsWith('Planet Earth S01E01 (2006).mkv', $finalPath);
+    }
 }
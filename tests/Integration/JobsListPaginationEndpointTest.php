@@ -69,6 +69,20 @@ final class JobsListPaginationEndpointTest extends TestCase
         $this->assertIsArray($p2['meta']['provider_paused']);
     }
 
+    public function testChangedSinceReturnsOnlyJobsAfterTheCursor(): void
+    {
+        $cursor = $this->now()->modify('+4 minutes')->format('Y-m-d\TH:i:s.uP');
+
+        $payload = JobsList::changedSince(true, 1, $cursor, 4);
+        $this->assertSame([5, 6], array_map(static fn($r) => (int) $r['id'], $payload['data']));
+        $this->assertFalse($payload['meta']['has_more']);
+
+        $this->pdo->exec("UPDATE jobs SET status = 'completed', updated_at = '2025-03-01T00:10:00.000000+00:00' WHERE id = 2");
+        $payload = JobsList::changedSince(true, 1, $this->now()->modify('+6 minutes')->format('Y-m-d\TH:i:s.uP'), 6);
+        $this->assertSame([2], array_map(static fn($r) => (int) $r['id'], $payload['data']));
+        $this->assertSame('completed', $payload['data'][0]['status']);
+    }
+
     // Removed execute helper: using JobsList::handle directly to avoid emitting output during tests.
 
     private function createSchema(): void
@@ -48,6 +48,12 @@ final class KraSk2BulkQueueProcessingTest extends TestCase
         $this->assertSame(1, (int) $task['processed_items']);
         $this->assertSame(1, (int) $task['failed_items']);
 
+        [$queued, $failed] = KraSk2BulkQueue::forUser(1)[0]['items'];
+        $this->assertSame('queued', $queued['status']);
+        $this->assertSame(1, $queued['job_id']);
+        $this->assertSame('failed', $failed['status']);
+        $this->assertNotNull($failed['error_text']);
+
         $jobs = $this->pdo->query('SELECT * FROM jobs ORDER BY id ASC')->fetchAll(PDO::FETCH_ASSOC);
         $this->assertCount(1, $jobs);
         $job = $jobs[0];
@@ -124,6 +130,21 @@ final class KraSk2BulkQueueProcessingTest extends TestCase
             completed_at TEXT
         )');
 
+        $pdo->exec('CREATE TABLE krask2_bulk_queue_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            task_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            position INTEGER NOT NULL,
+            status TEXT NOT NULL,
+            title TEXT NOT NULL,
+            item_json TEXT NOT NULL,
+            job_id INTEGER,
+            error_text TEXT,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        )');
+
         $pdo->exec('CREATE TABLE audit_log (
             id INTEGER PRIMARY KEY AUTOINCREMENT,
             user_id INTEGER,
@@ -107,6 +107,7 @@ final class KraSkProviderTest extends TestCase
                             'title' => 'Example Movie',
                             'url' => '/Play/123',
                             'info' => ['year' => 2020, 'rating' => 8.5],
+                            'unique_ids' => ['sc' => '123', 'imdb' => 'tt0111161', 'tmdb' => 278],
                             'stream_info' => [
                                 'video' => ['height' => 1080, 'codec' => 'h264', 'duration' => 5400],
                                 'audio' => ['codec' => 'dts', 'channels' => 6],
@@ -170,6 +171,8 @@ final class KraSkProviderTest extends TestCase
         $this->assertSame(['EN', 'CZ'], $video['meta']['languages']);
         $this->assertSame('An exciting film.', $video['summary']);
         $this->assertSame('https://example.com/thumb.jpg', $video['art']['thumb']);
+        $this->assertSame(['imdb' => 'tt0111161', 'tmdb' => '278'], $video['ids']);
+        $this->assertArrayNotHasKey('ids', $dir);
 
         $episode = $result['items'][2];
         $this->assertSame('video', $episode['type']);